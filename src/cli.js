@@ -1,15 +1,33 @@
 #!/usr/bin/env node
-import { Command } from "commander";
+import { spawn } from "child_process";
+import { once } from "events";
+import {
+  createReadStream,
+  readFileSync,
+  statSync,
+  writeFileSync,
+  promises as fsPromises,
+} from "fs";
+import { availableParallelism, constants as osConstants } from "os";
+import { basename, sep } from "path";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import { isMainThread, parentPort, Worker } from "worker_threads";
+import { Command, InvalidArgumentError } from "commander";
 import wilcocrypt from "./wilcocrypt.js";
 
 /* =========================
    Helpers
 ========================= */
 
+/**
+ * Prompts for a password on the terminal. The prompt and the echoed
+ * asterisks go to stderr, so they never end up in piped output.
+ */
 function promptPassword(promptText = "Password: ") {
   return new Promise((resolve) => {
     const stdin = process.stdin;
-    const stdout = process.stdout;
+    const stderr = process.stderr;
 
     if (!stdin.isTTY) {
       throw new wilcocrypt._.WilcoCryptError(
@@ -18,7 +36,7 @@ function promptPassword(promptText = "Password: ") {
       );
     }
 
-    stdout.write(promptText);
+    stderr.write(promptText);
 
     let password = "";
 
@@ -28,7 +46,7 @@ function promptPassword(promptText = "Password: ") {
 
     function onData(char) {
       if (char === "\r" || char === "\n") {
-        stdout.write("\n");
+        stderr.write("\n");
         stdin.setRawMode(false);
         stdin.pause();
         stdin.removeListener("data", onData);
@@ -37,7 +55,7 @@ function promptPassword(promptText = "Password: ") {
       }
 
       if (char === "\u0003") {
-        stdout.write("\n");
+        stderr.write("\n");
         stdin.setRawMode(false);
         stdin.pause();
         stdin.removeListener("data", onData);
@@ -47,98 +65,1976 @@ function promptPassword(promptText = "Password: ") {
       if (char === "\u007f" || char === "\b") {
         if (password.length > 0) {
           password = password.slice(0, -1);
-          stdout.write("\b \b");
+          stderr.write("\b \b");
         }
         return;
       }
 
       password += char;
-      stdout.write("*");
+      stderr.write("*");
     }
 
     stdin.on("data", onData);
   });
 }
 
-/* =========================
-   CLI setup
-========================= */
+/**
+ * Prompts for a new password twice and checks that both entries match.
+ */
+async function promptNewPassword(promptText = "New password: ") {
+  const password = await promptPassword(promptText);
+  const confirmation = await promptPassword("Confirm password: ");
 
-const program = new Command();
+  if (password !== confirmation) {
+    throw new wilcocrypt._.WilcoCryptError(
+      "Passwords do not match",
+      "PASSWORD_MISMATCH",
+    );
+  }
 
-program
-  .name("wilcocrypt")
-  .description("File encryption tool")
-  .version(wilcocrypt._.VERSION, "--version", "Show version")
+  return password;
+}
 
-  .option("-e, --encrypt <file>", "Encrypt file")
-  .option("-d, --decrypt <file>", "Decrypt file")
-  .option(
-    "-o, --output <file>",
-    "Write output to file instead of stdout (decrypt only)",
-  )
-  .option(
-    "--stdout",
-    "Write decrypted output to stdout (default behavior, explicit flag)",
-  )
+/**
+ * Returns the password given by `--password-file`, `--password-env` or
+ * `--password-fd`. Otherwise prompts for it, twice with `confirm`, or
+ * returns `null` if it is `optional` because keys were given. `flag`
+ * names the options in the error shown without a TTY.
+ *
+ * Files and descriptors hold the password on their first line.
+ */
+async function readPassword(
+  options,
+  promptText,
+  { confirm = false, optional = false, flag = "--password" } = {},
+) {
+  if (options.passwordFile !== undefined) {
+    return readFileSync(options.passwordFile, "utf8").split(/\r?\n/)[0];
+  }
+
+  if (options.passwordFd !== undefined) {
+    return readFileSync(options.passwordFd, "utf8").split(/\r?\n/)[0];
+  }
+
+  if (options.passwordEnv !== undefined) {
+    const password = process.env[options.passwordEnv];
+
+    if (password === undefined) {
+      throw new wilcocrypt._.WilcoCryptError(
+        `Environment variable ${options.passwordEnv} is not set`,
+        "NO_PASSWORD",
+      );
+    }
+
+    return password;
+  }
+
+  if (optional) return null;
+
+  if (!process.stdin.isTTY) {
+    throw new wilcocrypt._.WilcoCryptError(
+      `Password prompt requires a TTY (use ${flag}-file, ${flag}-env or ${flag}-fd)`,
+      "NO_TTY",
+    );
+  }
+
+  return confirm ? promptNewPassword(promptText) : promptPassword(promptText);
+}
+
+/**
+ * Returns the password to encrypt with: a passphrase generated for
+ * `--generate-password` and printed to stderr, or one read like
+ * `readPassword` does. Weak passwords are refused before any file is
+ * touched.
+ */
+async function readNewPassword(options, { optional = false } = {}) {
+  if (options.generatePassword !== undefined) {
+    const words =
+      options.generatePassword === true ? undefined : options.generatePassword;
+    const password = wilcocrypt.generatePassphrase({ words });
+
+    console.error(`Generated password: ${password}`);
+    return password;
+  }
+
+  const password = await readPassword(options, "Encryption password: ", {
+    confirm: true,
+    optional,
+  });
+
+  if (password !== null) {
+    wilcocrypt._.assertPasswordStrength(
+      password,
+      wilcocrypt._.normalizePasswordPolicy(),
+    );
+  }
+
+  return password;
+}
+
+/**
+ * Reads the new password of `add-password` and `change-password` from
+ * `--new-password-file`, `--new-password-env` or `--new-password-fd`,
+ * or prompts for it twice.
+ */
+function readChangedPassword(options) {
+  return readPassword(
+    {
+      passwordFile: options.newPasswordFile,
+      passwordEnv: options.newPasswordEnv,
+      passwordFd: options.newPasswordFd,
+    },
+    "New password: ",
+    { confirm: true, flag: "--new-password" },
+  );
+}
+
+/**
+ * Exits with an error if more than one source is given for the password
+ * or for the new password, or both are read from the same descriptor.
+ */
+function checkPasswordSources(options) {
+  const groups = [
+    [
+      "--password",
+      options.passwordFile,
+      options.passwordEnv,
+      options.passwordFd,
+    ],
+    [
+      "--new-password",
+      options.newPasswordFile,
+      options.newPasswordEnv,
+      options.newPasswordFd,
+    ],
+  ];
+
+  for (const [flag, ...sources] of groups) {
+    if (sources.filter((source) => source !== undefined).length > 1) {
+      console.error(
+        `error: ${flag}-file, ${flag}-env and ${flag}-fd are mutually exclusive`,
+      );
+      process.exit(1);
+    }
+  }
+
+  if (
+    options.passwordFd !== undefined &&
+    options.passwordFd === options.newPasswordFd
+  ) {
+    console.error(
+      "error: --password-fd and --new-password-fd must be different descriptors",
+    );
+    process.exit(1);
+  }
+}
+
+/**
+ * Reads a stream to the end.
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Returns the first bytes of stdin without consuming them.
+ */
+async function peekStdin() {
+  const stdin = process.stdin;
+
+  await once(stdin, "readable");
+  const head = stdin.read();
+  if (head) stdin.unshift(head);
+
+  return head ?? Buffer.alloc(0);
+}
+
+/**
+ * Commander argument parser for repeatable options.
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Commander argument parser for positive integers.
+ */
+function parsePositiveInt(value) {
+  const number = Number(value);
+
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(number) || number < 1) {
+    throw new InvalidArgumentError("Not a positive integer.");
+  }
+
+  return number;
+}
 
-  .helpOption("-h, --help", "Display help");
+/**
+ * Commander argument parser for compression levels, which may be 0.
+ */
+function parseLevel(value) {
+  const level = Number(value);
 
-program.parse(process.argv);
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(level)) {
+    throw new InvalidArgumentError("Not a compression level.");
+  }
+
+  return level;
+}
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Commander argument parser for sizes in bytes, with an optional K, M, G
+ * or T suffix for powers of 1024, e.g. `100M` or `100MiB`.
+ */
+function parseSize(value) {
+  const match = /^(\d+)(?:([KMGT])(?:i?B)?|B)?$/i.exec(value);
+  const size = match
+    ? Number(match[1]) * (SIZE_UNITS[match[2]?.toUpperCase()] ?? 1)
+    : NaN;
+
+  if (!match || !Number.isSafeInteger(size) || size < 1) {
+    throw new InvalidArgumentError("Not a size (e.g. 4096, 512K, 100M, 4G).");
+  }
+
+  return size;
+}
+
+/**
+ * Commander argument parser for file descriptor numbers.
+ */
+function parseFd(value) {
+  const fd = Number(value);
+
+  if (!/^\d+$/.test(value) || !Number.isSafeInteger(fd)) {
+    throw new InvalidArgumentError("Not a file descriptor number.");
+  }
+
+  return fd;
+}
+
+/**
+ * Adds `--password-file`, `--password-env` and `--password-fd` to a
+ * command, or with `prefix` "new-" the same options for a new password.
+ */
+function passwordOptions(command, prefix = "") {
+  const what = prefix === "" ? "password" : "new password";
+
+  return command
+    .option(
+      `--${prefix}password-file <file>`,
+      `Read the ${what} from the first line of <file>`,
+    )
+    .option(
+      `--${prefix}password-env <var>`,
+      `Read the ${what} from environment variable <var>`,
+    )
+    .option(
+      `--${prefix}password-fd <n>`,
+      `Read the ${what} from the first line of file descriptor <n>`,
+      parseFd,
+    );
+}
+
+/**
+ * Defines a subcommand that reads the password of an existing file, with
+ * the `--password-*` options, and with `newPassword` the
+ * `--new-password-*` options as well.
+ */
+function passwordCommand(parent, name, { newPassword = false } = {}) {
+  const command = passwordOptions(parent.command(name));
+  return newPassword ? passwordOptions(command, "new-") : command;
+}
+
+/**
+ * Builds the `compression` option from `--compression` and
+ * `--compression-level`.
+ */
+function compressionOption(options) {
+  if (options.compressionLevel === undefined) return options.compression;
+  return {
+    name: options.compression ?? "gzip",
+    level: options.compressionLevel,
+  };
+}
+
+/**
+ * Reads private keys from identity files. Blank lines and lines starting
+ * with `#` are ignored, so files written by `keygen` can be used as is.
+ */
+function readIdentities(files) {
+  return files.flatMap((file) =>
+    readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#")),
+  );
+}
+
+/**
+ * Reads symmetric keys from key files, as written by `keygen --symmetric`
+ * or holding 32 raw bytes.
+ */
+function readKeyFiles(files) {
+  return files.map((file) => readFileSync(file));
+}
 
-const options = program.opts();
+/**
+ * Whether `-d` can stream a file, which binary `.enc` payloads and the
+ * first volume of split files allow. Armored files, and other names, go
+ * through `decryptFile`.
+ */
+function isStreamable(path) {
+  const { prefix } = wilcocrypt._.readFilePrefix(path, 64);
+  if (wilcocrypt._.isVolume(prefix)) return true;
+  return path.endsWith(".enc") && !wilcocrypt._.isArmored(prefix);
+}
 
 /* =========================
-   Validation
+   Progress
 ========================= */
 
-const actions = [options.encrypt, options.decrypt].filter(Boolean);
+const PROGRESS_BAR_WIDTH = 24;
+const PROGRESS_INTERVAL = 100; // ms between redraws
+
+let progressShown = false;
+
+/**
+ * Formats a byte count with a binary unit, e.g. `12.3 MiB`.
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KiB", "MiB", "GiB", "TiB"];
+  let value = bytes;
+  let unit = 0;
 
-if (actions.length === 0) {
-  program.help();
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
 }
 
-if (actions.length > 1) {
-  console.error("error: please specify only one action (-e or -d)");
-  process.exit(1);
+/**
+ * Returns an `onProgress` callback that draws a progress bar labelled
+ * `label` on stderr, or `undefined` when stderr is not a terminal. The
+ * bar is redrawn at most every 100 ms and cleared once complete; streams
+ * of unknown length only show the bytes processed.
+ */
+function progressBar(label) {
+  if (!process.stderr.isTTY) return undefined;
+
+  let drawn = 0;
+
+  return ({ processed, total }) => {
+    const complete = total !== null && processed >= total;
+    const now = Date.now();
+
+    if (complete) {
+      clearProgress();
+      return;
+    }
+    if (now - drawn < PROGRESS_INTERVAL) return;
+    drawn = now;
+
+    let line = `${label}  ${formatBytes(processed)}`;
+    if (total !== null) {
+      const ratio = processed / total;
+      const filled = Math.floor(ratio * PROGRESS_BAR_WIDTH);
+      const bar = "#".repeat(filled) + "-".repeat(PROGRESS_BAR_WIDTH - filled);
+      const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+
+      line += ` / ${formatBytes(total)}  [${bar}] ${percent}`;
+    }
+
+    // Some terminals report no width; assume the classic 80 columns
+    const width = process.stderr.columns || 80;
+    process.stderr.cursorTo(0);
+    process.stderr.write(line.slice(0, width - 1));
+    process.stderr.clearLine(1);
+    progressShown = true;
+  };
 }
 
-if (options.output && options.stdout) {
-  console.error("error: --output and --stdout are mutually exclusive");
-  process.exit(1);
+/**
+ * Removes a progress bar from the terminal, if one is shown.
+ */
+function clearProgress() {
+  if (!progressShown) return;
+
+  process.stderr.cursorTo(0);
+  process.stderr.clearLine(0);
+  progressShown = false;
 }
 
-if (options.output && options.encrypt) {
-  console.error("error: --output is only supported for decryption");
-  process.exit(1);
+/**
+ * Returns a signal that aborts on the first Ctrl-C, so the running
+ * operation can remove its temporary files before the process ends. A
+ * second Ctrl-C ends the process right away.
+ */
+function interruptSignal() {
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  return controller.signal;
 }
 
 /* =========================
-   Actions
+   Batch mode
 ========================= */
 
-(async () => {
-  try {
-    if (options.encrypt) {
-      const password = await promptPassword("Encryption password: ");
-      wilcocrypt.encryptFile(options.encrypt, password);
-      console.log(`Encrypted: ${options.encrypt}.enc`);
+const GLOB_CHARS = /[*?{]/;
+
+/**
+ * Converts a glob pattern into a regular expression. `*` and `?` do not
+ * match `/`, `**` matches any number of directories, and `{a,b}` matches
+ * either alternative.
+ */
+function globToRegExp(glob) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const end = char === "{" ? glob.indexOf("}", i) : -1;
+
+    if (glob.startsWith("**/", i)) {
+      source += "(?:.*/)?";
+      i += 2;
+    } else if (glob.startsWith("**", i)) {
+      source += ".*";
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (end !== -1) {
+      const alternatives = glob.slice(i + 1, end).split(",");
+      source += `(?:${alternatives.map(escape).join("|")})`;
+      i = end;
+    } else {
+      source += escape(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tests a path against `--include` or `--exclude` patterns. Patterns
+ * without a `/` are matched against the file name only.
+ */
+function matchesAny(patterns, path) {
+  return patterns.some((pattern) =>
+    globToRegExp(pattern).test(pattern.includes("/") ? path : basename(path)),
+  );
+}
+
+/**
+ * Expands a glob pattern into the files and directories it matches,
+ * walking only as deep as the pattern reaches.
+ */
+async function expandGlob(pattern) {
+  const segments = pattern.split(sep).join("/").split("/");
+  const first = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+  const rest = segments.slice(first);
+
+  let base = segments.slice(0, first).join("/");
+  if (first === 1 && segments[0] === "") base = "/";
+
+  const regex = globToRegExp(rest.join("/"));
+  const depth = rest.some((segment) => segment.includes("**"))
+    ? Infinity
+    : rest.length;
+  const matches = [];
+
+  const walk = async (dir, relative, remaining) => {
+    let dirents;
+    try {
+      dirents = await fsPromises.readdir(dir || ".", { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    dirents.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const dirent of dirents) {
+      const path = relative ? `${relative}/${dirent.name}` : dirent.name;
+      const fullPath = dir ? `${dir.replace(/\/$/, "")}/${dirent.name}` : path;
+
+      if (regex.test(path)) matches.push(fullPath);
+      if (dirent.isDirectory() && remaining > 1) {
+        await walk(fullPath, path, remaining - 1);
+      }
+    }
+  };
+
+  await walk(base, "", depth);
+  return matches;
+}
+
+/**
+ * Resolves the paths of a batch into the files to process. Directories
+ * are walked with `--recursive`, skipping `.enc` files when encrypting
+ * and keeping only them when decrypting. Paths that cannot be used are
+ * returned as errors.
+ */
+async function collectBatchFiles(paths, options, decrypt) {
+  const files = [];
+  const errors = [];
+  const seen = new Set();
+
+  const add = (path, relative) => {
+    if (options.include.length > 0 && !matchesAny(options.include, relative)) {
       return;
     }
+    if (matchesAny(options.exclude, relative)) return;
+
+    if (!seen.has(path)) {
+      seen.add(path);
+      files.push(path);
+    }
+  };
+
+  for (const path of paths) {
+    let candidates = [path];
+
+    if (GLOB_CHARS.test(path)) {
+      candidates = await expandGlob(path);
+
+      if (candidates.length === 0) {
+        errors.push({ path, message: "No files match this pattern" });
+      }
+    }
 
-    if (options.decrypt) {
-      const password = await promptPassword("Decryption password: ");
+    for (const candidate of candidates) {
+      let stats;
+      try {
+        stats = await fsPromises.stat(candidate);
+      } catch (err) {
+        const message =
+          err.code === "ENOENT" ? "No such file or directory" : err.message;
+        errors.push({ path: candidate, message });
+        continue;
+      }
 
-      if (options.output) {
-        wilcocrypt.decryptFile(options.decrypt, password, options.output);
-        console.log(`Decrypted: ${options.output}`);
+      if (!stats.isDirectory()) {
+        add(candidate, candidate.split(sep).join("/"));
+      } else if (!options.recursive) {
+        errors.push({
+          path: candidate,
+          message: "Is a directory (use --recursive for the files in it)",
+        });
       } else {
-        const result = wilcocrypt.decryptFile(options.decrypt, password);
-        process.stdout.write(result);
+        for (const entry of await wilcocrypt._.walkDirectory(candidate)) {
+          if (entry.type !== "file") continue;
+          if (entry.path.endsWith(".enc") !== decrypt) continue;
+
+          add(entry.fullPath, entry.path);
+        }
       }
     }
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Encrypts or decrypts one file of a batch and returns the path written.
+ * Runs in a worker thread, or in the main thread with `--jobs 1`.
+ *
+ * Decrypted files are restored under their original name; payloads
+ * without one are written next to the input, without the `.enc`.
+ */
+function processBatchFile({ action, path, password, options }) {
+  if (action === "encrypt") {
+    wilcocrypt.encryptFile(path, password, options);
+    return `${path}.enc`;
+  }
+
+  try {
+    return wilcocrypt.decryptFile(path, password, {
+      ...options,
+      restore: true,
+    });
   } catch (err) {
-    console.error(`error: ${err.message}`);
+    if (err.code !== "NO_METADATA" || !path.endsWith(".enc")) throw err;
+  }
+
+  const output = path.slice(0, -".enc".length);
+  wilcocrypt.decryptFile(path, password, output, options);
+  return output;
+}
+
+/**
+ * Starts a worker thread running this script, which handles one batch
+ * file per message.
+ */
+function createBatchWorker() {
+  const worker = new Worker(fileURLToPath(import.meta.url));
+  let failure = null;
+
+  // A crashed worker fails its current and every later file
+  worker.on("error", (err) => {
+    failure = err;
+  });
+
+  return {
+    process(job) {
+      if (failure) return Promise.reject(failure);
+
+      return new Promise((resolve, reject) => {
+        worker.once("error", reject);
+        worker.once("message", ({ output, error }) => {
+          worker.off("error", reject);
+
+          if (error) {
+            reject(new wilcocrypt._.WilcoCryptError(error.message, error.code));
+          } else {
+            resolve(output);
+          }
+        });
+        worker.postMessage(job);
+      });
+    },
+
+    close() {
+      return worker.terminate();
+    },
+  };
+}
+
+/**
+ * Entry point of batch worker threads.
+ */
+function runBatchWorker() {
+  parentPort.on("message", (job) => {
+    try {
+      parentPort.postMessage({ output: processBatchFile(job) });
+    } catch (err) {
+      parentPort.postMessage({
+        error: { message: err.message, code: err.code },
+      });
+    }
+  });
+}
+
+/* =========================
+   Actions
+========================= */
+
+async function runMain(options) {
+  const actions = [options.encrypt, options.decrypt].filter(Boolean);
+  const archiveFlags = [options.extract, options.list].filter(Boolean);
+
+  if (actions.length === 0) {
+    program.help();
+  }
+
+  if (actions.length > 1) {
+    console.error("error: please specify only one action (-e or -d)");
+    process.exit(1);
+  }
+
+  const paths = options.encrypt ?? options.decrypt;
+  const batch =
+    paths.length > 1 ||
+    paths.some((path) => GLOB_CHARS.test(path)) ||
+    options.recursive ||
+    options.include.length > 0 ||
+    options.exclude.length > 0 ||
+    options.jobs !== undefined ||
+    options.continueOnError;
+
+  if (!batch && options.encrypt) options.encrypt = paths[0];
+  if (!batch && options.decrypt) options.decrypt = paths[0];
+
+  if (options.output && options.stdout) {
+    console.error("error: --output and --stdout are mutually exclusive");
+    process.exit(1);
+  }
+
+  const passwordSources = [
+    options.passwordFile,
+    options.passwordEnv,
+    options.passwordFd,
+  ].filter((source) => source !== undefined);
+
+  if (passwordSources.length > 1) {
+    console.error(
+      "error: --password-file, --password-env and --password-fd are mutually exclusive",
+    );
+    process.exit(1);
+  }
+
+  if (options.generatePassword !== undefined && !options.encrypt) {
+    console.error(
+      "error: --generate-password is only supported for encryption",
+    );
+    process.exit(1);
+  }
+
+  if (options.generatePassword !== undefined && passwordSources.length > 0) {
+    console.error(
+      "error: --generate-password cannot be combined with --password-file, --password-env or --password-fd",
+    );
+    process.exit(1);
+  }
+
+  const fromStdin = options.encrypt === "-" || options.decrypt === "-";
+
+  if (fromStdin && options.passwordFd === 0) {
+    console.error("error: --password-fd 0 cannot be used when reading stdin");
+    process.exit(1);
+  }
+
+  if (options.output && options.output !== "-" && options.encrypt) {
+    console.error(
+      "error: --output is only supported for decryption (use -o - to encrypt to stdout)",
+    );
     process.exit(1);
   }
-})();
+
+  if (archiveFlags.length > 0 && !options.decrypt) {
+    console.error(
+      "error: --extract and --list are only supported for decryption",
+    );
+    process.exit(1);
+  }
+
+  if (archiveFlags.length > 1 || (archiveFlags.length > 0 && options.output)) {
+    console.error(
+      "error: --extract, --list and --output are mutually exclusive",
+    );
+    process.exit(1);
+  }
+
+  if (options.removeOriginal && !options.encrypt) {
+    console.error("error: --remove-original is only supported for encryption");
+    process.exit(1);
+  }
+
+  if (options.removeOriginal && options.encrypt === "-") {
+    console.error("error: --remove-original cannot be used when reading stdin");
+    process.exit(1);
+  }
+
+  if (options.armor && !options.encrypt) {
+    console.error("error: --armor is only supported for encryption");
+    process.exit(1);
+  }
+
+  if (
+    (options.compression || options.compressionLevel !== undefined) &&
+    !options.encrypt
+  ) {
+    console.error(
+      "error: --compression and --compression-level are only supported for encryption",
+    );
+    process.exit(1);
+  }
+
+  if (options.cipher && !options.encrypt) {
+    console.error("error: --cipher is only supported for encryption");
+    process.exit(1);
+  }
+
+  if (options.sign && !options.encrypt) {
+    console.error("error: --sign is only supported for encryption");
+    process.exit(1);
+  }
+
+  if (options.split !== undefined) {
+    if (!options.encrypt || options.encrypt === "-") {
+      console.error("error: --split is only supported for encrypting files");
+      process.exit(1);
+    }
+
+    if (options.armor || batch) {
+      console.error(
+        "error: --split cannot be combined with --armor or batch mode",
+      );
+      process.exit(1);
+    }
+  }
+
+  if (options.verifySigner.length > 0 && !options.decrypt) {
+    console.error("error: --verify-signer is only supported for decryption");
+    process.exit(1);
+  }
+
+  if (options.entry && !options.extract) {
+    console.error("error: --entry requires --extract");
+    process.exit(1);
+  }
+
+  if (options.decrypt === "-" && archiveFlags.length > 0) {
+    console.error(
+      "error: --extract and --list cannot read archives from stdin",
+    );
+    process.exit(1);
+  }
+
+  // `-o -` writes to stdout like --stdout
+  if (options.output === "-") {
+    options.output = undefined;
+    options.stdout = true;
+  }
+
+  if (batch) return runBatch(paths, options);
+
+  if (options.encrypt) {
+    const isDirectory =
+      options.encrypt !== "-" && statSync(options.encrypt).isDirectory();
+
+    if (options.armor && isDirectory) {
+      console.error("error: --armor is not supported for directories");
+      process.exit(1);
+    }
+
+    if (options.removeOriginal && isDirectory) {
+      console.error(
+        "error: --remove-original is not supported for directories",
+      );
+      process.exit(1);
+    }
+
+    if (options.split !== undefined && isDirectory) {
+      console.error("error: --split is not supported for directories");
+      process.exit(1);
+    }
+
+    const toStdout = options.encrypt === "-" || options.stdout;
+
+    if (toStdout && (isDirectory || options.removeOriginal)) {
+      console.error(
+        "error: -o - cannot be combined with directories or --remove-original",
+      );
+      process.exit(1);
+    }
+
+    if (toStdout && options.split !== undefined) {
+      console.error("error: --split cannot write to stdout");
+      process.exit(1);
+    }
+
+    const recipients = options.recipient;
+    const key = readKeyFiles(options.keyFile);
+    const password = await readNewPassword(options, {
+      optional: recipients.length > 0 || key.length > 0,
+    });
+
+    const encryptOptions = {
+      cipher: options.cipher,
+      seekable: options.seekable,
+      compression: compressionOption(options),
+      recipients,
+      key,
+      signingKey: options.sign ? readIdentities([options.sign])[0] : undefined,
+      armor: options.armor,
+      overwrite: options.force,
+      removeOriginal: options.removeOriginal,
+      signal: interruptSignal(),
+    };
+
+    // Files written to stdout keep their metadata, as with `<file>.enc`
+    if (toStdout) {
+      const fromStdin = options.encrypt === "-";
+      const input = fromStdin
+        ? process.stdin
+        : createReadStream(options.encrypt);
+      const streamOptions = { ...encryptOptions };
+      if (!fromStdin) {
+        streamOptions.metadata = wilcocrypt._.fileMetadata(
+          options.encrypt,
+          statSync(options.encrypt),
+        );
+      }
+
+      if (options.armor) {
+        const data = await readAll(input);
+        process.stdout.write(
+          wilcocrypt.encryptData(data, password, streamOptions),
+        );
+        return;
+      }
+
+      await pipeline(
+        input,
+        wilcocrypt.createEncryptStream(password, {
+          ...streamOptions,
+          onProgress: progressBar(
+            `Encrypting ${fromStdin ? "stdin" : basename(options.encrypt)}`,
+          ),
+        }),
+        process.stdout,
+      );
+      clearProgress();
+      return;
+    }
+
+    const onProgress = progressBar(`Encrypting ${basename(options.encrypt)}`);
+
+    if (isDirectory) {
+      const archive = `${options.encrypt.replace(/[\\/]+$/, "")}.enc`;
+
+      await wilcocrypt.encryptDirectory(options.encrypt, archive, password, {
+        ...encryptOptions,
+        onProgress,
+      });
+      console.log(`Encrypted: ${archive}`);
+      return;
+    }
+
+    // Armored output is built in memory; binary files are streamed
+    const output = `${options.encrypt}.enc`;
+    let volumes;
+    if (options.armor) {
+      wilcocrypt.encryptFile(options.encrypt, password, encryptOptions);
+    } else {
+      volumes = await wilcocrypt.encryptFileStream(
+        options.encrypt,
+        output,
+        password,
+        { ...encryptOptions, volumeSize: options.split, onProgress },
+      );
+    }
+    for (const path of volumes ?? [output]) console.log(`Encrypted: ${path}`);
+    return;
+  }
+
+  if (options.decrypt) {
+    const identity = readIdentities(options.identity);
+    const key = readKeyFiles(options.keyFile);
+    const password = await readPassword(options, "Decryption password: ", {
+      optional: identity.length > 0 || key.length > 0,
+    });
+    const trustedSigners = options.verifySigner;
+    const decryptOptions = {
+      identity,
+      key,
+      trustedSigners,
+      overwrite: options.force,
+      signal: interruptSignal(),
+    };
+
+    if (options.decrypt === "-") {
+      // Armored text is small, binary payloads are streamed
+      if (wilcocrypt._.isArmored(await peekStdin())) {
+        const result = wilcocrypt.decryptData(
+          await readAll(process.stdin),
+          password,
+          decryptOptions,
+        );
+
+        if (options.output) {
+          wilcocrypt._.writeFileAtomicSync(
+            options.output,
+            result,
+            options.force,
+          );
+        } else {
+          process.stdout.write(result);
+        }
+      } else if (options.output) {
+        await wilcocrypt._.pipeToOutput(
+          [
+            process.stdin,
+            wilcocrypt.createDecryptStream(password, {
+              ...decryptOptions,
+              onProgress: progressBar("Decrypting stdin"),
+            }),
+          ],
+          options.output,
+          !options.force,
+          decryptOptions.signal,
+        );
+      } else {
+        await pipeline(
+          process.stdin,
+          wilcocrypt.createDecryptStream(password, {
+            ...decryptOptions,
+            onProgress: progressBar("Decrypting stdin"),
+          }),
+          process.stdout,
+        );
+      }
+
+      clearProgress();
+      if (options.output) console.log(`Decrypted: ${options.output}`);
+      return;
+    }
+
+    const onProgress = progressBar(`Decrypting ${basename(options.decrypt)}`);
+    const streamable = isStreamable(options.decrypt);
+
+    if (options.list) {
+      const entries = await wilcocrypt.listArchive(options.decrypt, password, {
+        ...decryptOptions,
+        onProgress,
+      });
+
+      for (const entry of entries) {
+        const size = entry.type === "directory" ? "-" : entry.size;
+        console.log(`${String(size).padStart(12)}  ${entry.path}`);
+      }
+    } else if (options.extract) {
+      await wilcocrypt.decryptArchive(
+        options.decrypt,
+        options.extract,
+        password,
+        { ...decryptOptions, entry: options.entry, onProgress },
+      );
+      console.log(`Extracted: ${options.extract}`);
+    } else if (options.output) {
+      if (streamable) {
+        await wilcocrypt.decryptFileStream(
+          options.decrypt,
+          options.output,
+          password,
+          { ...decryptOptions, onProgress },
+        );
+      } else {
+        wilcocrypt.decryptFile(
+          options.decrypt,
+          password,
+          options.output,
+          decryptOptions,
+        );
+      }
+      console.log(`Decrypted: ${options.output}`);
+    } else {
+      // On a terminal, restore the original file rather than dumping bytes
+      if (!options.stdout && process.stdout.isTTY) {
+        const restoreOptions = { ...decryptOptions, restore: true };
+
+        try {
+          let restored;
+          if (streamable) {
+            restored = await wilcocrypt.decryptFileStream(
+              options.decrypt,
+              null,
+              password,
+              { ...restoreOptions, onProgress },
+            );
+          } else {
+            restored = wilcocrypt.decryptFile(
+              options.decrypt,
+              password,
+              restoreOptions,
+            );
+          }
+          console.log(`Decrypted: ${restored}`);
+          return;
+        } catch (err) {
+          if (err.code !== "NO_METADATA") {
+            throw err;
+          }
+        }
+      }
+
+      if (streamable && !options.decrypt.endsWith(".enc")) {
+        console.error(
+          "error: split files cannot be written to stdout, use --output",
+        );
+        process.exit(1);
+      }
+
+      const result = wilcocrypt.decryptFile(
+        options.decrypt,
+        password,
+        decryptOptions,
+      );
+      process.stdout.write(result);
+    }
+  }
+}
+
+async function runBatch(paths, options) {
+  const action = options.encrypt ? "encrypt" : "decrypt";
+  const verb = options.encrypt ? "Encrypted" : "Decrypted";
+
+  if (options.output || options.stdout || options.extract || options.list) {
+    console.error(
+      "error: --output, --stdout, --extract and --list are not supported with several files",
+    );
+    process.exit(1);
+  }
+
+  if (paths.includes("-")) {
+    console.error("error: - cannot be combined with other files");
+    process.exit(1);
+  }
+
+  const { files, errors } = await collectBatchFiles(
+    paths,
+    options,
+    action === "decrypt",
+  );
+
+  for (const { path, message } of errors) {
+    console.error(`error: ${path}: ${message}`);
+  }
+
+  if (errors.length > 0 && !options.continueOnError) process.exit(1);
+
+  const recipients = options.recipient;
+  const key = readKeyFiles(options.keyFile);
+  const identity = readIdentities(options.identity);
+  let password = null;
+  let fileOptions;
+
+  if (action === "encrypt") {
+    password = await readNewPassword(options, {
+      optional: recipients.length > 0 || key.length > 0,
+    });
+    fileOptions = {
+      cipher: options.cipher,
+      seekable: options.seekable,
+      compression: compressionOption(options),
+      recipients,
+      key,
+      signingKey: options.sign ? readIdentities([options.sign])[0] : undefined,
+      armor: options.armor,
+      overwrite: options.force,
+      removeOriginal: options.removeOriginal,
+    };
+  } else {
+    password = await readPassword(options, "Decryption password: ", {
+      optional: identity.length > 0 || key.length > 0,
+    });
+    fileOptions = {
+      identity,
+      key,
+      trustedSigners: options.verifySigner,
+      overwrite: options.force,
+    };
+  }
+
+  const jobs = Math.min(options.jobs ?? availableParallelism(), files.length);
+  let workers = [{ process: processBatchFile }];
+  if (jobs > 1) workers = Array.from({ length: jobs }, createBatchWorker);
+
+  let next = 0;
+  let done = 0;
+  let failed = errors.length;
+  let stopped = false;
+
+  await Promise.all(
+    workers.map(async (worker) => {
+      while (!stopped && next < files.length) {
+        const path = files[next++];
+
+        try {
+          const output = await worker.process({
+            action,
+            path,
+            password,
+            options: fileOptions,
+          });
+
+          done++;
+          console.log(`${verb}: ${output} (${done}/${files.length})`);
+        } catch (err) {
+          failed++;
+          console.error(`error: ${path}: ${err.message}`);
+          if (!options.continueOnError) stopped = true;
+        }
+      }
+
+      await worker.close?.();
+    }),
+  );
+
+  const skipped = files.length - next;
+  console.log(
+    `${verb} ${done} of ${files.length} files (${failed} failed, ${skipped} skipped)`,
+  );
+
+  if (failed > 0) process.exit(1);
+}
+
+async function runVerify(paths, options) {
+  checkPasswordSources(options);
+
+  if (paths.includes("-") && paths.length > 1) {
+    console.error("error: - cannot be combined with other files");
+    process.exit(1);
+  }
+
+  if (paths[0] === "-" && options.passwordFd === 0) {
+    console.error("error: --password-fd 0 cannot be used when reading stdin");
+    process.exit(1);
+  }
+
+  let files = ["-"];
+  let errors = [];
+  if (paths[0] !== "-") {
+    ({ files, errors } = await collectBatchFiles(paths, options, true));
+  }
+
+  const identity = readIdentities(options.identity);
+  const key = readKeyFiles(options.keyFile);
+  const password = await readPassword(options, "Decryption password: ", {
+    optional: identity.length > 0 || key.length > 0,
+  });
+  const verifyOptions = {
+    identity,
+    key,
+    trustedSigners: options.verifySigner,
+  };
+
+  const failure = (code, message) => ({
+    valid: false,
+    version: null,
+    size: 0,
+    metadata: null,
+    signatureVerified: false,
+    code,
+    message,
+  });
+  const results = [];
+  const report = (path, result) => {
+    results.push({ path, ...result });
+    if (options.json) return;
+
+    const name = path === "-" ? "(stdin)" : path;
+    if (result.valid) console.log(`OK: ${name}`);
+    else console.log(`FAILED: ${name}: ${result.message}`);
+  };
+
+  for (const { path, message } of errors) report(path, failure(null, message));
+
+  for (const path of files) {
+    let result;
+    try {
+      if (path === "-") {
+        const data = await readAll(process.stdin);
+        result = await wilcocrypt.verifyDataAsync(
+          data,
+          password,
+          verifyOptions,
+        );
+      } else {
+        result = await wilcocrypt.verifyFile(path, password, verifyOptions);
+      }
+    } catch (err) {
+      if (err instanceof wilcocrypt._.WilcoCryptError) throw err;
+      const message =
+        err.code === "ENOENT" ? "No such file or directory" : err.message;
+      result = failure(err.code ?? null, message);
+    }
+
+    report(path, result);
+  }
+
+  const failed = results.filter((result) => !result.valid).length;
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(
+      `Verified ${results.length - failed} of ${results.length} files (${failed} failed)`,
+    );
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+async function runKeygen(options) {
+  if (options.symmetric && options.signing) {
+    console.error("error: --symmetric and --signing are mutually exclusive");
+    process.exit(1);
+  }
+
+  if (options.symmetric) {
+    if (!options.output) {
+      console.error("error: --symmetric requires --output");
+      process.exit(1);
+    }
+
+    wilcocrypt.generateKeyFile(options.output);
+    console.log(`Key file: ${options.output}`);
+    return;
+  }
+
+  const { publicKey, privateKey } = options.signing
+    ? wilcocrypt.generateSigningKeyPair()
+    : wilcocrypt.generateKeyPair();
+  const identity = [
+    `# created: ${new Date().toISOString()}`,
+    `# public key: ${publicKey}`,
+    privateKey,
+    "",
+  ].join("\n");
+
+  if (!options.output) {
+    process.stdout.write(identity);
+    return;
+  }
+
+  writeFileSync(options.output, identity, { flag: "wx", mode: 0o600 });
+  console.log(`Public key: ${publicKey}`);
+}
+
+async function runUpgrade(files, options) {
+  checkPasswordSources(options);
+
+  const password = await readPassword(options, "Decryption password: ");
+  const gzip = options.gzip;
+
+  for (const file of files) {
+    const upgraded = wilcocrypt.upgradeFile(file, password, gzip);
+
+    if (upgraded) {
+      console.log(`Upgraded: ${file} (format ${wilcocrypt._.VERSION})`);
+    } else {
+      console.log(`Already current: ${file}`);
+    }
+  }
+}
+
+async function runAddPassword(file, options) {
+  checkPasswordSources(options);
+
+  const identity = readIdentities(options.identity);
+  const password = await readPassword(options, "Current password: ", {
+    optional: identity.length > 0,
+  });
+  const newPassword = await readChangedPassword(options);
+
+  await wilcocrypt.addPassword(file, password, newPassword, { identity });
+  console.log(`Added password: ${file}`);
+}
+
+async function runRemovePassword(file, options) {
+  checkPasswordSources(options);
+
+  const password = await readPassword(options, "Password to remove: ");
+
+  await wilcocrypt.removePassword(file, password);
+  console.log(`Removed password: ${file}`);
+}
+
+async function runChangePassword(file, options) {
+  checkPasswordSources(options);
+
+  const oldPassword = await readPassword(options, "Current password: ");
+  const newPassword = await readChangedPassword(options);
+
+  await wilcocrypt.changePassword(file, oldPassword, newPassword);
+  console.log(`Changed password: ${file}`);
+}
+
+async function runInspect(file, options) {
+  const info = wilcocrypt.inspect(
+    file === "-" ? await readAll(process.stdin) : file,
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  const name = file === "-" ? "(stdin)" : file;
+  const { volume } = info;
+  let volumeLine = null;
+  if (volume) {
+    volumeLine = `${volume.index} of ${volume.count} (set ${volume.id})`;
+  }
+
+  // Later volumes hold no payload header
+  if (info.version === null) {
+    console.log(`File:        ${name}`);
+    console.log(`Volume:      ${volumeLine}`);
+    console.log(`Size:        ${info.size} bytes`);
+    console.log("Payload:     header is in the first volume");
+    if (info.truncated) console.log("Warning:     volume is truncated");
+    return;
+  }
+
+  const slots = info.slots.map((slot) => {
+    if (slot.type === "x25519") return "X25519 recipient";
+    if (slot.type === "key") return "symmetric key";
+
+    const { name, ...params } = slot.kdf;
+    const cost = Object.entries(params)
+      .map(([param, value]) => `${param}=${value}`)
+      .join(" ");
+
+    return `password (${name} ${cost})`;
+  });
+  const compression =
+    info.compression ?? "unknown (not recorded in the header)";
+  let segments = "single block";
+  if (info.segments !== null) {
+    const plural = info.segments === 1 ? "" : "s";
+    segments = `${info.segments} segment${plural} of ${info.chunkSize} bytes`;
+  } else if (info.chunkSize !== null) {
+    segments = `segments of ${info.chunkSize} bytes`;
+  }
+  let body = "unknown (spans several volumes)";
+  if (info.contentLength !== null) body = `${info.contentLength} bytes`;
+
+  console.log(`File:        ${name}`);
+  console.log(
+    `Format:      ${info.version}${info.armored ? " (ASCII armored)" : ""}`,
+  );
+  if (volumeLine) console.log(`Volume:      ${volumeLine}`);
+  console.log(`Size:        ${info.size} bytes`);
+  console.log(`Body:        ${body}`);
+  console.log(`Cipher:      ${info.cipher}, ${segments}`);
+  console.log(`Seekable:    ${info.seekable ? "yes" : "no"}`);
+  console.log(`Compression: ${compression}`);
+  console.log(`Key slots:   ${slots.join(", ")}`);
+  console.log(`Metadata:    ${info.metadata ? "encrypted" : "none"}`);
+  console.log(`Signed by:   ${info.signer ?? "not signed"}`);
+  // A cut at a segment boundary fits the layout and needs verify
+  if (info.truncated) {
+    console.log("Warning:     payload is truncated");
+  } else if (info.truncated === null) {
+    console.log("Truncated:   unknown (spans several volumes; run verify)");
+  } else {
+    console.log("Truncated:   no (size fits the layout; verify to be sure)");
+  }
+}
+
+/* =========================
+   Vault
+========================= */
+
+const DEFAULT_VAULT = "vault.enc";
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Adds the options every `vault` subcommand takes: the vault file and
+ * the ways to unlock it.
+ */
+function vaultCommand(parent, name) {
+  return passwordOptions(
+    parent
+      .command(name)
+      .option(
+        "--vault <file>",
+        `Vault file (default: $WILCOCRYPT_VAULT or ${DEFAULT_VAULT})`,
+      )
+      .option(
+        "-i, --identity <file>",
+        "Unlock with the private key in an identity file (repeatable)",
+        collect,
+        [],
+      )
+      .option(
+        "-k, --key-file <file>",
+        "Unlock with the symmetric key in a key file (repeatable)",
+        collect,
+        [],
+      ),
+  );
+}
+
+/**
+ * Returns the vault file given by `--vault`, `WILCOCRYPT_VAULT` or the
+ * default name.
+ */
+function vaultPath(options) {
+  return options.vault ?? process.env.WILCOCRYPT_VAULT ?? DEFAULT_VAULT;
+}
+
+/**
+ * Opens the vault of a `vault` subcommand, asking for its password
+ * unless keys were given.
+ */
+async function openVault(options) {
+  checkPasswordSources(options);
+
+  const identity = readIdentities(options.identity);
+  const key = readKeyFiles(options.keyFile);
+  const password = await readPassword(options, "Vault password: ", {
+    optional: identity.length > 0 || key.length > 0,
+  });
+
+  return wilcocrypt.openVault(vaultPath(options), password, {
+    identity,
+    key,
+  });
+}
+
+/**
+ * Throws `ENTRY_NOT_FOUND` for a name that is not in the vault.
+ */
+function assertEntry(vault, name) {
+  if (vault.has(name)) return;
+
+  throw new wilcocrypt._.WilcoCryptError(
+    `No entry named ${name} in the vault`,
+    "ENTRY_NOT_FOUND",
+  );
+}
+
+async function runVaultInit(options) {
+  const recipients = options.recipient;
+  const key = readKeyFiles(options.keyFile);
+  const password = await readNewPassword(options, {
+    optional: recipients.length > 0 || key.length > 0,
+  });
+  const vault = await wilcocrypt.createVault(vaultPath(options), password, {
+    recipients,
+    key,
+  });
+
+  await vault.close();
+  console.log(`Created vault: ${vault.path}`);
+}
+
+async function runVaultGet(name, options) {
+  const vault = await openVault(options);
+
+  try {
+    assertEntry(vault, name);
+    console.log(vault.get(name));
+  } finally {
+    await vault.close();
+  }
+}
+
+async function runVaultSet(name, value, options) {
+  wilcocrypt._.assertEntryName(name);
+
+  if (value === undefined && options.passwordFd === 0) {
+    console.error("error: --password-fd 0 cannot be used when reading stdin");
+    process.exit(1);
+  }
+
+  const vault = await openVault(options);
+
+  try {
+    // Values typed on the command line end up in the shell history
+    if (value === undefined && process.stdin.isTTY) {
+      value = await promptPassword(`Value of ${name}: `);
+    } else if (value === undefined) {
+      value = (await readAll(process.stdin))
+        .toString("utf8")
+        .replace(/\r?\n$/, "");
+    }
+
+    const existed = vault.has(name);
+    await vault.set(name, value);
+    console.log(`${existed ? "Updated" : "Added"}: ${name}`);
+  } finally {
+    await vault.close();
+  }
+}
+
+async function runVaultRemove(name, options) {
+  const vault = await openVault(options);
+
+  try {
+    assertEntry(vault, name);
+    await vault.delete(name);
+    console.log(`Removed: ${name}`);
+  } finally {
+    await vault.close();
+  }
+}
+
+async function runVaultList(options) {
+  const vault = await openVault(options);
+  const entries = vault.list();
+  await vault.close();
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  const width = Math.max(4, ...entries.map((entry) => entry.name.length));
+  console.log(`${"NAME".padEnd(width)}  UPDATED`);
+  for (const { name, updated } of entries) {
+    console.log(`${name.padEnd(width)}  ${new Date(updated).toISOString()}`);
+  }
+}
+
+/**
+ * Picks the secrets `vault exec` passes to its command: each `--secret`
+ * as `VAR=name` or `name`, and with `--all` every entry whose name is a
+ * valid variable name.
+ */
+function selectSecrets(vault, options) {
+  const env = {};
+
+  if (options.all) {
+    for (const { name } of vault.list()) {
+      if (ENV_NAME.test(name)) env[name] = vault.get(name);
+    }
+  }
+
+  for (const spec of options.secret) {
+    const separator = spec.indexOf("=");
+    const variable = separator === -1 ? spec : spec.slice(0, separator);
+    const name = separator === -1 ? spec : spec.slice(separator + 1);
+
+    if (!ENV_NAME.test(variable)) {
+      console.error(
+        `error: ${variable} is not a valid environment variable name (use VAR=${name})`,
+      );
+      process.exit(1);
+    }
+
+    assertEntry(vault, name);
+    env[variable] = vault.get(name);
+  }
+
+  return env;
+}
+
+async function runVaultExec(command, options) {
+  if (options.secret.length === 0 && !options.all) {
+    console.error("error: select secrets with --secret or --all");
+    process.exit(1);
+  }
+
+  const vault = await openVault(options);
+  let env;
+  try {
+    env = selectSecrets(vault, options);
+  } finally {
+    await vault.close();
+  }
+
+  const child = spawn(command[0], command.slice(1), {
+    stdio: "inherit",
+    env: { ...process.env, ...env },
+  });
+
+  // Ctrl-C reaches the whole process group; other signals are forwarded
+  process.on("SIGINT", () => {});
+  for (const signal of ["SIGTERM", "SIGHUP"]) {
+    process.on(signal, () => child.kill(signal));
+  }
+
+  const [code, signal] = await once(child, "exit");
+  process.exit(code ?? 128 + osConstants.signals[signal]);
+}
+
+/**
+ * Wraps an action so WilcoCrypt errors end the process with a message
+ * instead of a stack trace.
+ */
+function handleErrors(action) {
+  return async (...args) => {
+    try {
+      await action(...args);
+    } catch (err) {
+      clearProgress();
+      console.error(`error: ${err.message}`);
+      for (const suggestion of err.strength?.feedback.suggestions ?? []) {
+        console.error(`hint: ${suggestion}`);
+      }
+      // Like a shell, report an interrupt with 128 + SIGINT
+      process.exit(err.code === "ABORTED" ? 130 : 1);
+    }
+  };
+}
+
+/* =========================
+   CLI setup
+========================= */
+
+const program = new Command();
+
+program
+  .name("wilcocrypt")
+  .description("File encryption tool")
+  .version(wilcocrypt._.VERSION, "--version", "Show version")
+
+  .option(
+    "-e, --encrypt <paths...>",
+    "Encrypt files, or a directory into an archive (- for stdin to stdout)",
+  )
+  .option("-d, --decrypt <files...>", "Decrypt files (- for stdin)")
+  .option("-x, --extract <dir>", "Extract a decrypted archive into <dir>")
+  .option("--list", "List the entries of an encrypted archive")
+  .option("--entry <path>", "Only extract this archive entry (with --extract)")
+  .option(
+    "-o, --output <file>",
+    "Write decrypted output to <file> instead of restoring or printing it, - for stdout (also with -e)",
+  )
+  .option(
+    "-r, --recipient <key>",
+    "Encrypt for a public key instead of a password (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "-i, --identity <file>",
+    "Decrypt with the private key in an identity file (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "-k, --key-file <file>",
+    "Use the symmetric key in a key file instead of a password (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "-a, --armor",
+    "Write ASCII-armored text instead of binary (encrypt only)",
+  )
+  .option(
+    "--sign <file>",
+    "Sign with the Ed25519 key in a signing key file (encrypt only)",
+  )
+  .option(
+    "--verify-signer <key>",
+    "Require a valid signature by this public key (repeatable, decrypt only)",
+    collect,
+    [],
+  )
+  .option(
+    "--password-file <file>",
+    "Read the password from the first line of <file>",
+  )
+  .option(
+    "--password-env <var>",
+    "Read the password from environment variable <var>",
+  )
+  .option(
+    "--password-fd <n>",
+    "Read the password from the first line of file descriptor <n>",
+    parseFd,
+  )
+  .option(
+    "--generate-password [words]",
+    "Encrypt with a random passphrase of [words] words (default: 6) and print it to stderr (encrypt only)",
+    parsePositiveInt,
+  )
+  .option(
+    "--cipher <suite>",
+    "Encrypt with aes-256-gcm (default), chacha20-poly1305 or xchacha20-poly1305 (encrypt only)",
+  )
+  .option(
+    "-z, --compression <codec>",
+    "Compress with gzip (default), brotli, zstd or none (encrypt only)",
+  )
+  .option(
+    "--compression-level <n>",
+    "Compression level of the codec (encrypt only)",
+    parseLevel,
+  )
+  .option(
+    "--seekable",
+    "Write an uncompressed payload that supports random-access reads (encrypt only)",
+  )
+  .option(
+    "--split <size>",
+    "Split the output into volumes of <size> bytes (K, M, G suffixes), named .enc.001, .enc.002, ... (encrypt only)",
+    parseSize,
+  )
+  .option(
+    "-R, --recursive",
+    "Encrypt or decrypt the files in directories one by one (batch mode)",
+  )
+  .option(
+    "--include <pattern>",
+    "Only process files matching this glob (repeatable, batch mode)",
+    collect,
+    [],
+  )
+  .option(
+    "--exclude <pattern>",
+    "Skip files matching this glob (repeatable, batch mode)",
+    collect,
+    [],
+  )
+  .option(
+    "-j, --jobs <n>",
+    "Number of worker threads (batch mode, default: number of CPUs)",
+    parsePositiveInt,
+  )
+  .option("--continue-on-error", "Keep going after a file fails (batch mode)")
+  .option(
+    "--stdout",
+    "Write decrypted output to stdout (default unless stdout is a terminal)",
+  )
+  .option("-f, --force", "Replace existing output files")
+  .option(
+    "--remove-original",
+    "Delete each file once its .enc file is verified, overwriting it first (encrypt only)",
+  )
+
+  .helpOption("-h, --help", "Display help")
+  // Subcommands have options of their own, such as `keygen -o`
+  .enablePositionalOptions()
+  .action(handleErrors(runMain));
+
+passwordCommand(program, "upgrade")
+  .description("Re-wrap .enc files from older format versions in place")
+  .argument("<files...>", "Encrypted files to upgrade")
+  .option("--no-gzip", "Original payloads were encrypted without compression")
+  .action(handleErrors(runUpgrade));
+
+passwordCommand(program, "add-password", { newPassword: true })
+  .description("Add a password to an .enc file without re-encrypting it")
+  .argument("<file>", "Encrypted file")
+  .option(
+    "-i, --identity <file>",
+    "Unlock with the private key in an identity file (repeatable)",
+    collect,
+    [],
+  )
+  .action(handleErrors(runAddPassword));
+
+passwordCommand(program, "remove-password")
+  .description("Remove a password from an .enc file")
+  .argument("<file>", "Encrypted file")
+  .action(handleErrors(runRemovePassword));
+
+passwordCommand(program, "change-password", { newPassword: true })
+  .description("Change a password of an .enc file without re-encrypting it")
+  .argument("<file>", "Encrypted file")
+  .action(handleErrors(runChangePassword));
+
+program
+  .command("verify")
+  .description(
+    "Check that encrypted files decrypt and authenticate, without writing output",
+  )
+  .argument(
+    "<files...>",
+    "Encrypted files, directories or globs, or - for stdin",
+  )
+  .option(
+    "-i, --identity <file>",
+    "Decrypt with the private key in an identity file (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "-k, --key-file <file>",
+    "Use the symmetric key in a key file instead of a password (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "--verify-signer <key>",
+    "Require a valid signature by this public key (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "--password-file <file>",
+    "Read the password from the first line of <file>",
+  )
+  .option(
+    "--password-env <var>",
+    "Read the password from environment variable <var>",
+  )
+  .option(
+    "--password-fd <n>",
+    "Read the password from the first line of file descriptor <n>",
+    parseFd,
+  )
+  .option("-R, --recursive", "Verify the .enc files in directories")
+  .option(
+    "--include <pattern>",
+    "Only verify files matching this glob (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "--exclude <pattern>",
+    "Skip files matching this glob (repeatable)",
+    collect,
+    [],
+  )
+  .option("--json", "Print the results as JSON")
+  .action(handleErrors(runVerify));
+
+program
+  .command("inspect")
+  .description("Show the header of an encrypted payload without a password")
+  .argument("<file>", "Encrypted file, or - for stdin")
+  .option("--json", "Print the header fields as JSON")
+  .action(handleErrors(runInspect));
+
+program
+  .command("keygen")
+  .description("Generate an X25519 key pair for public-key encryption")
+  .option(
+    "-o, --output <file>",
+    "Write the identity file to <file> instead of stdout",
+  )
+  .option(
+    "--signing",
+    "Generate an Ed25519 key pair for --sign and --verify-signer instead",
+  )
+  .option(
+    "--symmetric",
+    "Write a symmetric key file for --key-file instead (requires -o)",
+  )
+  .action(handleErrors(runKeygen));
+
+const vault = program
+  .command("vault")
+  .description("Keep named secrets in an encrypted vault file");
+
+vaultCommand(vault, "init")
+  .description("Create an empty vault")
+  .option(
+    "-r, --recipient <key>",
+    "Let this public key open the vault (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "--generate-password [words]",
+    "Use a random passphrase of [words] words (default: 6) and print it to stderr",
+    parsePositiveInt,
+  )
+  .action(handleErrors(runVaultInit));
+
+vaultCommand(vault, "get")
+  .description("Print the value of a secret")
+  .argument("<name>", "Entry name")
+  .action(handleErrors(runVaultGet));
+
+vaultCommand(vault, "set")
+  .description(
+    "Add or replace a secret; without [value], read it from stdin or a prompt",
+  )
+  .argument("<name>", "Entry name: letters, digits, _ . - or /")
+  .argument("[value]", "Secret value (visible in the shell history)")
+  .action(handleErrors(runVaultSet));
+
+vaultCommand(vault, "rm")
+  .description("Remove a secret")
+  .argument("<name>", "Entry name")
+  .action(handleErrors(runVaultRemove));
+
+vaultCommand(vault, "ls")
+  .description("List the secrets with their last change, without values")
+  .option("--json", "Print the entries as JSON")
+  .action(handleErrors(runVaultList));
+
+vaultCommand(vault, "exec")
+  .description("Run a command with secrets as environment variables")
+  .argument("<command...>", "Command and its arguments, after --")
+  .option(
+    "-s, --secret <[VAR=]name>",
+    "Pass this secret, as VAR if given (repeatable)",
+    collect,
+    [],
+  )
+  .option("--all", "Pass every secret whose name is a valid variable name")
+  .passThroughOptions()
+  .action(handleErrors(runVaultExec));
+
+if (isMainThread) {
+  program.parseAsync(process.argv);
+} else {
+  runBatchWorker();
+}
@@ -1,20 +1,68 @@
+import * as crypto from "crypto";
 import {
   randomBytes,
   scryptSync,
   scrypt,
   createCipheriv,
   createDecipheriv,
+  createHash,
+  createHmac,
+  createPrivateKey,
+  createPublicKey,
+  diffieHellman,
+  generateKeyPairSync,
+  hkdfSync,
+  randomInt,
+  KeyObject,
 } from "crypto";
-import { gzipSync, gunzipSync, createGzip, createGunzip } from "zlib";
+import * as zlib from "zlib";
+import {
+  gzipSync,
+  gunzipSync,
+  brotliCompressSync,
+  brotliDecompressSync,
+  createGzip,
+  createGunzip,
+  createBrotliCompress,
+  createBrotliDecompress,
+  constants as zlibConstants,
+} from "zlib";
 import {
   readFileSync,
   writeFileSync,
+  statSync,
+  lstatSync,
+  openSync,
+  readSync,
+  writeSync,
+  fstatSync,
+  fsyncSync,
+  fchmodSync,
+  closeSync,
+  chmodSync,
+  utimesSync,
+  linkSync,
+  renameSync,
+  rmSync,
   createReadStream,
   createWriteStream,
+  constants as fsConstants,
   promises as fsPromises,
 } from "fs";
+import {
+  Readable,
+  Transform,
+  Writable,
+  pipeline as streamPipeline,
+} from "stream";
+import { basename, dirname, join, resolve, sep } from "path";
 import { pipeline } from "stream/promises";
 import { promisify } from "util";
+import {
+  COMMON_PASSWORDS,
+  ENGLISH_WORDS,
+  PASSPHRASE_WORDS,
+} from "./wordlists.js";
 
 const scryptAsync = promisify(scrypt);
 
@@ -58,11 +106,11 @@ wilcocrypt._.WilcoCryptError = WilcoCryptError;
 ========================= */
 
 /**
- * Internal WilcoCrypt version.
- * Must match exactly during decryption.
+ * Payload format version written by this release.
+ * Older versions listed in `FORMATS` remain decodable.
  * @type {string}
  */
-wilcocrypt._.VERSION = "2.2.0";
+wilcocrypt._.VERSION = "2.3.0";
 
 /**
  * Minimum allowed password length.
@@ -76,18 +124,349 @@ wilcocrypt._.MIN_PASSWORD_LENGTH = 6;
  */
 wilcocrypt._.HEADER = Buffer.from([23, 9, 12, 3, 15, 3, 18, 25, 16, 20]);
 
+/**
+ * Maximum accepted size of the JSON header of a payload, in bytes.
+ * @type {number}
+ */
+wilcocrypt._.MAX_HEADER_LENGTH = 1024 * 1024;
+
+/**
+ * Default plaintext size of one segment of a chunked payload body.
+ * @type {number}
+ */
+wilcocrypt._.DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Accepted range for the chunk size, so a hostile header cannot make
+ * decryption buffer arbitrarily large segments.
+ */
+wilcocrypt._.CHUNK_SIZE_LIMITS = { min: 1024, max: 16 * 1024 * 1024 };
+
+/**
+ * Spare header space, in bytes, that file-writing functions reserve by
+ * default so key slots can later be added in place.
+ * @type {number}
+ */
+wilcocrypt._.DEFAULT_HEADER_PADDING = 4096;
+
+/**
+ * Largest accepted `headerPadding` option, in bytes.
+ * @type {number}
+ */
+wilcocrypt._.MAX_HEADER_PADDING = 64 * 1024;
+
+/**
+ * Maximum number of key slots in a payload header, so a hostile file
+ * cannot make decryption try an unbounded number of keys.
+ * @type {number}
+ */
+wilcocrypt._.MAX_KEY_SLOTS = 64;
+
+/**
+ * Maximum combined cost of all password slots in a payload header, in
+ * bytes of KDF memory times passes (see `kdfCost`), so a hostile file
+ * cannot make decryption run many key derivations at the highest
+ * parameters. Allows two slots at `KDF_LIMITS`.
+ * @type {number}
+ */
+wilcocrypt._.MAX_KDF_COST = 8 * 1024 * 1024 * 1024;
+
+/**
+ * Bytes of plaintext that are compressed on trial to decide whether a
+ * payload is worth compressing.
+ * @type {number}
+ */
+wilcocrypt._.COMPRESSION_SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Largest compressed-to-original size ratio of the sample at which a
+ * payload is still compressed. Above it, the data is stored as is.
+ * @type {number}
+ */
+wilcocrypt._.COMPRESSION_MAX_RATIO = 0.95;
+
+/**
+ * Prefixes of the text encoding of X25519, Ed25519 and symmetric keys,
+ * followed by the raw 32-byte key in base64url.
+ */
+wilcocrypt._.KEY_PREFIXES = {
+  x25519Public: "wc-x25519-pub:",
+  x25519Private: "wc-x25519-sec:",
+  ed25519Public: "wc-ed25519-pub:",
+  ed25519Private: "wc-ed25519-sec:",
+  symmetric: "wc-key:",
+};
+
+/**
+ * DER prefixes that turn a raw 32-byte X25519 key into SPKI / PKCS#8.
+ */
+wilcocrypt._.X25519_DER_PREFIXES = {
+  public: Buffer.from("302a300506032b656e032100", "hex"),
+  private: Buffer.from("302e020100300506032b656e04220420", "hex"),
+};
+
+/**
+ * DER prefixes that turn a raw 32-byte Ed25519 key into SPKI / PKCS#8.
+ */
+wilcocrypt._.ED25519_DER_PREFIXES = {
+  public: Buffer.from("302a300506032b6570032100", "hex"),
+  private: Buffer.from("302e020100300506032b657004220420", "hex"),
+};
+
+/**
+ * Length of the Ed25519 signature that follows the body of a signed payload.
+ */
+wilcocrypt._.SIGNATURE_LENGTH = 64;
+
+/**
+ * Label of the BEGIN and END lines of an ASCII-armored payload.
+ * @type {string}
+ */
+wilcocrypt._.ARMOR_LABEL = "WILCOCRYPT PAYLOAD";
+
+/**
+ * Base64 characters per line of an ASCII-armored payload.
+ * @type {number}
+ */
+wilcocrypt._.ARMOR_LINE_LENGTH = 64;
+
+/**
+ * Prefix of the string that replaces an encrypted JSON field, followed
+ * by a base64url token.
+ * @type {string}
+ */
+wilcocrypt._.FIELD_PREFIX = "wc-enc:";
+
+/**
+ * Version byte at the start of every token.
+ * @type {number}
+ */
+wilcocrypt._.TOKEN_VERSION = 1;
+
+/**
+ * Cipher suites of tokens, by the number recorded in the token.
+ * @type {string[]}
+ */
+wilcocrypt._.TOKEN_CIPHERS = [
+  "aes-256-gcm",
+  "chacha20-poly1305",
+  "xchacha20-poly1305",
+];
+
+/**
+ * Magic bytes at the start of the plaintext of an archive payload.
+ * @type {Buffer}
+ */
+wilcocrypt._.ARCHIVE_MAGIC = Buffer.from("WCARCHIVE1");
+
+/**
+ * `type` of the JSON document in the plaintext of a vault payload.
+ * @type {string}
+ */
+wilcocrypt._.VAULT_TYPE = "wilcocrypt-vault";
+
+/**
+ * Version of the vault document written by this release.
+ * @type {number}
+ */
+wilcocrypt._.VAULT_VERSION = 1;
+
+/**
+ * Valid vault entry names: letters, digits, `_`, `.`, `-` and `/`, up
+ * to 256 characters.
+ * @type {RegExp}
+ */
+wilcocrypt._.VAULT_ENTRY_NAME = /^[A-Za-z0-9_./-]{1,256}$/;
+
+/**
+ * Magic bytes at the start of every volume of a split payload.
+ * @type {Buffer}
+ */
+wilcocrypt._.VOLUME_MAGIC = Buffer.from("WCVOLUME1");
+
+/**
+ * Size of the header in front of the content of a volume: magic bytes,
+ * set ID (16), index (4), count (4), content length (8) and MAC (32).
+ * @type {number}
+ */
+wilcocrypt._.VOLUME_HEADER_LENGTH = wilcocrypt._.VOLUME_MAGIC.length + 64;
+
+/**
+ * Smallest accepted `volumeSize`, header included.
+ * @type {number}
+ */
+wilcocrypt._.MIN_VOLUME_SIZE = 64 * 1024;
+
+/**
+ * MIME types recorded in file metadata, by lowercase file extension.
+ */
+wilcocrypt._.CONTENT_TYPES = {
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  html: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  xml: "application/xml",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  gz: "application/gzip",
+  tar: "application/x-tar",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  mp4: "video/mp4",
+  webm: "video/webm",
+};
+
+/**
+ * Cipher suite of payloads written without a `cipher` option.
+ */
+wilcocrypt._.DEFAULT_CIPHER = "aes-256-gcm";
+
+/**
+ * Default parameters for each supported key derivation function.
+ *
+ * scrypt defaults match Node's own defaults, argon2id follows the
+ * second recommended option of RFC 9106 (memory in KiB).
+ */
+wilcocrypt._.KDF_DEFAULTS = {
+  scrypt: { N: 16384, r: 8, p: 1 },
+  argon2id: { memory: 65536, passes: 3, parallelism: 4 },
+};
+
+/**
+ * Upper bounds for key derivation parameters.
+ * Applied both when encrypting and when reading a payload header,
+ * so a hostile file cannot make decryption exhaust memory or CPU.
+ */
+wilcocrypt._.KDF_LIMITS = {
+  scrypt: { N: 2 ** 20, r: 32, p: 4, maxmem: 1024 * 1024 * 1024 },
+  argon2id: { memory: 1024 * 1024, passes: 4, parallelism: 8 },
+};
+
+/**
+ * Password policy applied to new passwords when none is given.
+ * `minEntropy` is in bits as estimated by `estimatePasswordStrength`,
+ * `action` is one of `"reject"`, `"warn"` or `"ignore"`.
+ */
+wilcocrypt._.DEFAULT_PASSWORD_POLICY = { minEntropy: 28, action: "reject" };
+
+/**
+ * Estimated entropy, in bits, a password needs for each strength score
+ * from 1 to 4. Below the first one it scores 0.
+ * @type {number[]}
+ */
+wilcocrypt._.PASSWORD_SCORE_THRESHOLDS = [10, 20, 28, 40];
+
+/**
+ * Number of leading characters searched for patterns when estimating
+ * password strength. Anything past them counts as random characters.
+ * @type {number}
+ */
+wilcocrypt._.MAX_PASSWORD_ANALYSIS_LENGTH = 100;
+
+/**
+ * Words of generated passphrases, 2048 of them so each adds 11 bits.
+ * @type {string[]}
+ */
+wilcocrypt._.PASSPHRASE_WORDS = PASSPHRASE_WORDS;
+
+/**
+ * Common passwords, most common first.
+ * @type {string[]}
+ */
+wilcocrypt._.COMMON_PASSWORDS = COMMON_PASSWORDS;
+
+/**
+ * English words longer than the passphrase words, more common first.
+ * @type {string[]}
+ */
+wilcocrypt._.ENGLISH_WORDS = ENGLISH_WORDS;
+
+/**
+ * Words the strength estimator looks for, with their rank: the position
+ * of common passwords in `COMMON_PASSWORDS` and of English words in
+ * `ENGLISH_WORDS`, and the size of the list for passphrase words, which
+ * are all equally likely.
+ * @type {Map<string, {rank: number, common: boolean}>}
+ */
+wilcocrypt._.PASSWORD_DICTIONARY = new Map([
+  ...PASSPHRASE_WORDS.map((word) => [
+    word,
+    { rank: PASSPHRASE_WORDS.length, common: false },
+  ]),
+  ...ENGLISH_WORDS.map((word, index) => [
+    word,
+    { rank: index + 1, common: false },
+  ]),
+  ...COMMON_PASSWORDS.map((password, index) => [
+    password,
+    { rank: index + 1, common: true },
+  ]),
+]);
+
+/**
+ * Usual l33t substitutions, with the two letters a character may stand
+ * for (the same one twice when it is unambiguous).
+ */
+wilcocrypt._.LEET_TABLE = {
+  4: ["a", "a"],
+  "@": ["a", "a"],
+  8: ["b", "b"],
+  "(": ["c", "c"],
+  3: ["e", "e"],
+  6: ["g", "g"],
+  9: ["g", "g"],
+  1: ["i", "l"],
+  "!": ["i", "i"],
+  "|": ["i", "l"],
+  0: ["o", "o"],
+  5: ["s", "s"],
+  $: ["s", "s"],
+  7: ["t", "t"],
+  "+": ["t", "t"],
+  2: ["z", "z"],
+};
+
+/**
+ * Keyboards searched for runs of adjacent keys. Rows are listed top to
+ * bottom with their horizontal offset in key widths; keys on adjacent
+ * rows are neighbours when they are at most `reach` keys apart.
+ */
+wilcocrypt._.KEYBOARD_LAYOUTS = {
+  qwerty: {
+    rows: ["`1234567890-=", "qwertyuiop[]\\", "asdfghjkl;'", "zxcvbnm,./"],
+    shifted: ["~!@#$%^&*()_+", "QWERTYUIOP{}|", 'ASDFGHJKL:"', "ZXCVBNM<>?"],
+    offsets: [0, 0.5, 0.75, 1.25],
+    reach: 0.75,
+  },
+  keypad: {
+    rows: ["789", "456", "123", "0"],
+    offsets: [0, 0, 0, 0],
+    reach: 1,
+  },
+};
+
 /* =========================
    Internal helpers
 ========================= */
 
 /**
- * Validates AES-256-GCM key and IV.
+ * Validates a 32-byte key and the IV of a cipher suite.
  *
  * @param {Buffer} key
  * @param {Buffer} iv
+ * @param {number} [ivLength=12] - `nonceLength` of the cipher suite
  * @throws {WilcoCryptError}
  */
-wilcocrypt._.assertKeyAndIv = function (key, iv) {
+wilcocrypt._.assertKeyAndIv = function (key, iv, ivLength = 12) {
   if (!Buffer.isBuffer(key) || key.length !== 32) {
     throw new WilcoCryptError(
       "Invalid encryption key (expected 32-byte Buffer)",
@@ -95,16 +474,17 @@ wilcocrypt._.assertKeyAndIv = function (key, iv) {
     );
   }
 
-  if (!Buffer.isBuffer(iv) || iv.length !== 12) {
+  if (!Buffer.isBuffer(iv) || iv.length !== ivLength) {
     throw new WilcoCryptError(
-      "Invalid IV (expected 12-byte Buffer)",
+      `Invalid IV (expected ${ivLength}-byte Buffer)`,
       "INVALID_IV",
     );
   }
 };
 
 /**
- * Validates password strength.
+ * Validates password length. Use `assertPasswordStrength` to apply a
+ * password policy to new passwords.
  *
  * @param {string} password
  * @throws {WilcoCryptError}
@@ -139,491 +519,9523 @@ wilcocrypt._.constantTimeEqual = function (a, b) {
   return result === 0;
 };
 
-/* =========================
-   Crypto layer (internal)
-========================= */
+/**
+ * Validates the credentials of a call: a password, or at least one
+ * key when `password` is `null` or `undefined`.
+ *
+ * @param {string|null} [password]
+ * @param {Array} keys - Symmetric keys plus recipients (encryption) or
+ *   identities (decryption)
+ * @param {{minEntropy: number, action: string}} [policy] - Normalized
+ *   password policy, checked when encrypting only
+ * @throws {WilcoCryptError} If neither a valid password nor a key is given
+ */
+wilcocrypt._.assertCredentials = function (password, keys, policy) {
+  if (password == null && keys.length > 0) return;
+
+  if (policy) wilcocrypt._.assertPasswordStrength(password, policy);
+  else wilcocrypt._.assertPassword(password);
+};
 
 /**
- * Encrypts raw data using AES-256-GCM.
+ * Normalizes the options argument of the public API.
  *
- * @param {Buffer} plainData
- * @param {Buffer} key
- * @param {Buffer} iv
- * @returns {{ciphertext: Buffer, authTag: Buffer}}
+ * Older releases took a single `gzip` boolean in that position,
+ * which is still accepted. `recipients`, `identity`, `key` and
+ * `trustedSigners` may be a single key or an array and are always
+ * returned as arrays, `aad` is returned as a Buffer or `null`, and
+ * `passwordPolicy` is completed with the default policy.
+ *
+ * @param {boolean|object} [options]
+ * @returns {{gzip: boolean, recipients: Array, identity: Array, key: Array, trustedSigners: Array, aad: Buffer|null, passwordPolicy: {minEntropy: number, action: string}}} Options with defaults applied
+ * @throws {WilcoCryptError} With code `INVALID_AAD` if `aad` is not a string
+ *   or bytes, or `INVALID_PASSWORD_POLICY` for an invalid `passwordPolicy`
  */
-wilcocrypt._.encryptData = function (plainData, key, iv) {
-  wilcocrypt._.assertKeyAndIv(key, iv);
+wilcocrypt._.normalizeOptions = function (options) {
+  if (typeof options === "boolean") options = { gzip: options };
 
-  const cipher = createCipheriv("aes-256-gcm", key, iv);
-  const encrypted = Buffer.concat([cipher.update(plainData), cipher.final()]);
+  const {
+    gzip = true,
+    recipients = [],
+    identity = [],
+    key = [],
+    trustedSigners = [],
+    aad = null,
+    passwordPolicy,
+    ...rest
+  } = options ?? {};
 
   return {
-    ciphertext: encrypted,
-    authTag: cipher.getAuthTag(),
+    gzip,
+    recipients: [].concat(recipients),
+    identity: [].concat(identity),
+    key: [].concat(key),
+    trustedSigners: [].concat(trustedSigners),
+    aad: wilcocrypt._.normalizeAad(aad),
+    passwordPolicy: wilcocrypt._.normalizePasswordPolicy(passwordPolicy),
+    ...rest,
   };
 };
 
 /**
- * Decrypts AES-256-GCM encrypted data.
+ * Converts the `aad` option into the bytes passed to AES-GCM.
  *
- * @param {Buffer} cipherBuffer
- * @param {Buffer} authTagBuffer
- * @param {Buffer} key
- * @param {Buffer} iv
- * @returns {Buffer}
+ * @param {string|Buffer|Uint8Array|null} aad - Strings are UTF-8 encoded
+ * @returns {Buffer|null} `null` when no associated data is given
+ * @throws {WilcoCryptError} With code `INVALID_AAD` for any other type
  */
-wilcocrypt._.decryptData = function (cipherBuffer, authTagBuffer, key, iv) {
-  wilcocrypt._.assertKeyAndIv(key, iv);
+wilcocrypt._.normalizeAad = function (aad) {
+  if (aad == null) return null;
+  if (typeof aad === "string") return Buffer.from(aad, "utf8");
+  if (aad instanceof Uint8Array) return Buffer.from(aad);
 
-  try {
-    const decipher = createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(authTagBuffer);
-
-    return Buffer.concat([decipher.update(cipherBuffer), decipher.final()]);
-  } catch {
-    throw new WilcoCryptError(
-      "Decryption failed (invalid password, corrupted data, or tampered file)",
-      "DECRYPTION_FAILED",
-    );
-  }
+  throw new WilcoCryptError(
+    "Invalid associated data (expected a string or Buffer)",
+    "INVALID_AAD",
+  );
 };
 
 /* =========================
-   Public API
+   Password strength (internal)
 ========================= */
 
 /**
- * Encrypts data using password-based AES-256-GCM.
- *
- * Output format:
- * [HEADER (10 bytes)] + [VERSION (dynamic)] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+ * Validates the `passwordPolicy` option and fills in defaults from
+ * `DEFAULT_PASSWORD_POLICY`.
  *
- * @param {Buffer} plaindata - Raw data to encrypt
- * @param {string} password - Password used for key derivation
- * @param {boolean} [gzip=true] - Whether to compress data before encryption
- * @returns {Buffer} Binary-encoded encrypted payload
- * @throws {WilcoCryptError} If password is invalid
+ * @param {{minEntropy?: number, action?: string}} [policy]
+ * @returns {{minEntropy: number, action: string}}
+ * @throws {WilcoCryptError} With code `INVALID_PASSWORD_POLICY` for an
+ *   unknown action or a negative or non-numeric minimum
  */
-wilcocrypt.encryptData = function (plaindata, password, gzip = true) {
-  wilcocrypt._.assertPassword(password);
-
-  const gzipData = gzip ? gzipSync(plaindata) : plaindata;
-  const iv = randomBytes(12);
-  const salt = randomBytes(16);
+wilcocrypt._.normalizePasswordPolicy = function (policy) {
+  const defaults = wilcocrypt._.DEFAULT_PASSWORD_POLICY;
+  const { minEntropy = defaults.minEntropy, action = defaults.action } =
+    policy ?? {};
 
-  const key = scryptSync(password, salt, 32);
+  if (typeof minEntropy !== "number" || !(minEntropy >= 0)) {
+    throw new WilcoCryptError(
+      "Invalid password policy (minEntropy must be a number of bits)",
+      "INVALID_PASSWORD_POLICY",
+    );
+  }
 
-  const { ciphertext, authTag } = wilcocrypt._.encryptData(gzipData, key, iv);
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
+  if (!["reject", "warn", "ignore"].includes(action)) {
+    throw new WilcoCryptError(
+      `Invalid password policy action: ${action}`,
+      "INVALID_PASSWORD_POLICY",
+    );
+  }
 
-  return Buffer.concat([
-    wilcocrypt._.HEADER, // 10 bytes
-    versionBuf, // dynamic
-    salt, // 16 bytes
-    iv, // 12 bytes
-    ciphertext, // variable
-    authTag, // 16 bytes (at the end for streaming compatibility)
-  ]);
+  return { minEntropy, action };
 };
 
 /**
- * Encrypts data asynchronously using password-based AES-256-GCM.
- *
- * Output format:
- * [HEADER (10 bytes)] + [VERSION (dynamic)] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+ * Checks a new password against a policy. Below `minEntropy`, `"reject"`
+ * throws and `"warn"` emits a `WilcoCryptWarning` process warning.
  *
- * @param {Buffer} plaindata - Raw data to encrypt
- * @param {string} password - Password used for key derivation
- * @param {boolean} [gzip=true] - Whether to compress data before encryption
- * @returns {Promise<Buffer>} Binary-encoded encrypted payload
- * @throws {WilcoCryptError} If password is invalid
+ * @param {string} password
+ * @param {{minEntropy: number, action: string}} policy - Normalized policy
+ * @returns {object|null} The strength estimate, or `null` for `"ignore"`
+ * @throws {WilcoCryptError} With code `WEAK_PASSWORD` and the estimate in
+ *   `strength` if the password is rejected
  */
-wilcocrypt.encryptDataAsync = async function (
-  plaindata,
-  password,
-  gzip = true,
-) {
+wilcocrypt._.assertPasswordStrength = function (password, policy) {
   wilcocrypt._.assertPassword(password);
+  if (policy.action === "ignore") return null;
 
-  const gzipData = gzip ? gzipSync(plaindata) : plaindata;
-
-  const iv = randomBytes(12);
-  const salt = randomBytes(16);
-
-  const key = await scryptAsync(password, salt, 32);
+  const strength = wilcocrypt.estimatePasswordStrength(password, policy);
+  if (strength.acceptable) return strength;
 
-  const { ciphertext, authTag } = wilcocrypt._.encryptData(gzipData, key, iv);
+  const { warning } = strength.feedback;
+  const message =
+    `Password is too weak (about ${strength.entropy} bits of entropy, ` +
+    `${policy.minEntropy} required)` +
+    (warning ? `: ${warning}` : "");
 
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
+  if (policy.action === "warn") {
+    process.emitWarning(message, {
+      type: "WilcoCryptWarning",
+      code: "WEAK_PASSWORD",
+    });
+    return strength;
+  }
 
-  return Buffer.concat([
-    wilcocrypt._.HEADER,
-    versionBuf,
-    salt,
-    iv,
-    ciphertext,
-    authTag,
-  ]);
+  const err = new WilcoCryptError(message, "WEAK_PASSWORD");
+  err.strength = strength;
+  throw err;
 };
 
 /**
- * Decrypts encrypted data using password-based AES-256-GCM.
- *
- * Validates internal header and version, then extracts:
- * salt, iv, authTag and ciphertext from the binary payload.
+ * Number of ways to choose `k` of `n` items.
  *
- * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
- * @param {string} password - Password used for decryption
- * @param {boolean} [gzip=true] - Whether to decompress after decryption
- * @returns {Buffer} Decrypted raw data
- * @throws {WilcoCryptError} On invalid header, version mismatch, wrong password, or corrupted data
+ * @param {number} n
+ * @param {number} k
+ * @returns {number}
  */
-wilcocrypt.decryptData = function (encryptedBuffer, password, gzip = true) {
-  wilcocrypt._.assertPassword(password);
+wilcocrypt._.binomial = function (n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
 
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
-  let offset = 0;
+/**
+ * Bits needed to tell which of a token's characters are varied, such as
+ * shifted or substituted, when `varied` of them are and `plain` are not.
+ * All-varied tokens cost a single bit.
+ *
+ * @param {number} varied
+ * @param {number} plain
+ * @returns {number}
+ */
+wilcocrypt._.variationBits = function (varied, plain) {
+  if (varied === 0) return 0;
+  if (plain === 0) return 1;
 
-  const fileHeader = encryptedBuffer.subarray(
-    offset,
-    (offset += wilcocrypt._.HEADER.length),
-  );
-  if (!fileHeader.equals(wilcocrypt._.HEADER)) {
-    throw new WilcoCryptError("Invalid WilcoCrypt header", "INVALID_HEADER");
+  let variations = 0;
+  for (let i = 1; i <= Math.min(varied, plain); i++) {
+    variations += wilcocrypt._.binomial(varied + plain, i);
   }
 
-  const fileVersion = encryptedBuffer.subarray(
-    offset,
-    (offset += versionBuf.length),
-  );
-  if (!fileVersion.equals(versionBuf)) {
-    throw new WilcoCryptError("Version mismatch", "VERSION_MISMATCH");
-  }
+  return Math.log2(variations);
+};
 
-  const salt = encryptedBuffer.subarray(offset, (offset += 16));
-  const iv = encryptedBuffer.subarray(offset, (offset += 12));
+/**
+ * Bits added by the capitalization of a word: none for lowercase, one
+ * for a capital first or last letter or all capitals, more for mixes.
+ *
+ * @param {string} token
+ * @returns {number}
+ */
+wilcocrypt._.uppercaseBits = function (token) {
+  if (token === token.toLowerCase()) return 0;
+  if (/^[A-Z][^A-Z]+$|^[^A-Z]+[A-Z]$|^[^a-z]+$/.test(token)) return 1;
 
-  // authTag are the last 16 bytes; ciphertext is everything in between
-  const authTag = encryptedBuffer.subarray(encryptedBuffer.length - 16);
-  const ciphertext = encryptedBuffer.subarray(
-    offset,
-    encryptedBuffer.length - 16,
+  return wilcocrypt._.variationBits(
+    (token.match(/[A-Z]/g) ?? []).length,
+    (token.match(/[a-z]/g) ?? []).length,
   );
-
-  const key = scryptSync(password, salt, 32);
-
-  const decrypted = wilcocrypt._.decryptData(ciphertext, authTag, key, iv);
-
-  return gzip ? gunzipSync(decrypted) : decrypted;
 };
 
 /**
- * Decrypts encrypted data asynchronously using password-based AES-256-GCM.
- *
- * Validates internal header and version, then extracts:
- * salt, iv, authTag and ciphertext from the binary payload.
+ * Finds dictionary words in a password, also reversed and with l33t
+ * substitutions such as `@` for `a` undone.
  *
- * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
- * @param {string} password - Password used for decryption
- * @param {boolean} [gzip=true] - Whether to decompress after decryption
- * @returns {Promise<Buffer>} Decrypted raw data
- * @throws {WilcoCryptError} On invalid header, version mismatch, wrong password, or corrupted data
+ * @param {string} password
+ * @returns {Array<object>} Matches with `i`, `j` (inclusive) and `bits`
  */
-wilcocrypt.decryptDataAsync = async function (
-  encryptedBuffer,
-  password,
-  gzip = true,
-) {
-  wilcocrypt._.assertPassword(password);
+wilcocrypt._.dictionaryMatches = function (password) {
+  const dictionary = wilcocrypt._.PASSWORD_DICTIONARY;
+  const table = wilcocrypt._.LEET_TABLE;
+  const lower = password.toLowerCase();
+  const n = password.length;
+  const matches = [];
 
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
-  let offset = 0;
+  const candidates = [{ text: lower, reversed: false }];
+  candidates.push({
+    text: [...lower].reverse().join(""),
+    reversed: true,
+  });
+  // Ambiguous characters such as "1" (i or l) get one candidate per reading
+  for (const reading of [0, 1]) {
+    candidates.push({
+      text: [...lower].map((c) => table[c]?.[reading] ?? c).join(""),
+      reversed: false,
+      leet: true,
+    });
+  }
 
-  const fileHeader = encryptedBuffer.subarray(
-    offset,
-    (offset += wilcocrypt._.HEADER.length),
-  );
+  for (const { text, reversed, leet } of candidates) {
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 2; j < n; j++) {
+        const entry = dictionary.get(text.slice(i, j + 1));
+        if (!entry) continue;
 
-  if (!fileHeader.equals(wilcocrypt._.HEADER)) {
-    throw new WilcoCryptError("Invalid WilcoCrypt header", "INVALID_HEADER");
-  }
+        let start = i;
+        let end = j;
+        if (reversed) {
+          start = n - 1 - j;
+          end = n - 1 - i;
+        }
 
-  const fileVersion = encryptedBuffer.subarray(
-    offset,
-    (offset += versionBuf.length),
-  );
+        const token = password.slice(start, end + 1);
+        const leetBits = leet
+          ? wilcocrypt._.leetBits(token, text.slice(i, j + 1))
+          : 0;
+        if (leet && leetBits === 0) continue;
 
-  if (!fileVersion.equals(versionBuf)) {
-    throw new WilcoCryptError("Version mismatch", "VERSION_MISMATCH");
+        matches.push({
+          pattern: "dictionary",
+          i: start,
+          j: end,
+          token,
+          rank: entry.rank,
+          common: entry.common,
+          reversed,
+          leet: leetBits > 0,
+          bits:
+            Math.log2(entry.rank) +
+            wilcocrypt._.uppercaseBits(token) +
+            leetBits +
+            (reversed ? 1 : 0),
+        });
+      }
+    }
   }
 
-  const salt = encryptedBuffer.subarray(offset, (offset += 16));
-  const iv = encryptedBuffer.subarray(offset, (offset += 12));
+  return matches;
+};
+
+/**
+ * Bits added by l33t substitutions in a token, counting for every
+ * substituted letter the ways it could be mixed with the plain letter.
+ *
+ * @param {string} token - Token as typed
+ * @param {string} word - Dictionary word it decodes to
+ * @returns {number} 0 if nothing was substituted
+ */
+wilcocrypt._.leetBits = function (token, word) {
+  const lower = token.toLowerCase();
+  const subs = new Map();
+
+  for (let k = 0; k < word.length; k++) {
+    if (lower[k] === word[k]) continue;
+    subs.set(lower[k], word[k]);
+  }
+
+  let bits = 0;
+  for (const [subbed, plain] of subs) {
+    bits += wilcocrypt._.variationBits(
+      [...lower].filter((c) => c === subbed).length,
+      [...lower].filter((c) => c === plain).length,
+    );
+  }
+
+  return bits;
+};
+
+/**
+ * Finds runs like `abcd`, `9876` or `acegi` whose characters step by the
+ * same small amount.
+ *
+ * @param {string} password
+ * @returns {Array<object>}
+ */
+wilcocrypt._.sequenceMatches = function (password) {
+  const matches = [];
+  const push = (i, j, delta) => {
+    if (j - i < 2 || Math.abs(delta) > 5 || delta === 0) return;
+
+    const token = password.slice(i, j + 1);
+    let base = 26;
+    if (/^[aAzZ019]/.test(token)) base = 4;
+    else if (/^\d/.test(token)) base = 10;
+    else if (!/^[a-z]/.test(token)) base = 52;
+
+    matches.push({
+      pattern: "sequence",
+      i,
+      j,
+      token,
+      bits: Math.log2(base * token.length * (delta < 0 ? 2 : 1)),
+    });
+  };
+
+  let start = 0;
+  let delta = null;
+  for (let k = 1; k < password.length; k++) {
+    const step = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (delta === null) delta = step;
+    if (step === delta) continue;
+
+    push(start, k - 1, delta);
+    start = k - 1;
+    delta = step;
+  }
+  if (delta !== null) push(start, password.length - 1, delta);
+
+  return matches;
+};
+
+/**
+ * Finds repeated characters and repeated blocks such as `aaaa` or
+ * `abcabcabc`. A repeat costs the guesses of its block times the count.
+ *
+ * @param {string} password
+ * @returns {Array<object>}
+ */
+wilcocrypt._.repeatMatches = function (password) {
+  const matches = [];
+
+  for (let i = 0; i < password.length; i++) {
+    const rest = password.slice(i);
+    const greedy = /^(.+)\1+/.exec(rest);
+    if (!greedy) continue;
+
+    const token = greedy[0];
+    const block = /^(.+?)\1+$/.exec(token)[1];
+    const count = token.length / block.length;
+
+    matches.push({
+      pattern: "repeat",
+      i,
+      j: i + token.length - 1,
+      token,
+      block,
+      bits: wilcocrypt._.passwordBits(block) + Math.log2(count),
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Finds runs of neighbouring keys on a QWERTY keyboard or a keypad, such
+ * as `qwerty`, `zxcvb` or `7896`. Fewer turns mean fewer guesses.
+ *
+ * @param {string} password
+ * @returns {Array<object>}
+ */
+wilcocrypt._.keyboardMatches = function (password) {
+  const matches = [];
+
+  for (const [name, layout] of Object.entries(wilcocrypt._.KEYBOARD_LAYOUTS)) {
+    const positions = new Map();
+    layout.rows.forEach((row, y) => {
+      [...row].forEach((key, x) => {
+        positions.set(key, { x: x + layout.offsets[y], y, shifted: false });
+      });
+    });
+    (layout.shifted ?? []).forEach((row, y) => {
+      [...row].forEach((key, x) => {
+        positions.set(key, { x: x + layout.offsets[y], y, shifted: true });
+      });
+    });
+
+    const direction = (a, b) => {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      if (dy === 0 && Math.abs(dx) === 1) return `0${Math.sign(dx)}`;
+      if (Math.abs(dy) === 1 && Math.abs(dx) <= layout.reach) {
+        return `${dy}${Math.sign(dx)}`;
+      }
+      return null;
+    };
+
+    const keys = [...positions.values()].filter((p) => !p.shifted);
+    const degree =
+      keys.reduce(
+        (sum, a) => sum + keys.filter((b) => direction(a, b)).length,
+        0,
+      ) / keys.length;
+
+    let i = 0;
+    while (i < password.length - 2) {
+      let j = i;
+      let turns = 0;
+      let last = null;
+
+      while (j + 1 < password.length) {
+        const a = positions.get(password[j]);
+        const b = positions.get(password[j + 1]);
+        const dir = a && b ? direction(a, b) : null;
+        if (!dir) break;
+        if (dir !== last) turns++;
+        last = dir;
+        j++;
+      }
+
+      if (j - i >= 2) {
+        const token = password.slice(i, j + 1);
+        const shifted = [...token].filter(
+          (c) => positions.get(c).shifted,
+        ).length;
+        let guesses = 0;
+
+        for (let length = 2; length <= token.length; length++) {
+          for (let t = 1; t <= Math.min(turns, length - 1); t++) {
+            guesses +=
+              wilcocrypt._.binomial(length - 1, t - 1) *
+              positions.size *
+              degree ** t;
+          }
+        }
+
+        matches.push({
+          pattern: "keyboard",
+          layout: name,
+          i,
+          j,
+          token,
+          turns,
+          bits:
+            Math.log2(guesses) +
+            wilcocrypt._.variationBits(shifted, token.length - shifted),
+        });
+        i = j;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Finds years from 1900 to 2049 and dates such as `13.05.1990`,
+ * `19900513` or `130590`. Years close to the current one are the most
+ * likely guesses.
+ *
+ * @param {string} password
+ * @returns {Array<object>}
+ */
+wilcocrypt._.dateMatches = function (password) {
+  const now = new Date().getFullYear();
+  const yearBits = (year) => Math.log2(Math.max(Math.abs(year - now), 20));
+  const fullYear = (year) => {
+    if (year >= 100) return year;
+    return year + (year > now % 100 ? 1900 : 2000);
+  };
+  const valid = (day, month, year) =>
+    day >= 1 &&
+    day <= 31 &&
+    month >= 1 &&
+    month <= 12 &&
+    fullYear(year) >= 1900 &&
+    fullYear(year) < 2050;
+  const matches = [];
+
+  for (let i = 0; i < password.length; i++) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+      const token = password.slice(i, j + 1);
+      let year = null;
+      let separator = false;
+
+      if (/^(19|20)\d\d$/.test(token) && Number(token) < 2050) {
+        matches.push({
+          pattern: "year",
+          i,
+          j,
+          token,
+          bits: yearBits(Number(token)),
+        });
+        continue;
+      }
+
+      const split = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+      if (split) {
+        const [a, b, c] = [split[1], split[3], split[4]].map(Number);
+        separator = true;
+        if (split[1].length === 4 && valid(c, b, a)) year = a;
+        else if (split[4].length !== 3 && valid(a, b, c)) year = c;
+        else if (split[4].length !== 3 && valid(b, a, c)) year = c;
+      } else if (/^\d{6}$|^\d{8}$/.test(token)) {
+        const y = token.length - 4;
+        const head = Number(token.slice(0, y));
+        const tail = Number(token.slice(-y));
+        const mid = (from) => Number(token.slice(from, from + 2));
+
+        if (valid(mid(0), mid(2), tail) || valid(mid(2), mid(0), tail)) {
+          year = tail;
+        } else if (valid(mid(y + 2), mid(y), head)) {
+          year = head;
+        }
+      }
+
+      if (year === null) continue;
+      matches.push({
+        pattern: "date",
+        i,
+        j,
+        token,
+        bits: Math.log2(365) + yearBits(fullYear(year)) + (separator ? 2 : 0),
+      });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Bits per character of a password guessed by brute force, from the
+ * character classes it contains.
+ *
+ * @param {string} password
+ * @returns {number}
+ */
+wilcocrypt._.bruteForceBits = function (password) {
+  let cardinality = 0;
+  if (/[a-z]/.test(password)) cardinality += 26;
+  if (/[A-Z]/.test(password)) cardinality += 26;
+  if (/\d/.test(password)) cardinality += 10;
+  if (/[ -/:-@[-`{-~]/.test(password)) cardinality += 33;
+  if (/[^\x20-\x7e]/.test(password)) cardinality += 100;
+
+  return Math.log2(Math.max(cardinality, 10));
+};
+
+/**
+ * Estimates how many bits of guesses an attacker needs for a password:
+ * the cheapest way to cover it with dictionary words, sequences,
+ * repeats, keyboard runs, dates and brute-forced characters. Each
+ * additional pattern adds the bits needed to choose their order.
+ *
+ * @param {string} password
+ * @param {boolean} [withMatches=false] - Return the chosen matches too
+ * @returns {number|{bits: number, matches: Array<object>}}
+ */
+wilcocrypt._.passwordBits = function (password, withMatches = false) {
+  const max = wilcocrypt._.MAX_PASSWORD_ANALYSIS_LENGTH;
+  const analysed = password.slice(0, max);
+  const n = analysed.length;
+  const charBits = wilcocrypt._.bruteForceBits(password);
+  const tailBits = (password.length - n) * charBits;
+
+  const candidates = [
+    ...wilcocrypt._.dictionaryMatches(analysed),
+    ...wilcocrypt._.sequenceMatches(analysed),
+    ...wilcocrypt._.keyboardMatches(analysed),
+    ...wilcocrypt._.dateMatches(analysed),
+    ...wilcocrypt._.repeatMatches(analysed),
+  ];
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      candidates.push({
+        pattern: "bruteforce",
+        i,
+        j,
+        token: analysed.slice(i, j + 1),
+        bits: (j - i + 1) * charBits,
+      });
+    }
+  }
+
+  // Patterns that do not cover the whole password cost at least 50 guesses
+  const floor = Math.log2(50);
+  const byEnd = Array.from({ length: n }, () => []);
+  for (const match of candidates) {
+    if (match.i > 0 || match.j < n - 1) {
+      match.bits = Math.max(match.bits, match.j > match.i ? floor : 0);
+    }
+    byEnd[match.j].push(match);
+  }
+
+  // best[k][l]: fewest bits covering the first k characters with l matches
+  const best = Array.from({ length: n + 1 }, () => []);
+  best[0][0] = { bits: 0, match: null };
+
+  for (let k = 1; k <= n; k++) {
+    for (const match of byEnd[k - 1]) {
+      best[match.i].forEach((previous, l) => {
+        if (!previous) return;
+
+        const bits = previous.bits + match.bits;
+        if (!best[k][l + 1] || bits < best[k][l + 1].bits) {
+          best[k][l + 1] = { bits, match };
+        }
+      });
+    }
+  }
+
+  let bits = Infinity;
+  let count = 0;
+  best[n].forEach((entry, l) => {
+    if (!entry) return;
+
+    let order = 0;
+    for (let m = 2; m <= l; m++) order += Math.log2(m);
+    if (entry.bits + order < bits) {
+      bits = entry.bits + order;
+      count = l;
+    }
+  });
+
+  if (!withMatches) return bits + tailBits;
+
+  const matches = [];
+  for (let k = n, l = count; k > 0; l--) {
+    const { match } = best[k][l];
+    matches.unshift(match);
+    k = match.i;
+  }
+
+  return { bits: bits + tailBits, matches };
+};
+
+/**
+ * Builds the warning and suggestions for a password from the patterns
+ * its estimate was made of.
+ *
+ * @param {string} password
+ * @param {Array<object>} matches - From `passwordBits`
+ * @param {number} score
+ * @returns {{warning: string|null, suggestions: string[]}}
+ */
+wilcocrypt._.passwordFeedback = function (password, matches, score) {
+  if (password.length === 0) {
+    return {
+      warning: "Enter a password",
+      suggestions: ["Use a passphrase of several random words"],
+    };
+  }
+
+  if (score >= 4) return { warning: null, suggestions: [] };
+
+  const suggestions = new Set();
+  let warning = null;
+
+  const patterns = matches.filter((match) => match.pattern !== "bruteforce");
+  const longest = patterns.reduce(
+    (a, b) => (b.token.length > (a?.token.length ?? 0) ? b : a),
+    null,
+  );
+  const whole = patterns.length === 1 && matches.length === 1;
+
+  for (const match of patterns) {
+    if (match.pattern === "dictionary") {
+      if (match.leet) {
+        suggestions.add(
+          "Predictable substitutions like '@' instead of 'a' don't help very much",
+        );
+      }
+      if (match.reversed) {
+        suggestions.add("Reversed words aren't much harder to guess");
+      }
+      if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+        suggestions.add("Capitalization doesn't help very much");
+      } else if (/^[^a-z]+$/.test(match.token) && /[A-Z]/.test(match.token)) {
+        suggestions.add(
+          "All-uppercase is almost as easy to guess as all-lowercase",
+        );
+      }
+    }
+    if (match.pattern === "keyboard") {
+      suggestions.add("Use a longer keyboard pattern with more turns");
+    }
+    if (match.pattern === "repeat") {
+      suggestions.add("Avoid repeated words and characters");
+    }
+    if (match.pattern === "sequence") suggestions.add("Avoid sequences");
+    if (match.pattern === "date" || match.pattern === "year") {
+      suggestions.add("Avoid dates and years that are associated with you");
+    }
+  }
+
+  if (longest?.pattern === "dictionary") {
+    if (longest.common && whole) {
+      if (longest.rank <= 10) warning = "This is a top-10 common password";
+      else if (longest.rank <= 100) {
+        warning = "This is a top-100 common password";
+      } else warning = "This is a very common password";
+      if (longest.leet || longest.reversed) {
+        warning = "This is similar to a commonly used password";
+      }
+    } else if (whole) {
+      warning = "A word by itself is easy to guess";
+    } else if (longest.common) {
+      warning = "This contains a commonly used password";
+    }
+  } else if (longest?.pattern === "keyboard") {
+    warning =
+      longest.turns === 1
+        ? "Straight rows of keys are easy to guess"
+        : "Short keyboard patterns are easy to guess";
+  } else if (longest?.pattern === "repeat") {
+    warning =
+      longest.block.length === 1
+        ? 'Repeats like "aaa" are easy to guess'
+        : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"';
+  } else if (longest?.pattern === "sequence") {
+    warning = "Sequences like abc or 6543 are easy to guess";
+  } else if (longest?.pattern === "date") {
+    warning = "Dates are often easy to guess";
+  } else if (longest?.pattern === "year") {
+    warning = "Recent years are easy to guess";
+  } else if (password.length < 12) {
+    warning = "Short passwords are easy to guess";
+  }
+
+  suggestions.add("Add another word or two; uncommon words are better");
+  suggestions.add("Use a passphrase of several random words");
+
+  return { warning, suggestions: [...suggestions] };
+};
+
+/* =========================
+   Key derivation (internal)
+========================= */
+
+/**
+ * Whether the running Node version provides Argon2 (Node 24.7+).
+ *
+ * @returns {boolean}
+ */
+wilcocrypt._.isArgon2Supported = function () {
+  return typeof crypto.argon2Sync === "function";
+};
+
+/**
+ * Validates key derivation parameters against `KDF_LIMITS` and fills in
+ * defaults from `KDF_DEFAULTS`.
+ *
+ * @param {object} [kdf] - `{ name, ...params }`; `name` defaults to `"scrypt"`
+ * @returns {object} Complete parameter set, without salt
+ * @throws {WilcoCryptError} On unknown algorithm or out-of-range parameters
+ */
+wilcocrypt._.normalizeKdf = function (kdf = {}) {
+  const name = kdf.name ?? "scrypt";
+  const defaults = wilcocrypt._.KDF_DEFAULTS[name];
+  const limits = wilcocrypt._.KDF_LIMITS[name];
+
+  if (!defaults) {
+    throw new WilcoCryptError(
+      `Unknown key derivation function: ${name}`,
+      "UNSUPPORTED_KDF",
+    );
+  }
+
+  const params = { name };
+  for (const key of Object.keys(defaults)) {
+    const value = kdf[key] ?? defaults[key];
+
+    if (!Number.isSafeInteger(value) || value < 1 || value > limits[key]) {
+      throw new WilcoCryptError(
+        `Invalid ${name} parameter ${key} (expected an integer from 1 to ${limits[key]})`,
+        "INVALID_KDF_PARAMS",
+      );
+    }
+
+    params[key] = value;
+  }
+
+  if (name === "scrypt") {
+    const maxmem = kdf.maxmem ?? limits.maxmem;
+
+    if (params.N < 2 || (params.N & (params.N - 1)) !== 0) {
+      throw new WilcoCryptError(
+        "Invalid scrypt parameter N (expected a power of two)",
+        "INVALID_KDF_PARAMS",
+      );
+    }
+
+    if (!Number.isSafeInteger(maxmem) || maxmem > limits.maxmem) {
+      throw new WilcoCryptError(
+        `Invalid scrypt parameter maxmem (expected an integer up to ${limits.maxmem})`,
+        "INVALID_KDF_PARAMS",
+      );
+    }
+
+    if (wilcocrypt._.scryptMemory(params) > maxmem) {
+      throw new WilcoCryptError(
+        `scrypt parameters need more memory than allowed (${maxmem} bytes)`,
+        "INVALID_KDF_PARAMS",
+      );
+    }
+
+    // Recorded in the header, so decryption keeps to the same ceiling
+    if (kdf.maxmem !== undefined) params.maxmem = maxmem;
+  }
+
+  if (name === "argon2id") {
+    if (params.memory < 8 * params.parallelism) {
+      throw new WilcoCryptError(
+        "Invalid argon2id parameter memory (expected at least 8 KiB per lane)",
+        "INVALID_KDF_PARAMS",
+      );
+    }
+
+    if (!wilcocrypt._.isArgon2Supported()) {
+      throw new WilcoCryptError(
+        "argon2id requires a Node.js version with crypto.argon2 (24.7 or later)",
+        "UNSUPPORTED_KDF",
+      );
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Cost of one key derivation, as the bytes of memory it fills times the
+ * number of passes over them: `128 * N * r * p` for scrypt and
+ * `memory * 1024 * passes` for argon2id.
+ *
+ * @param {object} kdf - Normalized parameters
+ * @returns {number}
+ */
+wilcocrypt._.kdfCost = function (kdf) {
+  if (kdf.name === "argon2id") return kdf.memory * 1024 * kdf.passes;
+  return 128 * kdf.N * kdf.r * kdf.p;
+};
+
+/**
+ * Checks the combined cost of the password slots of a header against
+ * `MAX_KDF_COST`, before any of them is derived.
+ *
+ * @param {Array<object>} slots - Decoded key slots
+ * @throws {WilcoCryptError} With code `INVALID_KDF_PARAMS` if the slots
+ *   together cost more
+ */
+wilcocrypt._.assertKdfCost = function (slots) {
+  let cost = 0;
+
+  for (const slot of slots) {
+    if (slot.type === "password") cost += wilcocrypt._.kdfCost(slot.kdf);
+  }
+
+  if (cost > wilcocrypt._.MAX_KDF_COST) {
+    throw new WilcoCryptError(
+      "Password slots need more key derivation work than allowed",
+      "INVALID_KDF_PARAMS",
+    );
+  }
+};
+
+/**
+ * Memory in bytes that Node's scrypt needs for a parameter set: the
+ * `N` blocks of the ROMix table plus `p + 2` working blocks, each
+ * `128 * r` bytes.
+ *
+ * @param {{N: number, r: number, p: number}} kdf
+ * @returns {number}
+ */
+wilcocrypt._.scryptMemory = function (kdf) {
+  return 128 * kdf.r * (kdf.N + kdf.p + 2);
+};
+
+/**
+ * Builds the arguments for the underlying Node KDF call.
+ *
+ * @param {string} password
+ * @param {object} kdf - Normalized parameters from `normalizeKdf`
+ * @param {Buffer} salt
+ * @returns {object}
+ */
+wilcocrypt._.kdfArguments = function (password, kdf, salt) {
+  if (kdf.name === "argon2id") {
+    return {
+      message: password,
+      nonce: salt,
+      parallelism: kdf.parallelism,
+      tagLength: 32,
+      memory: kdf.memory,
+      passes: kdf.passes,
+    };
+  }
+
+  return {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: kdf.maxmem ?? wilcocrypt._.KDF_LIMITS.scrypt.maxmem,
+  };
+};
+
+/**
+ * Derives a 32-byte key from a password.
+ *
+ * @param {string} password
+ * @param {object} kdf - Normalized parameters from `normalizeKdf`
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+wilcocrypt._.deriveKey = function (password, kdf, salt) {
+  const args = wilcocrypt._.kdfArguments(password, kdf, salt);
+
+  if (kdf.name === "argon2id") {
+    return crypto.argon2Sync("argon2id", args);
+  }
+
+  return scryptSync(password, salt, 32, args);
+};
+
+/**
+ * Asynchronous version of `deriveKey`.
+ *
+ * @param {string} password
+ * @param {object} kdf - Normalized parameters from `normalizeKdf`
+ * @param {Buffer} salt
+ * @returns {Promise<Buffer>}
+ */
+wilcocrypt._.deriveKeyAsync = function (password, kdf, salt) {
+  const args = wilcocrypt._.kdfArguments(password, kdf, salt);
+
+  if (kdf.name === "argon2id") {
+    return promisify(crypto.argon2)("argon2id", args);
+  }
+
+  return scryptAsync(password, salt, 32, args);
+};
+
+/* =========================
+   Crypto layer (internal)
+========================= */
+
+/**
+ * HChaCha20 (draft-irtf-cfrg-xchacha): derives a subkey from a key and a
+ * 16-byte nonce. Node has no HChaCha20, so the ChaCha20 block for the
+ * same input is computed and the initial state words it adds at the end
+ * are subtracted again; rows 0 and 3 of the permuted state remain.
+ *
+ * @param {Buffer} key - 32 bytes
+ * @param {Buffer} nonce - 16 bytes
+ * @returns {Buffer} 32-byte subkey
+ */
+wilcocrypt._.hchacha20 = function (key, nonce) {
+  // "expand 32-byte k" as little-endian words
+  const sigma = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574];
+  const block = createCipheriv("chacha20", key, nonce).update(Buffer.alloc(64));
+  const subkey = Buffer.alloc(32);
+
+  for (let i = 0; i < 4; i++) {
+    const first = block.readUInt32LE(i * 4) - sigma[i];
+    const last = block.readUInt32LE(48 + i * 4) - nonce.readUInt32LE(i * 4);
+
+    subkey.writeUInt32LE(first >>> 0, i * 4);
+    subkey.writeUInt32LE(last >>> 0, 16 + i * 4);
+  }
+
+  return subkey;
+};
+
+/**
+ * Maps an XChaCha20-Poly1305 key and 24-byte nonce onto the
+ * ChaCha20-Poly1305 key and 12-byte nonce that Node can use.
+ *
+ * @param {Buffer} key
+ * @param {Buffer} nonce - 24 bytes
+ * @returns {[Buffer, Buffer]} Subkey and nonce
+ */
+wilcocrypt._.xchachaArguments = function (key, nonce) {
+  return [
+    wilcocrypt._.hchacha20(key, nonce.subarray(0, 16)),
+    Buffer.concat([Buffer.alloc(4), nonce.subarray(16)]),
+  ];
+};
+
+/**
+ * Registry of cipher suites, keyed by the name recorded in the payload
+ * header. Every suite takes a 32-byte key and produces a 16-byte tag;
+ * `nonceLength` is the length of its IV.
+ *
+ * Each entry implements `createCipher` and `createDecipher`, which
+ * return Node `Cipher` and `Decipher` objects for one message.
+ *
+ * @type {Object<string, object>}
+ */
+wilcocrypt._.CIPHERS = {
+  "aes-256-gcm": {
+    nonceLength: 12,
+    createCipher: (key, iv) => createCipheriv("aes-256-gcm", key, iv),
+    createDecipher: (key, iv) => createDecipheriv("aes-256-gcm", key, iv),
+  },
+
+  "chacha20-poly1305": {
+    nonceLength: 12,
+    createCipher: (key, iv) =>
+      createCipheriv("chacha20-poly1305", key, iv, { authTagLength: 16 }),
+    createDecipher: (key, iv) =>
+      createDecipheriv("chacha20-poly1305", key, iv, { authTagLength: 16 }),
+  },
+
+  "xchacha20-poly1305": {
+    nonceLength: 24,
+    createCipher: (key, iv) =>
+      createCipheriv(
+        "chacha20-poly1305",
+        ...wilcocrypt._.xchachaArguments(key, iv),
+        { authTagLength: 16 },
+      ),
+    createDecipher: (key, iv) =>
+      createDecipheriv(
+        "chacha20-poly1305",
+        ...wilcocrypt._.xchachaArguments(key, iv),
+        { authTagLength: 16 },
+      ),
+  },
+};
+
+/**
+ * Whether the OpenSSL build Node runs on provides ChaCha20-Poly1305,
+ * which FIPS builds leave out.
+ *
+ * @returns {boolean}
+ */
+wilcocrypt._.isChaChaSupported = function () {
+  return crypto.getCiphers().includes("chacha20-poly1305");
+};
+
+/**
+ * Looks up a cipher suite and checks that the running Node supports it.
+ *
+ * @param {string} name - Key of `CIPHERS`
+ * @returns {object} The suite entry
+ * @throws {WilcoCryptError} With code `UNSUPPORTED_CIPHER` for unknown
+ *   suites and ChaCha20 suites on builds without it
+ */
+wilcocrypt._.getCipher = function (name) {
+  const cipher = Object.hasOwn(wilcocrypt._.CIPHERS, name)
+    ? wilcocrypt._.CIPHERS[name]
+    : null;
+
+  if (!cipher) {
+    throw new WilcoCryptError(
+      `Unknown cipher suite: ${name}`,
+      "UNSUPPORTED_CIPHER",
+    );
+  }
+
+  if (name !== "aes-256-gcm" && !wilcocrypt._.isChaChaSupported()) {
+    throw new WilcoCryptError(
+      `${name} is not supported by this Node.js build`,
+      "UNSUPPORTED_CIPHER",
+    );
+  }
+
+  return cipher;
+};
+
+/**
+ * Encrypts raw data with an AEAD cipher suite (AES-256-GCM by default).
+ *
+ * @param {Buffer} plainData
+ * @param {Buffer} key
+ * @param {Buffer} iv - `nonceLength` bytes of the suite
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @param {string} [suite="aes-256-gcm"] - Key of `CIPHERS`
+ * @returns {{ciphertext: Buffer, authTag: Buffer}}
+ * @throws {WilcoCryptError} On invalid key or IV, or an unsupported suite
+ */
+wilcocrypt._.encryptData = function (
+  plainData,
+  key,
+  iv,
+  aad,
+  suite = wilcocrypt._.DEFAULT_CIPHER,
+) {
+  const { nonceLength, createCipher } = wilcocrypt._.getCipher(suite);
+  wilcocrypt._.assertKeyAndIv(key, iv, nonceLength);
+
+  const cipher = createCipher(key, iv);
+  if (aad) cipher.setAAD(aad);
+  const encrypted = Buffer.concat([cipher.update(plainData), cipher.final()]);
+
+  return {
+    ciphertext: encrypted,
+    authTag: cipher.getAuthTag(),
+  };
+};
+
+/**
+ * Decrypts data encrypted by `encryptData` with the same cipher suite.
+ *
+ * @param {Buffer} cipherBuffer
+ * @param {Buffer} authTagBuffer
+ * @param {Buffer} key
+ * @param {Buffer} iv
+ * @param {Buffer|null} [aad] - Additional authenticated data; must match
+ *   the data given on encryption
+ * @param {string} [suite="aes-256-gcm"] - Key of `CIPHERS`
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} With code `DECRYPTION_FAILED` if the data
+ *   does not authenticate
+ */
+wilcocrypt._.decryptData = function (
+  cipherBuffer,
+  authTagBuffer,
+  key,
+  iv,
+  aad,
+  suite = wilcocrypt._.DEFAULT_CIPHER,
+) {
+  const { nonceLength, createDecipher } = wilcocrypt._.getCipher(suite);
+  wilcocrypt._.assertKeyAndIv(key, iv, nonceLength);
+
+  try {
+    const decipher = createDecipher(key, iv);
+    decipher.setAuthTag(authTagBuffer);
+    if (aad) decipher.setAAD(aad);
+
+    return Buffer.concat([decipher.update(cipherBuffer), decipher.final()]);
+  } catch {
+    throw new WilcoCryptError(
+      "Decryption failed (invalid password, corrupted data, or tampered file)",
+      "DECRYPTION_FAILED",
+    );
+  }
+};
+
+/* =========================
+   Compression (internal)
+========================= */
+
+/**
+ * Whether the running Node version provides zstd (Node 22.15+).
+ *
+ * @returns {boolean}
+ */
+wilcocrypt._.isZstdSupported = function () {
+  return typeof zlib.zstdCompressSync === "function";
+};
+
+/**
+ * Registry of compression codecs, keyed by the name recorded in the
+ * payload header. `"none"` is not an entry: it stores data as is.
+ *
+ * Each entry lists its accepted `levels` and implements `compress` and
+ * `decompress` for buffers and `createCompressor` and `createDecompressor`
+ * for streams.
+ *
+ * @type {Object<string, object>}
+ */
+wilcocrypt._.CODECS = {
+  gzip: {
+    levels: { min: 0, max: 9, default: 6 },
+    compress: (data, level) => gzipSync(data, { level }),
+    decompress: (data) => gunzipSync(data),
+    createCompressor: (level) => createGzip({ level }),
+    createDecompressor: () => createGunzip(),
+  },
+
+  brotli: {
+    levels: { min: 0, max: 11, default: 6 },
+    compress: (data, level) =>
+      brotliCompressSync(data, {
+        params: {
+          [zlibConstants.BROTLI_PARAM_QUALITY]: level,
+          [zlibConstants.BROTLI_PARAM_SIZE_HINT]: data.length,
+        },
+      }),
+    decompress: (data) => brotliDecompressSync(data),
+    createCompressor: (level) =>
+      createBrotliCompress({
+        params: { [zlibConstants.BROTLI_PARAM_QUALITY]: level },
+      }),
+    createDecompressor: () => createBrotliDecompress(),
+  },
+
+  zstd: {
+    levels: { min: 1, max: 22, default: 3 },
+    compress: (data, level) =>
+      zlib.zstdCompressSync(data, {
+        params: { [zlib.constants.ZSTD_c_compressionLevel]: level },
+      }),
+    decompress: (data) => zlib.zstdDecompressSync(data),
+    createCompressor: (level) =>
+      zlib.createZstdCompress({
+        params: { [zlib.constants.ZSTD_c_compressionLevel]: level },
+      }),
+    createDecompressor: () => zlib.createZstdDecompress(),
+  },
+};
+
+/**
+ * Looks up a codec and checks that the running Node version supports it.
+ *
+ * @param {string} name - Key of `CODECS`
+ * @returns {object} The codec entry
+ * @throws {WilcoCryptError} With code `UNSUPPORTED_COMPRESSION` for
+ *   unknown codecs and zstd on Node versions without it
+ */
+wilcocrypt._.getCodec = function (name) {
+  const codec = Object.hasOwn(wilcocrypt._.CODECS, name)
+    ? wilcocrypt._.CODECS[name]
+    : null;
+
+  if (!codec) {
+    throw new WilcoCryptError(
+      `Unknown compression codec: ${name}`,
+      "UNSUPPORTED_COMPRESSION",
+    );
+  }
+
+  if (name === "zstd" && !wilcocrypt._.isZstdSupported()) {
+    throw new WilcoCryptError(
+      "zstd requires a Node.js version with zlib zstd support (22.15 or later)",
+      "UNSUPPORTED_COMPRESSION",
+    );
+  }
+
+  return codec;
+};
+
+/**
+ * Validates the `compression` option and fills in the default level.
+ *
+ * @param {string|{name: string, level?: number}} [compression] - Codec
+ *   name, or name and level; defaults to gzip, or none if `gzip` is false
+ * @param {boolean} [gzip=true] - Legacy `gzip` option
+ * @returns {{name: string, level: number|null}}
+ * @throws {WilcoCryptError} On unknown codec or out-of-range level
+ */
+wilcocrypt._.normalizeCompression = function (compression, gzip = true) {
+  if (compression === undefined) compression = gzip ? "gzip" : "none";
+
+  const { name, level } =
+    typeof compression === "string" ? { name: compression } : compression;
+
+  if (name === "none") return { name, level: null };
+
+  const {
+    min,
+    max,
+    default: defaultLevel,
+  } = wilcocrypt._.getCodec(name).levels;
+  const value = level ?? defaultLevel;
+
+  if (!Number.isSafeInteger(value) || value < min || value > max) {
+    throw new WilcoCryptError(
+      `Invalid ${name} level (expected an integer from ${min} to ${max})`,
+      "INVALID_COMPRESSION_LEVEL",
+    );
+  }
+
+  return { name, level: value };
+};
+
+/**
+ * Picks the compression of a new payload. Seekable payloads are never
+ * compressed, and neither is data whose sample does not shrink below
+ * `COMPRESSION_MAX_RATIO`, such as images or archives.
+ *
+ * @param {object} options - Normalized options
+ * @param {Buffer} [sample] - Start of the plaintext; without it, the
+ *   requested codec is used as is
+ * @returns {{name: string, level: number|null}}
+ * @throws {WilcoCryptError} On unknown codec or out-of-range level
+ */
+wilcocrypt._.selectCompression = function (options, sample) {
+  const compression = wilcocrypt._.normalizeCompression(
+    options.compression,
+    options.gzip,
+  );
+
+  if (options.seekable === true) return { name: "none", level: null };
+  if (compression.name === "none" || sample === undefined) return compression;
+
+  const trial = sample.subarray(0, wilcocrypt._.COMPRESSION_SAMPLE_SIZE);
+  const compressed = wilcocrypt._.compress(trial, compression);
+
+  if (compressed.length > trial.length * wilcocrypt._.COMPRESSION_MAX_RATIO) {
+    return { name: "none", level: null };
+  }
+
+  return compression;
+};
+
+/**
+ * Compresses a buffer.
+ *
+ * @param {Buffer} data
+ * @param {{name: string, level: number|null}} compression - From `normalizeCompression`
+ * @returns {Buffer}
+ */
+wilcocrypt._.compress = function (data, { name, level }) {
+  if (name === "none") return data;
+  return wilcocrypt._.getCodec(name).compress(data, level);
+};
+
+/**
+ * Decompresses authenticated plaintext.
+ *
+ * @param {Buffer} data
+ * @param {string} name - Key of `CODECS`, or `"none"`
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} With code `DECRYPTION_FAILED` if the data was
+ *   not compressed with this codec, or `UNSUPPORTED_COMPRESSION`
+ */
+wilcocrypt._.decompress = function (data, name) {
+  if (name === "none") return data;
+
+  const codec = wilcocrypt._.getCodec(name);
+
+  try {
+    return codec.decompress(data);
+  } catch {
+    throw new WilcoCryptError(
+      `Decryption failed (data is not valid ${name})`,
+      "DECRYPTION_FAILED",
+    );
+  }
+};
+
+/**
+ * Whether a stream error comes from a decompressor fed data that was
+ * not compressed with its codec.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+wilcocrypt._.isDecompressionError = function (err) {
+  return /^(Z_|ERR__ERROR_|ZSTD_)/.test(err?.code ?? "");
+};
+
+/**
+ * Creates a compressing Transform.
+ *
+ * @param {{name: string, level: number}} compression - From
+ *   `normalizeCompression`, not `"none"`
+ * @returns {Transform}
+ */
+wilcocrypt._.createCompressor = function ({ name, level }) {
+  return wilcocrypt._.getCodec(name).createCompressor(level);
+};
+
+/**
+ * Creates a decompressing Transform.
+ *
+ * @param {string} name - Key of `CODECS`, not `"none"`
+ * @returns {Transform}
+ */
+wilcocrypt._.createDecompressor = function (name) {
+  return wilcocrypt._.getCodec(name).createDecompressor();
+};
+
+/* =========================
+   Key slots (internal)
+========================= */
+
+/**
+ * Wraps a 32-byte data key with a key-encryption key.
+ *
+ * @param {Buffer} kek - 32-byte key-encryption key
+ * @param {Buffer} key - Data key to wrap
+ * @returns {Buffer} [iv (12)] + [encrypted key (32)] + [authTag (16)]
+ */
+wilcocrypt._.wrapKey = function (kek, key) {
+  const iv = randomBytes(12);
+  const { ciphertext, authTag } = wilcocrypt._.encryptData(key, kek, iv);
+
+  return Buffer.concat([iv, ciphertext, authTag]);
+};
+
+/**
+ * Unwraps a data key wrapped by `wrapKey`.
+ *
+ * @param {Buffer} kek - 32-byte key-encryption key
+ * @param {Buffer} wrapped - Output of `wrapKey`
+ * @returns {Buffer|null} The data key, or `null` if `kek` does not match
+ */
+wilcocrypt._.unwrapKey = function (kek, wrapped) {
+  try {
+    return wilcocrypt._.decryptData(
+      wrapped.subarray(12, 44),
+      wrapped.subarray(44),
+      kek,
+      wrapped.subarray(0, 12),
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parses a recipient public key.
+ *
+ * @param {string|KeyObject} recipient - `wc-x25519-pub:…` string or an X25519 public KeyObject
+ * @returns {KeyObject}
+ * @throws {WilcoCryptError} If the key is not an X25519 public key
+ */
+wilcocrypt._.parseRecipient = function (recipient) {
+  const prefix = wilcocrypt._.KEY_PREFIXES.x25519Public;
+
+  try {
+    if (recipient instanceof KeyObject) {
+      if (recipient.type !== "public") throw new Error();
+      if (recipient.asymmetricKeyType !== "x25519") throw new Error();
+      return recipient;
+    }
+
+    if (!recipient.startsWith(prefix)) throw new Error();
+    const raw = Buffer.from(recipient.slice(prefix.length), "base64url");
+    if (raw.length !== 32) throw new Error();
+
+    return createPublicKey({
+      key: Buffer.concat([wilcocrypt._.X25519_DER_PREFIXES.public, raw]),
+      format: "der",
+      type: "spki",
+    });
+  } catch {
+    throw new WilcoCryptError(
+      `Invalid recipient (expected a ${prefix} public key)`,
+      "INVALID_RECIPIENT",
+    );
+  }
+};
+
+/**
+ * Parses an identity (recipient private key).
+ *
+ * @param {string|KeyObject} identity - `wc-x25519-sec:…` string or an X25519 private KeyObject
+ * @returns {KeyObject}
+ * @throws {WilcoCryptError} If the key is not an X25519 private key
+ */
+wilcocrypt._.parseIdentity = function (identity) {
+  const prefix = wilcocrypt._.KEY_PREFIXES.x25519Private;
+
+  try {
+    if (identity instanceof KeyObject) {
+      if (identity.type !== "private") throw new Error();
+      if (identity.asymmetricKeyType !== "x25519") throw new Error();
+      return identity;
+    }
+
+    if (!identity.startsWith(prefix)) throw new Error();
+    const raw = Buffer.from(identity.slice(prefix.length).trim(), "base64url");
+    if (raw.length !== 32) throw new Error();
+
+    return createPrivateKey({
+      key: Buffer.concat([wilcocrypt._.X25519_DER_PREFIXES.private, raw]),
+      format: "der",
+      type: "pkcs8",
+    });
+  } catch {
+    throw new WilcoCryptError(
+      `Invalid identity (expected a ${prefix} private key)`,
+      "INVALID_IDENTITY",
+    );
+  }
+};
+
+/**
+ * Parses a symmetric key: 32 raw bytes, a secret KeyObject, or the
+ * `wc-key:…` text of a key file (comment lines starting with `#` are
+ * skipped). A Buffer that is not 32 bytes long is read as key file text.
+ *
+ * @param {Buffer|string|KeyObject} key
+ * @returns {Buffer} The raw 32-byte key
+ * @throws {WilcoCryptError} If the key is malformed or not 32 bytes long
+ */
+wilcocrypt._.parseSymmetricKey = function (key) {
+  const prefix = wilcocrypt._.KEY_PREFIXES.symmetric;
+
+  if (key instanceof KeyObject && key.type === "secret") {
+    key = key.export();
+  }
+
+  if (Buffer.isBuffer(key) && key.length !== 32) key = key.toString("utf8");
+
+  if (typeof key === "string") {
+    const line = key
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .find((line) => line && !line.startsWith("#"));
+
+    key = line?.startsWith(prefix)
+      ? Buffer.from(line.slice(prefix.length), "base64url")
+      : null;
+  }
+
+  if (!Buffer.isBuffer(key) || key.length !== 32) {
+    throw new WilcoCryptError(
+      `Invalid encryption key (expected 32 bytes or a ${prefix} key file)`,
+      "INVALID_KEY",
+    );
+  }
+
+  return key;
+};
+
+/**
+ * Returns the raw 32 bytes of an X25519 or Ed25519 key.
+ *
+ * @param {KeyObject} keyObject
+ * @returns {Buffer}
+ */
+wilcocrypt._.rawKey = function (keyObject) {
+  const der =
+    keyObject.type === "private"
+      ? keyObject.export({ format: "der", type: "pkcs8" })
+      : keyObject.export({ format: "der", type: "spki" });
+
+  return der.subarray(der.length - 32);
+};
+
+/**
+ * Derives the key-encryption key of a recipient slot:
+ * HKDF-SHA256 over the X25519 shared secret, salted with both public keys.
+ *
+ * @param {KeyObject} privateKey - Ephemeral (encrypt) or identity (decrypt) private key
+ * @param {KeyObject} publicKey - Recipient (encrypt) or ephemeral (decrypt) public key
+ * @param {Buffer} ephemeral - Raw ephemeral public key
+ * @param {Buffer} recipient - Raw recipient public key
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If the shared secret is all zeros (low-order point)
+ */
+wilcocrypt._.recipientKek = function (
+  privateKey,
+  publicKey,
+  ephemeral,
+  recipient,
+) {
+  const shared = diffieHellman({ privateKey, publicKey });
+
+  if (shared.every((byte) => byte === 0)) {
+    throw new WilcoCryptError("Invalid X25519 public key", "INVALID_RECIPIENT");
+  }
+
+  return Buffer.from(
+    hkdfSync(
+      "sha256",
+      shared,
+      Buffer.concat([ephemeral, recipient]),
+      "wilcocrypt x25519",
+      32,
+    ),
+  );
+};
+
+/**
+ * Creates a key slot that wraps the data key for a password.
+ *
+ * @param {Buffer} key - Data key
+ * @param {string} password
+ * @param {object} [kdf] - Key derivation options, see `normalizeKdf`
+ * @returns {{type: "password", kdf: object, salt: Buffer, key: Buffer}}
+ */
+wilcocrypt._.createPasswordSlot = function (key, password, kdf) {
+  const params = wilcocrypt._.normalizeKdf(kdf);
+  const salt = randomBytes(16);
+  const kek = wilcocrypt._.deriveKey(password, params, salt);
+
+  return {
+    type: "password",
+    kdf: params,
+    salt,
+    key: wilcocrypt._.wrapKey(kek, key),
+  };
+};
+
+/**
+ * Asynchronous version of `createPasswordSlot`.
+ *
+ * @param {Buffer} key - Data key
+ * @param {string} password
+ * @param {object} [kdf] - Key derivation options, see `normalizeKdf`
+ * @returns {Promise<{type: "password", kdf: object, salt: Buffer, key: Buffer}>}
+ */
+wilcocrypt._.createPasswordSlotAsync = async function (key, password, kdf) {
+  const params = wilcocrypt._.normalizeKdf(kdf);
+  const salt = randomBytes(16);
+  const kek = await wilcocrypt._.deriveKeyAsync(password, params, salt);
+
+  return {
+    type: "password",
+    kdf: params,
+    salt,
+    key: wilcocrypt._.wrapKey(kek, key),
+  };
+};
+
+/**
+ * Derives the key-encryption key of a symmetric key slot.
+ *
+ * @param {Buffer} raw - Raw 32-byte symmetric key
+ * @param {Buffer} salt - Per-slot salt
+ * @returns {Buffer}
+ */
+wilcocrypt._.symmetricKek = function (raw, salt) {
+  return Buffer.from(hkdfSync("sha256", raw, salt, "wilcocrypt key", 32));
+};
+
+/**
+ * Creates a key slot that wraps the data key for a symmetric key.
+ *
+ * @param {Buffer} key - Data key
+ * @param {Buffer|string|KeyObject} symmetricKey - See `parseSymmetricKey`
+ * @returns {{type: "key", salt: Buffer, key: Buffer}}
+ * @throws {WilcoCryptError} If the symmetric key is invalid
+ */
+wilcocrypt._.createKeySlot = function (key, symmetricKey) {
+  const raw = wilcocrypt._.parseSymmetricKey(symmetricKey);
+  const salt = randomBytes(16);
+  const kek = wilcocrypt._.symmetricKek(raw, salt);
+
+  return { type: "key", salt, key: wilcocrypt._.wrapKey(kek, key) };
+};
+
+/**
+ * Tries to unwrap the data key from the symmetric key slots of a header.
+ *
+ * @param {{slots: Array<object>}} header
+ * @param {Array<Buffer|string|KeyObject>} keys - Symmetric keys to try
+ * @returns {Buffer|null} The data key, or `null` if no key matches
+ * @throws {WilcoCryptError} If a key is invalid
+ */
+wilcocrypt._.unlockKeySlots = function (header, keys) {
+  const raws = keys.map((key) => wilcocrypt._.parseSymmetricKey(key));
+
+  for (const slot of header.slots) {
+    if (slot.type !== "key") continue;
+
+    for (const raw of raws) {
+      const kek = wilcocrypt._.symmetricKek(raw, slot.salt);
+      const key = wilcocrypt._.unwrapKey(kek, slot.key);
+      if (key) return key;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Creates a key slot that wraps the data key for an X25519 recipient,
+ * using a fresh ephemeral key pair.
+ *
+ * @param {Buffer} key - Data key
+ * @param {string|KeyObject} recipient - Recipient public key
+ * @returns {{type: "x25519", ephemeral: Buffer, key: Buffer}}
+ * @throws {WilcoCryptError} If the recipient key is invalid
+ */
+wilcocrypt._.createRecipientSlot = function (key, recipient) {
+  const publicKey = wilcocrypt._.parseRecipient(recipient);
+  const { publicKey: ephemeralPublic, privateKey } =
+    generateKeyPairSync("x25519");
+  const ephemeral = wilcocrypt._.rawKey(ephemeralPublic);
+
+  const kek = wilcocrypt._.recipientKek(
+    privateKey,
+    publicKey,
+    ephemeral,
+    wilcocrypt._.rawKey(publicKey),
+  );
+
+  return { type: "x25519", ephemeral, key: wilcocrypt._.wrapKey(kek, key) };
+};
+
+/**
+ * Tries to unwrap the data key from the X25519 slots of a header.
+ *
+ * @param {{slots: Array<object>}} header
+ * @param {Array<string|KeyObject>} identities - Private keys to try
+ * @returns {Buffer|null} The data key, or `null` if no identity matches
+ * @throws {WilcoCryptError} If an identity is invalid
+ */
+wilcocrypt._.unlockRecipientSlots = function (header, identities) {
+  const keys = identities.map((identity) => {
+    const privateKey = wilcocrypt._.parseIdentity(identity);
+    return {
+      privateKey,
+      raw: wilcocrypt._.rawKey(createPublicKey(privateKey)),
+    };
+  });
+
+  for (const slot of header.slots) {
+    if (slot.type !== "x25519") continue;
+
+    const publicKey = createPublicKey({
+      key: Buffer.concat([
+        wilcocrypt._.X25519_DER_PREFIXES.public,
+        slot.ephemeral,
+      ]),
+      format: "der",
+      type: "spki",
+    });
+
+    for (const { privateKey, raw } of keys) {
+      let kek;
+
+      try {
+        kek = wilcocrypt._.recipientKek(
+          privateKey,
+          publicKey,
+          slot.ephemeral,
+          raw,
+        );
+      } catch {
+        continue;
+      }
+
+      const key = wilcocrypt._.unwrapKey(kek, slot.key);
+      if (key) return key;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Recovers the data key from a list of key slots, trying the symmetric
+ * keys and identities first and then every password slot.
+ *
+ * @param {{slots: Array<object>}} header
+ * @param {string|null} password
+ * @param {{identity: Array<string|KeyObject>, key: Array<Buffer|string|KeyObject>}} options - Normalized options
+ * @returns {Buffer} The data key
+ * @throws {WilcoCryptError} If no slot can be unlocked
+ */
+wilcocrypt._.unlockSlots = function (header, password, options) {
+  const key =
+    wilcocrypt._.unlockKeySlots(header, options.key) ??
+    wilcocrypt._.unlockRecipientSlots(header, options.identity);
+  if (key) return key;
+
+  if (password != null) {
+    for (const slot of header.slots) {
+      if (slot.type !== "password") continue;
+
+      const kek = wilcocrypt._.deriveKey(password, slot.kdf, slot.salt);
+      const key = wilcocrypt._.unwrapKey(kek, slot.key);
+      if (key) return key;
+    }
+  }
+
+  throw new WilcoCryptError(
+    "Decryption failed (invalid password, key or identity)",
+    "DECRYPTION_FAILED",
+  );
+};
+
+/**
+ * Recovers the data key of a payload from its key slots, see
+ * `unlockSlots`. The header is then checked against its MAC, see
+ * `verifyHeader`.
+ *
+ * @param {{slots: Array<object>, mac: Buffer}} header
+ * @param {string|null} password
+ * @param {{identity: Array<string|KeyObject>, key: Array<Buffer|string|KeyObject>}} options - Normalized options
+ * @returns {Buffer} The data key
+ * @throws {WilcoCryptError} If no slot can be unlocked or the header was modified
+ */
+wilcocrypt._.unlockHeader = function (header, password, options) {
+  return wilcocrypt._.verifyHeader(
+    header,
+    wilcocrypt._.unlockSlots(header, password, options),
+  );
+};
+
+/**
+ * Asynchronous version of `unlockHeader`.
+ *
+ * @param {{slots: Array<object>, mac: Buffer}} header
+ * @param {string|null} password
+ * @param {{identity: Array<string|KeyObject>, key: Array<Buffer|string|KeyObject>}} options - Normalized options
+ * @returns {Promise<Buffer>} The data key
+ * @throws {WilcoCryptError} If no slot can be unlocked or the header was modified
+ */
+wilcocrypt._.unlockHeaderAsync = async function (header, password, options) {
+  const key =
+    wilcocrypt._.unlockKeySlots(header, options.key) ??
+    wilcocrypt._.unlockRecipientSlots(header, options.identity);
+  if (key) return wilcocrypt._.verifyHeader(header, key);
+
+  if (password != null) {
+    for (const slot of header.slots) {
+      if (slot.type !== "password") continue;
+
+      const kek = await wilcocrypt._.deriveKeyAsync(
+        password,
+        slot.kdf,
+        slot.salt,
+      );
+      const key = wilcocrypt._.unwrapKey(kek, slot.key);
+      if (key) return wilcocrypt._.verifyHeader(header, key);
+    }
+  }
+
+  throw new WilcoCryptError(
+    "Decryption failed (invalid password, key or identity)",
+    "DECRYPTION_FAILED",
+  );
+};
+
+/**
+ * Finds the password slot that `password` unlocks, and checks the header
+ * against its MAC before the caller rewrites it.
+ *
+ * @param {{slots: Array<object>, mac: Buffer}} header
+ * @param {string} password
+ * @returns {Promise<{index: number, key: Buffer}|null>} Slot index and data
+ *   key, or `null` if no password slot matches
+ * @throws {WilcoCryptError} If the header was modified
+ */
+wilcocrypt._.findPasswordSlot = async function (header, password) {
+  for (const [index, slot] of header.slots.entries()) {
+    if (slot.type !== "password") continue;
+
+    const kek = await wilcocrypt._.deriveKeyAsync(
+      password,
+      slot.kdf,
+      slot.salt,
+    );
+    const key = wilcocrypt._.unwrapKey(kek, slot.key);
+    if (key) return { index, key: wilcocrypt._.verifyHeader(header, key) };
+  }
+
+  return null;
+};
+
+/* =========================
+   Payload header (internal)
+========================= */
+
+/**
+ * Validates the segment size of a chunked payload body.
+ *
+ * @param {number} [chunkSize] - Defaults to `DEFAULT_CHUNK_SIZE`
+ * @returns {number}
+ * @throws {WilcoCryptError} If the size is outside `CHUNK_SIZE_LIMITS`
+ */
+wilcocrypt._.normalizeChunkSize = function (
+  chunkSize = wilcocrypt._.DEFAULT_CHUNK_SIZE,
+) {
+  const { min, max } = wilcocrypt._.CHUNK_SIZE_LIMITS;
+
+  if (!Number.isSafeInteger(chunkSize) || chunkSize < min || chunkSize > max) {
+    throw new WilcoCryptError(
+      `Invalid chunk size (expected an integer from ${min} to ${max})`,
+      "INVALID_CHUNK_SIZE",
+    );
+  }
+
+  return chunkSize;
+};
+
+/**
+ * Creates the header of a new payload together with its random data key.
+ * The data key is wrapped into one key slot for the password (if any),
+ * one per symmetric key and one per recipient.
+ *
+ * The body and metadata are encrypted with the `cipher` suite; key slots
+ * always use AES-256-GCM under their own single-use keys. The codec
+ * comes from `selectCompression`; seekable payloads are never
+ * compressed, so segment `n` always holds plaintext bytes
+ * `n * chunkSize` to `(n + 1) * chunkSize`. File metadata,
+ * if any, is sealed under a key derived from the data key, and a
+ * `signingKey` is recorded as the raw public key in `signer`.
+ *
+ * @param {string|null} password - Password, or `null` for keys only
+ * @param {{kdf?: object, cipher?: string, chunkSize?: number, seekable?: boolean, compression?: string|object, metadata?: object|false, signingKey?: string|KeyObject, recipients: Array, key: Array}} options - Normalized options
+ * @returns {{header: object, key: Buffer}} Header fields and the data key
+ * @throws {WilcoCryptError} On invalid KDF parameters, cipher suite,
+ *   chunk size, compression, metadata, key, recipient or signing key
+ */
+wilcocrypt._.createHeader = function (password, options) {
+  const key = randomBytes(32);
+  const cipher = options.cipher ?? wilcocrypt._.DEFAULT_CIPHER;
+  const { nonceLength } = wilcocrypt._.getCipher(cipher);
+  const header = {
+    slots: [
+      ...options.key.map((symmetricKey) =>
+        wilcocrypt._.createKeySlot(key, symmetricKey),
+      ),
+      ...options.recipients.map((recipient) =>
+        wilcocrypt._.createRecipientSlot(key, recipient),
+      ),
+    ],
+    cipher,
+    noncePrefix: randomBytes(nonceLength - 5),
+    chunkSize: wilcocrypt._.normalizeChunkSize(options.chunkSize),
+    seekable: options.seekable === true,
+    compression: wilcocrypt._.selectCompression(options).name,
+    metadata: options.metadata
+      ? wilcocrypt._.sealMetadata(key, options.metadata, options.aad, cipher)
+      : null,
+    signer: options.signingKey
+      ? wilcocrypt._.signerOf(options.signingKey)
+      : null,
+  };
+
+  if (password != null) {
+    header.slots.unshift(
+      wilcocrypt._.createPasswordSlot(key, password, options.kdf),
+    );
+  }
+
+  return { header: wilcocrypt._.sealHeader(header, key), key };
+};
+
+/**
+ * Asynchronous version of `createHeader`.
+ *
+ * @param {string|null} password - Password, or `null` for keys only
+ * @param {object} options - Normalized options
+ * @returns {Promise<{header: object, key: Buffer}>}
+ * @throws {WilcoCryptError} On invalid KDF parameters, chunk size, key or recipient
+ */
+wilcocrypt._.createHeaderAsync = async function (password, options) {
+  const { header, key } = wilcocrypt._.createHeader(null, options);
+
+  if (password != null) {
+    header.slots.unshift(
+      await wilcocrypt._.createPasswordSlotAsync(key, password, options.kdf),
+    );
+  }
+
+  return { header: wilcocrypt._.sealHeader(header, key), key };
+};
+
+/**
+ * Serializes header fields into the prefix of a current-format payload:
+ * [HEADER] + [VERSION] + [header length (4, uint32 BE)] + [header JSON]
+ *
+ * The JSON may be followed by spaces, reserving room to add key slots
+ * later without moving the body.
+ *
+ * @param {{slots: Array<object>, cipher?: string|null, noncePrefix: Buffer, chunkSize: number, seekable: boolean, compression?: string|null, metadata?: Buffer|null, signer?: Buffer|null, mac?: Buffer}} header
+ * @param {object} [layout]
+ * @param {number} [layout.padding=0] - Spare bytes to reserve after the JSON
+ * @param {number} [layout.length=0] - Minimum length of the padded JSON
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If the padding is out of range
+ */
+wilcocrypt._.encodeHeader = function (
+  header,
+  { padding = 0, length = 0 } = {},
+) {
+  const maxPadding = wilcocrypt._.MAX_HEADER_PADDING;
+
+  if (!Number.isSafeInteger(padding) || padding < 0 || padding > maxPadding) {
+    throw new WilcoCryptError(
+      `Invalid header padding (expected an integer from 0 to ${maxPadding})`,
+      "INVALID_HEADER_PADDING",
+    );
+  }
+
+  const slots = header.slots.map((slot) => {
+    const key = slot.key.toString("base64");
+
+    if (slot.type === "password") {
+      return {
+        type: slot.type,
+        kdf: { ...slot.kdf, salt: slot.salt.toString("base64") },
+        key,
+      };
+    }
+
+    if (slot.type === "key") {
+      return { type: slot.type, salt: slot.salt.toString("base64"), key };
+    }
+
+    return {
+      type: slot.type,
+      ephemeral: slot.ephemeral.toString("base64"),
+      key,
+    };
+  });
+
+  const fields = Buffer.from(
+    JSON.stringify({
+      slots,
+      cipher: header.cipher,
+      noncePrefix: header.noncePrefix.toString("base64"),
+      chunkSize: header.chunkSize,
+      seekable: header.seekable,
+      compression: header.compression,
+      metadata: header.metadata?.toString("base64"),
+      signer: header.signer?.toString("base64"),
+      mac: header.mac?.toString("base64"),
+    }),
+  );
+
+  // Trailing spaces are JSON whitespace, so the padding needs no marker
+  const json = Buffer.alloc(Math.max(fields.length + padding, length), 0x20);
+  fields.copy(json);
+
+  const lengthBuf = Buffer.alloc(4);
+  lengthBuf.writeUInt32BE(json.length);
+
+  return Buffer.concat([
+    wilcocrypt._.HEADER,
+    Buffer.from(wilcocrypt._.VERSION),
+    lengthBuf,
+    json,
+  ]);
+};
+
+/**
+ * Parses and validates one key slot of a payload header.
+ *
+ * @param {object} fields - Raw slot from the header JSON
+ * @returns {object} Slot with decoded Buffers
+ * @throws {WilcoCryptError} On malformed slot, unknown type or unsafe KDF parameters
+ */
+wilcocrypt._.decodeSlot = function (fields) {
+  const key = Buffer.from(fields?.key ?? "", "base64");
+
+  if (key.length !== 60) {
+    throw new WilcoCryptError("Malformed key slot", "INVALID_HEADER");
+  }
+
+  if (fields.type === "password") {
+    const salt = Buffer.from(fields.kdf?.salt ?? "", "base64");
+
+    if (salt.length !== 16) {
+      throw new WilcoCryptError("Malformed key slot", "INVALID_HEADER");
+    }
+
+    return {
+      type: "password",
+      kdf: wilcocrypt._.normalizeKdf({ ...fields.kdf, salt: undefined }),
+      salt,
+      key,
+    };
+  }
+
+  if (fields.type === "x25519") {
+    const ephemeral = Buffer.from(fields.ephemeral ?? "", "base64");
+
+    if (ephemeral.length !== 32) {
+      throw new WilcoCryptError("Malformed key slot", "INVALID_HEADER");
+    }
+
+    return { type: "x25519", ephemeral, key };
+  }
+
+  if (fields.type === "key") {
+    const salt = Buffer.from(fields.salt ?? "", "base64");
+
+    if (salt.length !== 16) {
+      throw new WilcoCryptError("Malformed key slot", "INVALID_HEADER");
+    }
+
+    return { type: "key", salt, key };
+  }
+
+  throw new WilcoCryptError(
+    `Unknown key slot type: ${fields.type}`,
+    "INVALID_HEADER",
+  );
+};
+
+/**
+ * Parses and validates the JSON header of a current-format payload.
+ * KDF parameters, their combined cost, slot count and chunk size are
+ * checked against their limits before anything is derived or buffered.
+ * The cipher suite and the codec are required, and seekable payloads
+ * must be uncompressed.
+ *
+ * @param {Buffer} json - Raw header JSON
+ * @returns {{slots: Array<object>, cipher: string, noncePrefix: Buffer, chunkSize: number, seekable: boolean, compression: string, metadata: Buffer|null, signer: Buffer|null, mac: Buffer}}
+ * @throws {WilcoCryptError} On malformed header or unsafe parameters
+ */
+wilcocrypt._.decodeHeader = function (json) {
+  let fields;
+
+  try {
+    fields = JSON.parse(json.toString("utf8"));
+  } catch {
+    throw new WilcoCryptError("Malformed payload header", "INVALID_HEADER");
+  }
+
+  const noncePrefix = Buffer.from(fields?.noncePrefix ?? "", "base64");
+  const mac = Buffer.from(fields?.mac ?? "", "base64");
+  const metadata =
+    fields?.metadata === undefined
+      ? null
+      : Buffer.from(String(fields.metadata), "base64");
+  const signer =
+    fields?.signer === undefined
+      ? null
+      : Buffer.from(String(fields.signer), "base64");
+  const { cipher, compression } = fields ?? {};
+
+  if (typeof cipher !== "string" || typeof compression !== "string") {
+    throw new WilcoCryptError("Malformed payload header", "INVALID_HEADER");
+  }
+
+  if (!Object.hasOwn(wilcocrypt._.CIPHERS, cipher)) {
+    throw new WilcoCryptError(
+      `Unknown cipher suite: ${cipher}`,
+      "UNSUPPORTED_CIPHER",
+    );
+  }
+
+  const { nonceLength } = wilcocrypt._.CIPHERS[cipher];
+
+  if (
+    compression !== "none" &&
+    !Object.hasOwn(wilcocrypt._.CODECS, compression)
+  ) {
+    throw new WilcoCryptError(
+      `Unknown compression codec: ${compression}`,
+      "UNSUPPORTED_COMPRESSION",
+    );
+  }
+
+  if (
+    noncePrefix.length !== nonceLength - 5 ||
+    mac.length !== 32 ||
+    (metadata !== null && metadata.length < nonceLength + 16) ||
+    (signer !== null && signer.length !== 32) ||
+    (fields.seekable === true && compression !== "none") ||
+    !Array.isArray(fields.slots) ||
+    fields.slots.length === 0 ||
+    fields.slots.length > wilcocrypt._.MAX_KEY_SLOTS
+  ) {
+    throw new WilcoCryptError("Malformed payload header", "INVALID_HEADER");
+  }
+
+  const slots = fields.slots.map(wilcocrypt._.decodeSlot);
+  wilcocrypt._.assertKdfCost(slots);
+
+  return {
+    slots,
+    cipher,
+    noncePrefix,
+    chunkSize: wilcocrypt._.normalizeChunkSize(fields.chunkSize),
+    seekable: fields.seekable === true,
+    compression,
+    metadata,
+    signer,
+    mac,
+  };
+};
+
+/**
+ * Computes the MAC of a payload header: HMAC-SHA256 over the encoded
+ * header without padding and without the MAC itself, keyed by HKDF of
+ * the data key. It covers the magic bytes, the version and every field,
+ * including the key slots, so it is recomputed whenever slots change.
+ *
+ * @param {object} header - Decoded header; `mac` is ignored
+ * @param {Buffer} key - Data key
+ * @returns {Buffer} 32 bytes
+ */
+wilcocrypt._.headerMac = function (header, key) {
+  const macKey = hkdfSync(
+    "sha256",
+    key,
+    Buffer.alloc(0),
+    "wilcocrypt header",
+    32,
+  );
+
+  return createHmac("sha256", Buffer.from(macKey))
+    .update(wilcocrypt._.encodeHeader({ ...header, mac: undefined }))
+    .digest();
+};
+
+/**
+ * Returns a copy of `header` with its MAC set for `key`.
+ *
+ * @param {object} header
+ * @param {Buffer} key - Data key
+ * @returns {object}
+ */
+wilcocrypt._.sealHeader = function (header, key) {
+  return { ...header, mac: wilcocrypt._.headerMac(header, key) };
+};
+
+/**
+ * Checks the MAC of a decoded header once its data key is known.
+ *
+ * @param {object} header
+ * @param {Buffer} key - Data key
+ * @returns {Buffer} `key`, for chaining
+ * @throws {WilcoCryptError} With code `DECRYPTION_FAILED` if any header
+ *   field was modified
+ */
+wilcocrypt._.verifyHeader = function (header, key) {
+  const expected = wilcocrypt._.headerMac(header, key);
+
+  if (!wilcocrypt._.constantTimeEqual(header.mac, expected)) {
+    throw new WilcoCryptError(
+      "Decryption failed (payload header was modified)",
+      "DECRYPTION_FAILED",
+    );
+  }
+
+  return key;
+};
+
+/**
+ * Reads the header length field that follows the version string and
+ * checks it against `MAX_HEADER_LENGTH`.
+ *
+ * @param {Buffer} lengthBuf - 4-byte big-endian length
+ * @returns {number}
+ * @throws {WilcoCryptError} If the header is empty or too large
+ */
+wilcocrypt._.readHeaderLength = function (lengthBuf) {
+  if (lengthBuf.length < 4) {
+    throw new WilcoCryptError("Truncated payload header", "INVALID_HEADER");
+  }
+
+  const length = lengthBuf.readUInt32BE(0);
+
+  if (length === 0 || length > wilcocrypt._.MAX_HEADER_LENGTH) {
+    throw new WilcoCryptError(
+      "Payload header length out of range",
+      "INVALID_HEADER",
+    );
+  }
+
+  return length;
+};
+
+/**
+ * Reads and decodes the JSON header of a current-format payload from an
+ * open file.
+ *
+ * @param {import("fs/promises").FileHandle} handle
+ * @param {number} offset - Offset of the first byte after the version
+ * @returns {Promise<{header: object, offset: number}>} Decoded header and
+ *   the offset of the first body byte
+ * @throws {WilcoCryptError} On truncated, oversized or malformed header
+ */
+wilcocrypt._.readFileHeader = async function (handle, offset) {
+  const lengthBuf = Buffer.alloc(4);
+  const { bytesRead } = await handle.read(lengthBuf, 0, 4, offset);
+  const length = wilcocrypt._.readHeaderLength(
+    lengthBuf.subarray(0, bytesRead),
+  );
+  offset += 4;
+
+  const json = Buffer.alloc(length);
+  const { bytesRead: jsonRead } = await handle.read(json, 0, length, offset);
+
+  if (jsonRead < length) {
+    throw new WilcoCryptError("Truncated payload header", "INVALID_HEADER");
+  }
+
+  return { header: wilcocrypt._.decodeHeader(json), offset: offset + length };
+};
+
+/**
+ * Replaces the header of a current-format `.enc` file without touching
+ * its body.
+ *
+ * The new header is written in place when it fits into the space of the
+ * old one (including its padding), which takes one small write. Otherwise
+ * the body is copied, still encrypted, behind a freshly padded header into
+ * a temporary file that then replaces the original.
+ *
+ * @param {string} filePath
+ * @param {(header: object) => Promise<object>} update - Receives the decoded
+ *   header and returns the new one, resealed with `sealHeader`
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On invalid header, older format versions, or
+ *   errors thrown by `update`
+ */
+wilcocrypt._.rewriteFileHeader = async function (filePath, update) {
+  const handle = await fsPromises.open(filePath, "r+");
+  let updated;
+  let bodyOffset;
+
+  try {
+    const prefix = Buffer.alloc(wilcocrypt._.HEADER.length + 32);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+
+    const { version, offset } = wilcocrypt._.detectFormat(
+      prefix.subarray(0, bytesRead),
+    );
+
+    if (version !== wilcocrypt._.VERSION) {
+      throw new WilcoCryptError(
+        `Format ${version} payloads have no key slots; upgrade the file first`,
+        "UPGRADE_REQUIRED",
+      );
+    }
+
+    const read = await wilcocrypt._.readFileHeader(handle, offset);
+    bodyOffset = read.offset;
+    updated = await update(read.header);
+
+    const encoded = wilcocrypt._.encodeHeader(updated, {
+      length: bodyOffset - offset - 4,
+    });
+
+    if (encoded.length === bodyOffset) {
+      await handle.write(encoded, 0, encoded.length, 0);
+      await handle.sync();
+      return;
+    }
+  } finally {
+    await handle.close();
+  }
+
+  await wilcocrypt._.pipeToFileAtomic(
+    [createReadStream(filePath, { start: bodyOffset })],
+    filePath,
+    true,
+    wilcocrypt._.encodeHeader(updated, {
+      padding: wilcocrypt._.DEFAULT_HEADER_PADDING,
+    }),
+  );
+};
+
+/* =========================
+   Chunked AEAD (internal)
+========================= */
+
+/**
+ * Builds the nonce of one body segment:
+ * [nonce prefix] + [segment index (4, uint32 BE)] + [final flag (1)]
+ *
+ * The prefix fills the rest of the cipher suite's nonce: 7 bytes for
+ * 12-byte nonces, 19 for XChaCha20-Poly1305. Binding the index and the
+ * final flag into the nonce makes reordered, dropped or truncated
+ * segments fail authentication. The `aad` option is passed to every
+ * segment as additional authenticated data.
+ *
+ * @param {Buffer} noncePrefix - Random bytes from the header
+ * @param {number} index - Segment index, starting at 0
+ * @param {boolean} final - Whether this is the last segment
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If the payload has too many segments
+ */
+wilcocrypt._.chunkNonce = function (noncePrefix, index, final) {
+  if (index > 0xffffffff) {
+    throw new WilcoCryptError(
+      "Payload too large for its chunk size",
+      "PAYLOAD_TOO_LARGE",
+    );
+  }
+
+  const nonce = Buffer.alloc(noncePrefix.length + 5);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, noncePrefix.length);
+  nonce[nonce.length - 1] = final ? 1 : 0;
+
+  return nonce;
+};
+
+/**
+ * Encrypts one body segment.
+ *
+ * @param {Buffer} chunk - Up to `chunkSize` bytes of plaintext
+ * @param {Buffer} key
+ * @param {Buffer} noncePrefix
+ * @param {number} index
+ * @param {boolean} final
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @param {string} [suite="aes-256-gcm"] - Key of `CIPHERS`
+ * @returns {Buffer} [ciphertext] + [authTag (16)]
+ */
+wilcocrypt._.sealChunk = function (
+  chunk,
+  key,
+  noncePrefix,
+  index,
+  final,
+  aad,
+  suite,
+) {
+  const nonce = wilcocrypt._.chunkNonce(noncePrefix, index, final);
+  const { ciphertext, authTag } = wilcocrypt._.encryptData(
+    chunk,
+    key,
+    nonce,
+    aad,
+    suite,
+  );
+
+  return Buffer.concat([ciphertext, authTag]);
+};
+
+/**
+ * Decrypts and authenticates one body segment.
+ *
+ * @param {Buffer} segment - [ciphertext] + [authTag (16)]
+ * @param {Buffer} key
+ * @param {Buffer} noncePrefix
+ * @param {number} index
+ * @param {boolean} final
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @param {string} [suite="aes-256-gcm"] - Key of `CIPHERS`
+ * @returns {Buffer} Plaintext of the segment
+ * @throws {WilcoCryptError} If the segment is truncated or fails authentication
+ */
+wilcocrypt._.openChunk = function (
+  segment,
+  key,
+  noncePrefix,
+  index,
+  final,
+  aad,
+  suite,
+) {
+  if (segment.length < 16) {
+    throw new WilcoCryptError(
+      "Decryption failed (truncated payload)",
+      "DECRYPTION_FAILED",
+    );
+  }
+
+  return wilcocrypt._.decryptData(
+    segment.subarray(0, segment.length - 16),
+    segment.subarray(segment.length - 16),
+    key,
+    wilcocrypt._.chunkNonce(noncePrefix, index, final),
+    aad,
+    suite,
+  );
+};
+
+/**
+ * Encrypts a whole buffer into a chunked body.
+ *
+ * @param {Buffer} plainData
+ * @param {Buffer} key
+ * @param {{noncePrefix: Buffer, chunkSize: number, cipher?: string|null}} header
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @returns {Buffer}
+ */
+wilcocrypt._.encryptChunks = function (plainData, key, header, aad) {
+  const { noncePrefix, chunkSize } = header;
+  const suite = header.cipher;
+  const segments = [];
+
+  for (let index = 0, pos = 0; ; index++, pos += chunkSize) {
+    const final = pos + chunkSize >= plainData.length;
+    const chunk = plainData.subarray(pos, pos + chunkSize);
+
+    segments.push(
+      wilcocrypt._.sealChunk(chunk, key, noncePrefix, index, final, aad, suite),
+    );
+    if (final) break;
+  }
+
+  return Buffer.concat(segments);
+};
+
+/**
+ * Decrypts a whole chunked body.
+ *
+ * @param {Buffer} body
+ * @param {Buffer} key
+ * @param {{noncePrefix: Buffer, chunkSize: number, cipher?: string|null}} header
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If any segment fails authentication
+ */
+wilcocrypt._.decryptChunks = function (body, key, header, aad) {
+  const { noncePrefix } = header;
+  const suite = header.cipher;
+  const segmentSize = header.chunkSize + 16;
+  const chunks = [];
+
+  for (let index = 0, pos = 0; ; index++, pos += segmentSize) {
+    const final = pos + segmentSize >= body.length;
+    const segment = body.subarray(pos, pos + segmentSize);
+
+    chunks.push(
+      wilcocrypt._.openChunk(
+        segment,
+        key,
+        noncePrefix,
+        index,
+        final,
+        aad,
+        suite,
+      ),
+    );
+    if (final) break;
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Creates a Transform that cuts its input into fixed-size segments and
+ * maps each one through `onSegment`.
+ *
+ * One byte more than a full segment is always held back, so the last
+ * segment is only handled in `flush` and is the only one flagged `final`.
+ *
+ * @param {number} segmentSize
+ * @param {(segment: Buffer, index: number, final: boolean) => Buffer} onSegment
+ * @returns {Transform}
+ */
+wilcocrypt._.createSegmenter = function (segmentSize, onSegment) {
+  let pending = [];
+  let pendingLength = 0;
+  let index = 0;
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      pending.push(data);
+      pendingLength += data.length;
+
+      if (pendingLength <= segmentSize) return callback();
+
+      let buffered = Buffer.concat(pending);
+
+      try {
+        while (buffered.length > segmentSize) {
+          this.push(onSegment(buffered.subarray(0, segmentSize), index, false));
+          buffered = buffered.subarray(segmentSize);
+          index++;
+        }
+      } catch (err) {
+        return callback(err);
+      }
+
+      pending = [buffered];
+      pendingLength = buffered.length;
+      callback();
+    },
+
+    flush(callback) {
+      try {
+        this.push(onSegment(Buffer.concat(pending), index, true));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+};
+
+/**
+ * Creates a Transform that encrypts plaintext into a chunked body.
+ *
+ * @param {Buffer} key
+ * @param {{noncePrefix: Buffer, chunkSize: number, cipher?: string|null}} header
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @returns {Transform}
+ */
+wilcocrypt._.createChunkEncryptor = function (key, header, aad) {
+  const suite = header.cipher;
+
+  return wilcocrypt._.createSegmenter(header.chunkSize, (chunk, index, final) =>
+    wilcocrypt._.sealChunk(
+      chunk,
+      key,
+      header.noncePrefix,
+      index,
+      final,
+      aad,
+      suite,
+    ),
+  );
+};
+
+/**
+ * Creates a Transform that decrypts a chunked body. Every segment is
+ * authenticated before any of its plaintext is pushed downstream.
+ *
+ * @param {Buffer} key
+ * @param {{noncePrefix: Buffer, chunkSize: number, cipher?: string|null}} header
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @returns {Transform}
+ */
+wilcocrypt._.createChunkDecryptor = function (key, header, aad) {
+  const suite = header.cipher;
+
+  return wilcocrypt._.createSegmenter(
+    header.chunkSize + 16,
+    (segment, index, final) =>
+      wilcocrypt._.openChunk(
+        segment,
+        key,
+        header.noncePrefix,
+        index,
+        final,
+        aad,
+        suite,
+      ),
+  );
+};
+
+/**
+ * Returns the transforms that turn plaintext into the body of a
+ * current-format payload: compression, segment encryption and, for
+ * signed headers, the trailing signature.
+ *
+ * @param {object} header - Header from `createHeader`
+ * @param {Buffer} key - Data key
+ * @param {object} options - Normalized options, as passed to `createHeader`
+ * @returns {Array<Transform>}
+ */
+wilcocrypt._.bodyEncryptionSteps = function (header, key, options) {
+  const steps = [];
+
+  if (header.compression !== "none") {
+    steps.push(
+      wilcocrypt._.createCompressor(wilcocrypt._.selectCompression(options)),
+    );
+  }
+  steps.push(wilcocrypt._.createChunkEncryptor(key, header, options.aad));
+  if (header.signer) {
+    steps.push(wilcocrypt._.createBodySigner(header, options.signingKey));
+  }
+
+  return steps;
+};
+
+/**
+ * Returns the transforms that turn the segments of a current-format
+ * payload back into plaintext: segment decryption and decompression.
+ *
+ * @param {object} header - Decoded header
+ * @param {Buffer} key - Data key
+ * @param {object} options - Normalized options
+ * @returns {Array<Transform>}
+ */
+wilcocrypt._.bodyDecryptionSteps = function (header, key, options) {
+  const steps = [wilcocrypt._.createChunkDecryptor(key, header, options.aad)];
+  if (header.compression !== "none") {
+    steps.push(wilcocrypt._.createDecompressor(header.compression));
+  }
+  return steps;
+};
+
+/* =========================
+   Signatures (internal)
+========================= */
+
+/**
+ * Parses an Ed25519 signing key.
+ *
+ * @param {string|KeyObject} signingKey - `wc-ed25519-sec:…` string or an Ed25519 private KeyObject
+ * @returns {KeyObject}
+ * @throws {WilcoCryptError} If the key is not an Ed25519 private key
+ */
+wilcocrypt._.parseSigningKey = function (signingKey) {
+  const prefix = wilcocrypt._.KEY_PREFIXES.ed25519Private;
+
+  try {
+    if (signingKey instanceof KeyObject) {
+      if (signingKey.type !== "private") throw new Error();
+      if (signingKey.asymmetricKeyType !== "ed25519") throw new Error();
+      return signingKey;
+    }
+
+    if (!signingKey.startsWith(prefix)) throw new Error();
+    const raw = Buffer.from(
+      signingKey.slice(prefix.length).trim(),
+      "base64url",
+    );
+    if (raw.length !== 32) throw new Error();
+
+    return createPrivateKey({
+      key: Buffer.concat([wilcocrypt._.ED25519_DER_PREFIXES.private, raw]),
+      format: "der",
+      type: "pkcs8",
+    });
+  } catch {
+    throw new WilcoCryptError(
+      `Invalid signing key (expected a ${prefix} private key)`,
+      "INVALID_SIGNING_KEY",
+    );
+  }
+};
+
+/**
+ * Returns the raw 32-byte public key that belongs to a signing key, as
+ * stored in the `signer` header field.
+ *
+ * @param {string|KeyObject} signingKey
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If the key is not an Ed25519 private key
+ */
+wilcocrypt._.signerOf = function (signingKey) {
+  return wilcocrypt._.rawKey(
+    createPublicKey(wilcocrypt._.parseSigningKey(signingKey)),
+  );
+};
+
+/**
+ * Parses the Ed25519 public key of a signer.
+ *
+ * @param {string|KeyObject} signer - `wc-ed25519-pub:…` string or an Ed25519 public KeyObject
+ * @returns {KeyObject}
+ * @throws {WilcoCryptError} If the key is not an Ed25519 public key
+ */
+wilcocrypt._.parseSigner = function (signer) {
+  const prefix = wilcocrypt._.KEY_PREFIXES.ed25519Public;
+
+  try {
+    if (signer instanceof KeyObject) {
+      if (signer.type !== "public") throw new Error();
+      if (signer.asymmetricKeyType !== "ed25519") throw new Error();
+      return signer;
+    }
+
+    if (!signer.startsWith(prefix)) throw new Error();
+    const raw = Buffer.from(signer.slice(prefix.length).trim(), "base64url");
+    if (raw.length !== 32) throw new Error();
+
+    return createPublicKey({
+      key: Buffer.concat([wilcocrypt._.ED25519_DER_PREFIXES.public, raw]),
+      format: "der",
+      type: "spki",
+    });
+  } catch {
+    throw new WilcoCryptError(
+      `Invalid signer (expected a ${prefix} public key)`,
+      "INVALID_SIGNING_KEY",
+    );
+  }
+};
+
+/**
+ * Starts the SHA-512 digest that a payload signature covers: the magic
+ * bytes, the version and every header field except the key slots and
+ * the MAC, followed by the body. Key slots are left out so passwords can
+ * still be added or changed without the signing key.
+ *
+ * @param {object} header - Decoded header with a `signer`
+ * @returns {import("crypto").Hash} Hash to feed the body into
+ */
+wilcocrypt._.createSignatureHash = function (header) {
+  const fields = Buffer.from(
+    JSON.stringify({
+      cipher: header.cipher,
+      noncePrefix: header.noncePrefix.toString("base64"),
+      chunkSize: header.chunkSize,
+      seekable: header.seekable,
+      compression: header.compression,
+      metadata: header.metadata?.toString("base64"),
+      signer: header.signer.toString("base64"),
+    }),
+  );
+
+  const lengthBuf = Buffer.alloc(4);
+  lengthBuf.writeUInt32BE(fields.length);
+
+  return createHash("sha512")
+    .update("wilcocrypt signature\0")
+    .update(wilcocrypt._.HEADER)
+    .update(wilcocrypt._.VERSION)
+    .update(lengthBuf)
+    .update(fields);
+};
+
+/**
+ * Signs a whole encrypted body.
+ *
+ * @param {object} header
+ * @param {Buffer} body - Segments
+ * @param {string|KeyObject} [signingKey]
+ * @returns {Buffer} The signature, or an empty Buffer for unsigned headers
+ */
+wilcocrypt._.signBody = function (header, body, signingKey) {
+  if (!header.signer) return Buffer.alloc(0);
+
+  const digest = wilcocrypt._.createSignatureHash(header).update(body).digest();
+  return crypto.sign(null, digest, wilcocrypt._.parseSigningKey(signingKey));
+};
+
+/**
+ * Creates a Transform that passes an encrypted body through and appends
+ * its signature when the body ends.
+ *
+ * @param {object} header - Header with a `signer`
+ * @param {string|KeyObject} signingKey
+ * @returns {Transform}
+ */
+wilcocrypt._.createBodySigner = function (header, signingKey) {
+  const key = wilcocrypt._.parseSigningKey(signingKey);
+  const hash = wilcocrypt._.createSignatureHash(header);
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      hash.update(data);
+      callback(null, data);
+    },
+
+    flush(callback) {
+      callback(null, crypto.sign(null, hash.digest(), key));
+    },
+  });
+};
+
+/**
+ * Returns the trusted key that signed a payload.
+ *
+ * @param {object} header
+ * @param {Array<string|KeyObject>} trustedSigners
+ * @returns {KeyObject}
+ * @throws {WilcoCryptError} With code `NOT_SIGNED` or `UNTRUSTED_SIGNER`
+ */
+wilcocrypt._.trustedSignerKey = function (header, trustedSigners) {
+  if (!header.signer) {
+    throw new WilcoCryptError("Payload is not signed", "NOT_SIGNED");
+  }
+
+  const signer = trustedSigners
+    .map(wilcocrypt._.parseSigner)
+    .find((key) =>
+      wilcocrypt._.constantTimeEqual(wilcocrypt._.rawKey(key), header.signer),
+    );
+
+  if (!signer) {
+    throw new WilcoCryptError(
+      "Payload was signed by an untrusted key",
+      "UNTRUSTED_SIGNER",
+    );
+  }
+
+  return signer;
+};
+
+/**
+ * Checks the signature of a payload against a completed digest.
+ *
+ * @param {KeyObject} signer - Trusted signer, see `trustedSignerKey`
+ * @param {Buffer} digest - From `createSignatureHash`
+ * @param {Buffer} signature
+ * @returns {void}
+ * @throws {WilcoCryptError} With code `INVALID_SIGNATURE` if it does not match
+ */
+wilcocrypt._.assertSignature = function (signer, digest, signature) {
+  if (!crypto.verify(null, digest, signer, signature)) {
+    throw new WilcoCryptError(
+      "Payload signature is invalid",
+      "INVALID_SIGNATURE",
+    );
+  }
+};
+
+/**
+ * Reads the body of a signed file once and checks its signature, for
+ * callers that must not release anything before the signature is known
+ * to be good. The body is read through `handle`, which the caller then
+ * decrypts from, so the file cannot be swapped after the check.
+ *
+ * @param {{read: Function}} handle - File handle, `VolumeSet` or
+ *   `bufferHandle`
+ * @param {object} header
+ * @param {{signature: Buffer, bodyEnd: number}} trailer - From `readFileTrailer`
+ * @param {number} bodyOffset
+ * @param {Array<string|KeyObject>} trustedSigners
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} If the payload is unsigned, the signer is not
+ *   trusted or the signature does not match
+ */
+wilcocrypt._.verifyFileSignature = async function (
+  handle,
+  header,
+  trailer,
+  bodyOffset,
+  trustedSigners,
+) {
+  const signer = wilcocrypt._.trustedSignerKey(header, trustedSigners);
+  const hash = wilcocrypt._.createSignatureHash(header);
+  const piece = Buffer.alloc(64 * 1024);
+
+  let position = bodyOffset;
+  while (position < trailer.bodyEnd) {
+    const length = Math.min(piece.length, trailer.bodyEnd - position);
+    const { bytesRead } = await handle.read(piece, 0, length, position);
+
+    if (bytesRead === 0) {
+      throw new WilcoCryptError(
+        "Decryption failed (truncated payload)",
+        "DECRYPTION_FAILED",
+      );
+    }
+
+    hash.update(piece.subarray(0, bytesRead));
+    position += bytesRead;
+  }
+
+  wilcocrypt._.assertSignature(signer, hash.digest(), trailer.signature);
+};
+
+/**
+ * Creates a Transform for a streamed body that holds back the signature
+ * following it, so only segments are passed on, and checks the signature
+ * when the stream ends if `trustedSigners` is set.
+ *
+ * A stream cannot be read twice, so the segments are released as they
+ * are authenticated, before the signature is checked: with
+ * `trustedSigners`, their plaintext is unverified until the stream ends
+ * without an error.
+ *
+ * @param {object} header
+ * @param {Array<string|KeyObject>} trustedSigners
+ * @returns {Transform|null} `null` for unsigned payloads that need no check
+ * @throws {WilcoCryptError} Right away if a signer is required but the
+ *   payload is unsigned or the signer is not trusted
+ */
+wilcocrypt._.createSignatureTrailer = function (header, trustedSigners) {
+  let signer = null;
+  if (trustedSigners.length > 0) {
+    signer = wilcocrypt._.trustedSignerKey(header, trustedSigners);
+  }
+
+  if (!header.signer) return null;
+
+  const length = wilcocrypt._.SIGNATURE_LENGTH;
+  const hash = signer ? wilcocrypt._.createSignatureHash(header) : null;
+  let held = Buffer.alloc(0);
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      const buffered = Buffer.concat([held, data]);
+      const body = buffered.subarray(0, Math.max(0, buffered.length - length));
+
+      held = buffered.subarray(body.length);
+      hash?.update(body);
+      callback(null, body);
+    },
+
+    flush(callback) {
+      try {
+        if (held.length < length) {
+          throw new WilcoCryptError(
+            "Decryption failed (truncated payload)",
+            "DECRYPTION_FAILED",
+          );
+        }
+
+        if (signer) wilcocrypt._.assertSignature(signer, hash.digest(), held);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+};
+
+/**
+ * Locates the body of a current-format file and reads the signature
+ * that follows it, if the header names a signer.
+ *
+ * @param {import("fs/promises").FileHandle} handle
+ * @param {object} header
+ * @param {number} bodyOffset
+ * @returns {Promise<{signature: Buffer|null, bodyEnd: number}>} `bodyEnd`
+ *   is the offset just past the last segment
+ * @throws {WilcoCryptError} If the file is too short to hold a segment
+ */
+wilcocrypt._.readFileTrailer = async function (handle, header, bodyOffset) {
+  const { size } = await handle.stat();
+  const length = header.signer ? wilcocrypt._.SIGNATURE_LENGTH : 0;
+  const bodyEnd = size - length;
+
+  if (bodyEnd < bodyOffset + 16) {
+    throw new WilcoCryptError(
+      "Decryption failed (truncated payload)",
+      "DECRYPTION_FAILED",
+    );
+  }
+
+  if (!header.signer) return { signature: null, bodyEnd };
+
+  const signature = Buffer.alloc(length);
+  await handle.read(signature, 0, length, bodyEnd);
+  return { signature, bodyEnd };
+};
+
+/* =========================
+   Progress and cancellation (internal)
+========================= */
+
+/**
+ * Creates the error that operations reject with once their `signal` has
+ * aborted.
+ *
+ * @returns {WilcoCryptError} With code `ABORTED`
+ */
+wilcocrypt._.abortError = function () {
+  return new WilcoCryptError("Operation aborted", "ABORTED");
+};
+
+/**
+ * Throws `ABORTED` if `signal` has aborted. Checked between the steps of
+ * an operation, since key derivation and single reads or writes cannot
+ * be interrupted.
+ *
+ * @param {AbortSignal} [signal]
+ * @throws {WilcoCryptError} With code `ABORTED`
+ */
+wilcocrypt._.throwIfAborted = function (signal) {
+  if (signal?.aborted) throw wilcocrypt._.abortError();
+};
+
+/**
+ * Destroys a stream with an `ABORTED` error when `signal` aborts, or
+ * right away if it already has.
+ *
+ * @template {import("stream").Stream} S
+ * @param {S} stream
+ * @param {AbortSignal} [signal]
+ * @returns {S} The same stream
+ */
+wilcocrypt._.abortOnSignal = function (stream, signal) {
+  if (!signal) return stream;
+
+  const abort = () => stream.destroy(wilcocrypt._.abortError());
+
+  if (signal.aborted) {
+    abort();
+  } else {
+    signal.addEventListener("abort", abort, { once: true });
+    stream.once("close", () => signal.removeEventListener("abort", abort));
+  }
+
+  return stream;
+};
+
+/**
+ * Returns a function that adds processed bytes to a running count and
+ * passes it to `onProgress`. The count starts with a report of 0 bytes,
+ * so a caller learns the total before the first chunk is done.
+ *
+ * @param {number|null} total - Bytes the operation will process, or
+ *   `null` when unknown
+ * @param {(progress: {processed: number, total: number|null}) => void} [onProgress]
+ * @returns {((bytes: number) => void)|null} `null` without `onProgress`
+ */
+wilcocrypt._.progressReporter = function (total, onProgress) {
+  if (!onProgress) return null;
+
+  let processed = 0;
+  onProgress({ processed, total });
+
+  return (bytes) => {
+    processed += bytes;
+    onProgress({ processed, total });
+  };
+};
+
+/**
+ * Creates the pipeline steps that count the bytes passing through them,
+ * to spread into a pipeline right after its source.
+ *
+ * @param {((bytes: number) => void)|null} report - From `progressReporter`
+ * @returns {Array<Transform>} One pass-through step, or none without `report`
+ */
+wilcocrypt._.progressSteps = function (report) {
+  if (!report) return [];
+
+  return [
+    new Transform({
+      transform(chunk, encoding, callback) {
+        report(chunk.length);
+        callback(null, chunk);
+      },
+    }),
+  ];
+};
+
+/* =========================
+   File output (internal)
+========================= */
+
+/**
+ * Returns an unused temporary path next to `filePath`. Files are written
+ * there first and renamed into place, which needs the same file system.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+wilcocrypt._.tempPath = function (filePath) {
+  return `${filePath}.${randomBytes(6).toString("hex")}.tmp`;
+};
+
+/**
+ * Throws `OUTPUT_EXISTS` early if `filePath` exists and may not be
+ * replaced, before any work is spent on the output.
+ *
+ * @param {string} filePath
+ * @param {boolean} [overwrite=false]
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS`
+ */
+wilcocrypt._.assertOutputAvailable = function (filePath, overwrite = false) {
+  if (overwrite) return;
+
+  try {
+    lstatSync(filePath);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+
+  throw new WilcoCryptError(
+    `Output file already exists: ${filePath}`,
+    "OUTPUT_EXISTS",
+  );
+};
+
+/**
+ * Flushes a directory, so a file renamed into it survives a crash.
+ * Best effort: not every platform can open directories.
+ *
+ * @param {string} dir
+ * @returns {Promise<void>}
+ */
+wilcocrypt._.syncDirectory = async function (dir) {
+  let handle = null;
+
+  try {
+    handle = await fsPromises.open(dir, "r");
+    await handle.sync();
+  } catch {
+    // Windows cannot open directories; the rename itself is still atomic
+  } finally {
+    await handle?.close();
+  }
+};
+
+/**
+ * Synchronous version of `syncDirectory`.
+ *
+ * @param {string} dir
+ */
+wilcocrypt._.syncDirectorySync = function (dir) {
+  let fd = null;
+
+  try {
+    fd = openSync(dir, "r");
+    fsyncSync(fd);
+  } catch {
+    // Windows cannot open directories; the rename itself is still atomic
+  } finally {
+    if (fd !== null) closeSync(fd);
+  }
+};
+
+/**
+ * Gives a replacement file the permission bits of the file it replaces,
+ * so that replacing a private file does not make it readable to others.
+ *
+ * @param {string} filePath - File about to be replaced, if it exists
+ * @param {import("fs/promises").FileHandle} handle - Replacement file
+ * @returns {Promise<void>}
+ */
+wilcocrypt._.copyMode = async function (filePath, handle) {
+  try {
+    const { mode } = await fsPromises.stat(filePath);
+    await handle.chmod(mode & 0o7777);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+/**
+ * Synchronous version of `copyMode`.
+ *
+ * @param {string} filePath
+ * @param {number} fd - Replacement file
+ */
+wilcocrypt._.copyModeSync = function (filePath, fd) {
+  try {
+    fchmodSync(fd, statSync(filePath).mode & 0o7777);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+/**
+ * Moves a completely written temporary file to `filePath`: flushes it to
+ * disk, then renames it into place, or hard-links it when an existing
+ * file must not be replaced, since a link fails atomically where a
+ * rename would overwrite. The temporary file is removed on failure.
+ *
+ * @param {string} tempPath - From `tempPath(filePath)`
+ * @param {string} filePath
+ * @param {boolean} [overwrite=false]
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS` if `filePath`
+ *   exists and `overwrite` is not set
+ */
+wilcocrypt._.commitFile = async function (tempPath, filePath, overwrite) {
+  try {
+    const handle = await fsPromises.open(tempPath, "r+");
+    try {
+      if (overwrite) await wilcocrypt._.copyMode(filePath, handle);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (overwrite) {
+      await fsPromises.rename(tempPath, filePath);
+    } else {
+      await fsPromises.link(tempPath, filePath);
+      await fsPromises.rm(tempPath, { force: true });
+    }
+  } catch (err) {
+    await fsPromises.rm(tempPath, { force: true });
+    throw wilcocrypt._.outputError(err, filePath);
+  }
+
+  await wilcocrypt._.syncDirectory(dirname(resolve(filePath)));
+};
+
+/**
+ * Synchronous version of `commitFile`.
+ *
+ * @param {string} tempPath
+ * @param {string} filePath
+ * @param {boolean} [overwrite=false]
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS`
+ */
+wilcocrypt._.commitFileSync = function (tempPath, filePath, overwrite) {
+  try {
+    const fd = openSync(tempPath, "r+");
+    try {
+      if (overwrite) wilcocrypt._.copyModeSync(filePath, fd);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+
+    if (overwrite) {
+      renameSync(tempPath, filePath);
+    } else {
+      linkSync(tempPath, filePath);
+      rmSync(tempPath, { force: true });
+    }
+  } catch (err) {
+    rmSync(tempPath, { force: true });
+    throw wilcocrypt._.outputError(err, filePath);
+  }
+
+  wilcocrypt._.syncDirectorySync(dirname(resolve(filePath)));
+};
+
+/**
+ * Writes a file atomically: readers see either the old file or the
+ * complete new one, never a partial write, even after a crash.
+ *
+ * @param {string} filePath
+ * @param {Buffer|string} data
+ * @param {boolean} [overwrite=false] - Replace an existing file
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS`
+ */
+wilcocrypt._.writeFileAtomic = async function (filePath, data, overwrite) {
+  wilcocrypt._.assertOutputAvailable(filePath, overwrite);
+  const tempPath = wilcocrypt._.tempPath(filePath);
+
+  try {
+    await fsPromises.writeFile(tempPath, data, { flag: "wx" });
+  } catch (err) {
+    await fsPromises.rm(tempPath, { force: true });
+    throw err;
+  }
+
+  await wilcocrypt._.commitFile(tempPath, filePath, overwrite);
+};
+
+/**
+ * Synchronous version of `writeFileAtomic`.
+ *
+ * @param {string} filePath
+ * @param {Buffer|string} data
+ * @param {boolean} [overwrite=false]
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS`
+ */
+wilcocrypt._.writeFileAtomicSync = function (filePath, data, overwrite) {
+  wilcocrypt._.assertOutputAvailable(filePath, overwrite);
+  const tempPath = wilcocrypt._.tempPath(filePath);
+
+  try {
+    writeFileSync(tempPath, data, { flag: "wx" });
+  } catch (err) {
+    rmSync(tempPath, { force: true });
+    throw err;
+  }
+
+  wilcocrypt._.commitFileSync(tempPath, filePath, overwrite);
+};
+
+/**
+ * Runs a pipeline into a temporary file and commits it to `filePath`.
+ * When `signal` aborts, the pipeline is torn down and the temporary file
+ * removed, so `filePath` is left as it was.
+ *
+ * @param {Array<import("stream").Stream>} pipelineSteps - Source and transforms
+ * @param {string} filePath
+ * @param {boolean} [overwrite=false]
+ * @param {Buffer} [prefix] - Bytes written before the piped data
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS` or `ABORTED`, or
+ *   any error of the pipeline
+ */
+wilcocrypt._.pipeToFileAtomic = async function (
+  pipelineSteps,
+  filePath,
+  overwrite,
+  prefix,
+  signal,
+) {
+  const tempPath = wilcocrypt._.tempPath(filePath);
+
+  try {
+    const writeStream = createWriteStream(tempPath, { flags: "wx" });
+    if (prefix) writeStream.write(prefix);
+
+    await pipeline(...pipelineSteps, writeStream, { signal });
+    wilcocrypt._.throwIfAborted(signal);
+  } catch (err) {
+    await fsPromises.rm(tempPath, { force: true });
+    if (signal?.aborted) throw wilcocrypt._.abortError();
+    throw err;
+  }
+
+  await wilcocrypt._.commitFile(tempPath, filePath, overwrite);
+};
+
+/**
+ * Checks that a freshly encrypted file decrypts, and to as many bytes as
+ * the original, before `removeOriginal` deletes it. Uses the password or
+ * symmetric keys the file was encrypted with; the file is streamed. A
+ * file that fails, or whose check is aborted, is removed.
+ *
+ * @param {string|Array<string>} encryptedPath - The file, or all volumes
+ *   of a split file
+ * @param {string|null} password
+ * @param {object} options - Normalized encryption options
+ * @param {number} size - Size of the original file in bytes
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} With code `VERIFICATION_FAILED` or `ABORTED`
+ */
+wilcocrypt._.verifyEncryptedFile = async function (
+  encryptedPath,
+  password,
+  options,
+  size,
+) {
+  const paths = [].concat(encryptedPath);
+  const removeAll = async () => {
+    for (const path of paths) await fsPromises.rm(path, { force: true });
+  };
+
+  let result;
+  try {
+    result = await wilcocrypt.verifyFile(paths[0], password, {
+      key: options.key,
+      aad: options.aad,
+      signal: options.signal,
+    });
+  } catch (err) {
+    await removeAll();
+    throw err;
+  }
+
+  if (result.valid && result.size === size) return;
+
+  await removeAll();
+  throw new WilcoCryptError(
+    `Encrypted file failed verification, original kept (${result.message ?? "size differs"})`,
+    "VERIFICATION_FAILED",
+  );
+};
+
+/**
+ * Synchronous version of `verifyEncryptedFile`, which decrypts the whole
+ * file and compares it with the original content.
+ *
+ * @param {string} encryptedPath
+ * @param {string|null} password
+ * @param {object} options - Normalized encryption options
+ * @param {Buffer} original - Content of the original file
+ * @throws {WilcoCryptError} With code `VERIFICATION_FAILED`
+ */
+wilcocrypt._.verifyEncryptedFileSync = function (
+  encryptedPath,
+  password,
+  options,
+  original,
+) {
+  let message = "content differs";
+
+  try {
+    const decrypted = wilcocrypt.decryptData(
+      readFileSync(encryptedPath),
+      password,
+      { key: options.key, aad: options.aad },
+    );
+    if (decrypted.equals(original)) return;
+  } catch (err) {
+    if (!(err instanceof WilcoCryptError)) throw err;
+    message = err.message;
+  }
+
+  rmSync(encryptedPath, { force: true });
+  throw new WilcoCryptError(
+    `Encrypted file failed verification, original kept (${message})`,
+    "VERIFICATION_FAILED",
+  );
+};
+
+/**
+ * Throws before anything is written if `removeOriginal` is set for a
+ * file encrypted only to recipients, which leaves no password or
+ * symmetric key to verify the encrypted file with.
+ *
+ * @param {string|null} password
+ * @param {object} options - Normalized encryption options
+ * @throws {WilcoCryptError} With code `CANNOT_VERIFY`
+ */
+wilcocrypt._.assertVerifiable = function (password, options) {
+  if (!options.removeOriginal || options.recipients.length === 0) return;
+  if (password != null || options.key.length > 0) return;
+
+  throw new WilcoCryptError(
+    "removeOriginal needs a password or key to verify the encrypted file",
+    "CANNOT_VERIFY",
+  );
+};
+
+/**
+ * Deletes the original of an encrypted file. Its content is overwritten
+ * with random bytes and flushed first, which is best effort only: SSDs,
+ * copy-on-write and journaling file systems, snapshots and backups may
+ * keep copies. Files with other hard links and symbolic links are only
+ * unlinked, so no other name loses its content.
+ *
+ * @param {string} filePath
+ * @returns {Promise<void>}
+ */
+wilcocrypt._.removeOriginal = async function (filePath) {
+  const stats = await fsPromises.lstat(filePath);
+
+  if (stats.isFile() && stats.nlink === 1) {
+    const handle = await fsPromises.open(filePath, "r+");
+
+    try {
+      const block = wilcocrypt._.DEFAULT_CHUNK_SIZE;
+      for (let position = 0; position < stats.size; position += block) {
+        const length = Math.min(block, stats.size - position);
+        await handle.write(randomBytes(length), 0, length, position);
+      }
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  await fsPromises.rm(filePath);
+};
+
+/**
+ * Synchronous version of `removeOriginal`.
+ *
+ * @param {string} filePath
+ */
+wilcocrypt._.removeOriginalSync = function (filePath) {
+  const stats = lstatSync(filePath);
+
+  if (stats.isFile() && stats.nlink === 1) {
+    const fd = openSync(filePath, "r+");
+
+    try {
+      const block = wilcocrypt._.DEFAULT_CHUNK_SIZE;
+      for (let position = 0; position < stats.size; position += block) {
+        const length = Math.min(block, stats.size - position);
+        writeSync(fd, randomBytes(length), 0, length, position);
+      }
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+  }
+
+  rmSync(filePath);
+};
+
+/* =========================
+   File metadata (internal)
+========================= */
+
+/**
+ * Guesses the MIME type of a file from its extension.
+ *
+ * @param {string} [name] - File name
+ * @returns {string} A type from `CONTENT_TYPES`, or `application/octet-stream`
+ */
+wilcocrypt._.guessContentType = function (name = "") {
+  const dot = name.lastIndexOf(".");
+  const extension = dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+
+  return wilcocrypt._.CONTENT_TYPES[extension] ?? "application/octet-stream";
+};
+
+/**
+ * Validates file metadata and drops unknown fields. `name` must be a
+ * plain file name, so a restored file can only land in one directory.
+ *
+ * @param {object} metadata
+ * @returns {{name?: string, mode?: number, mtime?: number, contentType?: string}}
+ * @throws {WilcoCryptError} With code `INVALID_METADATA`
+ */
+wilcocrypt._.normalizeMetadata = function (metadata) {
+  const { name, mode, mtime, contentType } = metadata ?? {};
+
+  const invalid =
+    (name !== undefined &&
+      (typeof name !== "string" ||
+        name === "" ||
+        name === "." ||
+        name === ".." ||
+        /[/\\\0]/.test(name))) ||
+    (mode !== undefined &&
+      (!Number.isSafeInteger(mode) || mode < 0 || mode > 0o7777)) ||
+    (mtime !== undefined && !Number.isFinite(mtime)) ||
+    (contentType !== undefined && typeof contentType !== "string");
+
+  if (invalid) {
+    throw new WilcoCryptError("Invalid file metadata", "INVALID_METADATA");
+  }
+
+  return { name, mode, mtime, contentType };
+};
+
+/**
+ * Collects the metadata of a file for the `metadata` option of the file
+ * encryption functions. Fields of `overrides` take precedence.
+ *
+ * @param {string} filePath
+ * @param {import("fs").Stats} stats
+ * @param {object|boolean} [overrides] - `false` stores no metadata
+ * @returns {object|false}
+ */
+wilcocrypt._.fileMetadata = function (filePath, stats, overrides) {
+  if (overrides === false) return false;
+
+  const name = basename(filePath);
+
+  return {
+    name,
+    mode: stats.mode & 0o7777,
+    mtime: stats.mtimeMs,
+    contentType: wilcocrypt._.guessContentType(name),
+    ...(typeof overrides === "object" ? overrides : {}),
+  };
+};
+
+/**
+ * Derives the key that encrypts the metadata block from the data key.
+ *
+ * @param {Buffer} key - Data key
+ * @returns {Buffer}
+ */
+wilcocrypt._.metadataKey = function (key) {
+  return Buffer.from(
+    hkdfSync("sha256", key, Buffer.alloc(0), "wilcocrypt metadata", 32),
+  );
+};
+
+/**
+ * Encrypts file metadata for the payload header.
+ *
+ * @param {Buffer} key - Data key
+ * @param {object} metadata
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @param {string} [suite="aes-256-gcm"] - Cipher suite of the payload
+ * @returns {Buffer} [iv (nonceLength)] + [encrypted JSON] + [authTag (16)]
+ * @throws {WilcoCryptError} If the metadata is invalid
+ */
+wilcocrypt._.sealMetadata = function (
+  key,
+  metadata,
+  aad,
+  suite = wilcocrypt._.DEFAULT_CIPHER,
+) {
+  const json = Buffer.from(
+    JSON.stringify(wilcocrypt._.normalizeMetadata(metadata)),
+  );
+  const iv = randomBytes(wilcocrypt._.getCipher(suite).nonceLength);
+  const { ciphertext, authTag } = wilcocrypt._.encryptData(
+    json,
+    wilcocrypt._.metadataKey(key),
+    iv,
+    aad,
+    suite,
+  );
+
+  return Buffer.concat([iv, ciphertext, authTag]);
+};
+
+/**
+ * Authenticates and decrypts a metadata block sealed by `sealMetadata`.
+ *
+ * @param {Buffer} key - Data key
+ * @param {Buffer} sealed
+ * @param {Buffer|null} [aad] - Additional authenticated data
+ * @param {string} [suite="aes-256-gcm"] - Cipher suite of the payload
+ * @returns {{name?: string, mode?: number, mtime?: number, contentType?: string}}
+ * @throws {WilcoCryptError} If the block was tampered with or is malformed
+ */
+wilcocrypt._.openMetadata = function (
+  key,
+  sealed,
+  aad,
+  suite = wilcocrypt._.DEFAULT_CIPHER,
+) {
+  const nonceLength = wilcocrypt._.getCipher(suite).nonceLength;
+  const json = wilcocrypt._.decryptData(
+    sealed.subarray(nonceLength, sealed.length - 16),
+    sealed.subarray(sealed.length - 16),
+    wilcocrypt._.metadataKey(key),
+    sealed.subarray(0, nonceLength),
+    aad,
+    suite,
+  );
+
+  let metadata;
+  try {
+    metadata = JSON.parse(json.toString("utf8"));
+  } catch {
+    throw new WilcoCryptError("Invalid file metadata", "INVALID_METADATA");
+  }
+
+  return wilcocrypt._.normalizeMetadata(metadata);
+};
+
+/**
+ * Chooses where a decrypted file is written when its metadata is
+ * restored: `outputPath` if given, otherwise the original name next to
+ * the encrypted file. Neither replaces an existing file unless
+ * `overwrite` is set.
+ *
+ * @param {string} inputPath - Path to the encrypted file
+ * @param {string|null|undefined} outputPath
+ * @param {object|null} metadata - Decrypted metadata, if the payload has any
+ * @param {boolean} [overwrite=false]
+ * @returns {{path: string, exclusive: boolean}}
+ * @throws {WilcoCryptError} With code `NO_METADATA` if there is no name to restore
+ */
+wilcocrypt._.restoreTarget = function (
+  inputPath,
+  outputPath,
+  metadata,
+  overwrite = false,
+) {
+  if (outputPath) return { path: outputPath, exclusive: !overwrite };
+
+  if (!metadata?.name) {
+    throw new WilcoCryptError(
+      "Payload has no original file name; pass an output path",
+      "NO_METADATA",
+    );
+  }
+
+  return {
+    path: join(dirname(inputPath), metadata.name),
+    exclusive: !overwrite,
+  };
+};
+
+/**
+ * Turns the error of an exclusive create into `OUTPUT_EXISTS`.
+ *
+ * @param {Error} err
+ * @param {string} outputPath
+ * @returns {Error}
+ */
+wilcocrypt._.outputError = function (err, outputPath) {
+  if (err.code !== "EEXIST") return err;
+
+  return new WilcoCryptError(
+    `Output file already exists: ${outputPath}`,
+    "OUTPUT_EXISTS",
+  );
+};
+
+/**
+ * Applies the mode and modification time of restored metadata to a file.
+ * Only the permission bits are restored: anyone who knows the password
+ * can write the metadata, so setuid, setgid and sticky bits are dropped,
+ * as for archive entries.
+ *
+ * @param {string} filePath
+ * @param {object|null} metadata
+ * @returns {Promise<void>}
+ */
+wilcocrypt._.applyMetadata = async function (filePath, metadata) {
+  if (metadata?.mode !== undefined) {
+    await fsPromises.chmod(filePath, metadata.mode & 0o777);
+  }
+
+  if (metadata?.mtime !== undefined) {
+    const mtime = metadata.mtime / 1000;
+    await fsPromises.utimes(filePath, mtime, mtime);
+  }
+};
+
+/**
+ * Synchronous version of `applyMetadata`.
+ *
+ * @param {string} filePath
+ * @param {object|null} metadata
+ * @returns {void}
+ */
+wilcocrypt._.applyMetadataSync = function (filePath, metadata) {
+  if (metadata?.mode !== undefined) chmodSync(filePath, metadata.mode & 0o777);
+
+  if (metadata?.mtime !== undefined) {
+    const mtime = metadata.mtime / 1000;
+    utimesSync(filePath, mtime, mtime);
+  }
+};
+
+/* =========================
+   Format registry (internal)
+========================= */
+
+/**
+ * Registry of every payload format version WilcoCrypt can decode,
+ * keyed by the version string embedded right after `HEADER`.
+ *
+ * Each entry receives the offset of the first byte after the version
+ * string and implements `decrypt`, `decryptAsync`, `open`, `openAsync`,
+ * `openStream` and `inspect` for its own layout. Formats written
+ * without `HEADER` also implement `detect`, and get offset 0.
+ *
+ * @type {Object<string, object>}
+ */
+wilcocrypt._.FORMATS = {};
+
+/**
+ * Keys of the MessagePack map that v2.1.x payloads were stored in.
+ * @type {string[]}
+ */
+wilcocrypt._.LEGACY_FIELDS = [
+  "version",
+  "salt",
+  "iv",
+  "authTag",
+  "encryptedData",
+];
+
+/**
+ * Width of the length prefix of MessagePack strings and binaries, and
+ * of unsigned integers, by type byte.
+ * @type {{lengths: Object<number, number>, uints: Object<number, number>}}
+ */
+wilcocrypt._.MSGPACK_WIDTHS = {
+  lengths: { 0xc4: 1, 0xc5: 2, 0xc6: 4, 0xd9: 1, 0xda: 2, 0xdb: 4 },
+  uints: { 0xcc: 1, 0xcd: 2, 0xce: 4 },
+};
+
+/**
+ * Reads one MessagePack value of a type the v2.1.x envelope used for its
+ * fields: strings, binaries, small integers, booleans and nil.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset - Offset of the type byte
+ * @returns {{value: string|Buffer|number|boolean|null, end: number}} The
+ *   value and the offset of the byte after it
+ * @throws {WilcoCryptError} With code `INVALID_HEADER` for other types or
+ *   a value cut short
+ */
+wilcocrypt._.readMsgpack = function (buffer, offset) {
+  const { lengths, uints } = wilcocrypt._.MSGPACK_WIDTHS;
+  const type = buffer[offset];
+  let width = 0;
+  let length = type - 0xa0;
+
+  if (type === undefined) {
+    throw new WilcoCryptError("Truncated payload envelope", "INVALID_HEADER");
+  }
+  if (type <= 0x7f) return { value: type, end: offset + 1 };
+  if (type >= 0xe0) return { value: type - 0x100, end: offset + 1 };
+  if (type === 0xc0) return { value: null, end: offset + 1 };
+  if (type === 0xc2 || type === 0xc3) {
+    return { value: type === 0xc3, end: offset + 1 };
+  }
+
+  if (uints[type] !== undefined) {
+    width = uints[type];
+    length = 0;
+  } else if (type < 0xa0 || type > 0xbf) {
+    width = lengths[type];
+    if (width === undefined) {
+      throw new WilcoCryptError(
+        `Unsupported MessagePack type 0x${type.toString(16)} in payload envelope`,
+        "INVALID_HEADER",
+      );
+    }
+  }
+
+  const start = offset + 1 + width;
+  if (start > buffer.length) {
+    throw new WilcoCryptError("Truncated payload envelope", "INVALID_HEADER");
+  }
+  if (uints[type] !== undefined) {
+    return { value: buffer.readUIntBE(offset + 1, width), end: start };
+  }
+  if (width > 0) length = buffer.readUIntBE(offset + 1, width);
+
+  const end = start + length;
+  if (end > buffer.length) {
+    throw new WilcoCryptError("Truncated payload envelope", "INVALID_HEADER");
+  }
+
+  const bytes = buffer.subarray(start, end);
+  const binary = type >= 0xc4 && type <= 0xc6;
+  return { value: binary ? bytes : bytes.toString("utf8"), end };
+};
+
+/**
+ * Format 2.1.x:
+ * MessagePack map of `salt`, `iv`, `authTag` and `encryptedData`, as hex
+ * strings or binaries, and optionally `version`, without `HEADER`
+ *
+ * The key is derived with scrypt using Node's default cost parameters,
+ * as in format 2.2.0. The envelope has no version string, so `detect`
+ * recognizes it by its first key instead; inspection and streaming need
+ * the whole payload.
+ */
+wilcocrypt._.FORMATS["2.1.x"] = {
+  /**
+   * Whether a payload, or a prefix of it, starts with a MessagePack map
+   * whose first key is a field of the envelope.
+   *
+   * @param {Buffer} buffer
+   * @returns {boolean}
+   */
+  detect(buffer) {
+    let offset = 1;
+    if (buffer[0] === 0xde) offset = 3;
+    else if (buffer[0] === 0xdf) offset = 5;
+    else if (!(buffer[0] >= 0x81 && buffer[0] <= 0x8f)) return false;
+
+    const length = buffer[offset] - 0xa0;
+    if (!(length >= 0 && length < 32)) return false;
+
+    const key = buffer.subarray(offset + 1, offset + 1 + length);
+    return wilcocrypt._.LEGACY_FIELDS.includes(key.toString("latin1"));
+  },
+
+  /**
+   * Format 2.1.x payloads cannot be signed, so requiring a signer fails.
+   *
+   * @param {{trustedSigners: Array}} options
+   * @throws {WilcoCryptError} With code `NOT_SIGNED` if `trustedSigners` is set
+   */
+  assertUnsigned(options) {
+    if (options.trustedSigners.length > 0) {
+      throw new WilcoCryptError(
+        "Format 2.1.x payloads are not signed",
+        "NOT_SIGNED",
+      );
+    }
+  },
+
+  /**
+   * Decodes a field of the envelope.
+   *
+   * @param {*} value - Hex string or binary
+   * @param {number|null} length - Required length in bytes, if fixed
+   * @returns {Buffer}
+   * @throws {WilcoCryptError} With code `INVALID_HEADER` for anything else
+   */
+  field(value, length) {
+    let bytes = null;
+    if (Buffer.isBuffer(value)) bytes = value;
+    if (typeof value === "string" && /^(?:[0-9a-f]{2})*$/i.test(value)) {
+      bytes = Buffer.from(value, "hex");
+    }
+
+    if (!bytes || (length !== null && bytes.length !== length)) {
+      throw new WilcoCryptError("Malformed payload envelope", "INVALID_HEADER");
+    }
+    return bytes;
+  },
+
+  /**
+   * Splits a 2.1.x payload into its parts.
+   *
+   * @param {Buffer} encryptedBuffer - Whole payload
+   * @returns {{salt: Buffer, iv: Buffer, ciphertext: Buffer, authTag: Buffer, encodedLength: number}}
+   *   `encodedLength` is the size of `encryptedData` as stored
+   * @throws {WilcoCryptError} With code `INVALID_HEADER` on a malformed or
+   *   truncated envelope
+   */
+  parse(encryptedBuffer) {
+    const type = encryptedBuffer[0];
+    let count = type - 0x80;
+    let offset = 1;
+
+    if (type === 0xde || type === 0xdf) {
+      offset = type === 0xde ? 3 : 5;
+      if (encryptedBuffer.length < offset) {
+        throw new WilcoCryptError(
+          "Truncated payload envelope",
+          "INVALID_HEADER",
+        );
+      }
+      count = encryptedBuffer.readUIntBE(1, offset - 1);
+    } else if (!(type >= 0x80 && type <= 0x8f)) {
+      throw new WilcoCryptError("Invalid WilcoCrypt header", "INVALID_HEADER");
+    }
+
+    const fields = new Map();
+    for (let i = 0; i < count; i++) {
+      const key = wilcocrypt._.readMsgpack(encryptedBuffer, offset);
+      const value = wilcocrypt._.readMsgpack(encryptedBuffer, key.end);
+
+      if (typeof key.value !== "string" || fields.has(key.value)) {
+        throw new WilcoCryptError(
+          "Malformed payload envelope",
+          "INVALID_HEADER",
+        );
+      }
+      fields.set(key.value, value.value);
+      offset = value.end;
+    }
+
+    if (offset !== encryptedBuffer.length) {
+      throw new WilcoCryptError("Malformed payload envelope", "INVALID_HEADER");
+    }
+
+    const ciphertext = this.field(fields.get("encryptedData"), null);
+    return {
+      salt: this.field(fields.get("salt"), 16),
+      iv: this.field(fields.get("iv"), 12),
+      ciphertext,
+      authTag: this.field(fields.get("authTag"), 16),
+      encodedLength: Buffer.isBuffer(fields.get("encryptedData"))
+        ? ciphertext.length
+        : ciphertext.length * 2,
+    };
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset - Always 0
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Buffer}
+   */
+  decrypt(encryptedBuffer, offset, password, options) {
+    const { salt, iv, ciphertext, authTag } = this.parse(encryptedBuffer);
+
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const key = scryptSync(password, salt, 32);
+    const decrypted = wilcocrypt._.decryptData(
+      ciphertext,
+      authTag,
+      key,
+      iv,
+      options.aad,
+    );
+
+    return options.gzip ? gunzipSync(decrypted) : decrypted;
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset - Always 0
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<Buffer>}
+   */
+  async decryptAsync(encryptedBuffer, offset, password, options) {
+    const { salt, iv, ciphertext, authTag } = this.parse(encryptedBuffer);
+
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const key = await scryptAsync(password, salt, 32);
+    const decrypted = wilcocrypt._.decryptData(
+      ciphertext,
+      authTag,
+      key,
+      iv,
+      options.aad,
+    );
+
+    return options.gzip ? gunzipSync(decrypted) : decrypted;
+  },
+
+  /**
+   * Like `decrypt`; format 2.1.x payloads carry no file metadata.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {{data: Buffer, metadata: null}}
+   */
+  open(encryptedBuffer, offset, password, options) {
+    return {
+      data: this.decrypt(encryptedBuffer, offset, password, options),
+      metadata: null,
+    };
+  },
+
+  /**
+   * Asynchronous version of `open`.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{data: Buffer, metadata: null}>}
+   */
+  async openAsync(encryptedBuffer, offset, password, options) {
+    return {
+      data: await this.decryptAsync(encryptedBuffer, offset, password, options),
+      metadata: null,
+    };
+  },
+
+  /**
+   * Prepares streaming decryption of a payload. The fields of the
+   * envelope can come in any order, so the single step collects the
+   * whole payload and decrypts it in memory when the input ends.
+   *
+   * @param {import("fs/promises").FileHandle} handle - Open handle on the payload
+   * @param {number} offset - Always 0
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{bodyStart: number, bodyEnd: number, steps: Array<Transform>, metadata: null}>}
+   */
+  async openStream(handle, offset, password, options) {
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const format = this;
+    const chunks = [];
+    const { size } = await handle.stat();
+
+    const collector = new Transform({
+      transform(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      flush(callback) {
+        format
+          .decryptAsync(Buffer.concat(chunks), 0, password, options)
+          .then((data) => callback(null, data), callback);
+      },
+    });
+
+    return { bodyStart: 0, bodyEnd: size, steps: [collector], metadata: null };
+  },
+
+  /**
+   * Describes a 2.1.x payload. The whole payload is needed to find the
+   * ciphertext in the envelope; a cut envelope does not parse, so a
+   * payload that does is never reported as truncated.
+   *
+   * @param {Buffer} prefix - Whole payload
+   * @param {number} offset - Always 0
+   * @param {number} size - Total payload size
+   * @returns {object} See `wilcocrypt.inspect`
+   * @throws {WilcoCryptError} With code `INVALID_HEADER` on a malformed or
+   *   truncated envelope
+   */
+  inspect(prefix, offset, size) {
+    const { ciphertext, encodedLength } = this.parse(prefix);
+
+    return {
+      cipher: "aes-256-gcm",
+      headerLength: size - encodedLength,
+      slots: [
+        {
+          type: "password",
+          kdf: { name: "scrypt", ...wilcocrypt._.KDF_DEFAULTS.scrypt },
+          saltLength: 16,
+        },
+      ],
+      nonceLength: 12,
+      chunkSize: null,
+      segments: null,
+      seekable: false,
+      compression: null,
+      compressed: null,
+      contentLength: ciphertext.length,
+      metadata: false,
+      signer: null,
+      truncated: false,
+    };
+  },
+};
+
+/**
+ * Format 2.2.0:
+ * [HEADER (10)] + ["2.2.0" (5)] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+ *
+ * The key is derived with scrypt using Node's default cost parameters.
+ */
+wilcocrypt._.FORMATS["2.2.0"] = {
+  /**
+   * Format 2.2.0 payloads cannot be signed, so requiring a signer fails.
+   *
+   * @param {{trustedSigners: Array}} options
+   * @throws {WilcoCryptError} With code `NOT_SIGNED` if `trustedSigners` is set
+   */
+  assertUnsigned(options) {
+    if (options.trustedSigners.length > 0) {
+      throw new WilcoCryptError(
+        "Format 2.2.0 payloads are not signed",
+        "NOT_SIGNED",
+      );
+    }
+  },
+
+  /**
+   * Splits a 2.2.0 payload into its parts.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset - Offset of the first byte after the version
+   * @returns {{salt: Buffer, iv: Buffer, ciphertext: Buffer, authTag: Buffer}}
+   */
+  parse(encryptedBuffer, offset) {
+    const salt = encryptedBuffer.subarray(offset, (offset += 16));
+    const iv = encryptedBuffer.subarray(offset, (offset += 12));
+
+    // authTag are the last 16 bytes; ciphertext is everything in between
+    const authTag = encryptedBuffer.subarray(encryptedBuffer.length - 16);
+    const ciphertext = encryptedBuffer.subarray(
+      offset,
+      encryptedBuffer.length - 16,
+    );
+
+    return { salt, iv, ciphertext, authTag };
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Buffer}
+   */
+  decrypt(encryptedBuffer, offset, password, options) {
+    const { salt, iv, ciphertext, authTag } = this.parse(
+      encryptedBuffer,
+      offset,
+    );
+
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const key = scryptSync(password, salt, 32);
+    const decrypted = wilcocrypt._.decryptData(
+      ciphertext,
+      authTag,
+      key,
+      iv,
+      options.aad,
+    );
+
+    return options.gzip ? gunzipSync(decrypted) : decrypted;
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<Buffer>}
+   */
+  async decryptAsync(encryptedBuffer, offset, password, options) {
+    const { salt, iv, ciphertext, authTag } = this.parse(
+      encryptedBuffer,
+      offset,
+    );
+
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const key = await scryptAsync(password, salt, 32);
+    const decrypted = wilcocrypt._.decryptData(
+      ciphertext,
+      authTag,
+      key,
+      iv,
+      options.aad,
+    );
+
+    return options.gzip ? gunzipSync(decrypted) : decrypted;
+  },
+
+  /**
+   * Like `decrypt`; format 2.2.0 payloads carry no file metadata.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {{data: Buffer, metadata: null}}
+   */
+  open(encryptedBuffer, offset, password, options) {
+    return {
+      data: this.decrypt(encryptedBuffer, offset, password, options),
+      metadata: null,
+    };
+  },
+
+  /**
+   * Asynchronous version of `open`.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{data: Buffer, metadata: null}>}
+   */
+  async openAsync(encryptedBuffer, offset, password, options) {
+    return {
+      data: await this.decryptAsync(encryptedBuffer, offset, password, options),
+      metadata: null,
+    };
+  },
+
+  /**
+   * Prepares streaming decryption of a payload. The auth tag is only
+   * checked at the end of the body.
+   *
+   * @param {import("fs/promises").FileHandle} handle - Open handle on the payload
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{bodyStart: number, bodyEnd: number, steps: Array<Transform>, metadata: null}>}
+   */
+  async openStream(handle, offset, password, options) {
+    this.assertUnsigned(options);
+    wilcocrypt._.assertPassword(password);
+
+    const salt = Buffer.alloc(16);
+    const iv = Buffer.alloc(12);
+
+    await handle.read(salt, 0, 16, offset);
+    offset += 16;
+    await handle.read(iv, 0, 12, offset);
+    offset += 12;
+
+    const stats = await handle.stat();
+    const authTag = Buffer.alloc(16);
+    await handle.read(authTag, 0, 16, stats.size - 16);
+
+    const key = scryptSync(password, salt, 32);
+    const decipher = createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(authTag);
+    if (options.aad) decipher.setAAD(options.aad);
+
+    const steps = [decipher];
+    if (options.gzip) steps.push(createGunzip());
+
+    return {
+      bodyStart: offset,
+      bodyEnd: stats.size - 16,
+      steps,
+      metadata: null,
+    };
+  },
+
+  /**
+   * Describes a 2.2.0 payload. Its layout is fixed, so only the total
+   * size is needed. `truncated` is `true` when the payload is too short
+   * to hold its salt, IV and auth tag; a payload cut inside the
+   * ciphertext fits the layout and only fails on decryption.
+   *
+   * @param {Buffer} prefix - Start of the payload
+   * @param {number} offset - Offset of the first byte after the version
+   * @param {number} size - Total payload size
+   * @returns {object} See `wilcocrypt.inspect`
+   */
+  inspect(prefix, offset, size) {
+    const contentLength = size - offset - 16 - 12 - 16;
+
+    return {
+      cipher: "aes-256-gcm",
+      headerLength: offset + 16 + 12,
+      slots: [
+        {
+          type: "password",
+          kdf: { name: "scrypt", ...wilcocrypt._.KDF_DEFAULTS.scrypt },
+          saltLength: 16,
+        },
+      ],
+      nonceLength: 12,
+      chunkSize: null,
+      segments: null,
+      seekable: false,
+      compression: null,
+      compressed: null,
+      contentLength: Math.max(0, contentLength),
+      metadata: false,
+      signer: null,
+      truncated: contentLength < 0,
+    };
+  },
+};
+
+/**
+ * Format 2.3.0:
+ * [HEADER (10)] + ["2.3.0" (5)] + [header length (4)] + [header JSON] + [segments]
+ *
+ * The JSON header records the key derivation function, its parameters
+ * and salt, the nonce prefix, the chunk size and whether the payload is
+ * seekable, so payloads describe how to decrypt themselves. Its `mac`
+ * authenticates all of it, see `headerMac`. The body is a sequence of
+ * independently authenticated segments, see `chunkNonce`, followed by an
+ * Ed25519 signature if the header names a `signer`.
+ */
+wilcocrypt._.FORMATS["2.3.0"] = {
+  /**
+   * Splits a 2.3.0 payload into its header, chunked body and signature.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset - Offset of the first byte after the version
+   * @returns {{header: object, body: Buffer, signature: Buffer|null}}
+   */
+  parse(encryptedBuffer, offset) {
+    const length = wilcocrypt._.readHeaderLength(
+      encryptedBuffer.subarray(offset, (offset += 4)),
+    );
+
+    if (encryptedBuffer.length < offset + length) {
+      throw new WilcoCryptError("Truncated payload header", "INVALID_HEADER");
+    }
+
+    const header = wilcocrypt._.decodeHeader(
+      encryptedBuffer.subarray(offset, (offset += length)),
+    );
+
+    if (!header.signer) {
+      return {
+        header,
+        body: encryptedBuffer.subarray(offset),
+        signature: null,
+      };
+    }
+
+    const bodyEnd = Math.max(
+      offset,
+      encryptedBuffer.length - wilcocrypt._.SIGNATURE_LENGTH,
+    );
+
+    return {
+      header,
+      body: encryptedBuffer.subarray(offset, bodyEnd),
+      signature: encryptedBuffer.subarray(bodyEnd),
+    };
+  },
+
+  /**
+   * Checks the signature of a parsed payload if `options.trustedSigners`
+   * asks for one.
+   *
+   * @param {{header: object, body: Buffer, signature: Buffer|null}} parsed
+   * @param {{trustedSigners: Array}} options
+   * @throws {WilcoCryptError} If the payload is unsigned, signed by an
+   *   untrusted key, or its signature does not match
+   */
+  assertSigned({ header, body, signature }, options) {
+    if (options.trustedSigners.length === 0) return;
+
+    const signer = wilcocrypt._.trustedSignerKey(
+      header,
+      options.trustedSigners,
+    );
+    const digest = wilcocrypt._.createSignatureHash(header)
+      .update(body)
+      .digest();
+
+    wilcocrypt._.assertSignature(signer, digest, signature);
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Buffer}
+   */
+  decrypt(encryptedBuffer, offset, password, options) {
+    return this.open(encryptedBuffer, offset, password, options).data;
+  },
+
+  /**
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<Buffer>}
+   */
+  async decryptAsync(encryptedBuffer, offset, password, options) {
+    return (await this.openAsync(encryptedBuffer, offset, password, options))
+      .data;
+  },
+
+  /**
+   * Decrypts a payload together with its file metadata.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {{data: Buffer, metadata: object|null}}
+   */
+  open(encryptedBuffer, offset, password, options) {
+    const parsed = this.parse(encryptedBuffer, offset);
+    this.assertSigned(parsed, options);
+
+    const { header, body } = parsed;
+    const key = wilcocrypt._.unlockHeader(header, password, options);
+    return this.openBody(header, body, key, options);
+  },
+
+  /**
+   * Asynchronous version of `open`.
+   *
+   * @param {Buffer} encryptedBuffer
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{data: Buffer, metadata: object|null}>}
+   */
+  async openAsync(encryptedBuffer, offset, password, options) {
+    const parsed = this.parse(encryptedBuffer, offset);
+    this.assertSigned(parsed, options);
+
+    const { header, body } = parsed;
+    const key = await wilcocrypt._.unlockHeaderAsync(header, password, options);
+    return this.openBody(header, body, key, options);
+  },
+
+  /**
+   * @param {object} header - Decoded header
+   * @param {Buffer} body - Segments
+   * @param {Buffer} key - Data key
+   * @param {{gzip: boolean}} options
+   * @returns {{data: Buffer, metadata: object|null}}
+   */
+  openBody(header, body, key, options) {
+    let metadata = null;
+    if (header.metadata) {
+      metadata = wilcocrypt._.openMetadata(
+        key,
+        header.metadata,
+        options.aad,
+        header.cipher,
+      );
+    }
+    const decrypted = wilcocrypt._.decryptChunks(
+      body,
+      key,
+      header,
+      options.aad,
+    );
+
+    return {
+      data: wilcocrypt._.decompress(decrypted, header.compression),
+      metadata,
+    };
+  },
+
+  /**
+   * Prepares streaming decryption of a payload: reads the header and the
+   * signature, checks the signature with `options.trustedSigners`, unlocks
+   * the data key and opens the file metadata.
+   *
+   * @param {import("fs/promises").FileHandle} handle - Open handle on the payload
+   * @param {number} offset
+   * @param {string} password
+   * @param {{gzip: boolean}} options
+   * @returns {Promise<{bodyStart: number, bodyEnd: number, steps: Array<Transform>, metadata: object|null, key: Buffer}>}
+   */
+  async openStream(handle, offset, password, options) {
+    const { header, offset: bodyOffset } = await wilcocrypt._.readFileHeader(
+      handle,
+      offset,
+    );
+    const { signature, bodyEnd } = await wilcocrypt._.readFileTrailer(
+      handle,
+      header,
+      bodyOffset,
+    );
+
+    // The whole body is hashed before unlocking, so an untrusted or
+    // forged payload releases nothing
+    if (options.trustedSigners.length > 0) {
+      await wilcocrypt._.verifyFileSignature(
+        handle,
+        header,
+        { signature, bodyEnd },
+        bodyOffset,
+        options.trustedSigners,
+      );
+    }
+
+    const key = await wilcocrypt._.unlockHeaderAsync(header, password, options);
+    let metadata = null;
+    if (header.metadata) {
+      metadata = wilcocrypt._.openMetadata(
+        key,
+        header.metadata,
+        options.aad,
+        header.cipher,
+      );
+    }
+
+    const steps = wilcocrypt._.bodyDecryptionSteps(header, key, options);
+
+    return { bodyStart: bodyOffset, bodyEnd, steps, metadata, key };
+  },
+
+  /**
+   * Describes a 2.3.0 payload from its header and size. The last 64
+   * bytes of a payload whose header names a signer are taken to be the
+   * signature, and the rest after the header to be segments.
+   *
+   * `truncated` compares the body with that layout: it is `true` when
+   * the last segment is shorter than an auth tag, which no complete
+   * payload has. A payload cut at a segment boundary, or one whose
+   * signature was cut off, still fits it and only fails on decryption.
+   *
+   * @param {Buffer} prefix - Start of the payload, including its header
+   * @param {number} offset - Offset of the first byte after the version
+   * @param {number} size - Total payload size
+   * @returns {object} See `wilcocrypt.inspect`
+   * @throws {WilcoCryptError} On truncated or malformed headers
+   */
+  inspect(prefix, offset, size) {
+    const length = wilcocrypt._.readHeaderLength(
+      prefix.subarray(offset, offset + 4),
+    );
+    const headerLength = offset + 4 + length;
+
+    if (prefix.length < headerLength) {
+      throw new WilcoCryptError("Truncated payload header", "INVALID_HEADER");
+    }
+
+    const header = wilcocrypt._.decodeHeader(
+      prefix.subarray(offset + 4, headerLength),
+    );
+    const signatureLength = header.signer ? wilcocrypt._.SIGNATURE_LENGTH : 0;
+    const bodyLength = size - headerLength - signatureLength;
+    const segmentSize = header.chunkSize + 16;
+    const segments = Math.max(1, Math.ceil(bodyLength / segmentSize));
+    const lastSegment = bodyLength - (segments - 1) * segmentSize;
+
+    let signer = null;
+    if (header.signer) {
+      signer =
+        wilcocrypt._.KEY_PREFIXES.ed25519Public +
+        header.signer.toString("base64url");
+    }
+
+    return {
+      cipher: header.cipher,
+      headerLength,
+      slots: header.slots.map(({ type, kdf, salt }) => {
+        if (type === "password") return { type, kdf, saltLength: salt.length };
+        if (type === "key") return { type, saltLength: salt.length };
+        return { type };
+      }),
+      nonceLength: wilcocrypt._.CIPHERS[header.cipher].nonceLength,
+      chunkSize: header.chunkSize,
+      segments,
+      seekable: header.seekable,
+      compression: header.compression,
+      compressed: header.compression !== "none",
+      contentLength: Math.max(0, bodyLength - segments * 16),
+      metadata: header.metadata !== null,
+      signer,
+      truncated: lastSegment < 16,
+    };
+  },
+};
+
+/**
+ * Runs a decryption pipeline into `outputPath`. The plaintext goes to a
+ * temporary file that only replaces `outputPath` once decryption and the
+ * integrity check succeeded.
+ *
+ * @param {Array<import("stream").Stream>} pipelineSteps - Source and transforms
+ * @param {string} outputPath
+ * @param {boolean} [exclusive=false] - Refuse to replace an existing file
+ * @param {AbortSignal} [signal] - Cancels the pipeline
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS` for an existing
+ *   exclusive output, `ABORTED` when `signal` aborts, otherwise
+ *   `DECRYPTION_FAILED` on any failure
+ */
+wilcocrypt._.pipeToOutput = async function (
+  pipelineSteps,
+  outputPath,
+  exclusive = false,
+  signal,
+) {
+  wilcocrypt._.assertOutputAvailable(outputPath, !exclusive);
+
+  try {
+    await wilcocrypt._.pipeToFileAtomic(
+      pipelineSteps,
+      outputPath,
+      !exclusive,
+      undefined,
+      signal,
+    );
+  } catch (err) {
+    if (err instanceof WilcoCryptError) throw err;
+    throw new WilcoCryptError(
+      "Decryption failed (invalid password, corrupted data, or tampered file)",
+      "DECRYPTION_FAILED",
+    );
+  }
+};
+
+/**
+ * Wraps an in-memory payload in the subset of the `FileHandle` interface
+ * that `openStream` uses, so buffers and files share one code path.
+ *
+ * @param {Buffer} buffer
+ * @returns {{read: Function, stat: Function}}
+ */
+wilcocrypt._.bufferHandle = function (buffer) {
+  return {
+    async read(target, targetOffset, length, position) {
+      if (position >= buffer.length) return { bytesRead: 0, buffer: target };
+
+      const end = Math.min(buffer.length, position + length);
+      const bytesRead = buffer.copy(target, targetOffset, position, end);
+      return { bytesRead, buffer: target };
+    },
+
+    async stat() {
+      return { size: buffer.length };
+    },
+  };
+};
+
+/**
+ * Builds the result of a failed verification. Only WilcoCrypt errors
+ * describe the payload; anything else, such as an unreadable file, is
+ * rethrown.
+ *
+ * @param {Error} err
+ * @param {string|null} version
+ * @param {number} size - Plaintext bytes authenticated before the failure
+ * @returns {object} See `wilcocrypt.verifyData`
+ * @throws {Error} If `err` is not a `WilcoCryptError`
+ */
+wilcocrypt._.verificationFailure = function (err, version, size) {
+  if (!(err instanceof WilcoCryptError)) throw err;
+
+  return {
+    valid: false,
+    version,
+    size,
+    metadata: null,
+    signatureVerified: false,
+    code: err.code,
+    message: err.message,
+  };
+};
+
+/**
+ * Authenticates a whole payload by running it through the decryption
+ * pipeline into a sink that only counts the plaintext bytes.
+ *
+ * @param {{read: Function, stat: Function}} handle - File handle or
+ *   `VolumeSet`, or see `bufferHandle`
+ * @param {(start: number, end: number, key?: Buffer) => Readable} createSource -
+ *   Creates a stream over the body bytes from `start` up to, not
+ *   including, `end`; `key` is the data key of current-format payloads
+ * @param {string|null} password
+ * @param {object} options - Normalized decryption options
+ * @returns {Promise<object>} See `wilcocrypt.verifyData`
+ */
+wilcocrypt._.verifyPayload = async function (
+  handle,
+  createSource,
+  password,
+  options,
+) {
+  let version = null;
+  let size = 0;
+
+  try {
+    // Header plus the longest version string we could possibly know about
+    const prefix = Buffer.alloc(wilcocrypt._.HEADER.length + 32);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+    const detected = wilcocrypt._.detectFormat(prefix.subarray(0, bytesRead));
+    version = detected.version;
+
+    const { bodyStart, bodyEnd, steps, metadata, key } =
+      await detected.format.openStream(
+        handle,
+        detected.offset,
+        password,
+        options,
+      );
+    const sink = new Writable({
+      write(chunk, encoding, callback) {
+        size += chunk.length;
+        callback();
+      },
+    });
+    const report = wilcocrypt._.progressReporter(
+      bodyEnd - bodyStart,
+      options.onProgress,
+    );
+
+    try {
+      await pipeline(
+        createSource(bodyStart, bodyEnd, key),
+        ...wilcocrypt._.progressSteps(report),
+        ...steps,
+        sink,
+        { signal: options.signal },
+      );
+    } catch (err) {
+      wilcocrypt._.throwIfAborted(options.signal);
+      let failure = err;
+      if (!(err instanceof WilcoCryptError)) {
+        failure = new WilcoCryptError(
+          "Decryption failed (invalid password, corrupted data, or tampered file)",
+          "DECRYPTION_FAILED",
+        );
+      }
+      throw await wilcocrypt._.locateVolumeError(handle, key, failure);
+    }
+
+    return {
+      valid: true,
+      version,
+      size,
+      metadata,
+      signatureVerified: options.trustedSigners.length > 0,
+      code: null,
+      message: null,
+    };
+  } catch (err) {
+    if (err.code === "ABORTED") throw err;
+    return wilcocrypt._.verificationFailure(err, version, size);
+  }
+};
+
+/**
+ * Validates the header of a payload and looks up its format version.
+ *
+ * Only the first bytes of the payload are needed, so a short prefix read
+ * from a file is enough.
+ *
+ * @param {Buffer} buffer - Payload, or a prefix of it
+ * @returns {{version: string, format: object, offset: number}} The matching
+ *   format entry and the offset of the first byte after the version string
+ * @throws {WilcoCryptError} On invalid header or unknown version
+ */
+wilcocrypt._.detectFormat = function (buffer) {
+  const headLen = wilcocrypt._.HEADER.length;
+
+  if (wilcocrypt._.isArmored(buffer)) {
+    throw new WilcoCryptError(
+      "Payload is ASCII-armored (decode it with dearmor first)",
+      "INVALID_HEADER",
+    );
+  }
+
+  if (wilcocrypt._.isVolume(buffer)) {
+    throw new WilcoCryptError(
+      "Payload is a volume of a split file (decrypt it with decryptFileStream)",
+      "INVALID_HEADER",
+    );
+  }
+
+  // Formats without the header recognize their own payloads
+  for (const [version, format] of Object.entries(wilcocrypt._.FORMATS)) {
+    if (format.detect?.(buffer)) return { version, format, offset: 0 };
+  }
+
+  if (!buffer.subarray(0, headLen).equals(wilcocrypt._.HEADER)) {
+    throw new WilcoCryptError("Invalid WilcoCrypt header", "INVALID_HEADER");
+  }
+
+  // Longest first, so a version can never shadow a longer one it prefixes
+  const versions = Object.keys(wilcocrypt._.FORMATS)
+    .filter((version) => !wilcocrypt._.FORMATS[version].detect)
+    .sort((a, b) => b.length - a.length);
+
+  for (const version of versions) {
+    const versionBuf = Buffer.from(version);
+    const fileVersion = buffer.subarray(headLen, headLen + versionBuf.length);
+
+    if (fileVersion.equals(versionBuf)) {
+      return {
+        version,
+        format: wilcocrypt._.FORMATS[version],
+        offset: headLen + versionBuf.length,
+      };
+    }
+  }
+
+  throw new WilcoCryptError(
+    "Version mismatch (unsupported payload format version)",
+    "VERSION_MISMATCH",
+  );
+};
+
+/**
+ * Reads the start of a file and its size without reading all of it.
+ *
+ * @param {string} filePath
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {{prefix: Buffer, size: number}}
+ */
+wilcocrypt._.readFilePrefix = function (filePath, length) {
+  const fd = openSync(filePath, "r");
+
+  try {
+    const { size } = fstatSync(fd);
+    const prefix = Buffer.alloc(Math.min(size, length));
+    const bytesRead = readSync(fd, prefix, 0, prefix.length, 0);
+
+    return { prefix: prefix.subarray(0, bytesRead), size };
+  } finally {
+    closeSync(fd);
+  }
+};
+
+/* =========================
+   ASCII armor (internal)
+========================= */
+
+/**
+ * Computes the CRC-24 checksum of OpenPGP (RFC 4880, section 6.1) that
+ * armored payloads end with.
+ *
+ * @param {Buffer} data
+ * @returns {Buffer} 3-byte checksum
+ */
+wilcocrypt._.crc24 = function (data) {
+  let crc = 0xb704ce;
+
+  for (const byte of data) {
+    crc ^= byte << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= 0x1864cfb;
+    }
+  }
+
+  const checksum = Buffer.alloc(3);
+  checksum.writeUIntBE(crc & 0xffffff, 0, 3);
+  return checksum;
+};
+
+/**
+ * Returns the BEGIN or END line of an armored payload.
+ *
+ * @param {"BEGIN"|"END"} kind
+ * @returns {string}
+ */
+wilcocrypt._.armorLine = function (kind) {
+  return `-----${kind} ${wilcocrypt._.ARMOR_LABEL}-----`;
+};
+
+/**
+ * Checks whether a payload is ASCII-armored, ignoring leading whitespace.
+ * Only the first bytes are inspected, so a prefix read from a file is
+ * enough.
+ *
+ * @param {Buffer|string} payload
+ * @returns {boolean}
+ */
+wilcocrypt._.isArmored = function (payload) {
+  const begin = wilcocrypt._.armorLine("BEGIN");
+  const head =
+    typeof payload === "string"
+      ? payload.slice(0, 1024)
+      : payload.subarray(0, 1024).toString("latin1");
+
+  return head.trimStart().startsWith(begin);
+};
+
+/**
+ * Returns the binary form of a payload that may be ASCII-armored. Strings
+ * are always treated as armored text.
+ *
+ * @param {Buffer|string} payload
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} If armored text is malformed or its checksum
+ *   does not match
+ */
+wilcocrypt._.binaryPayload = function (payload) {
+  if (typeof payload === "string" || wilcocrypt._.isArmored(payload)) {
+    return wilcocrypt.dearmor(payload);
+  }
+
+  return payload;
+};
+
+/* =========================
+   Tokens and JSON fields (internal)
+========================= */
+
+/**
+ * Encodes a key slot for a token. Slots start with their type, 1 for a
+ * password, 2 for a symmetric key and 3 for a recipient:
+ *
+ * - password: [1] + [KDF] + [salt (16)] + [wrapped key (60)], where the
+ *   KDF is [1] + [log2 N] + [r] + [p] for scrypt, [2] + the same +
+ *   [maxmem (4)] for scrypt with `maxmem`, or [3] + [memory (4)] +
+ *   [passes] + [parallelism] for argon2id
+ * - key: [2] + [salt (16)] + [wrapped key (60)]
+ * - recipient: [3] + [ephemeral public key (32)] + [wrapped key (60)]
+ *
+ * @param {object} slot - Key slot from `createPasswordSlot`,
+ *   `createKeySlot` or `createRecipientSlot`
+ * @returns {Buffer}
+ */
+wilcocrypt._.encodeTokenSlot = function (slot) {
+  if (slot.type === "key") {
+    return Buffer.concat([Buffer.from([2]), slot.salt, slot.key]);
+  }
+
+  if (slot.type === "x25519") {
+    return Buffer.concat([Buffer.from([3]), slot.ephemeral, slot.key]);
+  }
+
+  const { kdf } = slot;
+  let params;
+
+  if (kdf.name === "argon2id") {
+    params = Buffer.alloc(7);
+    params[0] = 3;
+    params.writeUInt32BE(kdf.memory, 1);
+    params[5] = kdf.passes;
+    params[6] = kdf.parallelism;
+  } else {
+    params = Buffer.alloc(kdf.maxmem === undefined ? 4 : 8);
+    params[0] = kdf.maxmem === undefined ? 1 : 2;
+    params[1] = Math.log2(kdf.N);
+    params[2] = kdf.r;
+    params[3] = kdf.p;
+    if (kdf.maxmem !== undefined) params.writeUInt32BE(kdf.maxmem, 4);
+  }
+
+  return Buffer.concat([Buffer.from([1]), params, slot.salt, slot.key]);
+};
+
+/**
+ * Decodes a key slot encoded by `encodeTokenSlot`. KDF parameters are
+ * checked against `KDF_LIMITS`.
+ *
+ * @param {(length: number) => Buffer} take - Returns the next bytes of
+ *   the token
+ * @returns {object} Key slot
+ * @throws {WilcoCryptError} On a malformed slot or unsafe parameters
+ */
+wilcocrypt._.decodeTokenSlot = function (take) {
+  const [type] = take(1);
+
+  if (type === 1) {
+    const [kdfType] = take(1);
+    let kdf;
+
+    if (kdfType === 1 || kdfType === 2) {
+      const [log2N, r, p] = take(3);
+      kdf = { name: "scrypt", N: 2 ** log2N, r, p };
+      if (kdfType === 2) kdf.maxmem = take(4).readUInt32BE(0);
+    } else if (kdfType === 3) {
+      const params = take(6);
+      kdf = {
+        name: "argon2id",
+        memory: params.readUInt32BE(0),
+        passes: params[4],
+        parallelism: params[5],
+      };
+    } else {
+      throw new WilcoCryptError("Malformed key slot", "INVALID_HEADER");
+    }
+
+    return {
+      type: "password",
+      kdf: wilcocrypt._.normalizeKdf(kdf),
+      salt: take(16),
+      key: take(60),
+    };
+  }
+
+  if (type === 2) return { type: "key", salt: take(16), key: take(60) };
+  if (type === 3) return { type: "x25519", ephemeral: take(32), key: take(60) };
+
+  throw new WilcoCryptError(`Unknown key slot type: ${type}`, "INVALID_HEADER");
+};
+
+/**
+ * Creates the data key and key slots of a token and encodes its prefix:
+ * [version (1)] + [cipher (1)] + [slot count (1)] + [slots]
+ *
+ * Tokens leave out the parts of a payload header that short values do
+ * not need: there is no header MAC, since the prefix is authenticated
+ * as associated data of the ciphertext, and no compression, metadata,
+ * segments or signature.
+ *
+ * @param {string|null} password - Password, or `null` for keys only
+ * @param {object} options - Normalized options
+ * @returns {{prefix: Buffer, cipher: string, key: Buffer}}
+ * @throws {WilcoCryptError} On invalid credentials, KDF parameters or
+ *   cipher suite, or a `signingKey`
+ */
+wilcocrypt._.createTokenPrefix = function (password, options) {
+  wilcocrypt._.assertCredentials(
+    password,
+    [...options.key, ...options.recipients],
+    options.passwordPolicy,
+  );
+
+  if (options.signingKey) {
+    throw new WilcoCryptError(
+      "Tokens cannot be signed (use encryptData for signed payloads)",
+      "INVALID_SIGNING_KEY",
+    );
+  }
+
+  const cipher = options.cipher ?? wilcocrypt._.DEFAULT_CIPHER;
+  wilcocrypt._.getCipher(cipher);
+
+  const key = randomBytes(32);
+  const slots = [
+    ...options.key.map((symmetricKey) =>
+      wilcocrypt._.createKeySlot(key, symmetricKey),
+    ),
+    ...options.recipients.map((recipient) =>
+      wilcocrypt._.createRecipientSlot(key, recipient),
+    ),
+  ];
+
+  if (password != null) {
+    slots.unshift(wilcocrypt._.createPasswordSlot(key, password, options.kdf));
+  }
+
+  const prefix = Buffer.concat([
+    Buffer.from([
+      wilcocrypt._.TOKEN_VERSION,
+      wilcocrypt._.TOKEN_CIPHERS.indexOf(cipher),
+      slots.length,
+    ]),
+    ...slots.map(wilcocrypt._.encodeTokenSlot),
+  ]);
+
+  return { prefix, cipher, key };
+};
+
+/**
+ * Encrypts a value into a token: [prefix] + [nonce] + [ciphertext] +
+ * [authTag (16)], base64url encoded. The prefix, followed by the
+ * caller's `aad`, is the associated data.
+ *
+ * @param {{prefix: Buffer, cipher: string}} header - From `createTokenPrefix`
+ * @param {Buffer} key - Data key, or a key derived from it
+ * @param {Buffer} plaintext
+ * @param {Buffer|null} aad - Associated data given by the caller
+ * @returns {string}
+ */
+wilcocrypt._.sealToken = function ({ prefix, cipher }, key, plaintext, aad) {
+  const nonce = randomBytes(wilcocrypt._.getCipher(cipher).nonceLength);
+  const { ciphertext, authTag } = wilcocrypt._.encryptData(
+    plaintext,
+    key,
+    nonce,
+    aad ? Buffer.concat([prefix, aad]) : prefix,
+    cipher,
+  );
+
+  return Buffer.concat([prefix, nonce, ciphertext, authTag]).toString(
+    "base64url",
+  );
+};
+
+/**
+ * Decodes a token written by `sealToken`. The combined cost of its
+ * password slots is checked before anything is derived.
+ *
+ * @param {string} token
+ * @returns {{prefix: Buffer, cipher: string, slots: Array<object>, nonce: Buffer, ciphertext: Buffer, authTag: Buffer}}
+ * @throws {WilcoCryptError} If the token is not base64url or malformed, or
+ *   its KDF parameters are unsafe
+ */
+wilcocrypt._.decodeToken = function (token) {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]+$/.test(token)) {
+    throw new WilcoCryptError(
+      "Invalid token (expected base64url)",
+      "INVALID_HEADER",
+    );
+  }
+
+  const data = Buffer.from(token, "base64url");
+  let offset = 0;
+
+  const take = (length) => {
+    if (length < 0 || offset + length > data.length) {
+      throw new WilcoCryptError("Malformed token", "INVALID_HEADER");
+    }
+
+    offset += length;
+    return data.subarray(offset - length, offset);
+  };
+
+  const [version, cipherId, count] = take(3);
+  const cipher = wilcocrypt._.TOKEN_CIPHERS[cipherId];
+
+  if (
+    version !== wilcocrypt._.TOKEN_VERSION ||
+    count === 0 ||
+    count > wilcocrypt._.MAX_KEY_SLOTS
+  ) {
+    throw new WilcoCryptError("Malformed token", "INVALID_HEADER");
+  }
+
+  if (cipher === undefined) {
+    throw new WilcoCryptError(
+      `Unknown cipher suite: ${cipherId}`,
+      "UNSUPPORTED_CIPHER",
+    );
+  }
+
+  const slots = Array.from({ length: count }, () =>
+    wilcocrypt._.decodeTokenSlot(take),
+  );
+  wilcocrypt._.assertKdfCost(slots);
+
+  const prefix = data.subarray(0, offset);
+  const nonce = take(wilcocrypt._.getCipher(cipher).nonceLength);
+  const ciphertext = take(data.length - offset - 16);
+
+  return { prefix, cipher, slots, nonce, ciphertext, authTag: take(16) };
+};
+
+/**
+ * Recovers the data key of a decoded token from its key slots.
+ *
+ * @param {{slots: Array<object>}} token - From `decodeToken`
+ * @param {string|null} password
+ * @param {object} options - Normalized options
+ * @returns {Buffer} The data key
+ * @throws {WilcoCryptError} If no slot can be unlocked, or with code
+ *   `NOT_SIGNED` when `trustedSigners` is given, since tokens are unsigned
+ */
+wilcocrypt._.unlockToken = function (token, password, options) {
+  wilcocrypt._.assertCredentials(password, [
+    ...options.key,
+    ...options.identity,
+  ]);
+
+  if (options.trustedSigners.length > 0) {
+    throw new WilcoCryptError("Tokens are not signed", "NOT_SIGNED");
+  }
+
+  return wilcocrypt._.unlockSlots(token, password, options);
+};
+
+/**
+ * Decrypts a decoded token.
+ *
+ * @param {{prefix: Buffer, cipher: string, nonce: Buffer, ciphertext: Buffer, authTag: Buffer}} token - From `decodeToken`
+ * @param {Buffer} key - Data key, or the key derived from it on encryption
+ * @param {Buffer|null} aad - Associated data given on encryption
+ * @returns {Buffer}
+ * @throws {WilcoCryptError} With code `DECRYPTION_FAILED` if the token was
+ *   modified or the key or `aad` does not match
+ */
+wilcocrypt._.openToken = function (token, key, aad) {
+  return wilcocrypt._.decryptData(
+    token.ciphertext,
+    token.authTag,
+    key,
+    token.nonce,
+    aad ? Buffer.concat([token.prefix, aad]) : token.prefix,
+    token.cipher,
+  );
+};
+
+/**
+ * Serializes a value for `encryptJSON`.
+ *
+ * @param {*} value
+ * @returns {string}
+ * @throws {WilcoCryptError} If the value has no JSON representation
+ */
+wilcocrypt._.serializeJSON = function (value) {
+  let json;
+
+  try {
+    json = JSON.stringify(value);
+  } catch {}
+
+  if (json === undefined) {
+    throw new WilcoCryptError(
+      "Value cannot be serialized as JSON",
+      "INVALID_JSON",
+    );
+  }
+
+  return json;
+};
+
+/**
+ * Parses decrypted JSON.
+ *
+ * @param {Buffer} data - UTF-8 JSON
+ * @returns {*}
+ * @throws {WilcoCryptError} If the plaintext is not JSON
+ */
+wilcocrypt._.parseJSON = function (data) {
+  try {
+    return JSON.parse(data.toString("utf8"));
+  } catch {
+    throw new WilcoCryptError(
+      "Decrypted data is not valid JSON",
+      "INVALID_JSON",
+    );
+  }
+};
+
+/**
+ * Splits a field path into its segments. Strings use dots (`db.password`),
+ * numeric segments index arrays and `*` matches every key or element.
+ * Arrays of segments are taken as is, for keys that contain dots.
+ *
+ * @param {string|Array<string|number>} path
+ * @returns {string[]}
+ * @throws {WilcoCryptError} If the path is empty or has an empty segment
+ */
+wilcocrypt._.parseFieldPath = function (path) {
+  const segments = Array.isArray(path)
+    ? path.map(String)
+    : String(path).split(".");
+
+  if (segments.length === 0 || segments.some((segment) => segment === "")) {
+    throw new WilcoCryptError(
+      `Invalid field path: ${JSON.stringify(path)}`,
+      "INVALID_FIELD_PATH",
+    );
+  }
+
+  return segments;
+};
+
+/**
+ * Lists the concrete locations a field path matches in a document.
+ *
+ * @param {*} doc - Parsed JSON document
+ * @param {string[]} segments - From `parseFieldPath`
+ * @returns {string[][]} Paths of every matching value, with `*` resolved
+ */
+wilcocrypt._.matchFieldPath = function (doc, segments) {
+  let matches = [{ value: doc, path: [] }];
+
+  for (const segment of segments) {
+    matches = matches.flatMap(({ value, path }) => {
+      if (value === null || typeof value !== "object") return [];
+
+      const keys = segment === "*" ? Object.keys(value) : [segment];
+      return keys
+        .filter((key) => Object.hasOwn(value, key))
+        .map((key) => ({ value: value[key], path: [...path, key] }));
+    });
+  }
+
+  return matches.map(({ path }) => path);
+};
+
+/**
+ * Derives the key of an encrypted field from the data key of its
+ * document: HKDF-SHA256 salted with the field's location, so a value
+ * moved to another field fails to decrypt.
+ *
+ * @param {Buffer} key - Data key of the document
+ * @param {string[]} path - Concrete location of the field
+ * @returns {Buffer}
+ */
+wilcocrypt._.fieldKey = function (key, path) {
+  return Buffer.from(
+    hkdfSync(
+      "sha256",
+      key,
+      Buffer.from(JSON.stringify(path)),
+      "wilcocrypt field",
+      32,
+    ),
+  );
+};
+
+/**
+ * Reads or replaces the value at a concrete location.
+ *
+ * @param {*} doc
+ * @param {string[]} path - Non-empty location
+ * @param {(value: *) => *} update - Returns the new value
+ * @returns {void}
+ */
+wilcocrypt._.updateField = function (doc, path, update) {
+  const parent = path.slice(0, -1).reduce((value, key) => value[key], doc);
+  const key = path[path.length - 1];
+
+  parent[key] = update(parent[key]);
+};
+
+/**
+ * Lists the locations of every encrypted field in a document.
+ *
+ * @param {*} value
+ * @param {string[]} [path=[]]
+ * @returns {string[][]}
+ */
+wilcocrypt._.findEncryptedFields = function (value, path = []) {
+  if (typeof value === "string") {
+    return value.startsWith(wilcocrypt._.FIELD_PREFIX) ? [path] : [];
+  }
+
+  if (value === null || typeof value !== "object") return [];
+
+  return Object.keys(value).flatMap((key) =>
+    wilcocrypt._.findEncryptedFields(value[key], [...path, key]),
+  );
+};
+
+/* =========================
+   Random access (internal)
+========================= */
+
+/**
+ * Read-only handle on a seekable payload, returned by
+ * `wilcocrypt.openEncryptedFile`.
+ *
+ * Reads only fetch, authenticate and decrypt the segments that cover the
+ * requested range. The most recently decrypted segment is cached, so
+ * small sequential reads do not decrypt the same segment twice.
+ */
+class EncryptedFileHandle {
+  /**
+   * @param {import("fs/promises").FileHandle} handle - Open file handle
+   * @param {Buffer} key - Derived payload key
+   * @param {object} header - Decoded payload header
+   * @param {number} bodyOffset - Offset of the first segment in the file
+   * @param {number} bodyLength - Total length of all segments
+   * @param {Buffer|null} [aad] - Additional authenticated data of the segments
+   */
+  constructor(handle, key, header, bodyOffset, bodyLength, aad = null) {
+    const segmentSize = header.chunkSize + 16;
+
+    this._handle = handle;
+    this._key = key;
+    this._header = header;
+    this._aad = aad;
+    this._bodyOffset = bodyOffset;
+    this._bodyLength = bodyLength;
+    this._segmentCount = Math.max(1, Math.ceil(bodyLength / segmentSize));
+    this._cache = null;
+
+    /**
+     * Plaintext size in bytes.
+     * @type {number}
+     */
+    this.size = bodyLength - this._segmentCount * 16;
+  }
+
+  /**
+   * Reads, authenticates and decrypts one segment.
+   *
+   * @param {number} index
+   * @returns {Promise<Buffer>} Plaintext of the segment
+   * @throws {WilcoCryptError} If the segment is truncated or fails authentication
+   */
+  async _readSegment(index) {
+    if (this._cache?.index === index) return this._cache.plain;
+
+    if (!this._handle) {
+      throw new WilcoCryptError("Encrypted file is closed", "FILE_CLOSED");
+    }
+
+    const segmentSize = this._header.chunkSize + 16;
+    const start = index * segmentSize;
+    const length = Math.min(segmentSize, this._bodyLength - start);
+
+    const segment = Buffer.alloc(length);
+    const { bytesRead } = await this._handle.read(
+      segment,
+      0,
+      segment.length,
+      this._bodyOffset + start,
+    );
+
+    const plain = wilcocrypt._.openChunk(
+      segment.subarray(0, bytesRead),
+      this._key,
+      this._header.noncePrefix,
+      index,
+      index === this._segmentCount - 1,
+      this._aad,
+      this._header.cipher,
+    );
+
+    this._cache = { index, plain };
+    return plain;
+  }
+
+  /**
+   * Clamps a requested range to the plaintext size.
+   *
+   * @param {number} start
+   * @param {number} end - Exclusive
+   * @returns {{start: number, end: number}}
+   * @throws {WilcoCryptError} If the range is not made of non-negative integers
+   */
+  _range(start, end) {
+    for (const value of [start, end]) {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new WilcoCryptError(
+          "Invalid range (expected non-negative integers)",
+          "INVALID_RANGE",
+        );
+      }
+    }
+
+    return {
+      start: Math.min(start, this.size),
+      end: Math.max(Math.min(end, this.size), Math.min(start, this.size)),
+    };
+  }
+
+  /**
+   * Returns the plaintext from `position` up to `end` or the end of the
+   * segment containing `position`, whichever comes first.
+   *
+   * @param {number} position
+   * @param {number} end - Exclusive
+   * @returns {Promise<Buffer>}
+   */
+  async _slice(position, end) {
+    const { chunkSize } = this._header;
+    const index = Math.floor(position / chunkSize);
+    const segmentStart = index * chunkSize;
+    const plain = await this._readSegment(index);
+
+    return plain.subarray(
+      position - segmentStart,
+      Math.min(end - segmentStart, plain.length),
+    );
+  }
+
+  /**
+   * Reads a range of plaintext. Reads past the end return fewer bytes.
+   *
+   * @param {number} position - Plaintext offset to start reading at
+   * @param {number} length - Number of bytes to read
+   * @returns {Promise<Buffer>}
+   * @throws {WilcoCryptError} On invalid range, closed handle, or if a
+   *   covering segment fails authentication
+   */
+  async read(position, length) {
+    const { start, end } = this._range(position, position + length);
+    const pieces = [];
+
+    for (let pos = start; pos < end; pos += pieces.at(-1).length) {
+      pieces.push(await this._slice(pos, end));
+    }
+
+    return Buffer.concat(pieces);
+  }
+
+  /**
+   * Creates a readable stream over a range of plaintext. Like
+   * `fs.createReadStream`, both `start` and `end` are inclusive.
+   *
+   * @param {{start?: number, end?: number}} [options]
+   * @returns {import("stream").Readable}
+   * @throws {WilcoCryptError} On invalid range
+   */
+  createReadStream({ start = 0, end = Infinity } = {}) {
+    const range = this._range(start, end === Infinity ? this.size : end + 1);
+    const file = this;
+    let pos = range.start;
+
+    return new Readable({
+      read() {
+        if (pos >= range.end) {
+          this.push(null);
+          return;
+        }
+
+        file._slice(pos, range.end).then(
+          (piece) => {
+            pos += piece.length;
+            this.push(piece);
+          },
+          (err) => this.destroy(err),
+        );
+      },
+    });
+  }
+
+  /**
+   * Closes the underlying file. Further reads throw `FILE_CLOSED`.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const handle = this._handle;
+
+    this._handle = null;
+    this._cache = null;
+    if (handle) await handle.close();
+  }
+}
+
+wilcocrypt._.EncryptedFileHandle = EncryptedFileHandle;
+
+/* =========================
+   Payload streams (internal)
+========================= */
+
+/**
+ * Transform returned by `createEncryptStream` and `createDecryptStream`.
+ *
+ * Input is fed through a chain of inner transforms that `open` builds
+ * once it has seen enough of the input, so the payload header can be
+ * created or parsed asynchronously first. Backpressure from the consumer
+ * is passed on to the chain, and errors of the chain destroy the stream.
+ */
+class PayloadTransform extends Transform {
+  /**
+   * @param {(buffered: Buffer, ended: boolean) => Promise<{head?: Buffer, steps: Array<Transform>, rest: Buffer}|null>} open -
+   *   Receives all input so far and whether it is complete. Resolves to
+   *   the bytes to emit first, the chain, and the input left to feed it,
+   *   or to `null` while more input is needed
+   * @param {(err: Error) => Error} [wrapError] - Maps errors of the chain
+   */
+  constructor(open, wrapError = (err) => err) {
+    super();
+
+    this._open = open;
+    this._wrapError = wrapError;
+    this._pending = [];
+    this._steps = null;
+    this._last = null;
+    this._onEnd = null;
+  }
+
+  /**
+   * Builds the chain once `open` has enough input for it.
+   *
+   * @param {boolean} ended - Whether the input is complete
+   * @returns {Promise<void>}
+   */
+  async _start(ended) {
+    const chain = await this._open(Buffer.concat(this._pending), ended);
+    if (!chain || this.destroyed) return;
+
+    const onError = (err) => {
+      if (err) this.destroy(this._wrapError(err));
+    };
+
+    for (const step of chain.steps) step.on("error", onError);
+
+    let last = chain.steps[0];
+    if (chain.steps.length > 1) last = streamPipeline(...chain.steps, onError);
+
+    this._pending = [];
+    this._steps = chain.steps;
+    this._last = last;
+
+    if (chain.head) this.push(chain.head);
+    last.on("data", (data) => {
+      if (!this.push(data)) last.pause();
+    });
+    last.on("end", () => this._onEnd?.());
+
+    if (chain.rest.length > 0) await this._feed(chain.rest);
+  }
+
+  /**
+   * Writes input to the chain, waiting for it to drain if it is full.
+   *
+   * @param {Buffer} data
+   * @returns {Promise<void>}
+   */
+  _feed(data) {
+    return new Promise((resolve) => {
+      if (this._steps[0].write(data)) resolve();
+      else this._steps[0].once("drain", resolve);
+    });
+  }
+
+  _transform(data, encoding, callback) {
+    let done;
+
+    if (this._steps) {
+      done = this._feed(data);
+    } else {
+      this._pending.push(data);
+      done = this._start(false);
+    }
+
+    done.then(() => callback(), callback);
+  }
+
+  _flush(callback) {
+    const finish = () => {
+      if (!this._steps) return;
+
+      this._onEnd = () => callback();
+      this._steps[0].end();
+    };
+
+    if (this._steps) return finish();
+    this._start(true).then(finish, callback);
+  }
+
+  _read(size) {
+    this._last?.resume();
+    super._read(size);
+  }
+
+  _destroy(err, callback) {
+    for (const step of this._steps ?? []) step.destroy();
+    callback(err);
+  }
+}
+
+wilcocrypt._.PayloadTransform = PayloadTransform;
+
+/**
+ * Parses the header at the start of a streamed payload.
+ *
+ * @param {Buffer} buffered - Payload bytes received so far
+ * @param {boolean} ended - Whether the payload is complete
+ * @returns {{header: object, body: Buffer}|null} The decoded header and
+ *   the body bytes received so far, or `null` while more input is needed
+ * @throws {WilcoCryptError} On invalid or truncated headers, or with code
+ *   `UPGRADE_REQUIRED` for older format versions
+ */
+wilcocrypt._.parseStreamHeader = function (buffered, ended) {
+  // Header plus the longest version string we could possibly know about
+  if (buffered.length < wilcocrypt._.HEADER.length + 32 && !ended) {
+    return null;
+  }
+
+  const { version, offset } = wilcocrypt._.detectFormat(buffered);
+
+  if (version !== wilcocrypt._.VERSION) {
+    throw new WilcoCryptError(
+      `Format ${version} payloads cannot be decrypted as a stream (upgrade them first)`,
+      "UPGRADE_REQUIRED",
+    );
+  }
+
+  const bodyOffset =
+    offset +
+    4 +
+    wilcocrypt._.readHeaderLength(buffered.subarray(offset, offset + 4));
+
+  if (buffered.length < bodyOffset) {
+    if (!ended) return null;
+    throw new WilcoCryptError("Truncated payload header", "INVALID_HEADER");
+  }
+
+  return {
+    header: wilcocrypt._.decodeHeader(
+      buffered.subarray(offset + 4, bodyOffset),
+    ),
+    body: buffered.subarray(bodyOffset),
+  };
+};
+
+/* =========================
+   Archive container (internal)
+========================= */
+
+/**
+ * Reads an archive entry path and checks that it stays inside the
+ * extraction directory: relative, `/`-separated, without empty, `.` or
+ * `..` segments, backslashes, drive letters or NUL bytes.
+ *
+ * @param {unknown} entryPath
+ * @returns {string}
+ * @throws {WilcoCryptError} With code `UNSAFE_ARCHIVE_PATH`
+ */
+wilcocrypt._.assertArchivePath = function (entryPath) {
+  const unsafe =
+    typeof entryPath !== "string" ||
+    entryPath.length === 0 ||
+    /[\\\0]/.test(entryPath) ||
+    /^[a-zA-Z]:/.test(entryPath) ||
+    entryPath
+      .split("/")
+      .some((segment) => segment === "" || segment === "." || segment === "..");
+
+  if (unsafe) {
+    throw new WilcoCryptError(
+      `Unsafe archive entry path: ${JSON.stringify(entryPath)}`,
+      "UNSAFE_ARCHIVE_PATH",
+    );
+  }
+
+  return entryPath;
+};
+
+/**
+ * Validates the metadata of one archive entry.
+ *
+ * @param {object} entry - Parsed entry header
+ * @returns {{path: string, type: "file"|"directory", size: number, mode: number, mtime: number}}
+ * @throws {WilcoCryptError} On malformed metadata or an unsafe path
+ */
+wilcocrypt._.decodeArchiveEntry = function (entry) {
+  const { path, type, size = 0, mode, mtime } = entry ?? {};
+
+  if (
+    (type !== "file" && type !== "directory") ||
+    !Number.isSafeInteger(size) ||
+    size < 0 ||
+    (type === "directory" && size !== 0) ||
+    !Number.isSafeInteger(mode) ||
+    !Number.isFinite(mtime)
+  ) {
+    throw new WilcoCryptError("Malformed archive entry", "INVALID_ARCHIVE");
+  }
+
+  return {
+    path: wilcocrypt._.assertArchivePath(path),
+    type,
+    size,
+    mode: mode & 0o777,
+    mtime,
+  };
+};
+
+/**
+ * Lists the directories and regular files below `dir`, depth first and
+ * sorted by name. Symbolic links and special files are skipped.
+ *
+ * @param {string} dir
+ * @returns {Promise<Array<{path: string, type: "file"|"directory", fullPath: string}>>}
+ *   Entries with `/`-separated paths relative to `dir`
+ */
+wilcocrypt._.walkDirectory = async function (dir) {
+  const entries = [];
+
+  const walk = async (current, prefix) => {
+    const dirents = await fsPromises.readdir(current, { withFileTypes: true });
+    dirents.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const dirent of dirents) {
+      const fullPath = join(current, dirent.name);
+      const path = prefix + dirent.name;
+
+      if (dirent.isDirectory()) {
+        entries.push({ path, type: "directory", fullPath });
+        await walk(fullPath, path + "/");
+      } else if (dirent.isFile()) {
+        entries.push({ path, type: "file", fullPath });
+      }
+    }
+  };
+
+  await walk(dir, "");
+  return entries;
+};
+
+/**
+ * Creates a stream of the plaintext container of an archive:
+ *
+ * [ARCHIVE_MAGIC] + entries + [0 (4)]
+ *
+ * Each entry is [metadata length (4, uint32 BE)] + [metadata JSON] +
+ * [file content]. Files are opened and measured only when their entry is
+ * reached, so memory use does not depend on their size.
+ *
+ * @param {Array<{path: string, type: string, fullPath: string}>} entries - See `walkDirectory`
+ * @param {((bytes: number) => void)|null} [report] - Counts the file
+ *   content read, see `progressReporter`
+ * @returns {import("stream").Readable}
+ */
+wilcocrypt._.createArchiveStream = function (entries, report = null) {
+  const lengthPrefixed = (json) => {
+    const meta = Buffer.from(JSON.stringify(json));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(meta.length);
+    return Buffer.concat([length, meta]);
+  };
+
+  let started = false;
+  let index = 0;
+  let ended = false;
+  let file = null;
+
+  const next = async () => {
+    if (file) {
+      const piece = Buffer.alloc(Math.min(file.remaining, 64 * 1024));
+      const { bytesRead } = await file.handle.read(piece, 0, piece.length);
+
+      if (bytesRead === 0) {
+        throw new WilcoCryptError(
+          `File changed while archiving: ${file.path}`,
+          "FILE_CHANGED",
+        );
+      }
+
+      file.remaining -= bytesRead;
+      report?.(bytesRead);
+      if (file.remaining === 0) {
+        await file.handle.close();
+        file = null;
+      }
+
+      return piece.subarray(0, bytesRead);
+    }
+
+    if (!started) {
+      started = true;
+      return wilcocrypt._.ARCHIVE_MAGIC;
+    }
+
+    if (index === entries.length) {
+      if (ended) return null;
+      ended = true;
+      return Buffer.alloc(4); // metadata length 0 ends the archive
+    }
+
+    const entry = entries[index++];
+
+    if (entry.type === "directory") {
+      const stats = await fsPromises.stat(entry.fullPath);
+
+      return lengthPrefixed({
+        path: entry.path,
+        type: entry.type,
+        mode: stats.mode & 0o777,
+        mtime: stats.mtimeMs,
+      });
+    }
+
+    const handle = await fsPromises.open(entry.fullPath, "r");
+    const stats = await handle.stat();
+
+    if (stats.size > 0) {
+      file = { handle, path: entry.path, remaining: stats.size };
+    } else {
+      await handle.close();
+    }
+
+    return lengthPrefixed({
+      path: entry.path,
+      type: entry.type,
+      size: stats.size,
+      mode: stats.mode & 0o777,
+      mtime: stats.mtimeMs,
+    });
+  };
+
+  return new Readable({
+    read() {
+      next().then(
+        (piece) => this.push(piece),
+        (err) => this.destroy(err),
+      );
+    },
+    destroy(err, callback) {
+      const handle = file?.handle;
+      file = null;
+
+      if (!handle) return callback(err);
+      handle.close().then(
+        () => callback(err),
+        () => callback(err),
+      );
+    },
+  });
+};
+
+/**
+ * Wraps a readable stream so exact byte counts can be awaited.
+ *
+ * @param {import("stream").Readable} stream
+ * @returns {{read: (length: number) => Promise<Buffer>, readUpTo: (max: number) => Promise<Buffer>, end: () => Promise<boolean>}}
+ *   `read` resolves to exactly `length` bytes, `readUpTo` to between 1 and
+ *   `max` bytes, and `end` to whether the stream is exhausted
+ * @throws {WilcoCryptError} With code `INVALID_ARCHIVE` if the stream ends early
+ */
+wilcocrypt._.createByteReader = function (stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let done = false;
+
+  const fill = async () => {
+    const result = await iterator.next();
+
+    if (result.done) {
+      done = true;
+      return false;
+    }
+
+    buffered = Buffer.concat([buffered, result.value]);
+    return true;
+  };
+
+  const take = (length) => {
+    const piece = buffered.subarray(0, length);
+    buffered = buffered.subarray(length);
+    return piece;
+  };
+
+  return {
+    async read(length) {
+      while (buffered.length < length) {
+        if (!(await fill())) {
+          throw new WilcoCryptError("Truncated archive", "INVALID_ARCHIVE");
+        }
+      }
+
+      return take(length);
+    },
+
+    async readUpTo(max) {
+      if (buffered.length === 0 && !(await fill())) {
+        throw new WilcoCryptError("Truncated archive", "INVALID_ARCHIVE");
+      }
+
+      return take(max);
+    },
+
+    async end() {
+      return buffered.length === 0 && (done || !(await fill()));
+    },
+  };
+};
+
+/**
+ * Encrypts a stream into a new payload file, reserving header padding
+ * like the other file-writing functions. The file is written atomically
+ * and only replaces an existing one with `options.overwrite`. With
+ * `options.volumeSize`, it is split into volumes, see `pipeToVolumes`.
+ *
+ * @param {import("stream").Readable} source - Plaintext
+ * @param {string} outputPath
+ * @param {string|null} password
+ * @param {object} options - Normalized options, including `signal`
+ * @param {((bytes: number) => void)|null} [report] - Counts the source
+ *   bytes, see `progressReporter`
+ * @returns {Promise<Array<string>|void>} The paths of the volumes, with
+ *   `options.volumeSize`
+ * @throws {WilcoCryptError} If KDF parameters, chunk size, volume size
+ *   or keys are invalid, `armor` is set, the output exists
+ *   (`OUTPUT_EXISTS`), or `options.signal` aborts (`ABORTED`)
+ */
+wilcocrypt._.writeEncryptedFile = async function (
+  source,
+  outputPath,
+  password,
+  options,
+  report = null,
+) {
+  if (options.armor) {
+    throw new WilcoCryptError(
+      "Streamed payloads cannot be armored (use encryptFile or armor)",
+      "INVALID_ARMOR",
+    );
+  }
+
+  const split = options.volumeSize != null;
+  if (split) wilcocrypt._.assertVolumeSize(options.volumeSize);
+
+  wilcocrypt._.assertOutputAvailable(
+    split ? wilcocrypt._.volumePath(outputPath, 1, 1) : outputPath,
+    options.overwrite,
+  );
+
+  const { header, key } = await wilcocrypt._.createHeaderAsync(
+    password,
+    options,
+  );
+  wilcocrypt._.throwIfAborted(options.signal);
+
+  const pipelineSteps = [
+    source,
+    ...wilcocrypt._.progressSteps(report),
+    ...wilcocrypt._.bodyEncryptionSteps(header, key, options),
+  ];
+  const prefix = wilcocrypt._.encodeHeader(header, {
+    padding: options.headerPadding ?? wilcocrypt._.DEFAULT_HEADER_PADDING,
+  });
+
+  if (split) {
+    return wilcocrypt._.pipeToVolumes(
+      pipelineSteps,
+      outputPath,
+      key,
+      prefix,
+      options,
+    );
+  }
+
+  await wilcocrypt._.pipeToFileAtomic(
+    pipelineSteps,
+    outputPath,
+    options.overwrite,
+    prefix,
+    options.signal,
+  );
+};
+
+/**
+ * Opens a current-format `.enc` file and returns its decrypted, and
+ * decompressed, content as a stream. Every segment is authenticated
+ * before it is released. With `trustedSigners`, the signature over the
+ * whole body is checked before the key is unlocked, so archive entries
+ * are never extracted from a payload that turns out to be forged.
+ *
+ * @param {string} inputPath
+ * @param {string|null} password
+ * @param {object} options - Normalized options. `signal` destroys the
+ *   stream with `ABORTED`, and `onProgress` counts the encrypted body read
+ * @returns {Promise<import("stream").Readable>}
+ * @throws {WilcoCryptError} On invalid header, older format versions or
+ *   wrong credentials
+ */
+wilcocrypt._.createDecryptedStream = async function (
+  inputPath,
+  password,
+  options,
+) {
+  const handle = await fsPromises.open(inputPath, "r");
+  let header;
+  let bodyOffset;
+  let trailer;
+  let key;
+  let source;
+
+  try {
+    const prefix = Buffer.alloc(wilcocrypt._.HEADER.length + 32);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+
+    const { version, offset } = wilcocrypt._.detectFormat(
+      prefix.subarray(0, bytesRead),
+    );
+
+    if (version !== wilcocrypt._.VERSION) {
+      throw new WilcoCryptError(
+        `Format ${version} payloads cannot hold archives`,
+        "INVALID_ARCHIVE",
+      );
+    }
+
+    ({ header, offset: bodyOffset } = await wilcocrypt._.readFileHeader(
+      handle,
+      offset,
+    ));
+    trailer = await wilcocrypt._.readFileTrailer(handle, header, bodyOffset);
+
+    if (options.trustedSigners.length > 0) {
+      await wilcocrypt._.verifyFileSignature(
+        handle,
+        header,
+        trailer,
+        bodyOffset,
+        options.trustedSigners,
+      );
+      wilcocrypt._.throwIfAborted(options.signal);
+    }
+
+    key = await wilcocrypt._.unlockHeaderAsync(header, password, options);
+    wilcocrypt._.throwIfAborted(options.signal);
+
+    // Read through the handle that was verified; the stream closes it
+    source = handle.createReadStream({
+      start: bodyOffset,
+      end: trailer.bodyEnd - 1,
+    });
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+
+  const report = wilcocrypt._.progressReporter(
+    trailer.bodyEnd - bodyOffset,
+    options.onProgress,
+  );
+  const pipelineSteps = [
+    source,
+    ...wilcocrypt._.progressSteps(report),
+    ...wilcocrypt._.bodyDecryptionSteps(header, key, options),
+  ];
+
+  // Errors destroy every step, so they surface when reading the last one
+  return wilcocrypt._.abortOnSignal(
+    streamPipeline(...pipelineSteps, () => {}),
+    options.signal,
+  );
+};
+
+/**
+ * Decrypts an archive entry by entry. `onEntry` is called with the
+ * metadata of every entry and returns a sink for the content of files to
+ * keep, or `null` to skip them. The sink is ended once the content is
+ * complete, or aborted if reading it fails.
+ *
+ * @param {string} archivePath
+ * @param {string|null} password
+ * @param {object} options - Normalized options
+ * @param {(entry: object) => Promise<{write: (piece: Buffer) => Promise<void>, end: () => Promise<void>, abort: () => Promise<void>}|null>} onEntry
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On malformed archives, unsafe paths, or
+ *   decryption failures
+ */
+wilcocrypt._.readArchive = async function (
+  archivePath,
+  password,
+  options,
+  onEntry,
+) {
+  const stream = await wilcocrypt._.createDecryptedStream(
+    archivePath,
+    password,
+    options,
+  );
+  const reader = wilcocrypt._.createByteReader(stream);
+
+  try {
+    const magic = await reader.read(wilcocrypt._.ARCHIVE_MAGIC.length);
+
+    if (!magic.equals(wilcocrypt._.ARCHIVE_MAGIC)) {
+      throw new WilcoCryptError(
+        "Payload is not a WilcoCrypt archive",
+        "INVALID_ARCHIVE",
+      );
+    }
+
+    for (;;) {
+      const length = (await reader.read(4)).readUInt32BE(0);
+      if (length === 0) break;
+
+      if (length > wilcocrypt._.MAX_HEADER_LENGTH) {
+        throw new WilcoCryptError("Malformed archive entry", "INVALID_ARCHIVE");
+      }
+
+      let meta;
+      try {
+        meta = JSON.parse((await reader.read(length)).toString("utf8"));
+      } catch (err) {
+        if (err instanceof WilcoCryptError) throw err;
+        throw new WilcoCryptError("Malformed archive entry", "INVALID_ARCHIVE");
+      }
+
+      const entry = wilcocrypt._.decodeArchiveEntry(meta);
+      const sink = await onEntry(entry);
+
+      try {
+        let remaining = entry.size;
+
+        while (remaining > 0) {
+          const piece = await reader.readUpTo(Math.min(remaining, 64 * 1024));
+          remaining -= piece.length;
+          if (sink) await sink.write(piece);
+        }
+      } catch (err) {
+        if (sink) await sink.abort();
+        throw err;
+      }
+
+      if (sink) await sink.end();
+    }
+
+    if (!(await reader.end())) {
+      throw new WilcoCryptError(
+        "Unexpected data after the end of the archive",
+        "INVALID_ARCHIVE",
+      );
+    }
+  } catch (err) {
+    stream.destroy();
+
+    // Codec errors mean the authenticated plaintext does not decompress
+    if (wilcocrypt._.isDecompressionError(err)) {
+      throw new WilcoCryptError(
+        "Decryption failed (corrupted data or tampered file)",
+        "DECRYPTION_FAILED",
+      );
+    }
+    throw err;
+  }
+};
+
+/* =========================
+   Volumes (internal)
+========================= */
+
+/**
+ * Validates the `volumeSize` option: the size of every volume file of a
+ * split payload, its header included.
+ *
+ * @param {unknown} volumeSize
+ * @returns {number}
+ * @throws {WilcoCryptError} With code `INVALID_VOLUME_SIZE` unless it is
+ *   an integer of at least `MIN_VOLUME_SIZE`
+ */
+wilcocrypt._.assertVolumeSize = function (volumeSize) {
+  const min = wilcocrypt._.MIN_VOLUME_SIZE;
+
+  if (!Number.isSafeInteger(volumeSize) || volumeSize < min) {
+    throw new WilcoCryptError(
+      `Invalid volume size (expected an integer of at least ${min} bytes)`,
+      "INVALID_VOLUME_SIZE",
+    );
+  }
+
+  return volumeSize;
+};
+
+/**
+ * Returns the path of volume `index` of a set of `count` volumes: the
+ * output path followed by the index, zero-padded to at least three
+ * digits.
+ *
+ * @param {string} filePath - Output path of the whole payload
+ * @param {number} index - 1-based
+ * @param {number} count
+ * @returns {string}
+ */
+wilcocrypt._.volumePath = function (filePath, index, count) {
+  const width = Math.max(3, String(count).length);
+  return `${filePath}.${String(index).padStart(width, "0")}`;
+};
+
+/**
+ * Checks whether `buffer` starts with `VOLUME_MAGIC`.
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+wilcocrypt._.isVolume = function (buffer) {
+  const magic = wilcocrypt._.VOLUME_MAGIC;
+  return buffer.subarray(0, magic.length).equals(magic);
+};
+
+/**
+ * Computes the MAC of a volume: HMAC-SHA256 over its header fields and
+ * the SHA-256 of its content, keyed by HKDF of the data key. A volume
+ * therefore cannot be altered, truncated, or moved to another position
+ * or another set without the MAC failing.
+ *
+ * @param {Buffer} key - Data key
+ * @param {Buffer} fields - Volume header without the MAC
+ * @param {Buffer} digest - SHA-256 of the volume content
+ * @returns {Buffer} 32 bytes
+ */
+wilcocrypt._.volumeMac = function (key, fields, digest) {
+  const macKey = hkdfSync(
+    "sha256",
+    key,
+    Buffer.alloc(0),
+    "wilcocrypt volume",
+    32,
+  );
+
+  return createHmac("sha256", Buffer.from(macKey))
+    .update(fields)
+    .update(digest)
+    .digest();
+};
+
+/**
+ * Encodes the header of a volume:
+ * [VOLUME_MAGIC] + [set ID (16)] + [index (4)] + [count (4)] +
+ * [content length (8)] + [MAC (32)]
+ *
+ * @param {{id: Buffer, index: number, count: number, length: number}} volume
+ * @param {Buffer} key - Data key
+ * @param {Buffer} digest - SHA-256 of the volume content
+ * @returns {Buffer} `VOLUME_HEADER_LENGTH` bytes
+ */
+wilcocrypt._.encodeVolumeHeader = function (volume, key, digest) {
+  const magicLength = wilcocrypt._.VOLUME_MAGIC.length;
+  const fields = Buffer.alloc(magicLength + 32);
+
+  wilcocrypt._.VOLUME_MAGIC.copy(fields);
+  volume.id.copy(fields, magicLength);
+  fields.writeUInt32BE(volume.index, magicLength + 16);
+  fields.writeUInt32BE(volume.count, magicLength + 20);
+  fields.writeBigUInt64BE(BigInt(volume.length), magicLength + 24);
+
+  return Buffer.concat([fields, wilcocrypt._.volumeMac(key, fields, digest)]);
+};
+
+/**
+ * Decodes the header of a volume. The MAC can only be checked once the
+ * content has been read, see `VolumeSet`.
+ *
+ * @param {Buffer} buffer - Start of the volume file
+ * @returns {{id: Buffer, index: number, count: number, length: number, fields: Buffer, mac: Buffer}|null}
+ *   `null` if `buffer` does not start with a valid volume header
+ */
+wilcocrypt._.decodeVolumeHeader = function (buffer) {
+  const magicLength = wilcocrypt._.VOLUME_MAGIC.length;
+
+  if (
+    buffer.length < wilcocrypt._.VOLUME_HEADER_LENGTH ||
+    !wilcocrypt._.isVolume(buffer)
+  ) {
+    return null;
+  }
+
+  const index = buffer.readUInt32BE(magicLength + 16);
+  const count = buffer.readUInt32BE(magicLength + 20);
+  const length = Number(buffer.readBigUInt64BE(magicLength + 24));
+
+  if (index < 1 || index > count || !Number.isSafeInteger(length)) {
+    return null;
+  }
+
+  return {
+    id: buffer.subarray(magicLength, magicLength + 16),
+    index,
+    count,
+    length,
+    fields: buffer.subarray(0, magicLength + 32),
+    mac: buffer.subarray(magicLength + 32, wilcocrypt._.VOLUME_HEADER_LENGTH),
+  };
+};
+
+/**
+ * Runs an encryption pipeline into a set of volumes of `volumeSize`
+ * bytes, the last one possibly shorter. The count is only known at the
+ * end, so volumes are written to temporary files first, then their
+ * headers are filled in and they are committed as `filePath.001`,
+ * `filePath.002`, … If committing fails, the volumes already committed
+ * are removed again.
+ *
+ * @param {Array<import("stream").Stream>} pipelineSteps - Source and transforms
+ * @param {string} filePath - Output path of the whole payload
+ * @param {Buffer} key - Data key, authenticates the volumes
+ * @param {Buffer} prefix - Payload header, written before the piped data
+ * @param {object} options - Normalized options with `volumeSize`, and
+ *   optionally `overwrite` and `signal`
+ * @returns {Promise<Array<string>>} Paths of the volumes, in order
+ * @throws {WilcoCryptError} With code `OUTPUT_EXISTS` or `ABORTED`, or
+ *   any error of the pipeline
+ */
+wilcocrypt._.pipeToVolumes = async function (
+  pipelineSteps,
+  filePath,
+  key,
+  prefix,
+  options,
+) {
+  const headerLength = wilcocrypt._.VOLUME_HEADER_LENGTH;
+  const capacity = options.volumeSize - headerLength;
+  const volumes = [];
+  let current = null;
+
+  const closeCurrent = async () => {
+    const handle = current?.handle;
+    if (!handle) return;
+    current.handle = null;
+    await handle.close();
+  };
+
+  const append = async (chunk) => {
+    let offset = 0;
+
+    while (offset < chunk.length) {
+      if (!current || current.length === capacity) {
+        await closeCurrent();
+        current = {
+          tempPath: wilcocrypt._.tempPath(filePath),
+          handle: null,
+          hash: createHash("sha256"),
+          length: 0,
+        };
+        volumes.push(current);
+        current.handle = await fsPromises.open(current.tempPath, "wx");
+      }
+
+      const piece = chunk.subarray(offset, offset + capacity - current.length);
+      await current.handle.write(
+        piece,
+        0,
+        piece.length,
+        headerLength + current.length,
+      );
+      current.hash.update(piece);
+      current.length += piece.length;
+      offset += piece.length;
+    }
+  };
+
+  // Teardown waits for the pending write, so no volume is opened after it
+  let pending = Promise.resolve();
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      pending = append(chunk);
+      pending.then(() => callback(), callback);
+    },
+    final(callback) {
+      closeCurrent().then(() => callback(), callback);
+    },
+    destroy(err, callback) {
+      pending
+        .catch(() => {})
+        .then(closeCurrent)
+        .then(() => callback(err), callback);
+    },
+  });
+
+  const paths = [];
+  let committed = 0;
+
+  try {
+    sink.write(prefix);
+    await pipeline(...pipelineSteps, sink, { signal: options.signal });
+    wilcocrypt._.throwIfAborted(options.signal);
+
+    const id = randomBytes(16);
+    const count = volumes.length;
+    for (let index = 1; index <= count; index++) {
+      paths.push(wilcocrypt._.volumePath(filePath, index, count));
+    }
+    for (const path of paths) {
+      wilcocrypt._.assertOutputAvailable(path, options.overwrite);
+    }
+
+    for (const [i, volume] of volumes.entries()) {
+      const header = wilcocrypt._.encodeVolumeHeader(
+        { id, index: i + 1, count, length: volume.length },
+        key,
+        volume.hash.digest(),
+      );
+
+      const handle = await fsPromises.open(volume.tempPath, "r+");
+      try {
+        await handle.write(header, 0, header.length, 0);
+      } finally {
+        await handle.close();
+      }
+
+      await wilcocrypt._.commitFile(
+        volume.tempPath,
+        paths[i],
+        options.overwrite,
+      );
+      committed++;
+    }
+  } catch (err) {
+    await closeCurrent().catch(() => {});
+    for (const volume of volumes) {
+      await fsPromises.rm(volume.tempPath, { force: true });
+    }
+    for (const path of paths.slice(0, committed)) {
+      await fsPromises.rm(path, { force: true });
+    }
+    if (options.signal?.aborted) throw wilcocrypt._.abortError();
+    throw err;
+  }
+
+  return paths;
+};
+
+/**
+ * Reads the header of a volume file.
+ *
+ * @param {string} filePath
+ * @returns {Promise<object|null>} See `decodeVolumeHeader`, plus `path`
+ *   and the file `size`; `null` for an invalid header
+ */
+wilcocrypt._.readVolumeHeader = async function (filePath) {
+  const handle = await fsPromises.open(filePath, "r");
+
+  try {
+    const buffer = Buffer.alloc(wilcocrypt._.VOLUME_HEADER_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const header = wilcocrypt._.decodeVolumeHeader(
+      buffer.subarray(0, bytesRead),
+    );
+    if (!header) return null;
+
+    const { size } = await handle.stat();
+    return { ...header, path: filePath, size };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Opens the set of volumes that starts with `firstPath` and checks that
+ * every other volume exists next to it, belongs to the same set and has
+ * the size its header records. The content is authenticated while it is
+ * read, see `VolumeSet`.
+ *
+ * @param {string} firstPath - Path of the first volume, ending in `.001`
+ * @returns {Promise<VolumeSet>}
+ * @throws {WilcoCryptError} With code `INVALID_VOLUME` if `firstPath` is
+ *   not the first volume, `VOLUME_MISSING` or `VOLUME_CORRUPTED`
+ */
+wilcocrypt._.openVolumes = async function (firstPath) {
+  const first = await wilcocrypt._.readVolumeHeader(firstPath);
+
+  if (!first) {
+    throw new WilcoCryptError(
+      `Volume header is corrupted: ${firstPath}`,
+      "VOLUME_CORRUPTED",
+    );
+  }
+
+  const { count } = first;
+  if (first.index !== 1) {
+    throw new WilcoCryptError(
+      `${firstPath} is volume ${first.index} of ${count} (open the first volume)`,
+      "INVALID_VOLUME",
+    );
+  }
+
+  const base = firstPath.replace(/\.\d+$/, "");
+  if (wilcocrypt._.volumePath(base, 1, count) !== firstPath) {
+    throw new WilcoCryptError(
+      `Volume files must keep their names, ${firstPath} should end in ` +
+        wilcocrypt._.volumePath("", 1, count),
+      "INVALID_VOLUME",
+    );
+  }
+
+  const volumes = [];
+  let offset = 0;
+
+  for (let index = 1; index <= count; index++) {
+    const path = wilcocrypt._.volumePath(base, index, count);
+    let volume = first;
+
+    if (index > 1) {
+      try {
+        volume = await wilcocrypt._.readVolumeHeader(path);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        throw new WilcoCryptError(
+          `Volume ${index} of ${count} is missing: ${path}`,
+          "VOLUME_MISSING",
+        );
+      }
+    }
+
+    if (
+      !volume ||
+      !volume.id.equals(first.id) ||
+      volume.index !== index ||
+      volume.count !== count
+    ) {
+      throw new WilcoCryptError(
+        `Volume ${index} of ${count} is corrupted or belongs to another set: ${path}`,
+        "VOLUME_CORRUPTED",
+      );
+    }
+
+    if (volume.size !== wilcocrypt._.VOLUME_HEADER_LENGTH + volume.length) {
+      throw new WilcoCryptError(
+        `Volume ${index} of ${count} has the wrong size: ${path}`,
+        "VOLUME_CORRUPTED",
+      );
+    }
+
+    volumes.push({ ...volume, offset });
+    offset += volume.length;
+  }
+
+  return new VolumeSet(volumes);
+};
+
+/**
+ * Opens an encrypted file for streaming: a `FileHandle`, or a
+ * `VolumeSet` when `filePath` is a volume of a split payload.
+ *
+ * @param {string} filePath
+ * @returns {Promise<import("fs/promises").FileHandle|VolumeSet>}
+ * @throws {WilcoCryptError} See `openVolumes`
+ */
+wilcocrypt._.openPayloadFile = async function (filePath) {
+  const handle = await fsPromises.open(filePath, "r");
+  let volume;
+
+  try {
+    const prefix = Buffer.alloc(wilcocrypt._.VOLUME_MAGIC.length);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+    volume = wilcocrypt._.isVolume(prefix.subarray(0, bytesRead));
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+
+  if (!volume) return handle;
+
+  await handle.close();
+  return wilcocrypt._.openVolumes(filePath);
+};
+
+/**
+ * Creates a stream over the bytes of a payload opened with
+ * `openPayloadFile`, from `start` up to, not including, `end`. It reads
+ * through `handle`, not the path, so it sees the file that was checked,
+ * and leaves the handle open.
+ *
+ * @param {import("fs/promises").FileHandle|VolumeSet} handle
+ * @param {number} start
+ * @param {number} end
+ * @param {Buffer} [key] - Data key, required for volumes
+ * @returns {Readable}
+ */
+wilcocrypt._.payloadSource = function (handle, start, end, key) {
+  if (handle instanceof VolumeSet) {
+    return handle.createReadStream(start, end, key);
+  }
+
+  return handle.createReadStream({ start, end: end - 1, autoClose: false });
+};
+
+/**
+ * Names the damaged volume when decrypting a split payload failed, by
+ * checking the MAC of every volume. The payload header has already been
+ * authenticated, so a failure after it comes from a volume unless the
+ * associated data is wrong.
+ *
+ * @param {import("fs/promises").FileHandle|VolumeSet} handle
+ * @param {Buffer|undefined} key - Data key
+ * @param {Error} err - Error of the decryption pipeline
+ * @returns {Promise<Error>} `err`, if no volume is damaged
+ * @throws {WilcoCryptError} With code `VOLUME_CORRUPTED`
+ */
+wilcocrypt._.locateVolumeError = async function (handle, key, err) {
+  if (handle instanceof VolumeSet && key && err.code === "DECRYPTION_FAILED") {
+    await handle.verify(key);
+  }
+
+  return err;
+};
+
+/**
+ * The volumes of a split payload, read as one payload. Provides the
+ * subset of the `FileHandle` interface that `openStream` uses, like
+ * `bufferHandle`, and a stream that authenticates every volume it reads.
+ * Created by `openVolumes`.
+ */
+class VolumeSet {
+  /**
+   * @param {Array<object>} volumes - Decoded headers with `path`, and the
+   *   `offset` of their content in the payload
+   */
+  constructor(volumes) {
+    this.volumes = volumes;
+    this.size = volumes.reduce((size, volume) => size + volume.length, 0);
+  }
+
+  /**
+   * Reads payload bytes, across volumes as needed.
+   *
+   * @param {Buffer} target
+   * @param {number} targetOffset
+   * @param {number} length
+   * @param {number} position - Offset in the payload
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   */
+  async read(target, targetOffset, length, position) {
+    let bytesRead = 0;
+
+    for (const volume of this.volumes) {
+      const at = position + bytesRead;
+      const end = volume.offset + volume.length;
+      if (bytesRead === length) break;
+      if (at < volume.offset || at >= end) continue;
+
+      const count = Math.min(length - bytesRead, end - at);
+      const handle = await fsPromises.open(volume.path, "r");
+      try {
+        const result = await handle.read(
+          target,
+          targetOffset + bytesRead,
+          count,
+          wilcocrypt._.VOLUME_HEADER_LENGTH + at - volume.offset,
+        );
+        bytesRead += result.bytesRead;
+        if (result.bytesRead < count) break;
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return { bytesRead, buffer: target };
+  }
+
+  /**
+   * @returns {Promise<{size: number}>} Size of the whole payload
+   */
+  async stat() {
+    return { size: this.size };
+  }
+
+  /**
+   * Files are only open while they are read.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Creates a stream over the payload bytes from `start` up to, not
+   * including, `end`. Every volume is read completely, and the stream
+   * fails with `VOLUME_CORRUPTED` as soon as a volume's MAC does not
+   * match its content.
+   *
+   * @param {number} start
+   * @param {number} end
+   * @param {Buffer} [key] - Data key
+   * @returns {Readable}
+   * @throws {WilcoCryptError} With code `INVALID_VOLUME` without a key,
+   *   which older format versions do not provide
+   */
+  createReadStream(start, end, key) {
+    if (!key) {
+      throw new WilcoCryptError(
+        `Split payloads must use format ${wilcocrypt._.VERSION}`,
+        "INVALID_VOLUME",
+      );
+    }
+
+    let index = 0;
+    let file = null;
+
+    const next = async () => {
+      while (index < this.volumes.length) {
+        const volume = this.volumes[index];
+
+        if (!file) {
+          file = {
+            handle: await fsPromises.open(volume.path, "r"),
+            hash: createHash("sha256"),
+            done: 0,
+          };
+        }
+
+        if (file.done === volume.length) {
+          const digest = file.hash.digest();
+          await file.handle.close();
+          file = null;
+          index++;
+          this._assertMac(volume, key, digest);
+          continue;
+        }
+
+        const chunk = Buffer.alloc(
+          Math.min(wilcocrypt._.DEFAULT_CHUNK_SIZE, volume.length - file.done),
+        );
+        const { bytesRead } = await file.handle.read(
+          chunk,
+          0,
+          chunk.length,
+          wilcocrypt._.VOLUME_HEADER_LENGTH + file.done,
+        );
+        if (bytesRead === 0) {
+          throw new WilcoCryptError(
+            `Volume ${volume.index} of ${volume.count} has the wrong size: ${volume.path}`,
+            "VOLUME_CORRUPTED",
+          );
+        }
+
+        const position = volume.offset + file.done;
+        const data = chunk.subarray(0, bytesRead);
+        file.hash.update(data);
+        file.done += bytesRead;
+
+        const from = Math.max(start - position, 0);
+        const to = Math.min(end - position, bytesRead);
+        if (to > from) return data.subarray(from, to);
+      }
+
+      return null;
+    };
+
+    const stream = new Readable({
+      read() {
+        next().then(
+          (data) => stream.push(data),
+          (err) => stream.destroy(err),
+        );
+      },
+      destroy(err, callback) {
+        const closing = file ? file.handle.close() : Promise.resolve();
+        file = null;
+        closing.then(
+          () => callback(err),
+          () => callback(err),
+        );
+      },
+    });
+
+    return stream;
+  }
+
+  /**
+   * Reads every volume and checks its MAC.
+   *
+   * @param {Buffer} key - Data key
+   * @returns {Promise<void>}
+   * @throws {WilcoCryptError} With code `VOLUME_CORRUPTED` for the first
+   *   damaged volume
+   */
+  async verify(key) {
+    for (const volume of this.volumes) {
+      const hash = createHash("sha256");
+      const source = createReadStream(volume.path, {
+        start: wilcocrypt._.VOLUME_HEADER_LENGTH,
+      });
+      for await (const chunk of source) hash.update(chunk);
+      this._assertMac(volume, key, hash.digest());
+    }
+  }
+
+  /**
+   * @param {object} volume
+   * @param {Buffer} key - Data key
+   * @param {Buffer} digest - SHA-256 of the content read
+   * @throws {WilcoCryptError} With code `VOLUME_CORRUPTED`
+   */
+  _assertMac(volume, key, digest) {
+    const expected = wilcocrypt._.volumeMac(key, volume.fields, digest);
+
+    if (!wilcocrypt._.constantTimeEqual(volume.mac, expected)) {
+      throw new WilcoCryptError(
+        `Volume ${volume.index} of ${volume.count} is corrupted: ${volume.path}`,
+        "VOLUME_CORRUPTED",
+      );
+    }
+  }
+}
+
+wilcocrypt._.VolumeSet = VolumeSet;
+
+/* =========================
+   Secrets vault (internal)
+========================= */
+
+/**
+ * Checks the name of a vault entry against `VAULT_ENTRY_NAME`.
+ *
+ * @param {unknown} name
+ * @returns {string}
+ * @throws {WilcoCryptError} With code `INVALID_ENTRY_NAME`
+ */
+wilcocrypt._.assertEntryName = function (name) {
+  if (typeof name !== "string" || !wilcocrypt._.VAULT_ENTRY_NAME.test(name)) {
+    throw new WilcoCryptError(
+      "Invalid entry name (expected letters, digits, _ . - or /, up to 256 characters)",
+      "INVALID_ENTRY_NAME",
+    );
+  }
+
+  return name;
+};
+
+/**
+ * Serializes vault entries into the plaintext of a vault payload:
+ * `{ type, version, entries: { [name]: { value, created, updated } } }`.
+ *
+ * @param {Map<string, {value: string, created: number, updated: number}>} entries
+ * @returns {Buffer}
+ */
+wilcocrypt._.encodeVault = function (entries) {
+  return Buffer.from(
+    JSON.stringify({
+      type: wilcocrypt._.VAULT_TYPE,
+      version: wilcocrypt._.VAULT_VERSION,
+      entries: Object.fromEntries(entries),
+    }),
+  );
+};
+
+/**
+ * Parses and validates the plaintext of a vault payload.
+ *
+ * @param {Buffer} data
+ * @returns {Map<string, {value: string, created: number, updated: number}>}
+ * @throws {WilcoCryptError} With code `NOT_A_VAULT` if the payload holds
+ *   something else, a newer vault version or malformed entries
+ */
+wilcocrypt._.decodeVault = function (data) {
+  let document = null;
+  try {
+    document = JSON.parse(data.toString("utf8"));
+  } catch {
+    // Any other payload, handled below
+  }
+
+  if (document?.type !== wilcocrypt._.VAULT_TYPE) {
+    throw new WilcoCryptError("Payload is not a vault", "NOT_A_VAULT");
+  }
+
+  if (document.version !== wilcocrypt._.VAULT_VERSION) {
+    throw new WilcoCryptError(
+      `Unsupported vault version: ${document.version}`,
+      "NOT_A_VAULT",
+    );
+  }
+
+  const entries = new Map();
+
+  if (document.entries === null || typeof document.entries !== "object") {
+    throw new WilcoCryptError("Malformed vault entries", "NOT_A_VAULT");
+  }
+
+  for (const [name, entry] of Object.entries(document.entries)) {
+    const { value, created, updated } = entry ?? {};
+
+    if (
+      !wilcocrypt._.VAULT_ENTRY_NAME.test(name) ||
+      typeof value !== "string" ||
+      !Number.isFinite(created) ||
+      !Number.isFinite(updated)
+    ) {
+      throw new WilcoCryptError("Malformed vault entries", "NOT_A_VAULT");
+    }
+
+    entries.set(name, { value, created, updated });
+  }
+
+  return entries;
+};
+
+/**
+ * Identifies the version of a file on disk, so a vault notices when its
+ * file was replaced or rewritten since it was read.
+ *
+ * @param {import("fs").Stats} stats
+ * @returns {string}
+ */
+wilcocrypt._.fileStamp = function (stats) {
+  return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+};
+
+/**
+ * Password-protected store of named secrets, returned by
+ * `wilcocrypt.createVault` and `wilcocrypt.openVault`.
+ *
+ * The vault file is an ordinary payload whose plaintext is a JSON
+ * document, see `encodeVault`. Every change rewrites it atomically with
+ * the same data key and key slots, so passwords, keys and recipients
+ * added with `addPassword` or at creation keep working. The body is
+ * encrypted under a fresh nonce prefix each time and never compressed,
+ * as compression would leak the similarity of secrets through the size.
+ */
+class Vault {
+  /**
+   * @param {string} filePath
+   * @param {Buffer} key - Data key
+   * @param {object} header - Decoded header, a template for new ones
+   * @param {Map<string, object>} entries
+   * @param {string|null} stamp - `fileStamp` of the file as read, or `null`
+   *   for a vault not written yet
+   * @param {Buffer|null} [aad] - Associated data of the payload
+   */
+  constructor(filePath, key, header, entries, stamp, aad = null) {
+    this._key = key;
+    this._header = header;
+    this._entries = entries;
+    this._stamp = stamp;
+    this._aad = aad;
+    this._queue = Promise.resolve();
+    this._closed = false;
+
+    /**
+     * Path of the vault file.
+     * @type {string}
+     */
+    this.path = filePath;
+  }
+
+  /**
+   * @throws {WilcoCryptError} With code `VAULT_CLOSED`
+   */
+  _assertOpen() {
+    if (this._closed) {
+      throw new WilcoCryptError("Vault is closed", "VAULT_CLOSED");
+    }
+  }
+
+  /**
+   * Returns the value of an entry.
+   *
+   * @param {string} name
+   * @returns {string|undefined} `undefined` if there is no such entry
+   * @throws {WilcoCryptError} With code `VAULT_CLOSED`
+   */
+  get(name) {
+    this._assertOpen();
+    return this._entries.get(name)?.value;
+  }
+
+  /**
+   * Whether the vault has an entry.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   * @throws {WilcoCryptError} With code `VAULT_CLOSED`
+   */
+  has(name) {
+    this._assertOpen();
+    return this._entries.has(name);
+  }
+
+  /**
+   * Lists the entries, sorted by name, without their values.
+   *
+   * @returns {Array<{name: string, created: number, updated: number}>}
+   *   Times in milliseconds since the epoch
+   * @throws {WilcoCryptError} With code `VAULT_CLOSED`
+   */
+  list() {
+    this._assertOpen();
+    return [...this._entries]
+      .map(([name, { created, updated }]) => ({ name, created, updated }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Adds or replaces an entry and saves the vault. A replaced entry keeps
+   * its creation time.
+   *
+   * @param {string} name - See `VAULT_ENTRY_NAME`
+   * @param {string} value
+   * @returns {Promise<void>}
+   * @throws {WilcoCryptError} With code `INVALID_ENTRY_NAME`,
+   *   `INVALID_ENTRY_VALUE`, `VAULT_CHANGED` or `VAULT_CLOSED`
+   */
+  async set(name, value) {
+    wilcocrypt._.assertEntryName(name);
+
+    if (typeof value !== "string") {
+      throw new WilcoCryptError(
+        "Invalid entry value (expected a string)",
+        "INVALID_ENTRY_VALUE",
+      );
+    }
+
+    await this._update((entries) => {
+      const now = Date.now();
+      const created = entries.get(name)?.created ?? now;
+      entries.set(name, { value, created, updated: now });
+    });
+  }
+
+  /**
+   * Removes an entry and saves the vault.
+   *
+   * @param {string} name
+   * @returns {Promise<boolean>} `false` if there was no such entry, in
+   *   which case nothing is written
+   * @throws {WilcoCryptError} With code `VAULT_CHANGED` or `VAULT_CLOSED`
+   */
+  async delete(name) {
+    let deleted = false;
+
+    await this._update((entries) => {
+      deleted = entries.delete(name);
+      return deleted;
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Applies a change to a copy of the entries and saves it. Changes are
+   * queued, so concurrent calls are written one after the other.
+   *
+   * @param {(entries: Map<string, object>) => boolean|void} change -
+   *   Returns `false` when nothing changed
+   * @returns {Promise<void>}
+   * @throws {WilcoCryptError} With code `VAULT_CHANGED` if the file was
+   *   changed by someone else, or `VAULT_CLOSED`
+   */
+  _update(change) {
+    this._assertOpen();
+
+    const run = this._queue.then(async () => {
+      const entries = new Map(this._entries);
+      if (change(entries) === false) return;
+
+      const stats = await fsPromises.stat(this.path);
+      if (wilcocrypt._.fileStamp(stats) !== this._stamp) {
+        throw new WilcoCryptError(
+          "Vault file was changed since it was opened; open it again",
+          "VAULT_CHANGED",
+        );
+      }
+
+      await this._save(entries, true);
+    });
+
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Encrypts `entries` under a fresh nonce prefix and writes the vault
+   * file atomically.
+   *
+   * @param {Map<string, object>} entries
+   * @param {boolean} overwrite - Replace an existing file
+   * @returns {Promise<void>}
+   * @throws {WilcoCryptError} With code `OUTPUT_EXISTS`
+   */
+  async _save(entries, overwrite) {
+    const cipher = this._header.cipher;
+    const { nonceLength } = wilcocrypt._.getCipher(cipher);
+    const header = wilcocrypt._.sealHeader(
+      {
+        ...this._header,
+        noncePrefix: randomBytes(nonceLength - 5),
+        seekable: false,
+        compression: "none",
+        metadata: null,
+        signer: null,
+      },
+      this._key,
+    );
+
+    const body = wilcocrypt._.encryptChunks(
+      wilcocrypt._.encodeVault(entries),
+      this._key,
+      header,
+      this._aad,
+    );
+
+    await wilcocrypt._.writeFileAtomic(
+      this.path,
+      Buffer.concat([
+        wilcocrypt._.encodeHeader(header, {
+          padding: wilcocrypt._.DEFAULT_HEADER_PADDING,
+        }),
+        body,
+      ]),
+      overwrite,
+    );
+
+    this._header = header;
+    this._entries = entries;
+    this._stamp = wilcocrypt._.fileStamp(await fsPromises.stat(this.path));
+  }
+
+  /**
+   * Waits for pending changes, then wipes the data key and forgets the
+   * entries. Further calls throw `VAULT_CLOSED`.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._closed = true;
+    await this._queue;
+
+    this._key?.fill(0);
+    this._key = null;
+    this._entries = new Map();
+  }
+}
+
+wilcocrypt._.Vault = Vault;
+
+/* =========================
+   Public API
+========================= */
+
+/**
+ * Encrypts data using AES-256-GCM (or the `cipher` suite) under a random
+ * data key, which is wrapped for the password and for each recipient
+ * public key.
+ *
+ * Output format:
+ * [HEADER (10 bytes)] + [VERSION (dynamic)] + [header length (4)] + [header JSON] + [segments]
+ *
+ * Each segment is [ciphertext (up to chunkSize)] + [authTag (16)].
+ *
+ * @param {Buffer} plaindata - Raw data to encrypt
+ * @param {string|null} password - Password used for key derivation, or `null`
+ *   to encrypt for `options.key` and `options.recipients` only
+ * @param {boolean|object} [options] - Options, or the legacy `gzip` flag
+ * @param {boolean} [options.gzip=true] - Legacy switch; `false` is the same as
+ *   `compression: "none"`
+ * @param {string|object} [options.compression="gzip"] - Codec: `"gzip"`,
+ *   `"brotli"`, `"zstd"` or `"none"`, or `{ name, level }`. Data whose
+ *   first 64 KiB do not compress is stored uncompressed
+ * @param {string} [options.cipher="aes-256-gcm"] - Cipher suite of the body:
+ *   `"aes-256-gcm"`, `"chacha20-poly1305"` or `"xchacha20-poly1305"`
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.recipients] - X25519
+ *   public keys that can decrypt the payload, see `generateKeyPair`
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] -
+ *   Symmetric key(s) that can decrypt the payload, see `encryptWithKey`
+ * @param {object} [options.kdf] - Key derivation: `{ name: "scrypt", N, r, p, maxmem }`
+ *   or `{ name: "argon2id", memory, passes, parallelism }`
+ * @param {object} [options.passwordPolicy] - `{ minEntropy, action }` the
+ *   password must meet, see `estimatePasswordStrength`; defaults to
+ *   `_.DEFAULT_PASSWORD_POLICY`, which rejects passwords under 28 bits
+ * @param {number} [options.chunkSize=65536] - Plaintext bytes per authenticated segment
+ * @param {boolean} [options.seekable=false] - Write an uncompressed payload that
+ *   supports random access through `openEncryptedFile`; compression is ignored
+ * @param {number} [options.headerPadding=0] - Spare header bytes reserved for key
+ *   slots added later; file functions default to `_.DEFAULT_HEADER_PADDING`
+ * @param {object|false} [options.metadata] - File metadata `{ name, mode, mtime, contentType }`
+ *   to store encrypted in the header; file functions collect it from the input
+ *   file unless this is `false`
+ * @param {string|Buffer} [options.aad] - Associated data the payload is bound
+ *   to, such as a record ID; it is authenticated but not stored, and
+ *   decryption must pass the same value
+ * @param {string|KeyObject} [options.signingKey] - Ed25519 private key that
+ *   signs the header and ciphertext, see `generateSigningKeyPair`
+ * @param {boolean} [options.armor=false] - Return ASCII-armored text
+ *   instead of binary, see `armor`
+ * @returns {Buffer|string} Binary-encoded encrypted payload, or armored
+ *   text with `options.armor`
+ * @throws {WilcoCryptError} If password, KDF parameters or chunk size are
+ *   invalid, or the password policy rejects the password
+ */
+wilcocrypt.encryptData = function (plaindata, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+
+  const compression = wilcocrypt._.selectCompression(normalized, plaindata);
+  const { header, key } = wilcocrypt._.createHeader(password, {
+    ...normalized,
+    compression,
+  });
+
+  const body = wilcocrypt._.encryptChunks(
+    wilcocrypt._.compress(plaindata, compression),
+    key,
+    header,
+    normalized.aad,
+  );
+
+  const payload = Buffer.concat([
+    wilcocrypt._.encodeHeader(header, { padding: normalized.headerPadding }), // HEADER + VERSION + header
+    body, // segments
+    wilcocrypt._.signBody(header, body, normalized.signingKey), // signature, if signed
+  ]);
+
+  return normalized.armor ? wilcocrypt.armor(payload) : payload;
+};
+
+/**
+ * Encrypts data asynchronously using password-based AES-256-GCM.
+ *
+ * Output format:
+ * [HEADER (10 bytes)] + [VERSION (dynamic)] + [header length (4)] + [header JSON] + [segments]
+ *
+ * Each segment is [ciphertext (up to chunkSize)] + [authTag (16)].
+ *
+ * @param {Buffer} plaindata - Raw data to encrypt
+ * @param {string} password - Password used for key derivation
+ * @param {boolean|object} [options] - Same options as `encryptData`
+ * @returns {Promise<Buffer|string>} Binary-encoded encrypted payload, or
+ *   armored text with `options.armor`
+ * @throws {WilcoCryptError} If password, KDF parameters or chunk size are invalid
+ */
+wilcocrypt.encryptDataAsync = async function (plaindata, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+
+  const compression = wilcocrypt._.selectCompression(normalized, plaindata);
+  const { header, key } = await wilcocrypt._.createHeaderAsync(password, {
+    ...normalized,
+    compression,
+  });
+
+  const body = wilcocrypt._.encryptChunks(
+    wilcocrypt._.compress(plaindata, compression),
+    key,
+    header,
+    normalized.aad,
+  );
+
+  const payload = Buffer.concat([
+    wilcocrypt._.encodeHeader(header, { padding: normalized.headerPadding }),
+    body,
+    wilcocrypt._.signBody(header, body, normalized.signingKey),
+  ]);
+
+  return normalized.armor ? wilcocrypt.armor(payload) : payload;
+};
+
+/**
+ * Decrypts encrypted data using password-based AES-256-GCM.
+ *
+ * Validates the internal header, looks up the payload's format version
+ * in `_.FORMATS` and decrypts it with the matching decoder. Key derivation
+ * parameters are read from the payload header. ASCII-armored payloads are
+ * recognized and decoded first.
+ *
+ * @param {Buffer|string} encryptedBuffer - Binary-encoded encrypted payload,
+ *   or armored text
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   to decrypt with `options.key` and `options.identity` only
+ * @param {boolean|object} [options] - Options, or the legacy `gzip` flag
+ * @param {boolean} [options.gzip=true] - Whether to decompress payloads that
+ *   do not record their codec (format 2.2.0); others are decompressed with
+ *   the codec in their header
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.identity] - X25519
+ *   private key(s) to try against the recipient slots
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] -
+ *   Symmetric key(s) to try against the key slots
+ * @param {string|Buffer} [options.aad] - Associated data given on encryption
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.trustedSigners] -
+ *   Ed25519 public key(s); when given, the payload must carry a valid
+ *   signature by one of them
+ * @returns {Buffer} Decrypted raw data
+ * @throws {WilcoCryptError} On invalid header or armor, unsupported version, unsafe KDF parameters, wrong password, or corrupted data
+ */
+wilcocrypt.decryptData = function (encryptedBuffer, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const payload = wilcocrypt._.binaryPayload(encryptedBuffer);
+  const { format, offset } = wilcocrypt._.detectFormat(payload);
+
+  return format.decrypt(payload, offset, password, normalized);
+};
+
+/**
+ * Decrypts encrypted data asynchronously using password-based AES-256-GCM.
+ *
+ * Validates the internal header, looks up the payload's format version
+ * in `_.FORMATS` and decrypts it with the matching decoder. Key derivation
+ * parameters are read from the payload header.
+ *
+ * @param {Buffer|string} encryptedBuffer - Binary-encoded encrypted payload,
+ *   or armored text
+ * @param {string} password - Password used for decryption
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @returns {Promise<Buffer>} Decrypted raw data
+ * @throws {WilcoCryptError} On invalid header or armor, unsupported version, unsafe KDF parameters, wrong password, or corrupted data
+ */
+wilcocrypt.decryptDataAsync = async function (
+  encryptedBuffer,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const payload = wilcocrypt._.binaryPayload(encryptedBuffer);
+  const { format, offset } = wilcocrypt._.detectFormat(payload);
+
+  return format.decryptAsync(payload, offset, password, normalized);
+};
+
+/**
+ * Encrypts data with a 32-byte symmetric key instead of a password.
+ *
+ * No key derivation is involved: the payload's data key is wrapped in a
+ * `key` slot. The output is a regular payload, so it can also be given
+ * a password or recipients through `options`.
+ *
+ * @param {Buffer} plaindata - Raw data to encrypt
+ * @param {Buffer|string|KeyObject} key - 32 raw bytes, a secret KeyObject
+ *   or the contents of a key file, see `generateKeyFile`
+ * @param {boolean|object} [options] - Same options as `encryptData`
+ * @returns {Buffer} Binary-encoded encrypted payload
+ * @throws {WilcoCryptError} If the key, chunk size or other options are invalid
+ */
+wilcocrypt.encryptWithKey = function (plaindata, key, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+
+  return wilcocrypt.encryptData(plaindata, null, {
+    ...normalized,
+    key: [key],
+  });
+};
+
+/**
+ * Decrypts a payload with the symmetric key it was encrypted with.
+ *
+ * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
+ * @param {Buffer|string|KeyObject} key - 32 raw bytes, a secret KeyObject
+ *   or the contents of a key file
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @returns {Buffer} Decrypted raw data
+ * @throws {WilcoCryptError} On invalid key or header, a payload without a
+ *   matching key slot, or corrupted data
+ */
+wilcocrypt.decryptWithKey = function (encryptedBuffer, key, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+
+  return wilcocrypt.decryptData(encryptedBuffer, null, {
+    ...normalized,
+    key: [key],
+  });
+};
+
+/**
+ * Encrypts a string into a compact base64url token, safe for URLs,
+ * cookies and database text columns.
+ *
+ * A token holds a version byte, the cipher suite, the key slots in a
+ * binary encoding and the ciphertext, without the padded JSON header,
+ * compression or segments of a payload: `"hi"` with a password takes
+ * 152 characters.
+ *
+ * @param {string} text - String to encrypt, UTF-8 encoded
+ * @param {string|null} password - Password used for key derivation, or
+ *   `null` for `options.key` and `options.recipients` only
+ * @param {boolean|object} [options] - `kdf`, `cipher`, `key`,
+ *   `recipients`, `aad` and `passwordPolicy` as in `encryptData`; other
+ *   options are ignored, except `signingKey`, which tokens do not support
+ * @returns {string} base64url token
+ * @throws {WilcoCryptError} If password, KDF parameters or cipher suite
+ *   are invalid, or a `signingKey` is given
+ */
+wilcocrypt.encryptString = function (text, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  const header = wilcocrypt._.createTokenPrefix(password, normalized);
+
+  return wilcocrypt._.sealToken(
+    header,
+    header.key,
+    Buffer.from(String(text)),
+    normalized.aad,
+  );
+};
+
+/**
+ * Decrypts a token created by `encryptString`.
+ *
+ * @param {string} token - base64url token
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   for `options.key` and `options.identity` only
+ * @param {boolean|object} [options] - `key`, `identity` and `aad` as in
+ *   `decryptData`
+ * @returns {string} The original string
+ * @throws {WilcoCryptError} On a malformed token, wrong password, or
+ *   corrupted data
+ */
+wilcocrypt.decryptString = function (token, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  const decoded = wilcocrypt._.decodeToken(token);
+  const key = wilcocrypt._.unlockToken(decoded, password, normalized);
+
+  return wilcocrypt._.openToken(decoded, key, normalized.aad).toString("utf8");
+};
+
+/**
+ * Encrypts a JSON value into a base64url token, see `encryptString`.
+ *
+ * With `options.fields`, only the values at those paths are encrypted
+ * and a copy of the document is returned in which each of them is
+ * replaced by a `wc-enc:` token, so the rest stays readable and
+ * diffable. The key slots are created once per call, so a password runs
+ * the key derivation once for the whole document, and every field is
+ * encrypted under its own key derived from the data key and its
+ * location, so values cannot be swapped between fields. Fields that are
+ * already encrypted are left as they are.
+ *
+ * @param {*} value - Any value with a JSON representation
+ * @param {string|null} password - Password used for key derivation, or
+ *   `null` for `options.key` and `options.recipients` only
+ * @param {boolean|object} [options] - Same options as `encryptString`
+ * @param {Array<string|Array<string|number>>} [options.fields] - Paths to
+ *   encrypt: dotted strings such as `db.password` or `users.*.token`, or
+ *   arrays of keys
+ * @returns {string|*} base64url token, or the document with `fields`
+ * @throws {WilcoCryptError} If the value is not JSON, a path is malformed
+ *   or matches nothing, or the encryption options are invalid
+ */
+wilcocrypt.encryptJSON = function (value, password, options) {
+  const { fields, ...normalized } = wilcocrypt._.normalizeOptions(options);
+  const json = wilcocrypt._.serializeJSON(value);
+
+  if (!fields) {
+    return wilcocrypt.encryptString(json, password, normalized);
+  }
+
+  const doc = JSON.parse(json);
+  const paths = [].concat(fields).flatMap((field) => {
+    const segments = wilcocrypt._.parseFieldPath(field);
+    const matches = wilcocrypt._.matchFieldPath(doc, segments);
+
+    if (matches.length === 0) {
+      throw new WilcoCryptError(
+        `Field not found: ${segments.join(".")}`,
+        "FIELD_NOT_FOUND",
+      );
+    }
+
+    return matches;
+  });
+
+  let header = null;
+
+  for (const path of paths) {
+    wilcocrypt._.updateField(doc, path, (fieldValue) => {
+      if (
+        typeof fieldValue === "string" &&
+        fieldValue.startsWith(wilcocrypt._.FIELD_PREFIX)
+      ) {
+        return fieldValue;
+      }
+
+      header ??= wilcocrypt._.createTokenPrefix(password, normalized);
+
+      return (
+        wilcocrypt._.FIELD_PREFIX +
+        wilcocrypt._.sealToken(
+          header,
+          wilcocrypt._.fieldKey(header.key, path),
+          Buffer.from(JSON.stringify(fieldValue)),
+          normalized.aad,
+        )
+      );
+    });
+  }
+
+  return doc;
+};
+
+/**
+ * Decrypts the result of `encryptJSON`: a token is decrypted and parsed,
+ * and in a document every `wc-enc:` field is decrypted, in a copy.
+ * Fields encrypted by the same call share their key slots, which are
+ * unlocked once.
+ *
+ * @param {string|*} input - Token, or a document with encrypted fields
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   for `options.key` and `options.identity` only
+ * @param {boolean|object} [options] - Same options as `decryptString`
+ * @returns {*} The original value or document
+ * @throws {WilcoCryptError} On a malformed token, wrong password, a field
+ *   that was moved or modified, or corrupted data
+ */
+wilcocrypt.decryptJSON = function (input, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+
+  if (typeof input === "string") {
+    const token = wilcocrypt._.decodeToken(input);
+    const key = wilcocrypt._.unlockToken(token, password, normalized);
+
+    return wilcocrypt._.parseJSON(
+      wilcocrypt._.openToken(token, key, normalized.aad),
+    );
+  }
+
+  const doc = JSON.parse(wilcocrypt._.serializeJSON(input));
+  const keys = new Map();
+
+  for (const path of wilcocrypt._.findEncryptedFields(doc)) {
+    wilcocrypt._.updateField(doc, path, (fieldValue) => {
+      const token = wilcocrypt._.decodeToken(
+        fieldValue.slice(wilcocrypt._.FIELD_PREFIX.length),
+      );
+      const id = token.prefix.toString("base64");
+
+      if (!keys.has(id)) {
+        keys.set(id, wilcocrypt._.unlockToken(token, password, normalized));
+      }
+
+      return wilcocrypt._.parseJSON(
+        wilcocrypt._.openToken(
+          token,
+          wilcocrypt._.fieldKey(keys.get(id), path),
+          normalized.aad,
+        ),
+      );
+    });
+  }
+
+  return doc;
+};
+
+/**
+ * Encrypts a file and writes the result to `<filePath>.enc`. With
+ * `options.armor` the file holds armored text, and no header padding is
+ * reserved by default since armored files cannot be rewritten in place.
+ *
+ * The output is written to a temporary file, flushed to disk and renamed
+ * into place, so a crash never leaves a partial `.enc` file behind.
+ *
+ * @param {string} filePath - Path to the file to encrypt
+ * @param {string} password - Password used for encryption
+ * @param {boolean|object} [options] - Same options as `encryptData`
+ * @param {boolean} [options.overwrite=false] - Replace an existing `.enc` file
+ * @param {boolean} [options.removeOriginal=false] - Delete `filePath` once
+ *   the `.enc` file decrypts to the same content, overwriting it with
+ *   random bytes first (best effort, see `_.removeOriginal`)
+ * @returns {void}
+ * @throws {WilcoCryptError} If password, KDF parameters or chunk size are
+ *   invalid, the output exists (`OUTPUT_EXISTS`), or the output fails
+ *   verification for `removeOriginal` (`VERIFICATION_FAILED`)
+ */
+wilcocrypt.encryptFile = function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  const outputPath = `${filePath}.enc`;
+  wilcocrypt._.assertOutputAvailable(outputPath, normalized.overwrite);
+  wilcocrypt._.assertVerifiable(password, normalized);
+
+  const fileData = readFileSync(filePath);
+  const encryptedData = wilcocrypt.encryptData(fileData, password, {
+    headerPadding: normalized.armor ? 0 : wilcocrypt._.DEFAULT_HEADER_PADDING,
+    ...normalized,
+    metadata: wilcocrypt._.fileMetadata(
+      filePath,
+      statSync(filePath),
+      normalized.metadata,
+    ),
+  });
+  wilcocrypt._.writeFileAtomicSync(
+    outputPath,
+    encryptedData,
+    normalized.overwrite,
+  );
+
+  if (normalized.removeOriginal) {
+    wilcocrypt._.verifyEncryptedFileSync(
+      outputPath,
+      password,
+      normalized,
+      fileData,
+    );
+    wilcocrypt._.removeOriginalSync(filePath);
+  }
+};
+
+/**
+ * Encrypts a file asynchronously and writes the result to `<filePath>.enc`.
+ *
+ * The file is encrypted in memory, in one piece, so `options.signal` is
+ * only checked between reading, encrypting and writing it, and
+ * `options.onProgress` only reports 0 and then the whole file once it is
+ * written. Use `encryptFileStream` for progress while the file is being
+ * encrypted.
+ *
+ * @param {string} filePath - Path to the file to encrypt
+ * @param {string} password - Password used for encryption
+ * @param {boolean|object} [options] - Same options as `encryptFile`
+ * @param {AbortSignal} [options.signal] - Cancels the operation
+ * @param {(progress: {processed: number, total: number|null}) => void} [options.onProgress] -
+ *   Receives 0 bytes, then the file size once the file is written
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} If password, KDF parameters or chunk size are
+ *   invalid, the output exists, the output fails verification, or the
+ *   operation is aborted (`ABORTED`)
+ */
+wilcocrypt.encryptFileAsync = async function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  const outputPath = `${filePath}.enc`;
+  wilcocrypt._.assertOutputAvailable(outputPath, normalized.overwrite);
+  wilcocrypt._.assertVerifiable(password, normalized);
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  const fileData = await fsPromises.readFile(filePath);
+  const report = wilcocrypt._.progressReporter(
+    fileData.length,
+    normalized.onProgress,
+  );
+
+  const encryptedData = await wilcocrypt.encryptDataAsync(fileData, password, {
+    headerPadding: normalized.armor ? 0 : wilcocrypt._.DEFAULT_HEADER_PADDING,
+    ...normalized,
+    metadata: wilcocrypt._.fileMetadata(
+      filePath,
+      await fsPromises.stat(filePath),
+      normalized.metadata,
+    ),
+  });
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  await wilcocrypt._.writeFileAtomic(
+    outputPath,
+    encryptedData,
+    normalized.overwrite,
+  );
+  report?.(fileData.length);
+
+  if (normalized.removeOriginal) {
+    await wilcocrypt._.verifyEncryptedFile(
+      outputPath,
+      password,
+      normalized,
+      fileData.length,
+    );
+    await wilcocrypt._.removeOriginal(filePath);
+  }
+};
+
+/**
+ * Decrypts an encrypted `.enc` file.
+ *
+ * If `outputPath` is provided, the decrypted data is written to that file
+ * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+ *
+ * With `options.restore`, the file is written under its original name next
+ * to `filePath` (or to `outputPath`, if given) with its original mode and
+ * modification time, and the path written to is returned.
+ *
+ * ASCII-armored files are accepted whatever their extension.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string} password - Password used for decryption
+ * @param {string|boolean|object} [outputPath] - Optional path to write decrypted output to.
+ *   If omitted (or an options object / `true`/`false`), the function returns the decrypted Buffer instead.
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @param {boolean} [options.restore=false] - Restore the original file name,
+ *   mode and modification time from the encrypted metadata
+ * @param {boolean} [options.overwrite=false] - Replace an existing output file
+ * @returns {Buffer|string|undefined} Decrypted file contents, the restored
+ *   path, or undefined if outputPath was given
+ * @throws {WilcoCryptError} If a binary file does not end with `.enc`,
+ *   decryption fails, a restored file name is missing, or the output
+ *   file already exists
+ */
+wilcocrypt.decryptFile = function (filePath, password, outputPath, options) {
+  // Support the 3-argument forms: decryptFile(filePath, password, gzip | options)
+  if (outputPath !== undefined && typeof outputPath !== "string") {
+    options = outputPath;
+    outputPath = undefined;
+  }
+
+  const fileData = readFileSync(filePath);
+
+  if (!filePath.endsWith(".enc") && !wilcocrypt._.isArmored(fileData)) {
+    throw new WilcoCryptError(
+      "Invalid file extension (expected .enc)",
+      "INVALID_FILE_EXTENSION",
+    );
+  }
+
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  const encryptedData = wilcocrypt._.binaryPayload(fileData);
+
+  if (normalized.restore) {
+    wilcocrypt._.assertCredentials(password, [
+      ...normalized.key,
+      ...normalized.identity,
+    ]);
+
+    const { format, offset } = wilcocrypt._.detectFormat(encryptedData);
+    const { data, metadata } = format.open(
+      encryptedData,
+      offset,
+      password,
+      normalized,
+    );
+    const target = wilcocrypt._.restoreTarget(
+      filePath,
+      outputPath,
+      metadata,
+      normalized.overwrite,
+    );
+
+    wilcocrypt._.writeFileAtomicSync(target.path, data, !target.exclusive);
+    wilcocrypt._.applyMetadataSync(target.path, metadata);
+    return target.path;
+  }
+
+  if (outputPath) {
+    wilcocrypt._.assertOutputAvailable(outputPath, normalized.overwrite);
+  }
+
+  const decrypted = wilcocrypt.decryptData(encryptedData, password, normalized);
+
+  if (outputPath) {
+    wilcocrypt._.writeFileAtomicSync(
+      outputPath,
+      decrypted,
+      normalized.overwrite,
+    );
+    return;
+  }
+
+  return decrypted;
+};
+
+/**
+ * Decrypts an encrypted `.enc` file asynchronously.
+ *
+ * If `outputPath` is provided, the decrypted data is written to that file
+ * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+ *
+ * As with `encryptFileAsync`, the file is decrypted in memory:
+ * `options.signal` is only checked between the steps, and
+ * `options.onProgress` only reports 0 and then the whole file once it is
+ * done. Use `decryptFileStream` for progress while the file is being
+ * decrypted.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string} password - Password used for decryption
+ * @param {string|boolean|object} [outputPath] - Optional output path
+ * @param {boolean|object} [options] - Same options as `decryptFile`, plus
+ *   `signal` and `onProgress`
+ * @returns {Promise<Buffer|string|undefined>}
+ * @throws {WilcoCryptError}
+ */
+wilcocrypt.decryptFileAsync = async function (
+  filePath,
+  password,
+  outputPath,
+  options,
+) {
+  if (outputPath !== undefined && typeof outputPath !== "string") {
+    options = outputPath;
+    outputPath = undefined;
+  }
+
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  const fileData = await fsPromises.readFile(filePath);
+
+  if (!filePath.endsWith(".enc") && !wilcocrypt._.isArmored(fileData)) {
+    throw new WilcoCryptError(
+      "Invalid file extension (expected .enc)",
+      "INVALID_FILE_EXTENSION",
+    );
+  }
+
+  const encryptedData = wilcocrypt._.binaryPayload(fileData);
+  const report = wilcocrypt._.progressReporter(
+    fileData.length,
+    normalized.onProgress,
+  );
+
+  if (normalized.restore) {
+    wilcocrypt._.assertCredentials(password, [
+      ...normalized.key,
+      ...normalized.identity,
+    ]);
+
+    const { format, offset } = wilcocrypt._.detectFormat(encryptedData);
+    const { data, metadata } = await format.openAsync(
+      encryptedData,
+      offset,
+      password,
+      normalized,
+    );
+    const target = wilcocrypt._.restoreTarget(
+      filePath,
+      outputPath,
+      metadata,
+      normalized.overwrite,
+    );
+    wilcocrypt._.throwIfAborted(normalized.signal);
+
+    await wilcocrypt._.writeFileAtomic(target.path, data, !target.exclusive);
+    await wilcocrypt._.applyMetadata(target.path, metadata);
+    report?.(fileData.length);
+    return target.path;
+  }
+
+  if (outputPath) {
+    wilcocrypt._.assertOutputAvailable(outputPath, normalized.overwrite);
+  }
+
+  const decrypted = await wilcocrypt.decryptDataAsync(
+    encryptedData,
+    password,
+    normalized,
+  );
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  if (outputPath) {
+    await wilcocrypt._.writeFileAtomic(
+      outputPath,
+      decrypted,
+      normalized.overwrite,
+    );
+  }
+
+  report?.(fileData.length);
+  if (!outputPath) return decrypted;
+};
+
+/**
+ * Encrypts a file using streams and writes the result to `outputPath`.
+ * Memory-efficient alternative to `encryptFile` for large files.
+ *
+ * Output format:
+ * [HEADER] + [VERSION] + [header length (4)] + [header JSON] + [segments]
+ *
+ * The output is written to a temporary file next to `outputPath` and
+ * renamed into place once complete and flushed to disk. Aborting
+ * `options.signal` stops the pipeline and removes the temporary file.
+ *
+ * With `options.volumeSize`, the output is split into volumes of that
+ * many bytes, written to `outputPath.001`, `outputPath.002`, … Each
+ * volume starts with a header that records its index, the number of
+ * volumes and an ID shared by the set, authenticated together with the
+ * volume content. `decryptFileStream` and `verifyFile` take the first
+ * volume and find the others next to it.
+ *
+ * @param {string} inputPath - Path to the file to encrypt
+ * @param {string} outputPath - Path to write the encrypted output to
+ * @param {string} password - Password used for key derivation
+ * @param {boolean|object} [options] - Same options as `encryptFile`,
+ *   including `overwrite` and `removeOriginal`
+ * @param {AbortSignal} [options.signal] - Cancels the operation
+ * @param {(progress: {processed: number, total: number|null}) => void} [options.onProgress] -
+ *   Receives the plaintext bytes read so far and the size of the file,
+ *   once before key derivation and after every chunk
+ * @param {number} [options.volumeSize] - Splits the output into volumes
+ *   of this size in bytes, at least `MIN_VOLUME_SIZE` (64 KiB)
+ * @returns {Promise<Array<string>|void>} The paths of the volumes, with
+ *   `options.volumeSize`
+ * @throws {WilcoCryptError} If password, KDF parameters, chunk size or
+ *   volume size are invalid, the output exists, the output fails
+ *   verification, or the operation is aborted (`ABORTED`)
+ */
+wilcocrypt.encryptFileStream = async function (
+  inputPath,
+  outputPath,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+  wilcocrypt._.assertVerifiable(password, normalized);
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  const stats = await fsPromises.stat(inputPath);
+  const metadata = wilcocrypt._.fileMetadata(
+    inputPath,
+    stats,
+    normalized.metadata,
+  );
+
+  const handle = await fsPromises.open(inputPath, "r");
+  let sample;
+  try {
+    sample = Buffer.alloc(wilcocrypt._.COMPRESSION_SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(sample, 0, sample.length, 0);
+    sample = sample.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const volumes = await wilcocrypt._.writeEncryptedFile(
+    createReadStream(inputPath),
+    outputPath,
+    password,
+    {
+      ...normalized,
+      compression: wilcocrypt._.selectCompression(normalized, sample),
+      metadata,
+    },
+    wilcocrypt._.progressReporter(stats.size, normalized.onProgress),
+  );
+
+  if (normalized.removeOriginal) {
+    await wilcocrypt._.verifyEncryptedFile(
+      volumes ?? outputPath,
+      password,
+      normalized,
+      stats.size,
+    );
+    await wilcocrypt._.removeOriginal(inputPath);
+  }
+
+  return volumes;
+};
+
+/**
+ * Decrypts an encrypted `.enc` file using streams.
+ * Memory-efficient alternative to `decryptFile` for large files.
+ * Each segment is authenticated before any of its plaintext is written,
+ * and truncated or reordered segments are detected.
+ * The plaintext is written to a temporary file that only replaces
+ * `outputPath` once decryption and the integrity check succeeded.
+ *
+ * With `options.restore`, `outputPath` may be `null` to write the file
+ * under its original name next to `inputPath`, and the original mode and
+ * modification time are applied.
+ *
+ * `inputPath` may be the first volume of a file split with
+ * `volumeSize`. The other volumes are looked up next to it before
+ * anything is decrypted, and every volume is authenticated as it is
+ * read, so a missing volume fails with `VOLUME_MISSING` and a damaged or
+ * foreign one with `VOLUME_CORRUPTED`, both naming the volume.
+ *
+ * @param {string} inputPath - Path to the encrypted `.enc` file, or its
+ *   first volume
+ * @param {string|null} outputPath - Path to write the decrypted output to
+ * @param {string} password - Password used for decryption
+ * @param {boolean|object} [options] - Same options as `decryptFile`
+ * @param {AbortSignal} [options.signal] - Cancels the operation
+ * @param {(progress: {processed: number, total: number|null}) => void} [options.onProgress] -
+ *   Receives the encrypted body bytes read so far and their total, once
+ *   after key derivation and after every chunk
+ * @returns {Promise<string|void>} The path written to, with `options.restore`
+ * @throws {WilcoCryptError} On invalid header, unsupported version,
+ *   missing or damaged volumes, decryption/integrity failure, or with
+ *   code `ABORTED`
+ */
+wilcocrypt.decryptFileStream = async function (
+  inputPath,
+  outputPath,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+  wilcocrypt._.throwIfAborted(normalized.signal);
+
+  const handle = await wilcocrypt._.openPayloadFile(inputPath);
+
+  try {
+    // Header plus the longest version string we could possibly know about
+    const prefix = Buffer.alloc(wilcocrypt._.HEADER.length + 32);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+
+    const { format, offset } = wilcocrypt._.detectFormat(
+      prefix.subarray(0, bytesRead),
+    );
+
+    const { bodyStart, bodyEnd, steps, metadata, key } =
+      await format.openStream(handle, offset, password, normalized);
+    wilcocrypt._.throwIfAborted(normalized.signal);
+
+    const target = wilcocrypt._.restoreTarget(
+      inputPath,
+      outputPath,
+      metadata,
+      normalized.overwrite,
+    );
+    const report = wilcocrypt._.progressReporter(
+      bodyEnd - bodyStart,
+      normalized.onProgress,
+    );
+
+    try {
+      await wilcocrypt._.pipeToOutput(
+        [
+          wilcocrypt._.payloadSource(handle, bodyStart, bodyEnd, key),
+          ...wilcocrypt._.progressSteps(report),
+          ...steps,
+        ],
+        target.path,
+        target.exclusive,
+        normalized.signal,
+      );
+    } catch (err) {
+      throw await wilcocrypt._.locateVolumeError(handle, key, err);
+    }
+
+    if (normalized.restore) {
+      await wilcocrypt._.applyMetadata(target.path, metadata);
+      return target.path;
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Creates a Transform stream that encrypts its input into a payload, for
+ * sources and destinations that are not files: HTTP bodies, sockets,
+ * child processes or object storage. Works with `stream.pipeline`, and
+ * with web streams through `Duplex.toWeb`.
+ *
+ * The payload header is emitted first, once the key derivation has run
+ * and the first 64 KiB of input (or all of it) have arrived to choose
+ * the compression.
+ * Invalid options other than credentials, such as KDF parameters or
+ * recipients, are reported as an `error` event. Streamed payloads carry
+ * no file metadata unless `options.metadata` is given.
+ *
+ * Aborting `options.signal` destroys the stream with an `ABORTED` error.
+ * `options.onProgress` counts the input bytes encrypted so far; the total
+ * of a stream is unknown, so it is always `null`.
+ *
+ * @param {string|null} password - Password used for key derivation, or
+ *   `null` when encrypting for `options.recipients` or `options.key` only
+ * @param {boolean|object} [options] - Same options as `encryptData`,
+ *   except `armor`, plus `signal` and `onProgress`
+ * @returns {Transform}
+ * @throws {WilcoCryptError} If the password is invalid or `armor` is set
+ */
+wilcocrypt.createEncryptStream = function (password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+
+  if (normalized.armor) {
+    throw new WilcoCryptError(
+      "Streamed payloads cannot be armored (use encryptData or armor)",
+      "INVALID_ARMOR",
+    );
+  }
+
+  const report = wilcocrypt._.progressReporter(null, normalized.onProgress);
+
+  // Waits for a compression sample before the header is emitted
+  const stream = new PayloadTransform(async (buffered, ended) => {
+    if (!ended && buffered.length < wilcocrypt._.COMPRESSION_SAMPLE_SIZE) {
+      return null;
+    }
+
+    const options = {
+      ...normalized,
+      compression: wilcocrypt._.selectCompression(normalized, buffered),
+    };
+    const { header, key } = await wilcocrypt._.createHeaderAsync(
+      password,
+      options,
+    );
+
+    return {
+      head: wilcocrypt._.encodeHeader(header, {
+        padding: normalized.headerPadding ?? 0,
+      }),
+      steps: [
+        ...wilcocrypt._.progressSteps(report),
+        ...wilcocrypt._.bodyEncryptionSteps(header, key, options),
+      ],
+      rest: buffered,
+    };
+  });
+
+  return wilcocrypt._.abortOnSignal(stream, normalized.signal);
+};
+
+/**
+ * Creates a Transform stream that decrypts a current-format payload, the
+ * counterpart of `createEncryptStream`. It parses the header from the
+ * input, holds back a trailing signature, and authenticates every segment
+ * before any of its plaintext is emitted. Truncated or reordered payloads
+ * end the stream with a `DECRYPTION_FAILED` error, so plaintext already
+ * passed on must be discarded when the stream fails.
+ *
+ * Format 2.2.0 payloads have no segments and are rejected with
+ * `UPGRADE_REQUIRED`; decrypt them with `decryptFileStream` or upgrade
+ * them first. Armored payloads must be decoded with `dearmor` first.
+ *
+ * `options.signal` and `options.onProgress` work as for
+ * `createEncryptStream`; progress counts the payload body bytes.
+ *
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   when decrypting with `options.identity` or `options.key` only
+ * @param {boolean|object} [options] - Same options as `decryptData`, plus
+ *   `signal` and `onProgress`
+ * @returns {Transform}
+ * @throws {WilcoCryptError} If the password is invalid. Header, credential
+ *   and integrity errors are reported as an `error` event
+ */
+wilcocrypt.createDecryptStream = function (password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const report = wilcocrypt._.progressReporter(null, normalized.onProgress);
+
+  const stream = new PayloadTransform(
+    async (buffered, ended) => {
+      const parsed = wilcocrypt._.parseStreamHeader(buffered, ended);
+      if (!parsed) return null;
+
+      const { header, body } = parsed;
+      const trailer = wilcocrypt._.createSignatureTrailer(
+        header,
+        normalized.trustedSigners,
+      );
+      const key = await wilcocrypt._.unlockHeaderAsync(
+        header,
+        password,
+        normalized,
+      );
+
+      const steps = wilcocrypt._.bodyDecryptionSteps(header, key, normalized);
+      if (trailer) steps.unshift(trailer);
+      steps.unshift(...wilcocrypt._.progressSteps(report));
+
+      return { steps, rest: body };
+    },
+    (err) => {
+      if (err instanceof WilcoCryptError) return err;
+      return new WilcoCryptError(
+        "Decryption failed (invalid password, corrupted data, or tampered file)",
+        "DECRYPTION_FAILED",
+      );
+    },
+  );
+
+  return wilcocrypt._.abortOnSignal(stream, normalized.signal);
+};
+
+/**
+ * Checks that a payload decrypts and authenticates with the given
+ * password or keys, and discards the plaintext.
+ *
+ * Failures caused by the payload or the credentials are reported in the
+ * result rather than thrown, so many payloads can be checked in a row.
+ * The payload is decrypted in one piece, so the plaintext is held in
+ * memory until the call returns; `verifyDataAsync` streams it instead.
+ *
+ * @param {Buffer|string} encryptedBuffer - Binary or armored payload
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   when decrypting with `options.identity` or `options.key`
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @returns {{valid: boolean, version: string|null, size: number, metadata: object|null, signatureVerified: boolean, code: string|null, message: string|null}}
+ *   `size` counts the plaintext bytes authenticated, and is 0 for invalid
+ *   payloads; `signatureVerified` is only `true` when
+ *   `options.trustedSigners` was checked
+ * @throws {WilcoCryptError} If the password or options are invalid
+ */
+wilcocrypt.verifyData = function (encryptedBuffer, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  let version = null;
+  try {
+    const payload = wilcocrypt._.binaryPayload(encryptedBuffer);
+    const detected = wilcocrypt._.detectFormat(payload);
+    version = detected.version;
+
+    const { data, metadata } = detected.format.open(
+      payload,
+      detected.offset,
+      password,
+      normalized,
+    );
+
+    return {
+      valid: true,
+      version,
+      size: data.length,
+      metadata,
+      signatureVerified: normalized.trustedSigners.length > 0,
+      code: null,
+      message: null,
+    };
+  } catch (err) {
+    return wilcocrypt._.verificationFailure(err, version, 0);
+  }
+};
+
+/**
+ * Asynchronous version of `verifyData`, which never holds the whole
+ * plaintext: it is streamed through the cipher segment by segment and
+ * discarded.
+ *
+ * @param {Buffer|string} encryptedBuffer - Binary or armored payload
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   when decrypting with `options.identity` or `options.key`
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @returns {Promise<object>} See `verifyData`; `size` counts up to the
+ *   failure for invalid payloads
+ * @throws {WilcoCryptError} If the password or options are invalid
+ */
+wilcocrypt.verifyDataAsync = async function (
+  encryptedBuffer,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  let payload;
+  try {
+    payload = wilcocrypt._.binaryPayload(encryptedBuffer);
+  } catch (err) {
+    return wilcocrypt._.verificationFailure(err, null, 0);
+  }
+
+  // Slices keep the pipeline from buffering all plaintext at once
+  const createSource = (start, end) => {
+    const slices = [];
+    for (let i = start; i < end; i += wilcocrypt._.DEFAULT_CHUNK_SIZE) {
+      slices.push(
+        payload.subarray(i, Math.min(end, i + wilcocrypt._.DEFAULT_CHUNK_SIZE)),
+      );
+    }
+    return Readable.from(slices);
+  };
+
+  return wilcocrypt._.verifyPayload(
+    wilcocrypt._.bufferHandle(payload),
+    createSource,
+    password,
+    normalized,
+  );
+};
+
+/**
+ * Checks that an encrypted file decrypts and authenticates with the given
+ * password or keys, like `verifyDataAsync`, reading the file as a
+ * stream. Nothing is written, and the plaintext is never held in memory
+ * as a whole. Armored files are the exception to streaming: their text
+ * is read in full and decoded in memory before the check. Split files
+ * are checked from their first volume, like `decryptFileStream` reads
+ * them.
+ *
+ * @param {string} filePath - Path to the encrypted file
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   when decrypting with `options.identity` or `options.key`
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @param {AbortSignal} [options.signal] - Cancels the check
+ * @param {(progress: {processed: number, total: number|null}) => void} [options.onProgress] -
+ *   Receives the body bytes checked so far and their total
+ * @returns {Promise<object>} See `verifyData`
+ * @throws {WilcoCryptError} If the password or options are invalid, or
+ *   with code `ABORTED`
+ * @throws {Error} If the file cannot be read
+ */
+wilcocrypt.verifyFile = async function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  let handle;
+  try {
+    handle = await wilcocrypt._.openPayloadFile(filePath);
+  } catch (err) {
+    return wilcocrypt._.verificationFailure(err, null, 0);
+  }
+
+  try {
+    const start = Buffer.alloc(64);
+    const { bytesRead } = await handle.read(start, 0, start.length, 0);
+
+    if (wilcocrypt._.isArmored(start.subarray(0, bytesRead))) {
+      return wilcocrypt.verifyDataAsync(
+        await fsPromises.readFile(filePath),
+        password,
+        options,
+      );
+    }
+
+    return await wilcocrypt._.verifyPayload(
+      handle,
+      (bodyStart, bodyEnd, key) =>
+        wilcocrypt._.payloadSource(handle, bodyStart, bodyEnd, key),
+      password,
+      normalized,
+    );
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Re-wraps a payload written by an older format version into the current
+ * format (`_.VERSION`). Payloads that are already current are returned as is.
+ *
+ * The plaintext only exists in memory for the duration of the call.
+ *
+ * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
+ * @param {string} password - Password used for the original encryption
+ * @param {boolean|object} [options] - Options, or the legacy `gzip` flag
+ * @param {boolean} [options.gzip=true] - Whether the original payload was compressed
+ * @param {object} [options.kdf] - Key derivation for the upgraded payload, as in `encryptData`
+ * @param {string|Buffer} [options.aad] - Associated data to bind the upgraded payload to
+ * @returns {Buffer} Payload in the current format
+ * @throws {WilcoCryptError} On invalid header, unsupported version, wrong password, or corrupted data
+ */
+wilcocrypt.upgradeData = function (encryptedBuffer, password, options) {
+  const { version } = wilcocrypt._.detectFormat(encryptedBuffer);
+  if (version === wilcocrypt._.VERSION) return encryptedBuffer;
+
+  // Older formats carry no associated data; `aad` binds the upgraded payload
+  const decrypted = wilcocrypt.decryptData(encryptedBuffer, password, {
+    ...wilcocrypt._.normalizeOptions(options),
+    aad: null,
+  });
+  // The password already protects the data; do not refuse to upgrade it
+  return wilcocrypt.encryptData(decrypted, password, {
+    ...wilcocrypt._.normalizeOptions(options),
+    passwordPolicy: { action: "ignore" },
+  });
+};
+
+/**
+ * Asynchronous version of `upgradeData`.
+ *
+ * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
+ * @param {string} password - Password used for the original encryption
+ * @param {boolean|object} [options] - Same options as `upgradeData`
+ * @returns {Promise<Buffer>} Payload in the current format
+ * @throws {WilcoCryptError} On invalid header, unsupported version, wrong password, or corrupted data
+ */
+wilcocrypt.upgradeDataAsync = async function (
+  encryptedBuffer,
+  password,
+  options,
+) {
+  const { version } = wilcocrypt._.detectFormat(encryptedBuffer);
+  if (version === wilcocrypt._.VERSION) return encryptedBuffer;
+
+  const decrypted = await wilcocrypt.decryptDataAsync(
+    encryptedBuffer,
+    password,
+    { ...wilcocrypt._.normalizeOptions(options), aad: null },
+  );
+
+  return wilcocrypt.encryptDataAsync(decrypted, password, {
+    ...wilcocrypt._.normalizeOptions(options),
+    passwordPolicy: { action: "ignore" },
+  });
+};
+
+/**
+ * Upgrades an encrypted `.enc` file to the current format in place.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string} password - Password used for the original encryption
+ * @param {boolean|object} [options] - Same options as `upgradeData`
+ * @returns {boolean} `true` if the file was rewritten, `false` if it was already current
+ * @throws {WilcoCryptError} If file extension is invalid or decryption fails
+ */
+wilcocrypt.upgradeFile = function (filePath, password, options) {
+  if (!filePath.endsWith(".enc")) {
+    throw new WilcoCryptError(
+      "Invalid file extension (expected .enc)",
+      "INVALID_FILE_EXTENSION",
+    );
+  }
+
+  const encryptedData = readFileSync(filePath);
+  const upgraded = wilcocrypt.upgradeData(encryptedData, password, {
+    headerPadding: wilcocrypt._.DEFAULT_HEADER_PADDING,
+    ...wilcocrypt._.normalizeOptions(options),
+  });
+
+  if (upgraded === encryptedData) return false;
+
+  wilcocrypt._.writeFileAtomicSync(filePath, upgraded, true);
+  return true;
+};
+
+/**
+ * Asynchronous version of `upgradeFile`.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string} password - Password used for the original encryption
+ * @param {boolean|object} [options] - Same options as `upgradeData`
+ * @returns {Promise<boolean>} `true` if the file was rewritten, `false` if it was already current
+ * @throws {WilcoCryptError} If file extension is invalid or decryption fails
+ */
+wilcocrypt.upgradeFileAsync = async function (filePath, password, options) {
+  if (!filePath.endsWith(".enc")) {
+    throw new WilcoCryptError(
+      "Invalid file extension (expected .enc)",
+      "INVALID_FILE_EXTENSION",
+    );
+  }
+
+  const encryptedData = await fsPromises.readFile(filePath);
+
+  const upgraded = await wilcocrypt.upgradeDataAsync(encryptedData, password, {
+    headerPadding: wilcocrypt._.DEFAULT_HEADER_PADDING,
+    ...wilcocrypt._.normalizeOptions(options),
+  });
+
+  if (upgraded === encryptedData) return false;
+
+  await wilcocrypt._.writeFileAtomic(filePath, upgraded, true);
+  return true;
+};
+
+/**
+ * Opens a seekable `.enc` file for random-access reads.
+ *
+ * Only payloads written with `{ seekable: true }` support random access,
+ * because compression would make plaintext offsets unpredictable. The last
+ * segment is authenticated on open, so the reported `size` is trustworthy
+ * and a truncated file is rejected right away. Call `close()` when done.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string|null} password - Password used for decryption, or `null` with
+ *   `options.identity` or `options.key`
+ * @param {object} [options]
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.identity] - Private key(s) to try
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] - Symmetric key(s) to try
+ * @param {string|Buffer} [options.aad] - Associated data given on encryption
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.trustedSigners] -
+ *   Require a signature by one of these keys; the whole file is read once
+ * @returns {Promise<EncryptedFileHandle>} Handle with `size`, `read(position, length)`,
+ *   `createReadStream({ start, end })` and `close()`
+ * @throws {WilcoCryptError} On invalid header, payloads that are not seekable,
+ *   wrong password, or corrupted data
+ */
+wilcocrypt.openEncryptedFile = async function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const handle = await fsPromises.open(filePath, "r");
+
+  try {
+    const prefix = Buffer.alloc(wilcocrypt._.HEADER.length + 32);
+    const { bytesRead } = await handle.read(prefix, 0, prefix.length, 0);
+
+    const { version, offset } = wilcocrypt._.detectFormat(
+      prefix.subarray(0, bytesRead),
+    );
+
+    if (version !== wilcocrypt._.VERSION) {
+      throw new WilcoCryptError(
+        `Format ${version} payloads do not support random access`,
+        "NOT_SEEKABLE",
+      );
+    }
+
+    const { header, offset: bodyOffset } = await wilcocrypt._.readFileHeader(
+      handle,
+      offset,
+    );
+
+    if (!header.seekable) {
+      throw new WilcoCryptError(
+        "Payload was not encrypted in seekable mode",
+        "NOT_SEEKABLE",
+      );
+    }
+
+    const trailer = await wilcocrypt._.readFileTrailer(
+      handle,
+      header,
+      bodyOffset,
+    );
+
+    // Random access cannot check the signature piecemeal, so hash it all once
+    if (normalized.trustedSigners.length > 0) {
+      await wilcocrypt._.verifyFileSignature(
+        handle,
+        header,
+        trailer,
+        bodyOffset,
+        normalized.trustedSigners,
+      );
+    }
+
+    const key = await wilcocrypt._.unlockHeaderAsync(
+      header,
+      password,
+      normalized,
+    );
+
+    const file = new EncryptedFileHandle(
+      handle,
+      key,
+      header,
+      bodyOffset,
+      trailer.bodyEnd - bodyOffset,
+      normalized.aad,
+    );
+
+    await file._readSegment(file._segmentCount - 1);
+    return file;
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+};
+
+/**
+ * Encrypts a directory tree into a single archive payload at `outputPath`.
+ *
+ * File names, sizes, modes, modification times and the directory
+ * structure are stored inside the encrypted body, so only the total size
+ * is visible. Files are streamed one by one. Symbolic links and special
+ * files are skipped.
+ *
+ * @param {string} dir - Directory to archive
+ * @param {string} outputPath - Path to write the archive to
+ * @param {string|null} password - Password used for key derivation, or
+ *   `null` with `options.key` or `options.recipients`
+ * @param {boolean|object} [options] - Same options as `encryptData`, plus
+ *   `overwrite`, `signal` and `onProgress`, which counts the bytes of
+ *   file content archived against their total size
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} If credentials or options are invalid, a
+ *   file shrinks while it is being archived, or with code `ABORTED`
+ */
+wilcocrypt.encryptDirectory = async function (
+  dir,
+  outputPath,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+
+  if (normalized.volumeSize != null) {
+    throw new WilcoCryptError(
+      "Archives cannot be split into volumes (use encryptFileStream)",
+      "INVALID_VOLUME_SIZE",
+    );
+  }
+
+  const stats = await fsPromises.stat(dir);
+  if (!stats.isDirectory()) {
+    throw new WilcoCryptError(`Not a directory: ${dir}`, "NOT_A_DIRECTORY");
+  }
+
+  const entries = await wilcocrypt._.walkDirectory(dir);
+
+  let report = null;
+  if (normalized.onProgress) {
+    let total = 0;
+    for (const entry of entries) {
+      if (entry.type === "file") {
+        total += (await fsPromises.stat(entry.fullPath)).size;
+      }
+    }
+    report = wilcocrypt._.progressReporter(total, normalized.onProgress);
+  }
+
+  await wilcocrypt._.writeEncryptedFile(
+    wilcocrypt._.createArchiveStream(entries, report),
+    outputPath,
+    password,
+    normalized,
+  );
+};
+
+/**
+ * Extracts an archive written by `encryptDirectory` into `outputDir`,
+ * which is created if needed.
+ *
+ * Extraction is path-traversal-safe: entry paths must be relative and
+ * free of `..` segments, and files are never written through symbolic
+ * links. Existing files are only replaced with `options.overwrite`.
+ * Entries are authenticated before they are written, but entries
+ * extracted before a failure or an abort stay on disk; the entry being
+ * written is removed.
+ *
+ * @param {string} archivePath - Path to the archive
+ * @param {string} outputDir - Directory to extract into
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   with `options.key` or `options.identity`
+ * @param {boolean|object} [options] - Same options as `decryptData`
+ * @param {string} [options.entry] - Only extract this file, or this
+ *   directory and everything below it
+ * @param {boolean} [options.overwrite=false] - Replace existing files
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @param {(progress: {processed: number, total: number|null}) => void} [options.onProgress] -
+ *   Receives the encrypted body bytes read so far and their total
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On malformed archives, unsafe entry paths,
+ *   a missing `entry`, decryption failures, with code `OUTPUT_EXISTS`
+ *   when a file exists and `overwrite` is not set, or with code `ABORTED`
+ */
+wilcocrypt.decryptArchive = async function (
+  archivePath,
+  outputDir,
+  password,
+  options,
+) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const only =
+    normalized.entry == null
+      ? null
+      : wilcocrypt._.assertArchivePath(normalized.entry);
+  const directories = [];
+  let found = false;
+
+  await fsPromises.mkdir(outputDir, { recursive: true });
+  const root = await fsPromises.realpath(outputDir);
+
+  await wilcocrypt._.readArchive(
+    archivePath,
+    password,
+    normalized,
+    async (entry) => {
+      if (
+        only !== null &&
+        entry.path !== only &&
+        !entry.path.startsWith(only + "/")
+      ) {
+        return null;
+      }
+      found = true;
+
+      const target = resolve(root, ...entry.path.split("/"));
+      const parent = entry.type === "directory" ? target : dirname(target);
+
+      await fsPromises.mkdir(parent, { recursive: true });
+
+      // A symbolic link among the parents could point outside `root`
+      const realParent = await fsPromises.realpath(parent);
+      if (realParent !== root && !realParent.startsWith(root + sep)) {
+        throw new WilcoCryptError(
+          `Unsafe archive entry path: ${JSON.stringify(entry.path)}`,
+          "UNSAFE_ARCHIVE_PATH",
+        );
+      }
 
-  const authTag = encryptedBuffer.subarray(encryptedBuffer.length - 16);
+      if (entry.type === "directory") {
+        directories.push({ target, entry });
+        return null;
+      }
 
-  const ciphertext = encryptedBuffer.subarray(
-    offset,
-    encryptedBuffer.length - 16,
+      let handle;
+      try {
+        handle = await fsPromises.open(
+          target,
+          fsConstants.O_WRONLY |
+            fsConstants.O_CREAT |
+            (normalized.overwrite ? fsConstants.O_TRUNC : fsConstants.O_EXCL) |
+            (fsConstants.O_NOFOLLOW ?? 0),
+          entry.mode,
+        );
+      } catch (err) {
+        throw wilcocrypt._.outputError(err, target);
+      }
+
+      return {
+        write: (piece) => handle.write(piece),
+        async end() {
+          await handle.utimes(entry.mtime / 1000, entry.mtime / 1000);
+          await handle.close();
+        },
+        async abort() {
+          await handle.close();
+          await fsPromises.rm(target, { force: true });
+        },
+      };
+    },
   );
 
-  const key = await scryptAsync(password, salt, 32);
+  if (only !== null && !found) {
+    throw new WilcoCryptError(
+      `Archive has no entry ${JSON.stringify(only)}`,
+      "ENTRY_NOT_FOUND",
+    );
+  }
+
+  // Deepest first, once their content is in place, so a read-only
+  // directory does not block its own extraction
+  for (const { target, entry } of directories.reverse()) {
+    await fsPromises.chmod(target, entry.mode);
+    await fsPromises.utimes(target, entry.mtime / 1000, entry.mtime / 1000);
+  }
+};
+
+/**
+ * Lists the entries of an archive written by `encryptDirectory`. The
+ * whole archive is decrypted and authenticated, but nothing is written.
+ *
+ * @param {string} archivePath - Path to the archive
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   with `options.key` or `options.identity`
+ * @param {boolean|object} [options] - Same options as `decryptData`, plus
+ *   `signal` and `onProgress` as for `decryptArchive`
+ * @returns {Promise<Array<{path: string, type: "file"|"directory", size: number, mode: number, mtime: number}>>}
+ *   Entries in archive order; `mtime` is in milliseconds since the epoch
+ * @throws {WilcoCryptError} On malformed archives or decryption failures
+ */
+wilcocrypt.listArchive = async function (archivePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  const entries = [];
 
-  const decrypted = wilcocrypt._.decryptData(ciphertext, authTag, key, iv);
+  await wilcocrypt._.readArchive(
+    archivePath,
+    password,
+    normalized,
+    async (entry) => {
+      entries.push(entry);
+      return null;
+    },
+  );
 
-  return gzip ? gunzipSync(decrypted) : decrypted;
+  return entries;
 };
 
 /**
- * Encrypts a file and writes the result to `<filePath>.enc`.
+ * Creates an empty secrets vault at `filePath` and returns it open.
  *
- * @param {string} filePath - Path to the file to encrypt
- * @param {string} password - Password used for encryption
- * @param {boolean} [gzip=true] - Whether to compress before encryption
- * @returns {void}
- * @throws {WilcoCryptError} If password is invalid
+ * The vault is an ordinary payload, so `addPassword`, `verifyFile` and
+ * `inspect` work on it. Its passwords, keys and recipients are fixed
+ * here, or changed later with the password management functions.
+ *
+ * @param {string} filePath - Path of the vault file to create
+ * @param {string|null} password - Password used for key derivation, or
+ *   `null` with `options.key` or `options.recipients`
+ * @param {object} [options]
+ * @param {object} [options.kdf] - Key derivation, as in `encryptData`
+ * @param {object} [options.passwordPolicy] - Policy the password must meet,
+ *   as in `encryptData`
+ * @param {string} [options.cipher="aes-256-gcm"] - Cipher suite, as in `encryptData`
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.recipients] -
+ *   Public keys that can open the vault
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] -
+ *   Symmetric keys that can open the vault
+ * @param {string|Buffer} [options.aad] - Associated data the vault is bound to
+ * @param {boolean} [options.overwrite=false] - Replace an existing file
+ * @returns {Promise<Vault>} Open vault with `get`, `has`, `list`, `set`,
+ *   `delete` and `close`
+ * @throws {WilcoCryptError} If credentials or options are invalid, or with
+ *   code `OUTPUT_EXISTS`
  */
-wilcocrypt.encryptFile = function (filePath, password, gzip = true) {
-  const fileData = readFileSync(filePath);
-  const encryptedData = wilcocrypt.encryptData(fileData, password, gzip);
-  writeFileSync(`${filePath}.enc`, encryptedData);
+wilcocrypt.createVault = async function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(
+    password,
+    [...normalized.key, ...normalized.recipients],
+    normalized.passwordPolicy,
+  );
+  wilcocrypt._.assertOutputAvailable(filePath, normalized.overwrite);
+
+  const { header, key } = await wilcocrypt._.createHeaderAsync(password, {
+    ...normalized,
+    compression: "none",
+    metadata: false,
+    signingKey: undefined,
+  });
+
+  const vault = new Vault(
+    filePath,
+    key,
+    header,
+    new Map(),
+    null,
+    normalized.aad,
+  );
+  await vault._save(new Map(), normalized.overwrite === true);
+  return vault;
 };
 
 /**
- * Encrypts a file asynchronously and writes the result to `<filePath>.enc`.
+ * Opens a secrets vault created by `createVault`. The whole file is
+ * decrypted; the entries are kept in memory until `close()`.
  *
- * @param {string} filePath - Path to the file to encrypt
- * @param {string} password - Password used for encryption
- * @param {boolean} [gzip=true] - Whether to compress before encryption
- * @returns {Promise<void>}
- * @throws {WilcoCryptError} If password is invalid
+ * @param {string} filePath - Path of the vault file
+ * @param {string|null} password - Password used for decryption, or `null`
+ *   with `options.identity` or `options.key`
+ * @param {object} [options]
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.identity] - Private key(s) to try
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] - Symmetric key(s) to try
+ * @param {string|Buffer} [options.aad] - Associated data given on creation
+ * @returns {Promise<Vault>}
+ * @throws {WilcoCryptError} On invalid header, wrong credentials, corrupted
+ *   data, or with code `NOT_A_VAULT` for other payloads
  */
-wilcocrypt.encryptFileAsync = async function (filePath, password, gzip = true) {
-  const fileData = await fsPromises.readFile(filePath);
+wilcocrypt.openVault = async function (filePath, password, options) {
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+
+  // Stat first: a change after this point is caught when saving
+  const stats = await fsPromises.stat(filePath);
+  const data = await fsPromises.readFile(filePath);
+  const { version, offset } = wilcocrypt._.detectFormat(data);
+
+  if (version !== wilcocrypt._.VERSION) {
+    throw new WilcoCryptError(
+      `Format ${version} payloads are not vaults`,
+      "NOT_A_VAULT",
+    );
+  }
 
-  const encryptedData = await wilcocrypt.encryptDataAsync(
-    fileData,
+  const format = wilcocrypt._.FORMATS[version];
+  const { header, body } = format.parse(data, offset);
+  const key = await wilcocrypt._.unlockHeaderAsync(
+    header,
     password,
-    gzip,
+    normalized,
   );
+  const { data: plaintext } = format.openBody(header, body, key, normalized);
 
-  await fsPromises.writeFile(`${filePath}.enc`, encryptedData);
+  return new Vault(
+    filePath,
+    key,
+    header,
+    wilcocrypt._.decodeVault(plaintext),
+    wilcocrypt._.fileStamp(stats),
+    normalized.aad,
+  );
 };
 
 /**
- * Decrypts an encrypted `.enc` file.
- *
- * If `outputPath` is provided, the decrypted data is written to that file
- * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+ * Adds a password to an encrypted `.enc` file by wrapping its data key
+ * in a new key slot. Only the header is rewritten; the body is not
+ * re-encrypted.
  *
  * @param {string} filePath - Path to the `.enc` file
- * @param {string} password - Password used for decryption
- * @param {string|boolean} [outputPath] - Optional path to write decrypted output to.
- *   If omitted (or `true`/`false`), the function returns the decrypted Buffer instead.
- * @param {boolean} [gzip=true] - Whether to decompress after decryption
- * @returns {Buffer|undefined} Decrypted file contents, or undefined if outputPath was given
- * @throws {WilcoCryptError} If file extension is invalid or decryption fails
+ * @param {string|null} password - A password that already unlocks the file,
+ *   or `null` with `options.identity` or `options.key`
+ * @param {string} newPassword - Password to add
+ * @param {object} [options]
+ * @param {object} [options.kdf] - Key derivation for the new slot, as in `encryptData`
+ * @param {object} [options.passwordPolicy] - Policy `newPassword` must meet,
+ *   as in `encryptData`
+ * @param {string|KeyObject|Array<string|KeyObject>} [options.identity] - Private key(s)
+ *   to unlock the file with instead of a password
+ * @param {Buffer|string|KeyObject|Array<Buffer|string|KeyObject>} [options.key] -
+ *   Symmetric key(s) to unlock the file with instead of a password
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On wrong credentials, too many key slots, or a
+ *   file in an older format
  */
-wilcocrypt.decryptFile = function (
+wilcocrypt.addPassword = async function (
   filePath,
   password,
-  outputPath,
-  gzip = true,
+  newPassword,
+  options,
 ) {
-  // Support legacy 3-argument form: decryptFile(filePath, password, gzip?)
-  if (typeof outputPath === "boolean") {
-    gzip = outputPath;
-    outputPath = undefined;
-  }
+  const normalized = wilcocrypt._.normalizeOptions(options);
+  wilcocrypt._.assertCredentials(password, [
+    ...normalized.key,
+    ...normalized.identity,
+  ]);
+  wilcocrypt._.assertPasswordStrength(newPassword, normalized.passwordPolicy);
 
-  if (!filePath.endsWith(".enc")) {
-    throw new WilcoCryptError(
-      "Invalid file extension (expected .enc)",
-      "INVALID_FILE_EXTENSION",
-    );
-  }
+  await wilcocrypt._.rewriteFileHeader(filePath, async (header) => {
+    if (header.slots.length >= wilcocrypt._.MAX_KEY_SLOTS) {
+      throw new WilcoCryptError(
+        `A payload can have at most ${wilcocrypt._.MAX_KEY_SLOTS} key slots`,
+        "TOO_MANY_KEY_SLOTS",
+      );
+    }
 
-  const encryptedData = readFileSync(filePath);
-  const decrypted = wilcocrypt.decryptData(encryptedData, password, gzip);
+    wilcocrypt._.assertKdfCost([
+      ...header.slots,
+      { type: "password", kdf: wilcocrypt._.normalizeKdf(normalized.kdf) },
+    ]);
 
-  if (outputPath) {
-    writeFileSync(outputPath, decrypted);
-    return;
-  }
+    const key = await wilcocrypt._.unlockHeaderAsync(
+      header,
+      password,
+      normalized,
+    );
+    const slot = await wilcocrypt._.createPasswordSlotAsync(
+      key,
+      newPassword,
+      normalized.kdf,
+    );
 
-  return decrypted;
+    return wilcocrypt._.sealHeader(
+      { ...header, slots: [...header.slots, slot] },
+      key,
+    );
+  });
 };
 
 /**
- * Decrypts an encrypted `.enc` file asynchronously.
+ * Removes a password from an encrypted `.enc` file. The key slot that
+ * `password` unlocks is dropped; the last remaining key slot cannot be
+ * removed. Only the header is rewritten.
  *
- * If `outputPath` is provided, the decrypted data is written to that file
- * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+ * Removing a password does not change the data key: anyone who kept a
+ * copy of the old file can still decrypt that copy.
  *
  * @param {string} filePath - Path to the `.enc` file
- * @param {string} password - Password used for decryption
- * @param {string|boolean} [outputPath] - Optional output path
- * @param {boolean} [gzip=true] - Whether to decompress after decryption
- * @returns {Promise<Buffer|undefined>}
- * @throws {WilcoCryptError}
+ * @param {string} password - Password to remove
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On wrong password, removing the last key slot,
+ *   or a file in an older format
  */
-wilcocrypt.decryptFileAsync = async function (
+wilcocrypt.removePassword = async function (filePath, password) {
+  wilcocrypt._.assertPassword(password);
+
+  await wilcocrypt._.rewriteFileHeader(filePath, async (header) => {
+    const found = await wilcocrypt._.findPasswordSlot(header, password);
+
+    if (!found) {
+      throw new WilcoCryptError(
+        "Decryption failed (invalid password)",
+        "DECRYPTION_FAILED",
+      );
+    }
+
+    if (header.slots.length === 1) {
+      throw new WilcoCryptError(
+        "Cannot remove the last key slot of a payload",
+        "LAST_KEY_SLOT",
+      );
+    }
+
+    return wilcocrypt._.sealHeader(
+      {
+        ...header,
+        slots: header.slots.filter((slot, index) => index !== found.index),
+      },
+      found.key,
+    );
+  });
+};
+
+/**
+ * Replaces a password of an encrypted `.enc` file. The key slot that
+ * `oldPassword` unlocks is rewrapped for `newPassword`; other key slots
+ * are kept. Only the header is rewritten.
+ *
+ * @param {string} filePath - Path to the `.enc` file
+ * @param {string} oldPassword - Current password
+ * @param {string} newPassword - Replacement password
+ * @param {object} [options]
+ * @param {object} [options.kdf] - Key derivation for the new slot; defaults
+ *   to the parameters of the replaced slot
+ * @param {object} [options.passwordPolicy] - Policy `newPassword` must meet,
+ *   as in `encryptData`
+ * @returns {Promise<void>}
+ * @throws {WilcoCryptError} On wrong password, a `newPassword` rejected by
+ *   the password policy, or a file in an older format
+ */
+wilcocrypt.changePassword = async function (
   filePath,
-  password,
-  outputPath,
-  gzip = true,
+  oldPassword,
+  newPassword,
+  options,
 ) {
-  if (typeof outputPath === "boolean") {
-    gzip = outputPath;
-    outputPath = undefined;
+  wilcocrypt._.assertPassword(oldPassword);
+  wilcocrypt._.assertPasswordStrength(
+    newPassword,
+    wilcocrypt._.normalizePasswordPolicy(options?.passwordPolicy),
+  );
+
+  await wilcocrypt._.rewriteFileHeader(filePath, async (header) => {
+    const found = await wilcocrypt._.findPasswordSlot(header, oldPassword);
+
+    if (!found) {
+      throw new WilcoCryptError(
+        "Decryption failed (invalid password)",
+        "DECRYPTION_FAILED",
+      );
+    }
+
+    const slots = [...header.slots];
+    const kdf = wilcocrypt._.normalizeKdf(
+      options?.kdf ?? slots[found.index].kdf,
+    );
+    wilcocrypt._.assertKdfCost(
+      slots.map((slot, index) =>
+        index === found.index ? { type: "password", kdf } : slot,
+      ),
+    );
+
+    slots[found.index] = await wilcocrypt._.createPasswordSlotAsync(
+      found.key,
+      newPassword,
+      kdf,
+    );
+
+    return wilcocrypt._.sealHeader({ ...header, slots }, found.key);
+  });
+};
+
+/**
+ * Generates an X25519 key pair for public-key encryption.
+ *
+ * Pass the public key to the `recipients` option of the encrypt functions
+ * and keep the private key secret; it is the `identity` that decrypts.
+ *
+ * @returns {{publicKey: string, privateKey: string}} Keys encoded as
+ *   `wc-x25519-pub:…` and `wc-x25519-sec:…`
+ */
+wilcocrypt.generateKeyPair = function () {
+  const { publicKey, privateKey } = generateKeyPairSync("x25519");
+  const prefixes = wilcocrypt._.KEY_PREFIXES;
+
+  return {
+    publicKey:
+      prefixes.x25519Public +
+      wilcocrypt._.rawKey(publicKey).toString("base64url"),
+    privateKey:
+      prefixes.x25519Private +
+      wilcocrypt._.rawKey(privateKey).toString("base64url"),
+  };
+};
+
+/**
+ * Generates a random 32-byte symmetric key and writes it to a new key
+ * file, readable only by its owner. The file holds a comment line and
+ * the key encoded as `wc-key:…`; pass its contents (or the returned
+ * Buffer) to `encryptWithKey`, `decryptWithKey` or the `key` option.
+ *
+ * @param {string} filePath - Path of the key file; must not exist yet
+ * @returns {Buffer} The raw key
+ */
+wilcocrypt.generateKeyFile = function (filePath) {
+  const key = randomBytes(32);
+  const contents = [
+    `# created: ${new Date().toISOString()}`,
+    wilcocrypt._.KEY_PREFIXES.symmetric + key.toString("base64url"),
+    "",
+  ].join("\n");
+
+  writeFileSync(filePath, contents, { flag: "wx", mode: 0o600 });
+  return key;
+};
+
+/**
+ * Generates an Ed25519 key pair for signing payloads.
+ *
+ * Pass the private key to the `signingKey` option of the encrypt
+ * functions, and the public key to `trustedSigners` or `verifySignature`.
+ *
+ * @returns {{publicKey: string, privateKey: string}} Keys encoded as
+ *   `wc-ed25519-pub:…` and `wc-ed25519-sec:…`
+ */
+wilcocrypt.generateSigningKeyPair = function () {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  const prefixes = wilcocrypt._.KEY_PREFIXES;
+
+  return {
+    publicKey:
+      prefixes.ed25519Public +
+      wilcocrypt._.rawKey(publicKey).toString("base64url"),
+    privateKey:
+      prefixes.ed25519Private +
+      wilcocrypt._.rawKey(privateKey).toString("base64url"),
+  };
+};
+
+/**
+ * Estimates how hard a password is to guess. The password is split into
+ * the patterns attackers try first, such as common passwords, words,
+ * keyboard runs, sequences, repeats and dates, and the guesses each
+ * needs are added up; what no pattern covers counts as random characters.
+ *
+ * The result is an estimate, not a guarantee: a password that is known
+ * to an attacker is weak whatever its score.
+ *
+ * @param {string} password
+ * @param {object} [policy] - Policy that decides `acceptable`
+ * @param {number} [policy.minEntropy=28] - Bits of entropy required
+ * @returns {{entropy: number, score: number, acceptable: boolean, feedback: {warning: string|null, suggestions: string[]}}}
+ *   `entropy` is in bits (log2 of the guesses), `score` goes from 0 (too
+ *   guessable) to 4 (very unguessable)
+ * @throws {WilcoCryptError} With code `INVALID_PASSWORD_POLICY` for an
+ *   invalid policy
+ */
+wilcocrypt.estimatePasswordStrength = function (password, policy) {
+  if (typeof password !== "string") {
+    throw new WilcoCryptError(
+      "Invalid password (expected a string)",
+      "WEAK_PASSWORD",
+    );
   }
 
-  if (!filePath.endsWith(".enc")) {
+  const { minEntropy } = wilcocrypt._.normalizePasswordPolicy(policy);
+  const { bits, matches } = wilcocrypt._.passwordBits(password, true);
+  const score = wilcocrypt._.PASSWORD_SCORE_THRESHOLDS.filter(
+    (threshold) => bits >= threshold,
+  ).length;
+
+  return {
+    entropy: Math.round(bits * 10) / 10,
+    score,
+    acceptable: bits >= minEntropy,
+    feedback: wilcocrypt._.passwordFeedback(password, matches, score),
+  };
+};
+
+/**
+ * Generates a random passphrase of words from `_.PASSPHRASE_WORDS`,
+ * each adding 11 bits of entropy: the default six words give 66 bits.
+ *
+ * @param {object} [options]
+ * @param {number} [options.words=6] - Number of words, from 3 to 64
+ * @param {string} [options.separator="-"] - Text between words
+ * @returns {string}
+ * @throws {WilcoCryptError} With code `INVALID_PASSPHRASE_OPTIONS` for
+ *   an invalid word count or separator
+ */
+wilcocrypt.generatePassphrase = function (options) {
+  const { words = 6, separator = "-" } = options ?? {};
+
+  if (!Number.isInteger(words) || words < 3 || words > 64) {
     throw new WilcoCryptError(
-      "Invalid file extension (expected .enc)",
-      "INVALID_FILE_EXTENSION",
+      "Invalid passphrase length (expected 3 to 64 words)",
+      "INVALID_PASSPHRASE_OPTIONS",
     );
   }
 
-  const encryptedData = await fsPromises.readFile(filePath);
+  if (typeof separator !== "string") {
+    throw new WilcoCryptError(
+      "Invalid passphrase separator (expected a string)",
+      "INVALID_PASSPHRASE_OPTIONS",
+    );
+  }
 
-  const decrypted = await wilcocrypt.decryptDataAsync(
-    encryptedData,
-    password,
-    gzip,
+  const list = wilcocrypt._.PASSPHRASE_WORDS;
+  return Array.from({ length: words }, () => list[randomInt(list.length)]).join(
+    separator,
   );
+};
 
-  if (outputPath) {
-    await fsPromises.writeFile(outputPath, decrypted);
-    return;
+/**
+ * Describes a volume of a split payload for `inspect`. Only the first
+ * volume holds the payload header. The sizes that depend on the whole
+ * payload are `null` unless the set has a single volume, since the other
+ * volumes are not read; `truncated` is still `true` if this volume is
+ * shorter than its header records.
+ *
+ * @param {Buffer} prefix - Start of the volume file
+ * @param {number} size - Size of the volume file
+ * @returns {object} See `wilcocrypt.inspect`; only `version`, `armored`,
+ *   `size`, `volume` and `truncated` for later volumes
+ * @throws {WilcoCryptError} With code `INVALID_VOLUME` for a malformed
+ *   volume header, or on an invalid payload header in the first volume
+ */
+wilcocrypt._.inspectVolume = function (prefix, size) {
+  const header = wilcocrypt._.decodeVolumeHeader(prefix);
+
+  if (!header) {
+    throw new WilcoCryptError("Invalid volume header", "INVALID_VOLUME");
   }
 
-  return decrypted;
+  const { id, index, count, length } = header;
+  const headerLength = wilcocrypt._.VOLUME_HEADER_LENGTH;
+  const volume = { id: id.toString("hex"), index, count, length };
+  const cut = size < headerLength + length;
+
+  if (index !== 1) {
+    return { version: null, armored: false, size, volume, truncated: cut };
+  }
+
+  const content = prefix.subarray(headerLength);
+  const { version, format, offset } = wilcocrypt._.detectFormat(content);
+  const info = format.inspect(content, offset, size - headerLength);
+
+  if (count === 1) {
+    return {
+      version,
+      armored: false,
+      size,
+      volume,
+      ...info,
+      truncated: cut || info.truncated,
+    };
+  }
+
+  return {
+    version,
+    armored: false,
+    size,
+    volume,
+    ...info,
+    segments: null,
+    contentLength: null,
+    truncated: cut ? true : null,
+  };
 };
 
 /**
- * Encrypts a file using streams and writes the result to `outputPath`.
- * Memory-efficient alternative to `encryptFile` for large files.
+ * Describes a payload without decrypting it: format version, cipher, key
+ * slots with their KDF parameters, segment layout, sizes, and whether it
+ * is armored, seekable or signed. No password is needed, and only the
+ * header of a file is read, except for armored files and format 2.1.x
+ * envelopes, which are read in full.
  *
- * Output format:
- * [HEADER] + [VERSION] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+ * For a volume of a split payload, `volume` holds its set ID, index and
+ * count, and the first volume also reports the payload header.
  *
- * @param {string} inputPath - Path to the file to encrypt
- * @param {string} outputPath - Path to write the encrypted output to
- * @param {string} password - Password used for key derivation
- * @param {boolean} [gzip=true] - Whether to compress data before encryption
- * @returns {Promise<void>}
- * @throws {WilcoCryptError} If password is invalid
+ * The header is not authenticated until a key unlocks it, so the result
+ * helps to diagnose failures but must not be trusted as is.
+ *
+ * @param {Buffer|string} payload - Binary or armored payload, or the path
+ *   of an encrypted file
+ * @returns {{version: string|null, armored: boolean, size: number, volume: {id: string, index: number, count: number, length: number}|null, headerLength: number, cipher: string, slots: Array<object>, nonceLength: number, chunkSize: number|null, segments: number|null, seekable: boolean, compressed: boolean|null, contentLength: number|null, metadata: boolean, signer: string|null, truncated: boolean|null}}
+ *   `compressed` is `null` when the format does not record it, and
+ *   `contentLength` is the size of the encrypted, possibly compressed data.
+ *   `truncated` is `true` when the size does not fit the segment layout
+ *   of the header, so the payload was cut; `false` does not rule out a
+ *   cut that fits it. For the first of several volumes, `segments`,
+ *   `contentLength` and `truncated` are `null` unless the volume itself is
+ *   cut, and a later volume only has `version: null`, `armored`, `size`,
+ *   `volume` and `truncated`
+ * @throws {WilcoCryptError} On invalid header or armor, unsupported
+ *   version, or with code `INVALID_VOLUME` on an invalid volume header
  */
-wilcocrypt.encryptFileStream = async function (
-  inputPath,
-  outputPath,
-  password,
-  gzip = true,
-) {
-  wilcocrypt._.assertPassword(password);
+wilcocrypt.inspect = function (payload) {
+  let prefix = payload;
+  let size = payload.length;
+  let armored = false;
 
-  const salt = randomBytes(16);
-  const iv = randomBytes(12);
-  const key = scryptSync(password, salt, 32);
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
+  if (typeof payload === "string" && !wilcocrypt._.isArmored(payload)) {
+    ({ prefix, size } = wilcocrypt._.readFilePrefix(
+      payload,
+      wilcocrypt._.VOLUME_HEADER_LENGTH +
+        wilcocrypt._.HEADER.length +
+        36 +
+        wilcocrypt._.MAX_HEADER_LENGTH,
+    ));
+
+    // Armored files and 2.1.x envelopes have to be decoded as a whole
+    if (
+      wilcocrypt._.isArmored(prefix) ||
+      wilcocrypt._.FORMATS["2.1.x"].detect(prefix)
+    ) {
+      prefix = readFileSync(payload);
+    }
+  }
 
-  const cipher = createCipheriv("aes-256-gcm", key, iv);
-  const writeStream = createWriteStream(outputPath);
+  if (wilcocrypt._.isArmored(prefix)) {
+    prefix = wilcocrypt._.binaryPayload(prefix);
+    size = prefix.length;
+    armored = true;
+  }
 
-  writeStream.write(wilcocrypt._.HEADER);
-  writeStream.write(versionBuf);
-  writeStream.write(salt);
-  writeStream.write(iv);
+  if (wilcocrypt._.isVolume(prefix)) {
+    return wilcocrypt._.inspectVolume(prefix, size);
+  }
 
-  const pipelineSteps = [createReadStream(inputPath)];
-  if (gzip) pipelineSteps.push(createGzip());
-  pipelineSteps.push(cipher);
-  pipelineSteps.push(writeStream);
+  const { version, format, offset } = wilcocrypt._.detectFormat(prefix);
 
-  // end: false so we can still append the authTag after the pipeline finishes
-  await pipeline(...pipelineSteps, { end: false });
-  writeStream.end(cipher.getAuthTag());
+  return {
+    version,
+    armored,
+    size,
+    volume: null,
+    ...format.inspect(prefix, offset, size),
+  };
 };
 
 /**
- * Decrypts an encrypted `.enc` file using streams.
- * Memory-efficient alternative to `decryptFile` for large files.
- * Cleans up the output file automatically if decryption or integrity check fails.
+ * Checks that a payload was signed by `publicKey` and that neither its
+ * header (apart from the key slots) nor its ciphertext changed since.
+ * No password is needed.
  *
- * @param {string} inputPath - Path to the encrypted `.enc` file
- * @param {string} outputPath - Path to write the decrypted output to
- * @param {string} password - Password used for decryption
- * @param {boolean} [gzip=true] - Whether to decompress after decryption
- * @returns {Promise<void>}
- * @throws {WilcoCryptError} On invalid header, version mismatch, or decryption/integrity failure
+ * @param {Buffer|string} encryptedBuffer - Binary-encoded encrypted payload,
+ *   or armored text
+ * @param {string|KeyObject} publicKey - `wc-ed25519-pub:…` string or an
+ *   Ed25519 public KeyObject
+ * @returns {boolean} `false` for unsigned payloads, other signers and
+ *   invalid signatures
+ * @throws {WilcoCryptError} On invalid header or armor, unsupported version
+ *   or invalid public key
  */
-wilcocrypt.decryptFileStream = async function (
-  inputPath,
-  outputPath,
-  password,
-  gzip = true,
-) {
-  wilcocrypt._.assertPassword(password);
+wilcocrypt.verifySignature = function (encryptedBuffer, publicKey) {
+  const signer = wilcocrypt._.parseSigner(publicKey);
+  const payload = wilcocrypt._.binaryPayload(encryptedBuffer);
+  const { version, format, offset } = wilcocrypt._.detectFormat(payload);
 
-  const handle = await fsPromises.open(inputPath, "r");
-  const versionBuf = Buffer.from(wilcocrypt._.VERSION);
+  if (version !== wilcocrypt._.VERSION) return false;
 
-  const headLen = wilcocrypt._.HEADER.length;
-  const verLen = versionBuf.length;
-
-  const headerCheck = Buffer.alloc(headLen);
-  const versionCheck = Buffer.alloc(verLen);
-  const salt = Buffer.alloc(16);
-  const iv = Buffer.alloc(12);
-
-  let currentPos = 0;
-  await handle.read(headerCheck, 0, headLen, currentPos);
-  currentPos += headLen;
-  await handle.read(versionCheck, 0, verLen, currentPos);
-  currentPos += verLen;
-  await handle.read(salt, 0, 16, currentPos);
-  currentPos += 16;
-  await handle.read(iv, 0, 12, currentPos);
-  currentPos += 12;
-
-  if (!headerCheck.equals(wilcocrypt._.HEADER)) {
-    await handle.close();
-    throw new WilcoCryptError("Invalid WilcoCrypt header", "INVALID_HEADER");
+  const { header, body, signature } = format.parse(payload, offset);
+
+  if (
+    !header.signer ||
+    !wilcocrypt._.constantTimeEqual(wilcocrypt._.rawKey(signer), header.signer)
+  ) {
+    return false;
   }
 
-  if (!versionCheck.equals(versionBuf)) {
-    await handle.close();
-    throw new WilcoCryptError("Version mismatch", "VERSION_MISMATCH");
+  const digest = wilcocrypt._.createSignatureHash(header).update(body).digest();
+  return crypto.verify(null, digest, signer, signature);
+};
+
+/**
+ * Encodes a binary payload as ASCII-armored text that survives email,
+ * tickets, YAML and environment variables:
+ *
+ * ```
+ * -----BEGIN WILCOCRYPT PAYLOAD-----
+ * <base64, 64 characters per line>
+ * =<base64 CRC-24 of the payload>
+ * -----END WILCOCRYPT PAYLOAD-----
+ * ```
+ *
+ * @param {Buffer} encryptedBuffer - Binary-encoded encrypted payload
+ * @returns {string} Armored text, ending with a newline
+ * @throws {WilcoCryptError} If the input is not a WilcoCrypt payload
+ */
+wilcocrypt.armor = function (encryptedBuffer) {
+  wilcocrypt._.detectFormat(encryptedBuffer);
+
+  const base64 = encryptedBuffer.toString("base64");
+  const lineLength = wilcocrypt._.ARMOR_LINE_LENGTH;
+  const lines = [wilcocrypt._.armorLine("BEGIN")];
+
+  for (let i = 0; i < base64.length; i += lineLength) {
+    lines.push(base64.slice(i, i + lineLength));
   }
 
-  const stats = await handle.stat();
-  const authTag = Buffer.alloc(16);
-  await handle.read(authTag, 0, 16, stats.size - 16);
+  lines.push(`=${wilcocrypt._.crc24(encryptedBuffer).toString("base64")}`);
+  lines.push(wilcocrypt._.armorLine("END"), "");
 
-  const key = scryptSync(password, salt, 32);
-  const decipher = createDecipheriv("aes-256-gcm", key, iv);
-  decipher.setAuthTag(authTag);
+  return lines.join("\n");
+};
 
-  const pipelineSteps = [
-    createReadStream(inputPath, { start: currentPos, end: stats.size - 17 }),
-  ];
-  pipelineSteps.push(decipher);
-  if (gzip) pipelineSteps.push(createGunzip());
-  pipelineSteps.push(createWriteStream(outputPath));
+/**
+ * Decodes ASCII-armored text back into a binary payload.
+ *
+ * Line breaks and indentation are not significant, so text that was
+ * re-wrapped, indented in YAML or joined into one line still decodes.
+ * Anything outside the BEGIN and END lines is ignored.
+ *
+ * @param {string|Buffer} text - Armored text
+ * @returns {Buffer} Binary-encoded encrypted payload
+ * @throws {WilcoCryptError} If the BEGIN or END line, the base64 body or
+ *   the checksum is missing or malformed, or the checksum does not match
+ */
+wilcocrypt.dearmor = function (text) {
+  const armored = String(text);
+  const begin = wilcocrypt._.armorLine("BEGIN");
+  const end = wilcocrypt._.armorLine("END");
 
-  try {
-    await pipeline(...pipelineSteps);
-  } catch {
-    await handle.close();
-    await fsPromises.unlink(outputPath);
+  const start = armored.indexOf(begin);
+  const stop = armored.indexOf(end, start);
+
+  if (start === -1 || stop === -1) {
     throw new WilcoCryptError(
-      "Decryption failed (invalid password, corrupted data, or tampered file)",
-      "DECRYPTION_FAILED",
+      `Invalid armor (expected ${begin} and ${end} lines)`,
+      "INVALID_ARMOR",
     );
   }
 
-  await handle.close();
+  const words = armored
+    .slice(start + begin.length, stop)
+    .split(/\s+/)
+    .filter(Boolean);
+  const checksum = words.pop() ?? "";
+  const base64 = words.join("");
+  const base64Pattern =
+    /^(?:[A-Za-z0-9+/]{4})+(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+  if (!/^=[A-Za-z0-9+/]{4}$/.test(checksum) || !base64Pattern.test(base64)) {
+    throw new WilcoCryptError(
+      "Invalid armor (malformed base64 body or checksum)",
+      "INVALID_ARMOR",
+    );
+  }
+
+  const payload = Buffer.from(base64, "base64");
+  const expected = Buffer.from(checksum.slice(1), "base64");
+
+  if (!wilcocrypt._.crc24(payload).equals(expected)) {
+    throw new WilcoCryptError(
+      "Invalid armor (checksum mismatch, the text was altered)",
+      "INVALID_ARMOR",
+    );
+  }
+
+  return payload;
 };
 
 export default wilcocrypt;
@@ -0,0 +1,311 @@
+/* =========================
+   Word lists
+========================= */
+
+/**
+ * Splits a whitespace-separated list into words.
+ *
+ * @param {string} list
+ * @returns {string[]}
+ */
+function words(list) {
+  return list.trim().split(/\s+/);
+}
+
+/**
+ * Words for `generatePassphrase`: 2048 common English words of 4 to 8
+ * letters in alphabetical order, so each word adds exactly 11 bits.
+ *
+ * @type {string[]}
+ */
+export const PASSPHRASE_WORDS = words(`
+aardvark abacus abbey ability able abode about above abroad absent absorb
+abyss acacia academy accent access accord account acid acorn acre acrobat
+across action active actor adapt adder admiral adobe adopt adult advent advice
+aerial affair afford afloat after again agate agency agenda agent agile aging
+agree ahead airbag airline airport aisle alarm album alcove alder alert algae
+alias alibi alien align alike alive alley allow alloy almond almost aloe alone
+along aloud alpaca alpha alpine already also altar alter always amaze amber
+amend amount ample amuse anchor ancient angle angler animal ankle annex answer
+antenna antler anvil anyone apart apex apple apricot april apron aqua arbor
+arcade arch archer arctic area arena argue arise armor aroma around arrange
+arrive arrow artist aside aspen asset aster astral atlas atom attic audio
+audit august aunt aurora author autumn avenue avid avocado avoid awake award
+aware away awning axis axle azure baboon back bacon badge badger bagel baggage
+bake baker balance balcony bald ball ballad ballet balloon bamboo banana band
+banjo bank banner banquet barber bare barge bark barley barn barrel basalt
+base basil basin basket bass batch bath baton battery bazaar beach beacon bead
+beagle beak beam bean bear beard beast beat beaver beech beef beetle begin
+behave behind being belief bell belly belt bench bend berry beside best better
+beyond bicycle bike bind bird birth biscuit bison bite black blade blank
+blanket blast blaze blend bless blimp blind blink bliss block bloom blossom
+blouse blue bluff blunt blur blush board boast boat body boil bold bolt bond
+bone bonfire bonnet bonus book boost boot border boring borrow boss both
+bottle bottom boulder bounce bound bounty bowl brace bracket brain brake
+bramble branch brand brass brave bread break breeze brew brick bride bridge
+brief bright brim bring brisk broad brook broom brother brown brush bubble
+bucket buckle budget buffalo buffet bugle build bulb bulk bull bumble bump
+bunch bundle bunker bunny burden burger burrow burst bush busy butter button
+buyer buzz cabin cable cactus cadet cafe cage cake calf call calm camel cameo
+camera camp canal canary candle candy cane canoe canopy canvas canyon cape
+capital captain caramel caravan carbon card cargo carol carpet carrot carry
+cart carton carve case cash cashew cast castle casual catch cattle cause cave
+cedar ceiling celery cell cellar cello cement census cereal certain chain
+chair chalk chamber change channel chapel chapter charge charm chart chase
+cheap check cheek cheer cheese chef cherry chess chest chew chicken chief
+child chime chimney chin chip choice choir chorus chrome chunk cider cinema
+circle circus citizen citrus city civic civil claim clam clap clarify clay
+clean clear clerk clever click client cliff climb clinic clip clock close
+cloth cloud clover clown club clue cluster coach coast coat cobalt cobra cocoa
+coconut code coffee coil coin cold collar collect colony color column combine
+comet comfort comic common compass concert condor cone confirm connect consul
+copper copy coral cord core cork corn corner cosmic costume cottage cotton
+couch cougar count country couple course cousin cover coyote crab crack cradle
+craft crane crater crawl crayon cream credit creek crew cricket crisp critic
+crop cross crowd crown cruise crumb crush crystal cube cuckoo cuff cupboard
+curious current curtain curve cushion custom cycle cymbal cypress daisy damp
+dance dancer dare dash data date dawn deal debate decade decide deck decor
+decoy deep deer defend degree delay delta demand denim dense dentist depart
+depth deputy derby desert design desk detail detect device devote dial diamond
+diary diesel diet differ digit dinner dinosaur direct dirt discuss dish
+display distant ditch dive divide dizzy dock doctor dollar dolphin domain dome
+donkey donor door dose double dough dove dozen draft dragon drama drape draw
+drawer dream dress drift drill drink drip drive drop drum duck dune during
+dusk dust duty dwarf dwell dynamo eager eagle early earn earth easel east easy
+echo eclipse ecology edge edit editor effect effort eight either elbow elder
+elect element elephant elevate elite else embark ember emblem emerald emerge
+empire employ empty enable enamel endless energy engage engine enjoy enough
+enrich ensure enter entire entry envoy episode equal equator equip erase
+erosion errand escape essay estate eternal ethics evening event ever evoke
+exact example excess exchange excite exhibit exist exit exotic expand expect
+expert explain export express extend extra fabric face fact factor fade falcon
+fall false fame family famous fancy fantasy farm fashion fast father fault
+fauna favor feast feather feature federal feed feel fellow fence fern ferry
+festival fetch fever fiber fiction field fiesta fifteen fifty figure file film
+filter final find fine finger finish fire firm first fiscal fish fitness flag
+flame flash flat flavor fleet flight flint float flock flood floor flora flour
+flower fluid flute foam focus foil fold folk follow food foot forest forge
+fork form fort fortune forum forward fossil foster found frame free freeze
+fresh friend fringe frog front frost frozen fruit fudge fuel funnel future
+gadget gain galaxy gallery gallon game garage garden garlic garment gate
+gather gauge gazebo gazelle gear gecko general genius genre gentle genuine
+geology gesture giant gift giggle ginger giraffe give glacier glad glance
+glare glass glide glimpse globe glory glove glow glue goal goat gold golf gong
+good goose gorilla gospel govern gown grab grace grain grant grape graph grass
+gravel gravity great green grid grill grin grip grocery ground group grove
+grow guard guava guess guest guide guitar gulf gull gust habit hair half hall
+halt hammer hammock hamster hand handle harbor hard harvest hatch haven hawk
+hazel head health heart heat heavy hedge height hello helmet help herb herd
+hero heron hidden high hill hint hire history hobby hockey hold hole holiday
+hollow home honey hood hook hope horizon horn horse hose hospital host hotel
+hour house hover huge human humble humor hundred hunt hurdle hurry hybrid
+iceberg icicle icon idea ideal identify idle igloo ignore image imitate immune
+impact impose improve impulse inch include income index indoor infant inform
+inhale inject inlet inner input insect inside insight inspire install intact
+invest invite iris iron island isle item ivory jacket jaguar jasmine javelin
+jazz jeans jeep jelly jewel jockey join joke jolly journal journey judge
+juggle juice jumbo jump jungle junior juniper jury just kale kangaroo karate
+kayak keen keep kennel kernel kettle keyboard kick kind king kingdom kiosk
+kitchen kite kitten kiwi knee knife knight knit knob knock knot know koala
+label labor lace ladder lady lagoon lake lamb lamp land lane language lantern
+laptop large laser lasso latch late later laugh launch lava lavender lawn
+layer leader leaf league lean learn leather leave lecture ledge left legend
+lemon lend length lens leopard lesson letter lettuce level lever liberty
+library license lift light lilac lily limb lime limit linen liner lion liquid
+list listen little live lizard llama load loaf lobby lobster local lock locust
+lodge loft logic long loop lotus loud lounge love loyal lucky luggage lumber
+lunar lunch lung lure lyric machine magic magnet maid mail main major maker
+mall mammal manage mango manor maple marble march margin marine market marsh
+mask mast master match math matter maximum meadow meal measure medal media
+melody melon member memory mention menu mercy merge merit mesa message metal
+meteor method middle midnight mild mile milk mill mimic mind mineral minnow
+minor minute mirror misty mitten mobile model modern modest moment monitor
+monkey month moon moose moral morning mosaic moss mother motion motor mount
+mouse mouth move movie muffin mule multiply muscle museum mushroom music
+mustard mutual myth nail name napkin narrow nation native nature navy near
+neck nectar needle neither nephew nerve nest network neutral never next nice
+niece night nimble noble noise noodle normal north nose notable note nothing
+notice novel number nurse nutmeg oasis object oblige ocean octave october
+offer office often olive omega onion online only open opera opinion oppose
+option orange orbit orchard orchid order organ orient origin ornate osprey
+otter ounce outdoor outer output oval oven over owner oxygen oyster ozone pace
+pack paddle page pagoda paint pair palace palm panda panel panther paper
+parade parcel parent park parrot party pass past pasta patch path patio patrol
+pause pave peace peach peak peanut pear pebble pecan pedal pelican pencil
+penguin people pepper perch perfect permit person petal phone photo phrase
+piano picnic picture piece pier pigeon pilgrim pillow pilot pine pink pioneer
+pipe pitch pizza place planet plank plant plate play plaza plenty pluck plum
+plump plural pocket poem poet point polar pole pond pony pool popular porch
+portal portion post potato pottery pouch powder power praise prefer premium
+present pretty price pride primary prince print prism prize problem process
+produce profit program project promise proof proper protect proud provide
+public pudding puffin pulley pulse pumpkin pupil puppy purple purpose puzzle
+pyramid quail quality quantum quarter quartz queen query quest quick quiet
+quilt quiz quote rabbit raccoon race rack radar radio raft rail rain rainbow
+raise raisin rally ramp ranch random range rapid rare raven razor reach ready
+real reason rebel recall receipt recipe record recycle reduce reef reform
+refuge region regular relax release relief rely remain remind remote render
+rent repair repeat report rescue resort result retire return reunion reveal
+review reward rhythm ribbon rice rich ride ridge right rigid ring ripple rise
+ritual rival river road roast robin robot robust rock rocket rodeo roll roof
+rookie room rooster root rope rose rotate rough round route royal rubber ruby
+rule rural rush rustic saddle safari safe saga sail salad salmon salon salt
+salute same sample sand sandal satin sauce sausage save scale scan scarf scene
+scheme school science scooter score scout scrap screen script scroll seal
+search season seat second secret section secure seed seek segment select sell
+senior sense series service session settle seven shadow shallow shape share
+shark sharp shed sheep shelf shell shelter shield shift shine ship shirt shoe
+shore short shoulder shovel show shrimp shrub shuttle sibling side sight sign
+signal silent silk silver simple since siren sister size skate sketch skill
+skin skirt slab sled sleep sleeve slice slide slim slogan slope slot slow
+small smart smile smoke smooth snack snail snake sneeze snow soap soccer
+social sock soda sofa soft solar solid solo solve sonic soon sort soul sound
+soup source south space spare spark sparrow speak special speed spell spend
+sphere spice spider spike spin spirit split sponge spoon sport spot spray
+spread spring sprout square squash squid stable stadium staff stage stair
+stamp stand star start state station statue steak steam steel stem step stereo
+stick still sting stock stomach stone stool story stove strategy straw stream
+street strong student studio stuff style subject subway sugar suit summer
+summit sunny sunset super supply supreme sure surface surge surprise sushi
+swamp swan sweater sweet swift swim swing switch sword symbol syrup system
+table tackle tail talent talk tall tandem tango tank tape target task taste
+taxi teach team tempo tenant tennis tent term test text thank theme theory
+thick thing thistle three thrive throne thumb thunder ticket tide tidy tiger
+tilt timber time tinsel tiny tissue title toast today toddler token tomato
+tone tongue tonight tool tooth topic torch tornado tortoise total totem
+tourist toward tower town track trade traffic trail train transfer trap travel
+tray treat tree trend trial tribe trick trim trio trip trophy truck true
+trumpet trust truth tube tulip tuna tundra tunnel turkey turn turtle tutor
+twelve twenty twice twig twin twist type typical umbrella unable uncle under
+undo unfair unfold uniform union unique unit universe unknown unlock until
+unusual unveil update upgrade uphold upon upper upset urban urge usage useful
+usual utility vacant vacuum vague valid valley valve vanilla vapor various
+vast vault vector velvet vendor venture venue verb verify version very vessel
+veteran viable vibrant video view village vintage violin virtual visa visit
+visual vital vivid vocal voice volcano volume vote voyage wafer wagon waist
+wait walk wall walnut walrus wander want warm wash wasp water wave wealth
+weather weave wedding weekend welcome west whale wheat wheel whip whisper wide
+width wild willow window wine wing wink winner winter wire wisdom wise wish
+witness wolf wonder wood wool word work world worth wrap wreath wrist write
+yacht yard yarn year yellow yeti yoga yogurt young youth zeal zebra zenith
+zephyr zero zigzag zinc zipper zodiac zone
+`);
+
+/**
+ * Longer English words for the strength estimator, 9 letters and more,
+ * so words like `troubadour` are not scored as random letters. None of
+ * them is among the passphrase words; more common words come first.
+ *
+ * @type {string[]}
+ */
+export const ENGLISH_WORDS = words(`
+information government something different important education community
+development including international experience everything president available
+university political relationship following understanding especially technology
+environment management particular individual performance population themselves
+organization production conference professional application opportunity
+interesting generation definition significant department successful additional
+restaurant television character beautiful structure difference situation
+knowledge financial statement discussion condition necessary certainly
+executive yesterday direction apartment agreement according committee attention
+operation treatment recognize traditional resources influence processing
+construction commercial potential democratic described interview ourselves
+candidate literature collection administration industrial everybody foundation
+introduction particularly somewhere sometimes technique establish evaluation
+increasingly investigation investment basically generally completely
+immediately obviously absolutely eventually apparently currently seriously
+extremely virtually primarily relatively previously strawberry adventure
+basketball volleyball wonderful starlight moonlight fireworks snowflake
+pineapple blueberry raspberry watermelon cranberry blackberry hamburger
+spaghetti pepperoni submarine helicopter motorcycle skateboard snowboard
+playground classroom bookstore newspaper dictionary encyclopedia vocabulary
+mathematics chemistry astronomy geography philosophy psychology sociology
+economics engineering architecture photography journalism telephone microphone
+headphones wallpaper background championship tournament quarterback touchdown
+christmas halloween thanksgiving valentine celebration anniversary graduation
+beginning difficult dangerous delicious disgusting excellent fantastic
+incredible marvelous mysterious nightmare passenger passionate peppermint
+rainforest rollercoaster scarecrow sandwiches superhero telescope trampoline
+underground vegetable waterfall wilderness wonderland yellowstone adventurer
+alligator ambassador anonymous archipelago armadillo assistant atmosphere
+avalanche bartender battlefield blacksmith blockbuster bodyguard boomerang
+boulevard bumblebee butterscotch cafeteria calculator candlelight cappuccino
+carpenter casserole catastrophe cathedral caterpillar celebrity centipede
+chameleon chancellor chandelier chaperone checkmate cheerleader chimpanzee
+chrysalis clockwork cockroach commander companion conductor constellation
+cornflower counselor crocodile crossroads crossword decathlon detective
+discovery dragonfly dreamcatcher earthquake electrician enchanted entourage
+evergreen ferriswheel firefighter fisherman footprint forgetmenot frankenstein
+friendship gatekeeper gentleman gingerbread gladiator grasshopper greyhound
+gunslinger hailstorm harmonica harpsichord headmaster heartbeat highlander
+hitchhiker honeymoon horseshoe hurricane independence innkeeper inspector
+instrument invisible jellyfish journeyman juggernaut kingfisher labyrinth
+lamplighter landscape legendary librarian lighthouse lightning limestone
+locksmith lumberjack marionette marshmallow masquerade meadowlark messenger
+millionaire mockingbird monastery moonstone mountaineer multiverse musketeer
+navigator nectarine nightingale nightshade northstar nutcracker orchestra
+paintbrush paperback parliament partridge peacekeeper peppercorn periwinkle
+philosopher planetarium poinsettia policeman porcupine postmaster powerhouse
+professor providence puppeteer quicksand quicksilver rattlesnake redemption
+renaissance revolution rhinoceros riverbank sagebrush salamander sanctuary
+sandcastle saxophone schoolhouse scientist screwdriver shipwreck silhouette
+skyscraper slingshot snapdragon snowstorm sorceress spaceship spearmint
+spellbound spotlight springtime stagecoach stargazer steamboat stonehenge
+storyteller stratosphere sunscreen swordfish tambourine tangerine tarantula
+telegraph thunderbird thunderbolt thunderstorm timekeeper toothbrush troubadour
+trumpeter tumbleweed turquoise typewriter velociraptor ventriloquist videogame
+violinist warehouse watchtower waterlily weathervane whirlwind wildflower
+wolverine woodpecker wrongdoer xylophone yachtsman zookeeper
+`);
+
+/**
+ * Frequently used passwords, most common first, as found in public
+ * password leaks. The position of a password is its guess rank when
+ * estimating strength.
+ *
+ * @type {string[]}
+ */
+export const COMMON_PASSWORDS = words(`
+123456 password 12345678 qwerty 123456789 12345 1234 111111 1234567 dragon
+123123 baseball abc123 football monkey letmein shadow master 666666 qwertyuiop
+123321 mustang 1234567890 michael 654321 superman 1qaz2wsx 7777777 121212
+000000 qazwsx 123qwe killer trustno1 jordan jennifer zxcvbnm asdfgh hunter
+buster soccer harley batman andrew tigger sunshine iloveyou 2000 charlie
+robert thomas hockey ranger daniel starwars klaster 112233 george computer
+michelle jessica pepper 1111 zxcvbn 555555 11111111 131313 freedom 777777 pass
+maggie 159753 aaaaaa ginger princess joshua cheese amanda summer love ashley
+nicole chelsea biteme matthew access yankees 987654321 dallas austin thunder
+taylor matrix minecraft william corvette hello martin heather secret merlin
+diamond 1234qwer gfhjkm hammer silver 222222 88888888 anthony justin test
+bailey q1w2e3r4t5 patrick internet scooter orange 11111 golfer cookie richard
+samantha bigdog guitar jackson whatever mickey chicken sparky snoopy maverick
+phoenix camaro peanut morgan welcome falcon cowboy ferrari samsung andrea
+smokey steelers joseph mercedes dakota arsenal eagles melissa boomer booboo
+spider nascar monster tigers yellow xxxxxx 123123123 gateway marina diablo
+bulldog qwer1234 compaq purple banana junior hannah 123654 porsche lakers
+iceman money cowboys 987654 london tennis 999999 ncc1701 coffee scooby 0000
+miller boston q1w2e3r4 brandon yamaha chester mother forever johnny edward
+333333 oliver redsox player nikita knight fender barney midnight please brandy
+chicago badboy slayer rangers charles angel flower bigdaddy rabbit wizard
+jasper enter rachel chris steven winner adidas victoria natasha 1q2w3e4r
+jasmine winter prince marine ghbdtn fishing cocacola casper james 232323
+raiders 888888 marlboro gandalf asdfasdf crystal 87654321 12344321 golden
+8675309 qwerty123 password1 password123 1q2w3e zaq12wsx qwe123 123abc abcd1234
+admin admin123 root toor changeme default guest login passw0rd p@ssw0rd
+p@ssword letmein1 welcome1 iloveyou1 monkey1 dragon1 qwertyu asdf asdfghjkl
+zxcvbnm1 1qazxsw2 qazwsxedc football1 baseball1 superman1 azerty qwertz
+123456a a123456 123456789a aa123456 5201314 11223344 147258369 741852963
+159357 147258 789456 789456123 456789 12341234 102030 123654789 1111111 121314
+10203040 1234abcd abc12345 qwerty1 monkey123 sunshine1 princess1 charlie1
+shadow1 master1 michael1 jordan23 starwars1 pokemon naruto liverpool chocolate
+butterfly blink182 babygirl lovely loveme teamo friends family soccer1
+anhyeuem samsung1 google facebook linkedin twitter apple windows microsoft
+linux ubuntu server database test123 testing demo user temp secret1 letmein123
+hello123 welcome123 administrator qwerty12 1234567a 123qweasd qweasd qweasdzxc
+asd123 zxc123 111222 112233445566 abcdef abcdefg abc 1q2w3e4r5t 1qaz2wsx3edc
+passpass pass123 pass1234 123pass mypassword password12 password2 password01
+secret123 love123 iloveu ihateyou trustme whatever1 nothing sample example
+letmeinnow opensesame superstar rockstar sunflower flowers angels angel1
+hottie cutie sweety sweetheart honey baby babygirl1 blessed jesus god123
+heaven freedom1 peace money1 success
+`);
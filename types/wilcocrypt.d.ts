@@ -1,11 +1,16 @@
 /// <reference types="node" />
 
+import type { KeyObject } from "crypto";
+
 /**
  * Custom error class for all WilcoCrypt-specific errors.
  */
 export class WilcoCryptError extends Error {
   code: string;
 
+  /** Strength estimate of a password rejected with `WEAK_PASSWORD` */
+  strength?: PasswordStrength;
+
   /**
    * @param message Human-readable error message
    * @param code Machine-readable error code (default: WILCOCRYPT_ERROR)
@@ -14,339 +19,3786 @@ export class WilcoCryptError extends Error {
 }
 
 /**
- * Internal helper namespace used by WilcoCrypt.
+ * Key derivation settings. Stored in the payload header, so decryption
+ * picks them up automatically. Values are capped by `_.KDF_LIMITS`.
  */
-export interface InternalNamespace {
+export type KdfOptions =
+  | {
+      name?: "scrypt";
+      /** CPU/memory cost, a power of two (default: 16384) */
+      N?: number;
+      /** Block size (default: 8) */
+      r?: number;
+      /** Parallelization (default: 1) */
+      p?: number;
+      /** Memory ceiling in bytes for the chosen parameters (stored in the header when given) */
+      maxmem?: number;
+    }
+  | {
+      name: "argon2id";
+      /** Memory in KiB (default: 65536) */
+      memory?: number;
+      /** Number of passes (default: 3) */
+      passes?: number;
+      /** Degree of parallelism (default: 4) */
+      parallelism?: number;
+    };
+
+/**
+ * Name of an AEAD cipher suite. The ChaCha20 suites need an OpenSSL
+ * build with ChaCha20-Poly1305, which FIPS builds leave out.
+ */
+export type CipherSuite =
+  | "aes-256-gcm"
+  | "chacha20-poly1305"
+  | "xchacha20-poly1305";
+
+/**
+ * Cipher suite implementation in `_.CIPHERS`. Every suite takes a
+ * 32-byte key and produces a 16-byte tag.
+ */
+export interface Cipher {
+  /** Length of the IV in bytes */
+  nonceLength: number;
+  createCipher(key: Buffer, iv: Buffer): import("crypto").CipherGCM;
+  createDecipher(key: Buffer, iv: Buffer): import("crypto").DecipherGCM;
+}
+
+/**
+ * Name of a compression codec. `zstd` needs Node 22.15 or later.
+ */
+export type CompressionCodec = "gzip" | "brotli" | "zstd" | "none";
+
+/**
+ * Compression settings: a codec name, or a codec with its level
+ * (gzip 0–9, default 6; brotli 0–11, default 6; zstd 1–22, default 3).
+ * The codec is recorded in the payload header, so decryption picks it
+ * up automatically.
+ */
+export type CompressionOptions =
+  | CompressionCodec
+  | { name: CompressionCodec; level?: number };
+
+/**
+ * Compression codec implementation in `_.CODECS`.
+ */
+export interface Codec {
+  /** Accepted and default compression levels */
+  levels: { min: number; max: number; default: number };
+  compress(data: Buffer, level: number): Buffer;
+  decompress(data: Buffer): Buffer;
+  createCompressor(level: number): import("stream").Transform;
+  createDecompressor(): import("stream").Transform;
+}
+
+/**
+ * X25519 public key: a `wc-x25519-pub:…` string or a KeyObject.
+ */
+export type Recipient = string | KeyObject;
+
+/**
+ * X25519 private key: a `wc-x25519-sec:…` string or a KeyObject.
+ */
+export type Identity = string | KeyObject;
+
+/**
+ * Ed25519 private key: a `wc-ed25519-sec:…` string or a KeyObject.
+ */
+export type SigningKey = string | KeyObject;
+
+/**
+ * Ed25519 public key: a `wc-ed25519-pub:…` string or a KeyObject.
+ */
+export type Signer = string | KeyObject;
+
+/**
+ * 32-byte symmetric key: raw bytes, a secret KeyObject, or the
+ * `wc-key:…` contents of a key file written by `generateKeyFile`.
+ */
+export type SymmetricKey = Buffer | string | KeyObject;
+
+/**
+ * Key pair returned by `generateKeyPair`.
+ */
+export interface KeyPair {
+  /** `wc-x25519-pub:…`, pass to the `recipients` option */
+  publicKey: string;
+  /** `wc-x25519-sec:…`, pass to the `identity` option; keep secret */
+  privateKey: string;
+}
+
+/**
+ * Key pair returned by `generateSigningKeyPair`.
+ */
+export interface SigningKeyPair {
+  /** `wc-ed25519-pub:…`, pass to `trustedSigners` or `verifySignature` */
+  publicKey: string;
+  /** `wc-ed25519-sec:…`, pass to the `signingKey` option; keep secret */
+  privateKey: string;
+}
+
+/**
+ * Original file attributes stored encrypted in a payload header.
+ */
+export interface FileMetadata {
+  /** Base name of the original file, without any directory part */
+  name?: string;
+  /** Permission bits (0 to 0o7777); only 0o777 of them are restored */
+  mode?: number;
+  /** Modification time in milliseconds since the epoch */
+  mtime?: number;
+  /** MIME type, guessed from the file extension by default */
+  contentType?: string;
+}
+
+/**
+ * Password policy applied to new passwords: the encrypt functions,
+ * `addPassword` and `changePassword`.
+ */
+export interface PasswordPolicy {
+  /** Bits of entropy required, see `estimatePasswordStrength` (default: 28) */
+  minEntropy?: number;
   /**
-   * WilcoCrypt version (must match during decryption).
+   * What to do with weaker passwords: throw `WEAK_PASSWORD`, emit a
+   * `WilcoCryptWarning` process warning, or nothing (default: "reject")
    */
-  VERSION: string;
+  action?: "reject" | "warn" | "ignore";
+}
+
+/**
+ * Result of `estimatePasswordStrength`.
+ */
+export interface PasswordStrength {
+  /** Estimated guesses needed, as bits (log2), to one decimal */
+  entropy: number;
+  /** 0 (too guessable) to 4 (very unguessable) */
+  score: 0 | 1 | 2 | 3 | 4;
+  /** Whether `entropy` meets the policy's `minEntropy` */
+  acceptable: boolean;
+  feedback: {
+    /** What makes the password weak, or `null` */
+    warning: string | null;
+    /** How to choose a stronger one */
+    suggestions: string[];
+  };
+}
+
+/**
+ * Pattern found in a password by the strength estimator.
+ */
+export interface PasswordMatch {
+  pattern:
+    | "dictionary"
+    | "sequence"
+    | "repeat"
+    | "keyboard"
+    | "year"
+    | "date"
+    | "bruteforce";
+  /** Index of the first character */
+  i: number;
+  /** Index of the last character */
+  j: number;
+  token: string;
+  /** Estimated guesses for the token, as bits */
+  bits: number;
+  [detail: string]: unknown;
+}
+
+/**
+ * Options accepted by `generatePassphrase`.
+ */
+export interface PassphraseOptions {
+  /** Number of words, from 3 to 64 (default: 6) */
+  words?: number;
+  /** Text between words (default: "-") */
+  separator?: string;
+}
+
+/**
+ * Progress event passed to `onProgress`.
+ */
+export interface Progress {
+  /** Bytes processed so far */
+  processed: number;
+  /** Bytes to process in total, or `null` when unknown (streams) */
+  total: number | null;
+}
 
+/**
+ * Options accepted by the encrypt functions.
+ */
+export interface EncryptOptions {
+  /** Legacy switch; `false` is the same as `compression: "none"` */
+  gzip?: boolean;
   /**
-   * Minimum allowed password length.
+   * Compression codec and level (default: gzip). Data whose first 64 KiB
+   * do not compress is stored uncompressed.
    */
-  MIN_PASSWORD_LENGTH: number;
+  compression?: CompressionOptions;
+  /**
+   * Cipher suite of the body and metadata (default: aes-256-gcm).
+   * Decryption reads it from the header.
+   */
+  cipher?: CipherSuite;
+  /** Key derivation settings (default: scrypt with Node's default cost) */
+  kdf?: KdfOptions;
+  /**
+   * Strength the password must have (default: `_.DEFAULT_PASSWORD_POLICY`,
+   * which rejects passwords under 28 bits)
+   */
+  passwordPolicy?: PasswordPolicy;
+  /** Plaintext bytes per authenticated segment (default: 65536) */
+  chunkSize?: number;
+  /**
+   * Write an uncompressed payload that supports random access through
+   * `openEncryptedFile`; compression is ignored (default: false)
+   */
+  seekable?: boolean;
+  /** Public keys that can decrypt the payload, in addition to the password */
+  recipients?: Recipient | Recipient[];
+  /** Symmetric keys that can decrypt the payload, in addition to the password */
+  key?: SymmetricKey | SymmetricKey[];
+  /**
+   * Spare header bytes reserved so key slots can be added in place later
+   * (default: 0 for buffers, `_.DEFAULT_HEADER_PADDING` for files)
+   */
+  headerPadding?: number;
+  /**
+   * File metadata to store encrypted in the header. The file functions
+   * collect it from the input file and merge these fields over it;
+   * `false` stores none.
+   */
+  metadata?: FileMetadata | false;
+  /**
+   * Associated data to bind the payload to, such as a record ID. It is
+   * authenticated but not stored; decryption must pass the same value.
+   */
+  aad?: string | Uint8Array;
+  /**
+   * Ed25519 private key that signs the header and ciphertext; the
+   * signature is appended to the payload
+   */
+  signingKey?: SigningKey;
+  /**
+   * Return ASCII-armored text instead of binary, see `armor`
+   * (`encryptData`, `encryptDataAsync`, `encryptWithKey`, `encryptFile`
+   * and `encryptFileAsync` only; default: false)
+   */
+  armor?: boolean;
+  /**
+   * Replace an existing output file; otherwise the file functions fail
+   * with `OUTPUT_EXISTS` (default: false)
+   */
+  overwrite?: boolean;
+  /**
+   * Delete the input file once the encrypted file decrypts correctly,
+   * overwriting its content with random bytes first (best effort;
+   * `encryptFile`, `encryptFileAsync` and `encryptFileStream` only;
+   * default: false)
+   */
+  removeOriginal?: boolean;
+  /**
+   * Split the output into volumes of this many bytes, header included,
+   * written to `outputPath.001`, `outputPath.002`, …; at least 64 KiB
+   * (`encryptFileStream` only)
+   */
+  volumeSize?: number;
+  /**
+   * Cancels the operation; it fails with `ABORTED` and leaves no partial
+   * output. Key derivation itself cannot be interrupted (async and stream
+   * functions only).
+   */
+  signal?: AbortSignal;
+  /**
+   * Called with the plaintext bytes read so far: once with 0, then as
+   * data is processed (async and stream functions only).
+   * `encryptFileAsync` works in memory and only reports 0 and completion.
+   */
+  onProgress?: (progress: Progress) => void;
+}
+
+/**
+ * Path of a JSON field for `encryptJSON`: a dotted string such as
+ * `db.password` or `users.*.token`, or an array of keys.
+ */
+export type FieldPath = string | Array<string | number>;
 
+/**
+ * Options accepted by `encryptJSON`.
+ */
+export interface EncryptJSONOptions extends EncryptOptions {
   /**
-   * Internal header used to identify valid WilcoCrypt payloads.
+   * Encrypt only the values at these paths and return the document;
+   * each becomes a `wc-enc:` string bound to its location
+   */
+  fields?: FieldPath | FieldPath[];
+}
+
+/**
+ * Options accepted by the decrypt functions.
+ */
+export interface DecryptOptions {
+  /**
+   * Whether to decompress payloads that do not record their codec, such
+   * as format `2.2.0` (default: true)
+   */
+  gzip?: boolean;
+  /** Private key(s) tried against the recipient slots */
+  identity?: Identity | Identity[];
+  /** Symmetric key(s) tried against the key slots */
+  key?: SymmetricKey | SymmetricKey[];
+  /** Associated data the payload was encrypted with */
+  aad?: string | Uint8Array;
+  /**
+   * Require a valid signature by one of these Ed25519 public keys;
+   * unsigned payloads fail with `NOT_SIGNED`
+   */
+  trustedSigners?: Signer | Signer[];
+  /**
+   * Restore the original file name, mode and modification time
+   * (`decryptFile`, `decryptFileAsync` and `decryptFileStream` only)
+   */
+  restore?: boolean;
+  /**
+   * Replace an existing output file; otherwise the file functions fail
+   * with `OUTPUT_EXISTS` (default: false)
+   */
+  overwrite?: boolean;
+  /**
+   * Cancels the operation; it fails with `ABORTED` and leaves no partial
+   * output (async and stream functions only)
+   */
+  signal?: AbortSignal;
+  /**
+   * Called with the encrypted body bytes read so far: once with 0, then
+   * as data is processed (async and stream functions only).
+   * `decryptFileAsync` works in memory and only reports 0 and completion.
+   */
+  onProgress?: (progress: Progress) => void;
+}
+
+/**
+ * Options accepted by `decryptArchive`.
+ */
+export interface ArchiveOptions extends DecryptOptions {
+  /** Only extract this file, or this directory and everything below it */
+  entry?: string;
+}
+
+/**
+ * One file or directory of an archive, as returned by `listArchive`.
+ */
+export interface ArchiveEntry {
+  /** `/`-separated path relative to the archived directory */
+  path: string;
+  type: "file" | "directory";
+  /** Content size in bytes (0 for directories) */
+  size: number;
+  /** Permission bits */
+  mode: number;
+  /** Modification time in milliseconds since the epoch */
+  mtime: number;
+}
+
+/**
+ * Options accepted by `addPassword` and `changePassword`.
+ */
+export interface KeySlotOptions {
+  /** Key derivation settings for the new key slot */
+  kdf?: KdfOptions;
+  /** Strength the new password must have, as in `EncryptOptions` */
+  passwordPolicy?: PasswordPolicy;
+  /** Private key(s) to unlock the file with instead of a password (`addPassword` only) */
+  identity?: Identity | Identity[];
+  /** Symmetric key(s) to unlock the file with instead of a password (`addPassword` only) */
+  key?: SymmetricKey | SymmetricKey[];
+}
+
+/**
+ * Options accepted by `createVault`.
+ */
+export interface CreateVaultOptions {
+  /** Key derivation settings for the password slot */
+  kdf?: KdfOptions;
+  /** Strength the password must have, as in `EncryptOptions` */
+  passwordPolicy?: PasswordPolicy;
+  /** Cipher suite of the vault (default: aes-256-gcm) */
+  cipher?: CipherSuite;
+  /** Public keys that can open the vault, in addition to the password */
+  recipients?: Recipient | Recipient[];
+  /** Symmetric keys that can open the vault, in addition to the password */
+  key?: SymmetricKey | SymmetricKey[];
+  /** Associated data the vault is bound to; `openVault` must pass it too */
+  aad?: string | Uint8Array;
+  /** Replace an existing file instead of throwing `OUTPUT_EXISTS` */
+  overwrite?: boolean;
+}
+
+/**
+ * Options accepted by `openVault`.
+ */
+export interface OpenVaultOptions {
+  /** Private key(s) tried against the recipient slots */
+  identity?: Identity | Identity[];
+  /** Symmetric key(s) tried against the key slots */
+  key?: SymmetricKey | SymmetricKey[];
+  /** Associated data the vault was created with */
+  aad?: string | Uint8Array;
+}
+
+/**
+ * One secret of a vault, as listed by `Vault.list`.
+ */
+export interface VaultEntry {
+  name: string;
+  /** Creation time in milliseconds since the epoch */
+  created: number;
+  /** Time of the last change in milliseconds since the epoch */
+  updated: number;
+}
+
+/**
+ * Options accepted by the upgrade functions. The password policy is not
+ * applied, since the payload is already protected by the password.
+ */
+export interface UpgradeOptions extends EncryptOptions {
+  /** Whether the original payload was compressed (default: true) */
+  gzip?: boolean;
+}
+
+/**
+ * Normalized key derivation parameters as stored in a payload header.
+ */
+export type KdfParams =
+  | { name: "scrypt"; N: number; r: number; p: number; maxmem?: number }
+  | { name: "argon2id"; memory: number; passes: number; parallelism: number };
+
+/**
+ * One wrapped copy of the data key in a payload header.
+ */
+export type KeySlot =
+  | {
+      type: "password";
+      kdf: KdfParams;
+      salt: Buffer;
+      /** [iv (12)] + [encrypted data key (32)] + [authTag (16)] */
+      key: Buffer;
+    }
+  | {
+      type: "key";
+      /** HKDF salt of the key-encryption key */
+      salt: Buffer;
+      /** [iv (12)] + [encrypted data key (32)] + [authTag (16)] */
+      key: Buffer;
+    }
+  | {
+      type: "x25519";
+      /** Raw ephemeral X25519 public key */
+      ephemeral: Buffer;
+      /** [iv (12)] + [encrypted data key (32)] + [authTag (16)] */
+      key: Buffer;
+    };
+
+/**
+ * Parsed token, see `_.decodeToken`.
+ */
+export interface DecodedToken {
+  /** Version, cipher and key slots; the associated data of the ciphertext */
+  prefix: Buffer;
+  cipher: CipherSuite;
+  slots: KeySlot[];
+  nonce: Buffer;
+  ciphertext: Buffer;
+  authTag: Buffer;
+}
+
+/**
+ * Parsed header fields of a current-format payload.
+ */
+export interface PayloadHeader {
+  /** Wrapped copies of the random data key, at most `MAX_KEY_SLOTS` */
+  slots: KeySlot[];
+  /** Cipher suite of the body and metadata */
+  cipher: CipherSuite;
+  /**
+   * Random bytes (7, or 19 for XChaCha20-Poly1305); segment nonces
+   * append the index and final flag
+   */
+  noncePrefix: Buffer;
+  /** Plaintext bytes per segment */
+  chunkSize: number;
+  /** Whether the payload is uncompressed and supports random access */
+  seekable: boolean;
+  /** Codec of the body, always `"none"` for seekable payloads */
+  compression: CompressionCodec;
+  /** Sealed file metadata: [iv] + [encrypted JSON] + [authTag (16)] */
+  metadata: Buffer | null;
+  /** Raw Ed25519 public key of the signer of a signed payload */
+  signer: Buffer | null;
+  /** HMAC-SHA256 over all other header fields, see `headerMac` */
+  mac: Buffer;
+}
+
+/**
+ * Read-only handle on a seekable payload, returned by `openEncryptedFile`.
+ * Reads only authenticate and decrypt the segments covering the range.
+ */
+export interface EncryptedFileHandle {
+  /** Plaintext size in bytes */
+  readonly size: number;
+
+  /**
+   * Reads a range of plaintext. Reads past the end return fewer bytes.
+   *
+   * @param position Plaintext offset to start reading at
+   * @param length Number of bytes to read
+   *
+   * @throws WilcoCryptError on:
+   * - invalid range
+   * - closed handle
+   * - corrupted data in a covering segment
+   */
+  read(position: number, length: number): Promise<Buffer>;
+
+  /**
+   * Creates a readable stream over a range of plaintext.
+   * Like `fs.createReadStream`, `start` and `end` are inclusive.
+   *
+   * @throws WilcoCryptError on invalid range
+   */
+  createReadStream(options?: {
+    start?: number;
+    end?: number;
+  }): import("stream").Readable;
+
+  /**
+   * Closes the underlying file. Further reads throw `FILE_CLOSED`.
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * Open secrets vault, returned by `createVault` and `openVault`. Every
+ * change rewrites the vault file atomically, keeping its key slots.
+ */
+export interface Vault {
+  /** Path of the vault file */
+  readonly path: string;
+
+  /**
+   * Returns the value of an entry, or `undefined` if there is none.
+   *
+   * @throws WilcoCryptError With code `VAULT_CLOSED`
+   */
+  get(name: string): string | undefined;
+
+  /**
+   * Whether the vault has an entry.
+   *
+   * @throws WilcoCryptError With code `VAULT_CLOSED`
+   */
+  has(name: string): boolean;
+
+  /**
+   * Lists the entries, sorted by name, without their values.
+   *
+   * @throws WilcoCryptError With code `VAULT_CLOSED`
+   */
+  list(): VaultEntry[];
+
+  /**
+   * Adds or replaces an entry and saves the vault. A replaced entry keeps
+   * its creation time.
+   *
+   * @param name Letters, digits, `_`, `.`, `-` and `/`, up to 256 characters
+   *
+   * @throws WilcoCryptError on:
+   * - invalid name or value (`INVALID_ENTRY_NAME`, `INVALID_ENTRY_VALUE`)
+   * - a vault file changed since it was opened (`VAULT_CHANGED`)
+   * - closed vault (`VAULT_CLOSED`)
+   */
+  set(name: string, value: string): Promise<void>;
+
+  /**
+   * Removes an entry and saves the vault.
+   *
+   * @returns `false` if there was no such entry; nothing is written then
+   *
+   * @throws WilcoCryptError With code `VAULT_CHANGED` or `VAULT_CLOSED`
+   */
+  delete(name: string): Promise<boolean>;
+
+  /**
+   * Waits for pending changes, then wipes the data key and forgets the
+   * entries. Further calls throw `VAULT_CLOSED`.
+   */
+  close(): Promise<void>;
+}
+
+/**
+ * Decoded header of one volume of a split payload.
+ */
+export interface VolumeHeader {
+  /** Random ID shared by the volumes of one set */
+  id: Buffer;
+  /** 1-based position of the volume */
+  index: number;
+  /** Number of volumes in the set */
+  count: number;
+  /** Bytes of payload the volume holds */
+  length: number;
+  /** Header bytes covered by the MAC */
+  fields: Buffer;
+  mac: Buffer;
+}
+
+/**
+ * The volumes of a split payload, read as one payload by
+ * `decryptFileStream` and `verifyFile`.
+ */
+export interface VolumeSet extends PayloadHandle {
+  /** Volumes in order, with their path and the offset of their content */
+  volumes: Array<VolumeHeader & { path: string; size: number; offset: number }>;
+  /** Size of the whole payload */
+  size: number;
+  close(): Promise<void>;
+  /**
+   * Creates a stream over the payload bytes from `start` up to, not
+   * including, `end`, failing with `VOLUME_CORRUPTED` as soon as a
+   * volume's MAC does not match.
+   *
+   * @param key Data key
+   */
+  createReadStream(
+    start: number,
+    end: number,
+    key?: Buffer,
+  ): import("stream").Readable;
+  /**
+   * Reads every volume and checks its MAC.
+   *
+   * @throws WilcoCryptError With code `VOLUME_CORRUPTED`
+   */
+  verify(key: Buffer): Promise<void>;
+}
+
+/**
+ * Volume fields reported by `inspect` for a volume of a split payload.
+ */
+export interface VolumeInfo {
+  /** Set ID shared by the volumes of one set, in hex */
+  id: string;
+  /** 1-based position of the volume */
+  index: number;
+  /** Number of volumes in the set */
+  count: number;
+  /** Bytes of payload the volume holds, according to its header */
+  length: number;
+}
+
+/**
+ * Header fields of a payload, as returned by `inspect`.
+ * They are read without a password and are not authenticated.
+ */
+export interface PayloadInfo {
+  /** Payload format version */
+  version: string;
+  /** Whether the payload was ASCII-armored */
+  armored: boolean;
+  /** Size of the binary payload, or of the volume file, in bytes */
+  size: number;
+  /**
+   * Set ID, index and count for the first volume of a split payload,
+   * `null` for whole payloads
+   */
+  volume: VolumeInfo | null;
+  /** Cipher suite of the body */
+  cipher: CipherSuite;
+  /** Bytes before the body: header, version and header fields */
+  headerLength: number;
+  /** Key slots, without their salts and wrapped keys */
+  slots: Array<
+    | { type: "password"; kdf: KdfParams; saltLength: number }
+    | { type: "key"; saltLength: number }
+    | { type: "x25519" }
+  >;
+  /** Length of the content nonces in bytes */
+  nonceLength: number;
+  /** Plaintext bytes per segment, `null` for unsegmented formats */
+  chunkSize: number | null;
+  /**
+   * Number of segments in the body, `null` for unsegmented formats and
+   * for the first of several volumes
+   */
+  segments: number | null;
+  /** Whether the payload supports random access */
+  seekable: boolean;
+  /** Codec of the body, `null` for formats that do not record it */
+  compression: CompressionCodec | null;
+  /** Whether the body is compressed, `null` for formats that do not record it */
+  compressed: boolean | null;
+  /**
+   * Length of the encrypted body without auth tags, after compression;
+   * `null` for the first of several volumes
+   */
+  contentLength: number | null;
+  /** Whether encrypted file metadata is present */
+  metadata: boolean;
+  /** `wc-ed25519-pub:…` key of the signer of a signed payload */
+  signer: string | null;
+  /**
+   * `true` if the size does not fit the segment layout of the header, so
+   * the payload was cut. `false` does not rule out a cut at a segment
+   * boundary or before the signature, which only decryption detects.
+   * For the first of several volumes, `null` unless the volume itself is
+   * cut, since the other volumes are not read.
+   */
+  truncated: boolean | null;
+}
+
+/**
+ * What `inspect` reports for a later volume of a split payload, which
+ * holds no payload header.
+ */
+export interface VolumePartInfo {
+  version: null;
+  armored: false;
+  /** Size of the volume file in bytes */
+  size: number;
+  volume: VolumeInfo;
+  /** Whether the volume is shorter than its header records */
+  truncated: boolean;
+}
+
+/**
+ * Result of `verifyData` and `verifyFile`.
+ */
+export interface VerifyResult {
+  /** Whether the whole payload decrypted and authenticated */
+  valid: boolean;
+  /** Payload format version, `null` if the header could not be read */
+  version: string | null;
+  /** Plaintext bytes authenticated, up to the failure for invalid payloads */
+  size: number;
+  /** File metadata of a valid payload, if it has any */
+  metadata: FileMetadata | null;
+  /** Whether the signature was checked against `trustedSigners` */
+  signatureVerified: boolean;
+  /** Error code of the failure, `null` for valid payloads */
+  code: string | null;
+  /** Error message of the failure, `null` for valid payloads */
+  message: string | null;
+}
+
+/**
+ * The part of `fs/promises.FileHandle` that format decoders read through.
+ */
+export type PayloadHandle = Pick<
+  import("fs/promises").FileHandle,
+  "read" | "stat"
+>;
+
+/**
+ * Decoder for one payload format version.
+ */
+export interface PayloadFormat {
+  /**
+   * Decrypts a payload of this format.
+   *
+   * @param encryptedBuffer Binary-encoded encrypted payload
+   * @param offset Offset of the first byte after the version string
+   * @param password Password used for decryption
+   * @param options Normalized decryption options
+   * @returns Decrypted raw data
+   */
+  decrypt(
+    encryptedBuffer: Buffer,
+    offset: number,
+    password: string | null,
+    options: DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Asynchronous version of `decrypt`.
+   */
+  decryptAsync(
+    encryptedBuffer: Buffer,
+    offset: number,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<Buffer>;
+
+  /**
+   * Like `decrypt`, but also returns the file metadata of the payload,
+   * or `null` if it has none.
+   */
+  open(
+    encryptedBuffer: Buffer,
+    offset: number,
+    password: string | null,
+    options: DecryptOptions,
+  ): { data: Buffer; metadata: FileMetadata | null };
+
+  /**
+   * Asynchronous version of `open`.
+   */
+  openAsync(
+    encryptedBuffer: Buffer,
+    offset: number,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<{ data: Buffer; metadata: FileMetadata | null }>;
+
+  /**
+   * Prepares streaming decryption of a payload of this format: unlocks
+   * the data key and returns the body range with the transforms that
+   * decrypt it.
+   *
+   * @param handle Open file handle on the payload, or see `bufferHandle`
+   * @param offset Offset of the first byte after the version string
+   * @param password Password used for decryption
+   * @param options Normalized decryption options
+   * @returns Body range (`bodyEnd` exclusive), decryption transforms,
+   *   the file metadata of the payload and, for the current format, the
+   *   data key
+   */
+  openStream(
+    handle: PayloadHandle,
+    offset: number,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<{
+    bodyStart: number;
+    bodyEnd: number;
+    steps: import("stream").Transform[];
+    metadata: FileMetadata | null;
+    key?: Buffer;
+  }>;
+
+  /**
+   * Reads the header fields of a payload of this format without a password.
+   *
+   * @param prefix Start of the binary payload, covering at least its
+   *   header; the whole payload for formats with `detect`
+   * @param offset Offset of the first byte after the version string
+   * @param size Size of the whole binary payload
+   *
+   * @throws WilcoCryptError If the header is truncated or malformed
+   */
+  inspect(
+    prefix: Buffer,
+    offset: number,
+    size: number,
+  ): Omit<PayloadInfo, "version" | "armored" | "size" | "volume">;
+
+  /**
+   * Recognizes a payload written without the WilcoCrypt header, such as
+   * the `2.1.x` MessagePack envelope, from its first bytes. Such formats
+   * are decoded from offset 0.
+   */
+  detect?(buffer: Buffer): boolean;
+}
+
+/**
+ * Internal helper namespace used by WilcoCrypt.
+ */
+export interface InternalNamespace {
+  /**
+   * Payload format version written by this release.
+   * Older versions listed in `FORMATS` remain decodable.
+   */
+  VERSION: string;
+
+  /**
+   * Registry of every payload format version WilcoCrypt can decode,
+   * keyed by the version string embedded after the header. `2.1.x`
+   * payloads have no header and are found by `detect`.
+   */
+  FORMATS: Record<string, PayloadFormat>;
+
+  /**
+   * Keys of the MessagePack map of `2.1.x` payloads.
+   */
+  LEGACY_FIELDS: string[];
+
+  /**
+   * Length prefix widths of MessagePack strings and binaries, and widths
+   * of unsigned integers, by type byte.
+   */
+  MSGPACK_WIDTHS: {
+    lengths: Record<number, number>;
+    uints: Record<number, number>;
+  };
+
+  /**
+   * Reads one MessagePack string, binary, small integer, boolean or nil.
+   *
+   * @returns The value and the offset after it
+   * @throws WilcoCryptError With code `INVALID_HEADER` for other types
+   *   or a value cut short
+   */
+  readMsgpack(
+    buffer: Buffer,
+    offset: number,
+  ): { value: string | Buffer | number | boolean | null; end: number };
+
+  /**
+   * Minimum allowed password length.
+   */
+  MIN_PASSWORD_LENGTH: number;
+
+  /**
+   * Internal header used to identify valid WilcoCrypt payloads.
+   */
+  HEADER: Buffer;
+
+  /**
+   * Maximum accepted size of the JSON header of a payload, in bytes.
+   */
+  MAX_HEADER_LENGTH: number;
+
+  /**
+   * Spare header bytes that file-writing functions reserve by default.
+   */
+  DEFAULT_HEADER_PADDING: number;
+
+  /**
+   * Largest accepted `headerPadding` option.
+   */
+  MAX_HEADER_PADDING: number;
+
+  /**
+   * Maximum number of key slots in a payload header.
+   */
+  MAX_KEY_SLOTS: number;
+
+  /**
+   * Maximum combined cost of the password slots in a payload header, in
+   * bytes of KDF memory times passes.
+   */
+  MAX_KDF_COST: number;
+
+  /**
+   * Prefixes of the text encoding of X25519, Ed25519 and symmetric keys.
+   */
+  KEY_PREFIXES: {
+    x25519Public: string;
+    x25519Private: string;
+    ed25519Public: string;
+    ed25519Private: string;
+    symmetric: string;
+  };
+
+  /**
+   * DER prefixes that turn a raw 32-byte X25519 key into SPKI / PKCS#8.
+   */
+  X25519_DER_PREFIXES: { public: Buffer; private: Buffer };
+
+  /**
+   * DER prefixes that turn a raw 32-byte Ed25519 key into SPKI / PKCS#8.
+   */
+  ED25519_DER_PREFIXES: { public: Buffer; private: Buffer };
+
+  /**
+   * Length of the Ed25519 signature that follows a signed payload body.
+   */
+  SIGNATURE_LENGTH: number;
+
+  /**
+   * Label of the BEGIN and END lines of an ASCII-armored payload.
+   */
+  ARMOR_LABEL: string;
+
+  /**
+   * Base64 characters per line of an ASCII-armored payload.
+   */
+  ARMOR_LINE_LENGTH: number;
+
+  /**
+   * Prefix of the string that replaces an encrypted JSON field.
+   */
+  FIELD_PREFIX: string;
+
+  /**
+   * Version byte at the start of every token.
+   */
+  TOKEN_VERSION: number;
+
+  /**
+   * Cipher suites of tokens, by the number recorded in the token.
+   */
+  TOKEN_CIPHERS: CipherSuite[];
+
+  /**
+   * Magic bytes at the start of the plaintext of an archive payload.
+   */
+  ARCHIVE_MAGIC: Buffer;
+
+  /**
+   * `type` of the JSON document in the plaintext of a vault payload.
+   */
+  VAULT_TYPE: string;
+
+  /**
+   * Version of the vault document written by this release.
+   */
+  VAULT_VERSION: number;
+
+  /**
+   * Valid vault entry names.
+   */
+  VAULT_ENTRY_NAME: RegExp;
+
+  /**
+   * Magic bytes at the start of every volume of a split payload.
+   */
+  VOLUME_MAGIC: Buffer;
+
+  /**
+   * Size of the header in front of the content of a volume.
+   */
+  VOLUME_HEADER_LENGTH: number;
+
+  /**
+   * Smallest accepted `volumeSize`, header included.
+   */
+  MIN_VOLUME_SIZE: number;
+
+  /**
+   * Default plaintext size of one segment of a chunked payload body.
+   */
+  DEFAULT_CHUNK_SIZE: number;
+
+  /**
+   * Accepted range for the chunk size.
+   */
+  CHUNK_SIZE_LIMITS: { min: number; max: number };
+
+  /**
+   * Bytes of plaintext compressed on trial to decide whether a payload
+   * is worth compressing.
+   */
+  COMPRESSION_SAMPLE_SIZE: number;
+
+  /**
+   * Largest compressed-to-original size ratio of the sample at which a
+   * payload is still compressed.
+   */
+  COMPRESSION_MAX_RATIO: number;
+
+  /**
+   * Registry of compression codecs, keyed by the name recorded in the
+   * payload header.
+   */
+  CODECS: Record<string, Codec>;
+
+  /**
+   * Registry of cipher suites, keyed by the name recorded in the
+   * payload header.
+   */
+  CIPHERS: Record<string, Cipher>;
+
+  /**
+   * Cipher suite of payloads written without a `cipher` option.
+   */
+  DEFAULT_CIPHER: "aes-256-gcm";
+
+  /**
+   * MIME types guessed for stored file metadata, keyed by lowercase
+   * file extension.
+   */
+  CONTENT_TYPES: Record<string, string>;
+
+  /**
+   * Default parameters for each supported key derivation function.
+   */
+  KDF_DEFAULTS: {
+    scrypt: { N: number; r: number; p: number };
+    argon2id: { memory: number; passes: number; parallelism: number };
+  };
+
+  /**
+   * Upper bounds for key derivation parameters, applied when encrypting
+   * and when reading a payload header.
+   */
+  KDF_LIMITS: {
+    scrypt: { N: number; r: number; p: number; maxmem: number };
+    argon2id: { memory: number; passes: number; parallelism: number };
+  };
+
+  /**
+   * Password policy applied to new passwords when none is given.
+   */
+  DEFAULT_PASSWORD_POLICY: Required<PasswordPolicy>;
+
+  /**
+   * Entropy in bits needed for each strength score from 1 to 4.
+   */
+  PASSWORD_SCORE_THRESHOLDS: number[];
+
+  /**
+   * Leading characters searched for patterns when estimating password
+   * strength; the rest count as random characters.
+   */
+  MAX_PASSWORD_ANALYSIS_LENGTH: number;
+
+  /**
+   * The 2048 words of generated passphrases.
+   */
+  PASSPHRASE_WORDS: string[];
+
+  /**
+   * Common passwords, most common first.
+   */
+  COMMON_PASSWORDS: string[];
+
+  /**
+   * English words of 9 letters or more for the strength estimator,
+   * more common first.
+   */
+  ENGLISH_WORDS: string[];
+
+  /**
+   * Words the strength estimator looks for, with their rank.
+   */
+  PASSWORD_DICTIONARY: Map<string, { rank: number; common: boolean }>;
+
+  /**
+   * L33t substitutions, with the two letters each character may stand for.
+   */
+  LEET_TABLE: Record<string, [string, string]>;
+
+  /**
+   * Keyboards searched for runs of adjacent keys.
+   */
+  KEYBOARD_LAYOUTS: Record<
+    string,
+    { rows: string[]; shifted?: string[]; offsets: number[]; reach: number }
+  >;
+
+  /**
+   * Internal error class used by WilcoCrypt.
+   */
+  WilcoCryptError: typeof WilcoCryptError;
+
+  /**
+   * Handle class returned by `openEncryptedFile`.
+   */
+  EncryptedFileHandle: new (
+    handle: import("fs/promises").FileHandle,
+    key: Buffer,
+    header: PayloadHeader,
+    bodyOffset: number,
+    bodyLength: number,
+    aad?: Buffer | null,
+  ) => EncryptedFileHandle;
+
+  /**
+   * Vault class returned by `createVault` and `openVault`.
+   */
+  Vault: new (
+    filePath: string,
+    key: Buffer,
+    header: PayloadHeader,
+    entries: Map<string, { value: string; created: number; updated: number }>,
+    stamp: string | null,
+    aad?: Buffer | null,
+  ) => Vault;
+
+  /**
+   * Volume set class returned by `openVolumes`.
+   */
+  VolumeSet: new (
+    volumes: Array<
+      VolumeHeader & { path: string; size: number; offset: number }
+    >,
+  ) => VolumeSet;
+
+  /**
+   * Validates a 32-byte key and the IV of a cipher suite.
+   *
+   * @param key Encryption key (32-byte Buffer)
+   * @param iv Initialization vector
+   * @param ivLength Expected IV length (default: 12)
+   *
+   * @throws WilcoCryptError
+   */
+  assertKeyAndIv(key: Buffer, iv: Buffer, ivLength?: number): void;
+
+  /**
+   * HChaCha20: derives a 32-byte subkey from a key and a 16-byte nonce.
+   */
+  hchacha20(key: Buffer, nonce: Buffer): Buffer;
+
+  /**
+   * Maps an XChaCha20-Poly1305 key and 24-byte nonce onto a
+   * ChaCha20-Poly1305 subkey and 12-byte nonce.
+   */
+  xchachaArguments(key: Buffer, nonce: Buffer): [Buffer, Buffer];
+
+  /**
+   * Whether Node's OpenSSL build provides ChaCha20-Poly1305.
+   */
+  isChaChaSupported(): boolean;
+
+  /**
+   * Looks up a cipher suite in `CIPHERS`.
+   *
+   * @throws WilcoCryptError With code `UNSUPPORTED_CIPHER` for unknown
+   *   suites and ChaCha20 suites on builds without it
+   */
+  getCipher(name: string): Cipher;
+
+  /**
+   * Validates password length. See `assertPasswordStrength` for new
+   * passwords.
+   *
+   * @param password Password to validate
+   *
+   * @throws WilcoCryptError
+   */
+  assertPassword(password: string): void;
+
+  /**
+   * Validates the credentials of a call: a password, or at least one key
+   * when `password` is `null` or `undefined`.
+   *
+   * @param password Password, or `null`
+   * @param keys Symmetric keys plus recipients (encryption) or identities (decryption)
+   * @param policy Normalized password policy, checked when encrypting only
+   *
+   * @throws WilcoCryptError If neither a valid password nor a key is given
+   */
+  assertCredentials(
+    password: string | null | undefined,
+    keys: unknown[],
+    policy?: Required<PasswordPolicy>,
+  ): void;
+
+  /**
+   * Constant-time buffer comparison.
+   * Reserved for future extensions.
+   *
+   * @param a First buffer
+   * @param b Second buffer
+   * @returns True if both buffers are identical
+   */
+  constantTimeEqual(a: Buffer, b: Buffer): boolean;
+
+  /**
+   * Normalizes the options argument of the public API.
+   * A boolean is treated as the legacy `gzip` flag.
+   *
+   * @param options Options object or legacy `gzip` flag
+   * @returns Options with defaults applied
+   */
+  normalizeOptions<T extends object>(
+    options?: boolean | T,
+  ): T & {
+    gzip: boolean;
+    recipients: Recipient[];
+    identity: Identity[];
+    key: SymmetricKey[];
+    trustedSigners: Signer[];
+    aad: Buffer | null;
+    passwordPolicy: Required<PasswordPolicy>;
+  };
+
+  /**
+   * Converts the `aad` option into bytes; strings are UTF-8 encoded.
+   *
+   * @returns `null` when no associated data is given
+   * @throws WilcoCryptError With code `INVALID_AAD` for other types
+   */
+  normalizeAad(aad: string | Uint8Array | null | undefined): Buffer | null;
+
+  /**
+   * Validates a password policy and fills in `DEFAULT_PASSWORD_POLICY`.
+   *
+   * @throws WilcoCryptError With code `INVALID_PASSWORD_POLICY`
+   */
+  normalizePasswordPolicy(policy?: PasswordPolicy): Required<PasswordPolicy>;
+
+  /**
+   * Checks a new password against a normalized policy: throws for
+   * `"reject"` and emits a process warning for `"warn"`.
+   *
+   * @returns The estimate, or `null` for `"ignore"`
+   * @throws WilcoCryptError With code `WEAK_PASSWORD` and `strength` set
+   */
+  assertPasswordStrength(
+    password: string,
+    policy: Required<PasswordPolicy>,
+  ): PasswordStrength | null;
+
+  /**
+   * Number of ways to choose `k` of `n` items.
+   */
+  binomial(n: number, k: number): number;
+
+  /**
+   * Bits needed to tell which characters of a token are varied, when
+   * `varied` are and `plain` are not.
+   */
+  variationBits(varied: number, plain: number): number;
+
+  /**
+   * Bits added by the capitalization of a word.
+   */
+  uppercaseBits(token: string): number;
+
+  /**
+   * Bits added by the l33t substitutions that turn `word` into `token`.
+   */
+  leetBits(token: string, word: string): number;
+
+  /**
+   * Dictionary words in a password, also reversed and with l33t
+   * substitutions undone.
+   */
+  dictionaryMatches(password: string): PasswordMatch[];
+
+  /**
+   * Runs of characters that step by the same small amount.
+   */
+  sequenceMatches(password: string): PasswordMatch[];
+
+  /**
+   * Repeated characters and blocks.
+   */
+  repeatMatches(password: string): PasswordMatch[];
+
+  /**
+   * Runs of neighbouring keys in `KEYBOARD_LAYOUTS`.
+   */
+  keyboardMatches(password: string): PasswordMatch[];
+
+  /**
+   * Years and dates.
+   */
+  dateMatches(password: string): PasswordMatch[];
+
+  /**
+   * Bits per character of a password guessed by brute force.
+   */
+  bruteForceBits(password: string): number;
+
+  /**
+   * Estimated bits of guesses for a password, from the cheapest
+   * combination of patterns that covers it.
+   */
+  passwordBits(password: string, withMatches?: false): number;
+  passwordBits(
+    password: string,
+    withMatches: true,
+  ): { bits: number; matches: PasswordMatch[] };
+
+  /**
+   * Warning and suggestions for a password, from its matches.
+   */
+  passwordFeedback(
+    password: string,
+    matches: PasswordMatch[],
+    score: number,
+  ): PasswordStrength["feedback"];
+
+  /**
+   * Whether the running Node version provides Argon2 (Node 24.7+).
+   */
+  isArgon2Supported(): boolean;
+
+  /**
+   * Validates key derivation parameters against `KDF_LIMITS` and fills in
+   * defaults from `KDF_DEFAULTS`.
+   *
+   * @param kdf Key derivation settings
+   * @returns Complete parameter set
+   *
+   * @throws WilcoCryptError on:
+   * - unknown or unsupported algorithm
+   * - out-of-range parameters
+   */
+  normalizeKdf(kdf?: KdfOptions): KdfParams;
+
+  /**
+   * Memory in bytes that Node's scrypt needs for a parameter set.
+   *
+   * @param kdf scrypt parameters
+   */
+  scryptMemory(kdf: { N: number; r: number; p: number }): number;
+
+  /**
+   * Cost of one key derivation, as bytes of memory times passes.
+   *
+   * @param kdf Normalized parameters
+   */
+  kdfCost(kdf: KdfParams): number;
+
+  /**
+   * Checks the combined cost of the password slots against `MAX_KDF_COST`.
+   *
+   * @param slots Decoded key slots
+   *
+   * @throws WilcoCryptError with code `INVALID_KDF_PARAMS` above the limit
+   */
+  assertKdfCost(slots: KeySlot[]): void;
+
+  /**
+   * Builds the arguments for the underlying Node KDF call.
+   *
+   * @param password Password to derive from
+   * @param kdf Normalized parameters
+   * @param salt Random salt
+   */
+  kdfArguments(password: string, kdf: KdfParams, salt: Buffer): object;
+
+  /**
+   * Derives a 32-byte key from a password.
+   *
+   * @param password Password to derive from
+   * @param kdf Normalized parameters
+   * @param salt Random salt
+   * @returns Derived key
+   */
+  deriveKey(password: string, kdf: KdfParams, salt: Buffer): Buffer;
+
+  /**
+   * Asynchronous version of `deriveKey`.
+   */
+  deriveKeyAsync(
+    password: string,
+    kdf: KdfParams,
+    salt: Buffer,
+  ): Promise<Buffer>;
+
+  /**
+   * Whether the running Node version provides zstd (Node 22.15+).
+   */
+  isZstdSupported(): boolean;
+
+  /**
+   * Looks up a codec in `CODECS`.
+   *
+   * @throws WilcoCryptError With code `UNSUPPORTED_COMPRESSION` for
+   *   unknown codecs and zstd on Node versions without it
+   */
+  getCodec(name: string): Codec;
+
+  /**
+   * Validates the `compression` option and fills in the default level.
+   *
+   * @param gzip Legacy `gzip` option, used when `compression` is not given
+   *
+   * @throws WilcoCryptError on:
+   * - unknown or unsupported codec
+   * - out-of-range level
+   */
+  normalizeCompression(
+    compression?: CompressionOptions,
+    gzip?: boolean,
+  ): { name: CompressionCodec; level: number | null };
+
+  /**
+   * Picks the compression of a new payload: none for seekable payloads
+   * and for data whose sample does not compress, otherwise the requested
+   * codec.
+   *
+   * @param options Normalized options
+   * @param sample Start of the plaintext; without it, the requested codec
+   *   is used as is
+   */
+  selectCompression(
+    options: EncryptOptions,
+    sample?: Buffer,
+  ): { name: CompressionCodec; level: number | null };
+
+  /**
+   * Compresses a buffer; `"none"` returns it as is.
+   */
+  compress(
+    data: Buffer,
+    compression: { name: CompressionCodec; level: number | null },
+  ): Buffer;
+
+  /**
+   * Decompresses authenticated plaintext; `"none"` returns it as is.
+   *
+   * @throws WilcoCryptError With code `DECRYPTION_FAILED` if the data was
+   *   not compressed with this codec
+   */
+  decompress(data: Buffer, name: CompressionCodec): Buffer;
+
+  /**
+   * Whether a stream error comes from a decompressor fed data that was not
+   * compressed with its codec.
+   */
+  isDecompressionError(err: unknown): boolean;
+
+  /**
+   * Creates a compressing Transform.
+   */
+  createCompressor(compression: {
+    name: CompressionCodec;
+    level: number | null;
+  }): import("stream").Transform;
+
+  /**
+   * Creates a decompressing Transform.
+   */
+  createDecompressor(name: CompressionCodec): import("stream").Transform;
+
+  /**
+   * Validates the segment size of a chunked payload body.
+   *
+   * @param chunkSize Segment size (default: `DEFAULT_CHUNK_SIZE`)
+   *
+   * @throws WilcoCryptError If the size is outside `CHUNK_SIZE_LIMITS`
+   */
+  normalizeChunkSize(chunkSize?: number): number;
+
+  /**
+   * Wraps a 32-byte data key with a key-encryption key.
+   *
+   * @returns [iv (12)] + [encrypted key (32)] + [authTag (16)]
+   */
+  wrapKey(kek: Buffer, key: Buffer): Buffer;
+
+  /**
+   * Unwraps a data key wrapped by `wrapKey`.
+   *
+   * @returns The data key, or `null` if `kek` does not match
+   */
+  unwrapKey(kek: Buffer, wrapped: Buffer): Buffer | null;
+
+  /**
+   * Parses a recipient public key.
+   *
+   * @throws WilcoCryptError If the key is not an X25519 public key
+   */
+  parseRecipient(recipient: Recipient): KeyObject;
+
+  /**
+   * Parses an identity (recipient private key).
+   *
+   * @throws WilcoCryptError If the key is not an X25519 private key
+   */
+  parseIdentity(identity: Identity): KeyObject;
+
+  /**
+   * Parses a symmetric key. A Buffer that is not 32 bytes long is read as
+   * key file text; comment lines starting with `#` are skipped.
+   *
+   * @returns The raw 32-byte key
+   * @throws WilcoCryptError If the key is malformed or not 32 bytes long
+   */
+  parseSymmetricKey(key: SymmetricKey): Buffer;
+
+  /**
+   * Returns the raw 32 bytes of an X25519 or Ed25519 key.
+   */
+  rawKey(keyObject: KeyObject): Buffer;
+
+  /**
+   * Derives the key-encryption key of a recipient slot with HKDF-SHA256
+   * over the X25519 shared secret, salted with both public keys.
+   *
+   * @throws WilcoCryptError If the shared secret is all zeros
+   */
+  recipientKek(
+    privateKey: KeyObject,
+    publicKey: KeyObject,
+    ephemeral: Buffer,
+    recipient: Buffer,
+  ): Buffer;
+
+  /**
+   * Creates a key slot that wraps the data key for a password.
+   */
+  createPasswordSlot(key: Buffer, password: string, kdf?: KdfOptions): KeySlot;
+
+  /**
+   * Asynchronous version of `createPasswordSlot`.
+   */
+  createPasswordSlotAsync(
+    key: Buffer,
+    password: string,
+    kdf?: KdfOptions,
+  ): Promise<KeySlot>;
+
+  /**
+   * Derives the key-encryption key of a symmetric key slot with
+   * HKDF-SHA256 over the raw key and the slot salt.
+   */
+  symmetricKek(raw: Buffer, salt: Buffer): Buffer;
+
+  /**
+   * Creates a key slot that wraps the data key for a symmetric key.
+   *
+   * @throws WilcoCryptError If the symmetric key is invalid
+   */
+  createKeySlot(key: Buffer, symmetricKey: SymmetricKey): KeySlot;
+
+  /**
+   * Tries to unwrap the data key from the symmetric key slots of a header.
+   *
+   * @returns The data key, or `null` if no key matches
+   * @throws WilcoCryptError If a key is invalid
+   */
+  unlockKeySlots(header: PayloadHeader, keys: SymmetricKey[]): Buffer | null;
+
+  /**
+   * Creates a key slot that wraps the data key for an X25519 recipient.
+   *
+   * @throws WilcoCryptError If the recipient key is invalid
+   */
+  createRecipientSlot(key: Buffer, recipient: Recipient): KeySlot;
+
+  /**
+   * Tries to unwrap the data key from the X25519 slots of a header.
+   *
+   * @returns The data key, or `null` if no identity matches
+   */
+  unlockRecipientSlots(
+    header: PayloadHeader,
+    identities: Identity[],
+  ): Buffer | null;
+
+  /**
+   * Recovers the data key from a list of key slots, trying symmetric keys
+   * and identities before the password.
+   *
+   * @throws WilcoCryptError With code `DECRYPTION_FAILED` if no slot can
+   *   be unlocked
+   */
+  unlockSlots(
+    header: { slots: KeySlot[] },
+    password: string | null,
+    options: DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Recovers the data key of a payload from its key slots and checks the
+   * header against its MAC.
+   *
+   * @throws WilcoCryptError If no slot can be unlocked or the header was modified
+   */
+  unlockHeader(
+    header: PayloadHeader,
+    password: string | null,
+    options: DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Asynchronous version of `unlockHeader`.
+   */
+  unlockHeaderAsync(
+    header: PayloadHeader,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<Buffer>;
+
+  /**
+   * Creates the header of a new payload together with its random data
+   * key, wrapped for the password (if any), every symmetric key and every
+   * recipient.
+   *
+   * @param password Password, or `null` for keys only
+   * @param options Normalized encryption options
+   */
+  createHeader(
+    password: string | null,
+    options: EncryptOptions,
+  ): { header: PayloadHeader; key: Buffer };
+
+  /**
+   * Asynchronous version of `createHeader`.
+   */
+  createHeaderAsync(
+    password: string | null,
+    options: EncryptOptions,
+  ): Promise<{ header: PayloadHeader; key: Buffer }>;
+
+  /**
+   * Finds the password slot that `password` unlocks and checks the header
+   * against its MAC.
+   *
+   * @returns Slot index and data key, or `null` if no password slot matches
+   * @throws WilcoCryptError If the header was modified
+   */
+  findPasswordSlot(
+    header: PayloadHeader,
+    password: string,
+  ): Promise<{ index: number; key: Buffer } | null>;
+
+  /**
+   * Replaces the header of a current-format `.enc` file without touching
+   * its body: in place when the new header fits, otherwise by copying the
+   * encrypted body behind a freshly padded header.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param update Receives the decoded header and returns the new one,
+   *   resealed with `sealHeader`
+   *
+   * @throws WilcoCryptError on invalid header or older format versions
+   */
+  rewriteFileHeader(
+    filePath: string,
+    update: (header: PayloadHeader) => Promise<PayloadHeader>,
+  ): Promise<void>;
+
+  /**
+   * Parses and validates one key slot of a payload header.
+   *
+   * @throws WilcoCryptError On malformed slot, unknown type or unsafe KDF parameters
+   */
+  decodeSlot(fields: object): KeySlot;
+
+  /**
+   * Serializes header fields into the prefix of a current-format payload.
+   *
+   * @param header Header fields
+   * @returns [HEADER] + [VERSION] + [header length (4)] + [header JSON]
+   */
+  encodeHeader(
+    header: PayloadHeader,
+    layout?: { padding?: number; length?: number },
+  ): Buffer;
+
+  /**
+   * Parses and validates the JSON header of a current-format payload.
+   *
+   * @param json Raw header JSON
+   *
+   * @throws WilcoCryptError on malformed header or unsafe parameters
+   */
+  decodeHeader(json: Buffer): PayloadHeader;
+
+  /**
+   * Computes the MAC of a payload header: HMAC-SHA256 over the encoded
+   * header without padding and without `mac`, keyed by HKDF of the data key.
+   */
+  headerMac(header: PayloadHeader, key: Buffer): Buffer;
+
+  /**
+   * Returns a copy of `header` with its MAC set for `key`.
+   */
+  sealHeader(header: PayloadHeader, key: Buffer): PayloadHeader;
+
+  /**
+   * Checks the MAC of a decoded header.
+   *
+   * @returns `key`
+   * @throws WilcoCryptError With code `DECRYPTION_FAILED` if the header was modified
+   */
+  verifyHeader(header: PayloadHeader, key: Buffer): Buffer;
+
+  /**
+   * Reads the header length field and checks it against `MAX_HEADER_LENGTH`.
+   *
+   * @param lengthBuf 4-byte big-endian length
+   *
+   * @throws WilcoCryptError If the header is empty or too large
+   */
+  readHeaderLength(lengthBuf: Buffer): number;
+
+  /**
+   * Reads and decodes the JSON header of a current-format payload from an
+   * open file.
+   *
+   * @param handle Open file handle
+   * @param offset Offset of the first byte after the version string
+   * @returns Decoded header and the offset of the first body byte
+   */
+  readFileHeader(
+    handle: import("fs/promises").FileHandle,
+    offset: number,
+  ): Promise<{ header: PayloadHeader; offset: number }>;
+
+  /**
+   * Builds the nonce of one body segment:
+   * [nonce prefix] + [segment index (4)] + [final flag (1)]
+   */
+  chunkNonce(noncePrefix: Buffer, index: number, final: boolean): Buffer;
+
+  /**
+   * Encrypts one body segment into [ciphertext] + [authTag (16)].
+   */
+  sealChunk(
+    chunk: Buffer,
+    key: Buffer,
+    noncePrefix: Buffer,
+    index: number,
+    final: boolean,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): Buffer;
+
+  /**
+   * Decrypts and authenticates one body segment.
+   *
+   * @throws WilcoCryptError If the segment is truncated or fails authentication
+   */
+  openChunk(
+    segment: Buffer,
+    key: Buffer,
+    noncePrefix: Buffer,
+    index: number,
+    final: boolean,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): Buffer;
+
+  /**
+   * Encrypts a whole buffer into a chunked body.
+   */
+  encryptChunks(
+    plainData: Buffer,
+    key: Buffer,
+    header: PayloadHeader,
+    aad?: Buffer | null,
+  ): Buffer;
+
+  /**
+   * Decrypts a whole chunked body.
+   *
+   * @throws WilcoCryptError If any segment fails authentication
+   */
+  decryptChunks(
+    body: Buffer,
+    key: Buffer,
+    header: PayloadHeader,
+    aad?: Buffer | null,
+  ): Buffer;
+
+  /**
+   * Creates a Transform that cuts its input into fixed-size segments and
+   * maps each one through `onSegment`. Only the last segment is `final`.
+   */
+  createSegmenter(
+    segmentSize: number,
+    onSegment: (segment: Buffer, index: number, final: boolean) => Buffer,
+  ): import("stream").Transform;
+
+  /**
+   * Creates a Transform that encrypts plaintext into a chunked body.
+   */
+  createChunkEncryptor(
+    key: Buffer,
+    header: PayloadHeader,
+    aad?: Buffer | null,
+  ): import("stream").Transform;
+
+  /**
+   * Creates a Transform that decrypts a chunked body, authenticating every
+   * segment before pushing its plaintext.
+   */
+  createChunkDecryptor(
+    key: Buffer,
+    header: PayloadHeader,
+    aad?: Buffer | null,
+  ): import("stream").Transform;
+
+  /**
+   * Returns the transforms that turn plaintext into the body of a
+   * current-format payload: compression, segment encryption and the
+   * trailing signature of signed headers.
+   */
+  bodyEncryptionSteps(
+    header: PayloadHeader,
+    key: Buffer,
+    options: EncryptOptions,
+  ): import("stream").Transform[];
+
+  /**
+   * Returns the transforms that turn the segments of a current-format
+   * payload back into plaintext: segment decryption and decompression.
+   */
+  bodyDecryptionSteps(
+    header: PayloadHeader,
+    key: Buffer,
+    options: DecryptOptions,
+  ): import("stream").Transform[];
+
+  /**
+   * Parses an Ed25519 signing key.
+   *
+   * @throws WilcoCryptError If the key is not an Ed25519 private key
+   */
+  parseSigningKey(signingKey: SigningKey): KeyObject;
+
+  /**
+   * Returns the raw public key of a signing key, as stored in the
+   * `signer` header field.
+   */
+  signerOf(signingKey: SigningKey): Buffer;
+
+  /**
+   * Parses the Ed25519 public key of a signer.
+   *
+   * @throws WilcoCryptError If the key is not an Ed25519 public key
+   */
+  parseSigner(signer: Signer): KeyObject;
+
+  /**
+   * Starts the SHA-512 digest a payload signature covers: the magic bytes,
+   * the version and every header field except the key slots and the MAC.
+   * Feed the body into the returned hash.
+   */
+  createSignatureHash(header: PayloadHeader): import("crypto").Hash;
+
+  /**
+   * Signs a whole encrypted body.
+   *
+   * @returns The signature, or an empty Buffer for unsigned headers
+   */
+  signBody(
+    header: PayloadHeader,
+    body: Buffer,
+    signingKey?: SigningKey,
+  ): Buffer;
+
+  /**
+   * Creates a Transform that passes an encrypted body through and
+   * appends its signature.
+   */
+  createBodySigner(
+    header: PayloadHeader,
+    signingKey: SigningKey,
+  ): import("stream").Transform;
+
+  /**
+   * Returns the trusted key that signed a payload.
+   *
+   * @throws WilcoCryptError With code `NOT_SIGNED` or `UNTRUSTED_SIGNER`
+   */
+  trustedSignerKey(header: PayloadHeader, trustedSigners: Signer[]): KeyObject;
+
+  /**
+   * Checks a payload signature against a completed digest.
+   *
+   * @throws WilcoCryptError With code `INVALID_SIGNATURE`
+   */
+  assertSignature(signer: KeyObject, digest: Buffer, signature: Buffer): void;
+
+  /**
+   * Reads the body of a signed file once through `handle` and checks its
+   * signature, before anything is decrypted from the same handle.
+   *
+   * @throws WilcoCryptError With code `NOT_SIGNED`, `UNTRUSTED_SIGNER` or
+   *   `INVALID_SIGNATURE`
+   */
+  verifyFileSignature(
+    handle: Pick<import("fs/promises").FileHandle, "read">,
+    header: PayloadHeader,
+    trailer: { signature: Buffer; bodyEnd: number },
+    bodyOffset: number,
+    trustedSigners: Signer[],
+  ): Promise<void>;
+
+  /**
+   * Creates a Transform for a streamed body that holds back the trailing
+   * signature and checks it when the stream ends if `trustedSigners` is set.
+   * Segments are released before that, so their plaintext is unverified
+   * until the stream ends without an error.
+   *
+   * @returns `null` for unsigned payloads that need no check
+   * @throws WilcoCryptError Right away if a signer is required but the
+   *   payload is unsigned or the signer is not trusted
+   */
+  createSignatureTrailer(
+    header: PayloadHeader,
+    trustedSigners: Signer[],
+  ): import("stream").Transform | null;
+
+  /**
+   * Locates the body of a current-format file and reads the signature
+   * that follows it.
+   *
+   * @returns The signature (`null` if unsigned) and the offset just past
+   *   the last segment
+   */
+  readFileTrailer(
+    handle: import("fs/promises").FileHandle,
+    header: PayloadHeader,
+    bodyOffset: number,
+  ): Promise<{ signature: Buffer | null; bodyEnd: number }>;
+
+  /**
+   * Wraps an in-memory payload in the `read` and `stat` methods of a file
+   * handle, so `openStream` can read buffers and files alike.
+   */
+  bufferHandle(buffer: Buffer): PayloadHandle;
+
+  /**
+   * Builds the result of a failed verification.
+   *
+   * @param size Plaintext bytes authenticated before the failure
+   * @throws The error itself if it is not a `WilcoCryptError`
+   */
+  verificationFailure(
+    err: Error,
+    version: string | null,
+    size: number,
+  ): VerifyResult;
+
+  /**
+   * Authenticates a whole payload by running it through the decryption
+   * pipeline into a sink that only counts the plaintext bytes.
+   *
+   * @param createSource Creates a stream over the body bytes from `start`
+   *   up to, not including, `end`; `key` is the data key of
+   *   current-format payloads
+   * @param options Normalized decryption options
+   */
+  verifyPayload(
+    handle: PayloadHandle,
+    createSource: (
+      start: number,
+      end: number,
+      key?: Buffer,
+    ) => import("stream").Readable,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<VerifyResult>;
+
+  /**
+   * Runs a decryption pipeline into `outputPath`. The plaintext goes to a
+   * temporary file that only replaces `outputPath` once decryption and
+   * the integrity check succeeded.
+   *
+   * @param exclusive Refuse to replace an existing file (`OUTPUT_EXISTS`)
+   */
+  pipeToOutput(
+    pipelineSteps: Array<NodeJS.ReadableStream | NodeJS.ReadWriteStream>,
+    outputPath: string,
+    exclusive?: boolean,
+    signal?: AbortSignal,
+  ): Promise<void>;
+
+  /**
+   * Checks that an archive entry path is relative, `/`-separated and
+   * free of empty, `.` and `..` segments.
+   *
+   * @throws WilcoCryptError With code `UNSAFE_ARCHIVE_PATH`
+   */
+  assertArchivePath(entryPath: unknown): string;
+
+  /**
+   * Validates the metadata of one archive entry.
+   *
+   * @throws WilcoCryptError On malformed metadata or an unsafe path
+   */
+  decodeArchiveEntry(entry: object): ArchiveEntry;
+
+  /**
+   * Lists the directories and regular files below `dir`, depth first and
+   * sorted by name. Symbolic links and special files are skipped.
+   */
+  walkDirectory(dir: string): Promise<
+    Array<{
+      path: string;
+      type: "file" | "directory";
+      fullPath: string;
+    }>
+  >;
+
+  /**
+   * Creates a stream of the plaintext container of an archive:
+   * `[ARCHIVE_MAGIC]`, then per entry `[metadata length (4)] + [metadata
+   * JSON] + [content]`, then a zero length. `report` is called with
+   * the file content bytes read.
+   */
+  createArchiveStream(
+    entries: Array<{ path: string; type: string; fullPath: string }>,
+    report?: ((bytes: number) => void) | null,
+  ): import("stream").Readable;
+
+  /**
+   * Transform class returned by `createEncryptStream` and
+   * `createDecryptStream`. `open` builds the chain of inner transforms
+   * once it has seen enough input, or resolves to `null` to wait for more.
+   */
+  PayloadTransform: new (
+    open: (
+      buffered: Buffer,
+      ended: boolean,
+    ) => Promise<{
+      head?: Buffer;
+      steps: import("stream").Transform[];
+      rest: Buffer;
+    } | null>,
+    wrapError?: (err: Error) => Error,
+  ) => import("stream").Transform;
+
+  /**
+   * Parses the header at the start of a streamed payload.
+   *
+   * @returns The decoded header and the body bytes received so far, or
+   *   `null` while more input is needed
+   * @throws WilcoCryptError On invalid or truncated headers, or with code
+   *   `UPGRADE_REQUIRED` for older format versions
+   */
+  parseStreamHeader(
+    buffered: Buffer,
+    ended: boolean,
+  ): { header: PayloadHeader; body: Buffer } | null;
+
+  /**
+   * Wraps a readable stream so exact byte counts can be awaited.
+   *
+   * @throws WilcoCryptError With code `INVALID_ARCHIVE` if the stream ends early
+   */
+  createByteReader(stream: import("stream").Readable): {
+    read(length: number): Promise<Buffer>;
+    readUpTo(max: number): Promise<Buffer>;
+    end(): Promise<boolean>;
+  };
+
+  /**
+   * Encrypts a stream into a new payload file, reserving header padding
+   * like the other file-writing functions. The file is written atomically
+   * and only replaces an existing one with `options.overwrite`. `report`
+   * is called with the plaintext bytes read.
+   *
+   * @returns The paths of the volumes, with `options.volumeSize`
+   * @throws WilcoCryptError With code `OUTPUT_EXISTS`,
+   *   `INVALID_VOLUME_SIZE` or `ABORTED`
+   */
+  writeEncryptedFile(
+    source: import("stream").Readable,
+    outputPath: string,
+    password: string | null,
+    options: EncryptOptions,
+    report?: ((bytes: number) => void) | null,
+  ): Promise<string[] | void>;
+
+  /**
+   * Opens a current-format `.enc` file and returns its authenticated,
+   * decrypted and decompressed content as a stream.
+   */
+  createDecryptedStream(
+    inputPath: string,
+    password: string | null,
+    options: DecryptOptions,
+  ): Promise<import("stream").Readable>;
+
+  /**
+   * Decrypts an archive entry by entry. `onEntry` returns a sink for the
+   * content of files to keep, or `null` to skip them.
+   *
+   * @throws WilcoCryptError On malformed archives, unsafe paths or decryption failures
+   */
+  readArchive(
+    archivePath: string,
+    password: string | null,
+    options: DecryptOptions,
+    onEntry: (entry: ArchiveEntry) => Promise<{
+      write(piece: Buffer): Promise<unknown>;
+      end(): Promise<void>;
+      abort(): Promise<void>;
+    } | null>,
+  ): Promise<void>;
+
+  /**
+   * Checks the name of a vault entry against `VAULT_ENTRY_NAME`.
+   *
+   * @throws WilcoCryptError With code `INVALID_ENTRY_NAME`
+   */
+  assertEntryName(name: unknown): string;
+
+  /**
+   * Serializes vault entries into the plaintext of a vault payload.
+   */
+  encodeVault(
+    entries: Map<string, { value: string; created: number; updated: number }>,
+  ): Buffer;
+
+  /**
+   * Parses and validates the plaintext of a vault payload.
+   *
+   * @throws WilcoCryptError With code `NOT_A_VAULT`
+   */
+  decodeVault(
+    data: Buffer,
+  ): Map<string, { value: string; created: number; updated: number }>;
+
+  /**
+   * Identifies the version of a file on disk from its inode, size and
+   * modification time.
+   */
+  fileStamp(stats: import("fs").Stats): string;
+
+  /**
+   * Validates the `volumeSize` option.
+   *
+   * @throws WilcoCryptError With code `INVALID_VOLUME_SIZE` below
+   *   `MIN_VOLUME_SIZE`
+   */
+  assertVolumeSize(volumeSize: unknown): number;
+
+  /**
+   * Path of volume `index` of `count`: `filePath` plus the index,
+   * zero-padded to at least three digits.
+   */
+  volumePath(filePath: string, index: number, count: number): string;
+
+  /**
+   * Checks whether `buffer` starts with `VOLUME_MAGIC`.
+   */
+  isVolume(buffer: Buffer): boolean;
+
+  /**
+   * Computes the MAC of a volume over its header fields and the SHA-256
+   * of its content, keyed by HKDF of the data key.
+   */
+  volumeMac(key: Buffer, fields: Buffer, digest: Buffer): Buffer;
+
+  /**
+   * Encodes the header of a volume, including its MAC.
+   */
+  encodeVolumeHeader(
+    volume: { id: Buffer; index: number; count: number; length: number },
+    key: Buffer,
+    digest: Buffer,
+  ): Buffer;
+
+  /**
+   * Decodes the header of a volume, or returns `null` if `buffer` does
+   * not start with a valid one. The MAC is not checked.
+   */
+  decodeVolumeHeader(buffer: Buffer): VolumeHeader | null;
+
+  /**
+   * Describes a volume of a split payload for `inspect`, with the payload
+   * header when it is the first volume.
+   *
+   * @param prefix Start of the volume file
+   * @param size Size of the volume file
+   *
+   * @throws WilcoCryptError With code `INVALID_VOLUME` for a malformed
+   *   volume header
+   */
+  inspectVolume(prefix: Buffer, size: number): PayloadInfo | VolumePartInfo;
+
+  /**
+   * Runs an encryption pipeline into volumes of `options.volumeSize`
+   * bytes and commits them as `filePath.001`, `filePath.002`, …
+   *
+   * @returns The paths of the volumes, in order
+   * @throws WilcoCryptError With code `OUTPUT_EXISTS` or `ABORTED`
+   */
+  pipeToVolumes(
+    pipelineSteps: Array<NodeJS.ReadableStream | NodeJS.ReadWriteStream>,
+    filePath: string,
+    key: Buffer,
+    prefix: Buffer,
+    options: EncryptOptions & { volumeSize: number },
+  ): Promise<string[]>;
+
+  /**
+   * Reads the header of a volume file, or returns `null` for an invalid
+   * one.
+   */
+  readVolumeHeader(
+    filePath: string,
+  ): Promise<(VolumeHeader & { path: string; size: number }) | null>;
+
+  /**
+   * Opens the set of volumes starting with `firstPath` and checks that
+   * every volume is present, belongs to the set and has its recorded size.
+   *
+   * @throws WilcoCryptError With code `INVALID_VOLUME`, `VOLUME_MISSING`
+   *   or `VOLUME_CORRUPTED`
+   */
+  openVolumes(firstPath: string): Promise<VolumeSet>;
+
+  /**
+   * Opens an encrypted file for streaming, as a file handle or, for the
+   * first volume of a split payload, a `VolumeSet`.
+   */
+  openPayloadFile(
+    filePath: string,
+  ): Promise<import("fs/promises").FileHandle | VolumeSet>;
+
+  /**
+   * Creates a stream over the bytes of a payload opened with
+   * `openPayloadFile`, from `start` up to, not including, `end`, through
+   * the handle itself, which stays open.
+   *
+   * @param key Data key, required for volumes
+   */
+  payloadSource(
+    handle: import("fs/promises").FileHandle | VolumeSet,
+    start: number,
+    end: number,
+    key?: Buffer,
+  ): import("stream").Readable;
+
+  /**
+   * Names the damaged volume when decrypting a split payload failed.
+   *
+   * @returns `err`, if no volume is damaged
+   * @throws WilcoCryptError With code `VOLUME_CORRUPTED`
+   */
+  locateVolumeError(
+    handle: PayloadHandle,
+    key: Buffer | undefined,
+    err: Error,
+  ): Promise<Error>;
+
+  /**
+   * Guesses the MIME type of a file from its extension, falling back to
+   * `application/octet-stream`.
+   */
+  guessContentType(name?: string): string;
+
+  /**
+   * Creates the error an aborted operation fails with.
+   *
+   * @returns WilcoCryptError with code `ABORTED`
+   */
+  abortError(): WilcoCryptError;
+
+  /**
+   * Throws if `signal` has been aborted.
+   *
+   * @throws WilcoCryptError With code `ABORTED`
+   */
+  throwIfAborted(signal?: AbortSignal): void;
+
+  /**
+   * Destroys `stream` with an `ABORTED` error when `signal` aborts.
+   *
+   * @returns The same stream
+   */
+  abortOnSignal<T extends import("stream").Stream>(
+    stream: T,
+    signal?: AbortSignal,
+  ): T;
+
+  /**
+   * Returns a function that adds processed bytes and calls `onProgress`,
+   * after reporting 0 once, or `null` without `onProgress`.
+   */
+  progressReporter(
+    total: number | null,
+    onProgress?: (progress: Progress) => void,
+  ): ((bytes: number) => void) | null;
+
+  /**
+   * Returns a pass-through Transform that reports the length of each
+   * chunk, for pipelines, or no steps without `report`.
+   */
+  progressSteps(
+    report: ((bytes: number) => void) | null,
+  ): import("stream").Transform[];
+
+  /**
+   * Returns an unused temporary path next to `filePath`, where files are
+   * written before they are renamed into place.
+   */
+  tempPath(filePath: string): string;
+
+  /**
+   * Throws early if `filePath` exists and may not be replaced.
+   *
+   * @throws WilcoCryptError With code `OUTPUT_EXISTS`
+   */
+  assertOutputAvailable(filePath: string, overwrite?: boolean): void;
+
+  /**
+   * Flushes a directory so a file renamed into it survives a crash (best
+   * effort).
+   */
+  syncDirectory(dir: string): Promise<void>;
+
+  /**
+   * Synchronous version of `syncDirectory`.
+   */
+  syncDirectorySync(dir: string): void;
+
+  /**
+   * Gives a replacement file the permission bits of the file it replaces.
+   */
+  copyMode(
+    filePath: string,
+    handle: import("fs/promises").FileHandle,
+  ): Promise<void>;
+
+  /**
+   * Synchronous version of `copyMode`.
+   */
+  copyModeSync(filePath: string, fd: number): void;
+
+  /**
+   * Flushes a written temporary file and moves it to `filePath`: renamed
+   * over an existing file with `overwrite`, hard-linked otherwise. The
+   * temporary file is removed on failure.
+   *
+   * @throws WilcoCryptError With code `OUTPUT_EXISTS`
+   */
+  commitFile(
+    tempPath: string,
+    filePath: string,
+    overwrite?: boolean,
+  ): Promise<void>;
+
+  /**
+   * Synchronous version of `commitFile`.
+   */
+  commitFileSync(tempPath: string, filePath: string, overwrite?: boolean): void;
+
+  /**
+   * Writes a file atomically through a temporary file, so readers never
+   * see a partial write.
+   *
+   * @throws WilcoCryptError With code `OUTPUT_EXISTS`
+   */
+  writeFileAtomic(
+    filePath: string,
+    data: Buffer | string,
+    overwrite?: boolean,
+  ): Promise<void>;
+
+  /**
+   * Synchronous version of `writeFileAtomic`.
+   */
+  writeFileAtomicSync(
+    filePath: string,
+    data: Buffer | string,
+    overwrite?: boolean,
+  ): void;
+
+  /**
+   * Runs a pipeline into a temporary file, optionally after `prefix`, and
+   * commits it to `filePath`. Aborting `signal` removes the temporary
+   * file and fails with `ABORTED`.
+   */
+  pipeToFileAtomic(
+    pipelineSteps: Array<NodeJS.ReadableStream | NodeJS.ReadWriteStream>,
+    filePath: string,
+    overwrite?: boolean,
+    prefix?: Buffer,
+    signal?: AbortSignal,
+  ): Promise<void>;
+
+  /**
+   * Checks that a freshly encrypted file decrypts to `size` bytes with
+   * the password or keys of `options`; a file that fails is removed, or
+   * all volumes of a split file.
+   *
+   * @throws WilcoCryptError With code `VERIFICATION_FAILED`
+   */
+  verifyEncryptedFile(
+    encryptedPath: string | string[],
+    password: string | null,
+    options: EncryptOptions,
+    size: number,
+  ): Promise<void>;
+
+  /**
+   * Synchronous version of `verifyEncryptedFile`, which compares the
+   * decrypted content with `original`.
+   *
+   * @throws WilcoCryptError With code `VERIFICATION_FAILED`
+   */
+  verifyEncryptedFileSync(
+    encryptedPath: string,
+    password: string | null,
+    options: EncryptOptions,
+    original: Buffer,
+  ): void;
+
+  /**
+   * Throws if `removeOriginal` is set without a password or symmetric key
+   * to verify the encrypted file with.
+   *
+   * @throws WilcoCryptError With code `CANNOT_VERIFY`
+   */
+  assertVerifiable(password: string | null, options: EncryptOptions): void;
+
+  /**
+   * Overwrites a regular file with random bytes, flushes it and deletes
+   * it. Best effort only; hard-linked files and symbolic links are only
+   * unlinked.
+   */
+  removeOriginal(filePath: string): Promise<void>;
+
+  /**
+   * Synchronous version of `removeOriginal`.
+   */
+  removeOriginalSync(filePath: string): void;
+
+  /**
+   * Validates file metadata and drops unknown fields. `name` must be a
+   * plain file name.
+   *
+   * @throws WilcoCryptError With code `INVALID_METADATA`
+   */
+  normalizeMetadata(metadata: unknown): FileMetadata;
+
+  /**
+   * Collects the metadata of a file; fields of `overrides` take precedence
+   * and `false` stores none.
+   */
+  fileMetadata(
+    filePath: string,
+    stats: import("fs").Stats,
+    overrides?: FileMetadata | boolean,
+  ): FileMetadata | false;
+
+  /**
+   * Derives the key that encrypts the metadata block from the data key
+   * with HKDF-SHA256.
+   */
+  metadataKey(key: Buffer): Buffer;
+
+  /**
+   * Encrypts file metadata for the payload header.
+   *
+   * @returns [iv] + [encrypted JSON] + [authTag (16)]
+   * @throws WilcoCryptError If the metadata is invalid
+   */
+  sealMetadata(
+    key: Buffer,
+    metadata: FileMetadata,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): Buffer;
+
+  /**
+   * Authenticates and decrypts a metadata block sealed by `sealMetadata`.
+   *
+   * @throws WilcoCryptError If the block was tampered with or is malformed
+   */
+  openMetadata(
+    key: Buffer,
+    sealed: Buffer,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): FileMetadata;
+
+  /**
+   * Chooses where a restored file is written: `outputPath` if given,
+   * otherwise the original name next to the encrypted file. Neither
+   * replaces an existing file (`exclusive`) unless `overwrite` is set.
+   *
+   * @throws WilcoCryptError With code `NO_METADATA` if there is no name to restore
+   */
+  restoreTarget(
+    inputPath: string,
+    outputPath: string | null | undefined,
+    metadata: FileMetadata | null,
+    overwrite?: boolean,
+  ): { path: string; exclusive: boolean };
+
+  /**
+   * Turns the `EEXIST` error of an exclusive create into `OUTPUT_EXISTS`;
+   * other errors are returned unchanged.
+   */
+  outputError(err: Error, outputPath: string): Error;
+
+  /**
+   * Applies the mode and modification time of restored metadata to a file.
+   * Setuid, setgid and sticky bits are not restored.
+   */
+  applyMetadata(filePath: string, metadata: FileMetadata | null): Promise<void>;
+
+  /**
+   * Synchronous version of `applyMetadata`.
+   */
+  applyMetadataSync(filePath: string, metadata: FileMetadata | null): void;
+
+  /**
+   * Validates the header of a payload and looks up its format version.
+   *
+   * @param buffer Payload, or a prefix of it
+   * @returns The matching format entry and the offset of the first byte after the version string
+   *
+   * @throws WilcoCryptError on:
+   * - invalid header, including armored input
+   * - unsupported version
+   */
+  detectFormat(buffer: Buffer): {
+    version: string;
+    format: PayloadFormat;
+    offset: number;
+  };
+
+  /**
+   * Reads the first bytes of a file, for formats whose header can be read
+   * without loading the whole payload.
+   *
+   * @param filePath Path of the file
+   * @param length Maximum number of bytes to read
+   * @returns The bytes read and the size of the whole file
+   */
+  readFilePrefix(
+    filePath: string,
+    length: number,
+  ): { prefix: Buffer; size: number };
+
+  /**
+   * Computes the OpenPGP CRC-24 checksum that armored payloads end with.
+   *
+   * @returns 3-byte checksum
+   */
+  crc24(data: Buffer): Buffer;
+
+  /**
+   * Returns the BEGIN or END line of an armored payload.
+   */
+  armorLine(kind: "BEGIN" | "END"): string;
+
+  /**
+   * Checks whether a payload is ASCII-armored, ignoring leading whitespace.
+   */
+  isArmored(payload: Buffer | string): boolean;
+
+  /**
+   * Returns the binary form of a payload that may be ASCII-armored.
+   * Strings are always treated as armored text.
+   *
+   * @throws WilcoCryptError If armored text is malformed or its checksum
+   *   does not match
+   */
+  binaryPayload(payload: Buffer | string): Buffer;
+
+  /**
+   * Encodes a key slot for a token.
+   */
+  encodeTokenSlot(slot: KeySlot): Buffer;
+
+  /**
+   * Decodes a key slot encoded by `encodeTokenSlot`.
+   *
+   * @param take Returns the next bytes of the token
+   *
+   * @throws WilcoCryptError on a malformed slot (`INVALID_HEADER`) or
+   *   unsafe KDF parameters (`INVALID_KDF_PARAMS`)
+   */
+  decodeTokenSlot(take: (length: number) => Buffer): KeySlot;
+
+  /**
+   * Creates the data key and key slots of a token and encodes its prefix.
+   *
+   * @param password Password, or `null` for keys only
+   * @param options Normalized encryption options
+   *
+   * @throws WilcoCryptError on invalid credentials, KDF parameters or
+   *   cipher suite, or a `signingKey` (`INVALID_SIGNING_KEY`)
+   */
+  createTokenPrefix(
+    password: string | null,
+    options: EncryptOptions,
+  ): { prefix: Buffer; cipher: CipherSuite; key: Buffer };
+
+  /**
+   * Encrypts a value into a base64url token.
+   *
+   * @param header From `createTokenPrefix`
+   * @param key Data key, or a key derived from it
+   * @param aad Associated data given by the caller
+   */
+  sealToken(
+    header: { prefix: Buffer; cipher: CipherSuite },
+    key: Buffer,
+    plaintext: Buffer,
+    aad: Buffer | null,
+  ): string;
+
+  /**
+   * Decodes a token written by `sealToken`.
+   *
+   * @throws WilcoCryptError on a malformed token (`INVALID_HEADER`) or
+   *   unsafe KDF parameters (`INVALID_KDF_PARAMS`)
+   */
+  decodeToken(token: string): DecodedToken;
+
+  /**
+   * Recovers the data key of a decoded token from its key slots.
+   *
+   * @throws WilcoCryptError With code `DECRYPTION_FAILED`, or `NOT_SIGNED`
+   *   when `trustedSigners` is given
+   */
+  unlockToken(
+    token: DecodedToken,
+    password: string | null,
+    options: DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Decrypts a decoded token.
+   *
+   * @throws WilcoCryptError With code `DECRYPTION_FAILED`
+   */
+  openToken(token: DecodedToken, key: Buffer, aad: Buffer | null): Buffer;
+
+  /**
+   * Serializes a value for `encryptJSON`.
+   *
+   * @throws WilcoCryptError With code `INVALID_JSON` if the value has no
+   *   JSON representation
+   */
+  serializeJSON(value: unknown): string;
+
+  /**
+   * Parses decrypted JSON.
+   *
+   * @throws WilcoCryptError With code `INVALID_JSON`
+   */
+  parseJSON(data: Buffer): unknown;
+
+  /**
+   * Splits a field path into its segments.
+   *
+   * @throws WilcoCryptError With code `INVALID_FIELD_PATH` for an empty
+   *   path or segment
+   */
+  parseFieldPath(path: FieldPath): string[];
+
+  /**
+   * Lists the concrete locations a field path matches, with `*` resolved.
+   */
+  matchFieldPath(doc: unknown, segments: string[]): string[][];
+
+  /**
+   * Derives the key of an encrypted field from the data key of its
+   * document and the field's location.
+   */
+  fieldKey(key: Buffer, path: string[]): Buffer;
+
+  /**
+   * Replaces the value at a concrete, non-empty location.
+   */
+  updateField(
+    doc: unknown,
+    path: string[],
+    update: (value: unknown) => unknown,
+  ): void;
+
+  /**
+   * Lists the locations of every `wc-enc:` field in a document.
+   */
+  findEncryptedFields(value: unknown, path?: string[]): string[][];
+
+  /**
+   * Encrypts raw data with an AEAD cipher suite.
+   *
+   * @param plainData Raw data to encrypt
+   * @param key 32-byte encryption key
+   * @param iv Initialization vector of the suite's `nonceLength`
+   * @param aad Additional authenticated data
+   * @param suite Cipher suite (default: aes-256-gcm)
+   * @returns Ciphertext and authentication tag
+   */
+  encryptData(
+    plainData: Buffer,
+    key: Buffer,
+    iv: Buffer,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): {
+    ciphertext: Buffer;
+    authTag: Buffer;
+  };
+
+  /**
+   * Decrypts data encrypted by `encryptData` with the same cipher suite.
+   *
+   * @param cipherBuffer Encrypted ciphertext
+   * @param authTagBuffer 16-byte authentication tag
+   * @param key 32-byte encryption key
+   * @param iv Initialization vector given on encryption
+   * @param aad Additional authenticated data given on encryption
+   * @param suite Cipher suite (default: aes-256-gcm)
+   * @returns Decrypted raw data
+   *
+   * @throws WilcoCryptError
+   */
+  decryptData(
+    cipherBuffer: Buffer,
+    authTagBuffer: Buffer,
+    key: Buffer,
+    iv: Buffer,
+    aad?: Buffer | null,
+    suite?: CipherSuite,
+  ): Buffer;
+}
+
+/**
+ * Main WilcoCrypt API.
+ */
+export interface WilcoCrypt {
+  _: InternalNamespace;
+
+  /**
+   * Encrypts data using password-based AES-256-GCM.
+   *
+   * Output format:
+   * [HEADER (10 bytes)] + [VERSION (dynamic)] + [header length (4)] + [header JSON] + [segments]
+   *
+   * @param plaindata Raw data to encrypt
+   * @param password Password used for key derivation, or `null` to
+   *   encrypt for `options.key` and `options.recipients` only
+   * @param options Encryption options, or the legacy `gzip` flag
+   * @returns Binary-encoded encrypted payload, or armored text with
+   *   `armor: true`
+   *
+   * @throws WilcoCryptError If password or a recipient is invalid
+   */
+  encryptData(
+    plaindata: Buffer,
+    password: string | null,
+    options: EncryptOptions & { armor: true },
+  ): string;
+  encryptData(
+    plaindata: Buffer,
+    password: string | null,
+    options?: boolean | (EncryptOptions & { armor?: false }),
+  ): Buffer;
+  encryptData(
+    plaindata: Buffer,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): Buffer | string;
+
+  /**
+   * Decrypts encrypted data using password-based AES-256-GCM.
+   *
+   * Validates internal header and version, then extracts:
+   * salt, iv, authTag and ciphertext from the binary payload.
+   *
+   * @param encryptedData Binary-encoded encrypted payload, or ASCII-armored
+   *   text, which is recognized and decoded first
+   * @param password Password used for decryption, or `null` to decrypt
+   *   with `options.key` and `options.identity` only
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Decrypted raw data
+   *
+   * @throws WilcoCryptError on:
+   * - invalid header
+   * - unsupported version
+   * - wrong password or no matching key or identity
+   * - corrupted data
+   */
+  decryptData(
+    encryptedData: Buffer | string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Encrypts a file and writes the result to `<filePath>.enc`.
+   *
+   * @param filePath Path to the file to encrypt
+   * @param password Password used for encryption
+   * @param options Encryption options, or the legacy `gzip` flag
+   *
+   * @throws WilcoCryptError If password is invalid
+   */
+  encryptFile(
+    filePath: string,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): void;
+
+  /**
+   * Decrypts an encrypted `.enc` file and restores its original mode and
+   * modification time. Without `outputPath`, the file is written under its
+   * original name next to `filePath` and must not exist yet.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for decryption
+   * @param outputPath Optional path to write decrypted output to instead
+   * @param options Decryption options with `restore: true`
+   * @returns The path written to
+   *
+   * @throws WilcoCryptError on:
+   * - the failures of the other `decryptFile` forms
+   * - a payload without a file name and no `outputPath` (`NO_METADATA`)
+   * - an existing file of the original name (`OUTPUT_EXISTS`)
+   */
+  decryptFile(
+    filePath: string,
+    password: string | null,
+    outputPath: string,
+    options: DecryptOptions & { restore: true },
+  ): string;
+  decryptFile(
+    filePath: string,
+    password: string | null,
+    options: DecryptOptions & { restore: true },
+  ): string;
+
+  /**
+   * Decrypts an encrypted `.enc` file.
+   *
+   * If `outputPath` is provided, the decrypted data is written to that file
+   * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for decryption
+   * @param outputPath Optional path to write decrypted output to.
+   * If omitted, the function returns the decrypted Buffer instead.
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Undefined when outputPath is provided
+   *
+   * @throws WilcoCryptError on:
+   * - invalid file extension
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
+   */
+  decryptFile(
+    filePath: string,
+    password: string | null,
+    outputPath: string,
+    options?: boolean | DecryptOptions,
+  ): undefined;
+
+  /**
+   * Decrypts an encrypted `.enc` file.
+   *
+   * If `outputPath` is omitted, the decrypted Buffer is returned.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for decryption
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Decrypted file contents
+   *
+   * @throws WilcoCryptError on:
+   * - invalid file extension
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
+   */
+  decryptFile(
+    filePath: string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Encrypts data asynchronously using password-based AES-256-GCM.
+   *
+   * Output format:
+   * [HEADER (10 bytes)] + [VERSION (dynamic)] + [header length (4)] + [header JSON] + [segments]
+   *
+   * @param plaindata Raw data to encrypt
+   * @param password Password used for key derivation
+   * @param options Encryption options, or the legacy `gzip` flag
+   * @returns Binary-encoded encrypted payload
+   *
+   * @throws WilcoCryptError If password is invalid
+   */
+  encryptDataAsync(
+    plaindata: Buffer,
+    password: string | null,
+    options: EncryptOptions & { armor: true },
+  ): Promise<string>;
+  encryptDataAsync(
+    plaindata: Buffer,
+    password: string | null,
+    options?: boolean | (EncryptOptions & { armor?: false }),
+  ): Promise<Buffer>;
+  encryptDataAsync(
+    plaindata: Buffer,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): Promise<Buffer | string>;
+
+  /**
+   * Decrypts encrypted data asynchronously using password-based AES-256-GCM.
+   *
+   * Validates internal header and version, then extracts:
+   * salt, iv, authTag and ciphertext from the binary payload.
+   *
+   * @param encryptedData Binary-encoded encrypted payload, or ASCII-armored
+   *   text
+   * @param password Password used for decryption
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Decrypted raw data
+   *
+   * @throws WilcoCryptError on:
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
+   */
+  decryptDataAsync(
+    encryptedData: Buffer | string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<Buffer>;
+
+  /**
+   * Encrypts data with a 32-byte symmetric key instead of a password.
+   * The data key is wrapped in a `key` slot; no key derivation is involved.
+   *
+   * @param plaindata Raw data to encrypt
+   * @param key Raw key, secret KeyObject or key file contents
+   * @param options Encryption options, or the legacy `gzip` flag
+   * @returns Binary-encoded encrypted payload
+   *
+   * @throws WilcoCryptError If the key is invalid
+   */
+  encryptWithKey(
+    plaindata: Buffer,
+    key: SymmetricKey,
+    options: EncryptOptions & { armor: true },
+  ): string;
+  encryptWithKey(
+    plaindata: Buffer,
+    key: SymmetricKey,
+    options?: boolean | (EncryptOptions & { armor?: false }),
+  ): Buffer;
+  encryptWithKey(
+    plaindata: Buffer,
+    key: SymmetricKey,
+    options?: boolean | EncryptOptions,
+  ): Buffer | string;
+
+  /**
+   * Decrypts a payload with the symmetric key it was encrypted with.
+   *
+   * @param encryptedData Binary-encoded encrypted payload, or ASCII-armored
+   *   text
+   * @param key Raw key, secret KeyObject or key file contents
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Decrypted raw data
+   *
+   * @throws WilcoCryptError on:
+   * - invalid key
+   * - invalid header
+   * - no matching key slot
+   * - corrupted data
+   */
+  decryptWithKey(
+    encryptedData: Buffer | string,
+    key: SymmetricKey,
+    options?: boolean | DecryptOptions,
+  ): Buffer;
+
+  /**
+   * Encrypts a string into a compact base64url token.
+   *
+   * @param text String to encrypt, UTF-8 encoded
+   * @param password Password used for key derivation, or `null` for keys only
+   * @param options `kdf`, `cipher`, `key`, `recipients`, `aad` and
+   *   `passwordPolicy`; other options are ignored
+   * @returns base64url token
+   *
+   * @throws WilcoCryptError If password or options are invalid, or with
+   *   code `INVALID_SIGNING_KEY` for a `signingKey`
+   */
+  encryptString(
+    text: string,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): string;
+
+  /**
+   * Decrypts a token created by `encryptString`.
+   *
+   * @param token base64url token
+   * @param password Password used for decryption, or `null` for keys only
+   * @param options Decryption options
+   * @returns The original string
+   *
+   * @throws WilcoCryptError on:
+   * - a malformed token (`INVALID_HEADER`)
+   * - wrong password or no matching key or identity
+   * - corrupted data
+   * - `trustedSigners`, since tokens are unsigned (`NOT_SIGNED`)
+   */
+  decryptString(
+    token: string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): string;
+
+  /**
+   * Encrypts only the values at `options.fields` and returns a copy of
+   * the document with each of them replaced by a `wc-enc:` token. The
+   * key derivation runs once per call, and every field is encrypted under
+   * a key bound to its location. Fields that are already encrypted are
+   * kept.
+   *
+   * @param value Document with a JSON representation
+   * @param password Password used for key derivation, or `null` for keys only
+   * @param options Encryption options with the paths to encrypt
+   * @returns The document with the selected fields encrypted
+   *
+   * @throws WilcoCryptError on:
+   * - a value without a JSON representation (`INVALID_JSON`)
+   * - a malformed path (`INVALID_FIELD_PATH`)
+   * - a path that matches nothing (`FIELD_NOT_FOUND`)
+   */
+  encryptJSON<T>(
+    value: T,
+    password: string | null,
+    options: EncryptJSONOptions & { fields: FieldPath | FieldPath[] },
+  ): T;
+  /**
+   * Encrypts a JSON value into a base64url token.
+   *
+   * @param value Any value with a JSON representation
+   * @param password Password used for key derivation, or `null` for keys only
+   * @param options Encryption options
+   * @returns base64url token
+   *
+   * @throws WilcoCryptError With code `INVALID_JSON` if the value has no
+   *   JSON representation
+   */
+  encryptJSON(
+    value: unknown,
+    password: string | null,
+    options?: boolean | EncryptJSONOptions,
+  ): string;
+
+  /**
+   * Decrypts the result of `encryptJSON`: a token is decrypted and
+   * parsed, and in a document every `wc-enc:` field is decrypted, in a
+   * copy.
+   *
+   * @param input Token, or a document with encrypted fields
+   * @param password Password used for decryption, or `null` for keys only
+   * @param options Decryption options
+   * @returns The original value or document
+   *
+   * @throws WilcoCryptError on:
+   * - a malformed token or wrong password
+   * - a field that was moved to another location or modified
+   * - plaintext that is not JSON (`INVALID_JSON`)
+   */
+  decryptJSON<T = any>(
+    input: unknown,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): T;
+
+  /**
+   * Encrypts a file asynchronously and writes the result to `<filePath>.enc`.
+   * The file is encrypted in memory, so `onProgress` only reports 0 and
+   * then the whole file; use `encryptFileStream` for finer progress.
+   *
+   * @param filePath Path to the file to encrypt
+   * @param password Password used for encryption
+   * @param options Encryption options, or the legacy `gzip` flag
+   *
+   * @throws WilcoCryptError If password is invalid
+   */
+  encryptFileAsync(
+    filePath: string,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): Promise<void>;
+
+  /**
+   * Asynchronous version of `decryptFile` with `restore: true`.
+   *
+   * @returns The path written to
+   */
+  decryptFileAsync(
+    filePath: string,
+    password: string | null,
+    outputPath: string,
+    options: DecryptOptions & { restore: true },
+  ): Promise<string>;
+  decryptFileAsync(
+    filePath: string,
+    password: string | null,
+    options: DecryptOptions & { restore: true },
+  ): Promise<string>;
+
+  /**
+   * Decrypts a `.enc` file asynchronously. The file is decrypted in
+   * memory, so `onProgress` only reports 0 and then the whole file; use
+   * `decryptFileStream` for finer progress.
+   *
+   * If `outputPath` is provided, the decrypted data is written to that file
+   * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for decryption
+   * @param outputPath Optional path to write decrypted output to
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Undefined when outputPath is provided
+   *
+   * @throws WilcoCryptError on:
+   * - invalid file extension
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
+   */
+  decryptFileAsync(
+    filePath: string,
+    password: string | null,
+    outputPath: string,
+    options?: boolean | DecryptOptions,
+  ): Promise<undefined>;
+
+  /**
+   * Decrypts an encrypted `.enc` file asynchronously.
+   *
+   * If `outputPath` is omitted, the decrypted Buffer is returned.
+   *
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for decryption
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Decrypted file contents
+   *
+   * @throws WilcoCryptError on:
+   * - invalid file extension
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
+   */
+  decryptFileAsync(
+    filePath: string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<Buffer>;
+
+  /**
+   * Encrypts a file using streams and writes the result to `outputPath`.
+   * Memory-efficient alternative to `encryptFile` for large files.
+   *
+   * Output format:
+   * [HEADER] + [VERSION] + [header length (4)] + [header JSON] + [segments]
+   *
+   * With `options.volumeSize`, the output is split into volumes
+   * `outputPath.001`, `outputPath.002`, …, each with an authenticated
+   * header recording its index, the volume count and the set ID.
+   *
+   * @param inputPath Path to the file to encrypt
+   * @param outputPath Path to write the encrypted output to
+   * @param password Password used for key derivation
+   * @param options Encryption options, or the legacy `gzip` flag
+   * @returns The paths of the volumes, with `options.volumeSize`
+   *
+   * @throws WilcoCryptError If password or volume size is invalid, or
+   *   with code `ABORTED` when `options.signal` aborts
+   *
+   * @example
+   * const volumes = await wilcocrypt.encryptFileStream(
+   *   "backup.tar", "backup.tar.enc", password, { volumeSize: 100 * 1024 ** 2 },
+   * );
    */
-  HEADER: Buffer;
+  encryptFileStream(
+    inputPath: string,
+    outputPath: string,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): Promise<string[] | void>;
 
   /**
-   * Internal error class used by WilcoCrypt.
+   * Decrypts an encrypted file using streams.
+   * Memory-efficient alternative to `decryptFile` for large files.
+   * Each segment is authenticated before any of its plaintext is written.
+   * Cleans up the output file automatically if decryption or integrity check fails.
+   *
+   * With `options.restore`, `outputPath` may be `null` to write the file
+   * under its original name next to `inputPath`, and the original mode and
+   * modification time are applied.
+   *
+   * `inputPath` may be the first volume of a split file; the other
+   * volumes are found next to it.
+   *
+   * @param inputPath Path to the encrypted file, or its first volume
+   * @param outputPath Path to write the decrypted output to
+   * @param password Password used for decryption
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns The path written to, with `options.restore`
+   *
+   * @throws WilcoCryptError on:
+   * - invalid header
+   * - unsupported version
+   * - a missing (`VOLUME_MISSING`) or damaged (`VOLUME_CORRUPTED`) volume
+   * - decryption/integrity failure
+   * - missing or already taken original file name
+   * - cancellation through `options.signal` (`ABORTED`)
    */
-  WilcoCryptError: typeof WilcoCryptError;
+  decryptFileStream(
+    inputPath: string,
+    outputPath: string | null,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<string | void>;
 
   /**
-   * Validates AES-256-GCM key and IV.
+   * Creates a Transform stream that encrypts its input into a payload, for
+   * sources and destinations that are not files. Works with
+   * `stream.pipeline`, and with web streams through `Duplex.toWeb`.
    *
-   * @param key AES-256 encryption key (32-byte Buffer)
-   * @param iv GCM initialization vector (12-byte Buffer)
+   * The payload header is emitted first. Invalid options other than
+   * credentials are reported as an `error` event.
    *
-   * @throws WilcoCryptError
+   * @param password Password used for key derivation, or `null` when
+   *   encrypting for `options.recipients` or `options.key` only
+   * @param options Encryption options, except `armor`, or the legacy `gzip` flag
+   *
+   * @throws WilcoCryptError If the password is invalid or `armor` is set
+   *
+   * @example
+   * await pipeline(req, wilcocrypt.createEncryptStream(password), upload);
    */
-  assertKeyAndIv(key: Buffer, iv: Buffer): void;
+  createEncryptStream(
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): import("stream").Transform;
 
   /**
-   * Validates password strength.
+   * Creates a Transform stream that decrypts a current-format payload.
+   * Every segment is authenticated before its plaintext is emitted;
+   * truncated, reordered or tampered payloads end the stream with an
+   * `error` event, so output already passed on must be discarded.
    *
-   * @param password Password to validate
+   * Format 2.2.0 payloads are rejected with `UPGRADE_REQUIRED`.
    *
-   * @throws WilcoCryptError
+   * @param password Password used for decryption, or `null` when
+   *   decrypting with `options.identity` or `options.key` only
+   * @param options Decryption options, or the legacy `gzip` flag
+   *
+   * @throws WilcoCryptError If the password is invalid
    */
-  assertPassword(password: string): void;
+  createDecryptStream(
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): import("stream").Transform;
 
   /**
-   * Constant-time buffer comparison.
-   * Reserved for future extensions.
+   * Checks that a payload decrypts and authenticates with the given
+   * password or keys, and discards the plaintext. Failures caused by the
+   * payload or the credentials are reported in the result, with `size`
+   * 0. The plaintext is held in memory until the call returns; see
+   * `verifyDataAsync` for large payloads.
    *
-   * @param a First buffer
-   * @param b Second buffer
-   * @returns True if both buffers are identical
+   * @param encryptedBuffer Binary or armored payload
+   * @param password Password used for decryption, or `null` with
+   *   `identity` or `key`
+   * @param options Decryption options
+   *
+   * @throws WilcoCryptError If the password or options are invalid
    */
-  constantTimeEqual(a: Buffer, b: Buffer): boolean;
+  verifyData(
+    encryptedBuffer: Buffer | string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): VerifyResult;
 
   /**
-   * Encrypts raw data using AES-256-GCM.
+   * Asynchronous version of `verifyData` that streams the payload
+   * through the cipher segment by segment, so the plaintext is never
+   * held as a whole. `size` counts up to the failure for invalid
+   * payloads.
    *
-   * @param plainData Raw data to encrypt
-   * @param key AES-256 encryption key
-   * @param iv GCM initialization vector
-   * @returns Ciphertext and authentication tag
+   * @throws WilcoCryptError If the password or options are invalid
    */
-  encryptData(
-    plainData: Buffer,
-    key: Buffer,
-    iv: Buffer,
-  ): {
-    ciphertext: Buffer;
-    authTag: Buffer;
-  };
+  verifyDataAsync(
+    encryptedBuffer: Buffer | string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<VerifyResult>;
 
   /**
-   * Decrypts AES-256-GCM encrypted data.
+   * Like `verifyDataAsync`, for an encrypted file read as a stream.
+   * Nothing is written. Armored files are not streamed: their text is
+   * read in full and decoded in memory.
    *
-   * @param cipherBuffer Encrypted ciphertext
-   * @param authTagBuffer AES-GCM authentication tag
-   * @param key AES-256 encryption key
-   * @param iv GCM initialization vector
-   * @returns Decrypted raw data
+   * @param filePath Path to the encrypted file
+   * @param password Password used for decryption, or `null` with
+   *   `identity` or `key`
+   * @param options Decryption options
    *
-   * @throws WilcoCryptError
+   * @throws WilcoCryptError If the password or options are invalid
+   * @throws Error If the file cannot be read
    */
-  decryptData(
-    cipherBuffer: Buffer,
-    authTagBuffer: Buffer,
-    key: Buffer,
-    iv: Buffer,
-  ): Buffer;
-}
-
-/**
- * Main WilcoCrypt API.
- */
-export interface WilcoCrypt {
-  _: InternalNamespace;
+  verifyFile(
+    filePath: string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<VerifyResult>;
 
   /**
-   * Encrypts data using password-based AES-256-GCM.
-   *
-   * Output format:
-   * [HEADER (10 bytes)] + [VERSION (dynamic)] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+   * Re-wraps a payload written by an older format version into the current
+   * format. Payloads that are already current are returned as is.
    *
-   * @param plaindata Raw data to encrypt
-   * @param password Password used for key derivation
-   * @param gzip Whether to compress data before encryption (default: true)
-   * @returns Binary-encoded encrypted payload
+   * @param encryptedData Binary-encoded encrypted payload
+   * @param password Password used for the original encryption
+   * @param options Upgrade options, or the legacy `gzip` flag
+   * @returns Payload in the current format
    *
-   * @throws WilcoCryptError If password is invalid
+   * @throws WilcoCryptError on:
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
    */
-  encryptData(plaindata: Buffer, password: string, gzip?: boolean): Buffer;
+  upgradeData(
+    encryptedData: Buffer,
+    password: string,
+    options?: boolean | UpgradeOptions,
+  ): Buffer;
 
   /**
-   * Decrypts encrypted data using password-based AES-256-GCM.
-   *
-   * Validates internal header and version, then extracts:
-   * salt, iv, authTag and ciphertext from the binary payload.
+   * Asynchronous version of `upgradeData`.
    *
    * @param encryptedData Binary-encoded encrypted payload
-   * @param password Password used for decryption
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Decrypted raw data
+   * @param password Password used for the original encryption
+   * @param options Upgrade options, or the legacy `gzip` flag
+   * @returns Payload in the current format
    *
    * @throws WilcoCryptError on:
    * - invalid header
-   * - version mismatch
+   * - unsupported version
    * - wrong password
    * - corrupted data
    */
-  decryptData(encryptedData: Buffer, password: string, gzip?: boolean): Buffer;
+  upgradeDataAsync(
+    encryptedData: Buffer,
+    password: string,
+    options?: boolean | UpgradeOptions,
+  ): Promise<Buffer>;
 
   /**
-   * Encrypts a file and writes the result to `<filePath>.enc`.
+   * Upgrades an encrypted `.enc` file to the current format in place.
    *
-   * @param filePath Path to the file to encrypt
-   * @param password Password used for encryption
-   * @param gzip Whether to compress before encryption (default: true)
+   * @param filePath Path to the `.enc` file
+   * @param password Password used for the original encryption
+   * @param options Upgrade options, or the legacy `gzip` flag
+   * @returns True if the file was rewritten, false if it was already current
    *
-   * @throws WilcoCryptError If password is invalid
+   * @throws WilcoCryptError on:
+   * - invalid file extension
+   * - invalid header
+   * - unsupported version
+   * - wrong password
+   * - corrupted data
    */
-  encryptFile(filePath: string, password: string, gzip?: boolean): void;
+  upgradeFile(
+    filePath: string,
+    password: string,
+    options?: boolean | UpgradeOptions,
+  ): boolean;
 
   /**
-   * Decrypts an encrypted `.enc` file.
-   *
-   * If `outputPath` is provided, the decrypted data is written to that file
-   * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+   * Asynchronous version of `upgradeFile`.
    *
    * @param filePath Path to the `.enc` file
-   * @param password Password used for decryption
-   * @param outputPath Optional path to write decrypted output to.
-   * If omitted, the function returns the decrypted Buffer instead.
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Undefined when outputPath is provided
+   * @param password Password used for the original encryption
+   * @param options Upgrade options, or the legacy `gzip` flag
+   * @returns True if the file was rewritten, false if it was already current
    *
    * @throws WilcoCryptError on:
    * - invalid file extension
    * - invalid header
-   * - version mismatch
+   * - unsupported version
    * - wrong password
    * - corrupted data
    */
-  decryptFile(
+  upgradeFileAsync(
     filePath: string,
     password: string,
-    outputPath: string,
-    gzip?: boolean,
-  ): undefined;
+    options?: boolean | UpgradeOptions,
+  ): Promise<boolean>;
 
   /**
-   * Decrypts an encrypted `.enc` file.
-   *
-   * If `outputPath` is omitted, the decrypted Buffer is returned.
+   * Opens a seekable `.enc` file for random-access reads.
+   * The last segment is authenticated on open, so `size` is trustworthy.
    *
-   * @param filePath Path to the `.enc` file
+   * @param filePath Path to an `.enc` file written with `{ seekable: true }`
    * @param password Password used for decryption
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Decrypted file contents
+   * @returns Handle with `size`, `read`, `createReadStream` and `close`
    *
    * @throws WilcoCryptError on:
-   * - invalid file extension
    * - invalid header
-   * - version mismatch
+   * - payload not written in seekable mode (`NOT_SEEKABLE`)
    * - wrong password
-   * - corrupted data
+   * - corrupted or truncated data
    */
-  decryptFile(filePath: string, password: string, gzip?: boolean): Buffer;
+  openEncryptedFile(
+    filePath: string,
+    password: string | null,
+    options?: Pick<DecryptOptions, "identity" | "key">,
+  ): Promise<EncryptedFileHandle>;
 
   /**
-   * Encrypts data asynchronously using password-based AES-256-GCM.
+   * Encrypts a directory tree into a single archive payload. File names,
+   * sizes and the directory structure are encrypted. Symbolic links and
+   * special files are skipped.
    *
-   * Output format:
-   * [HEADER (10 bytes)] + [VERSION (dynamic)] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+   * @param dir Directory to archive
+   * @param outputPath Path to write the archive to
+   * @param password Password used for key derivation, or `null` with keys
+   * @param options Encryption options, or the legacy `gzip` flag
    *
-   * @param plaindata Raw data to encrypt
-   * @param password Password used for key derivation
-   * @param gzip Whether to compress data before encryption (default: true)
-   * @returns Binary-encoded encrypted payload
+   * @throws WilcoCryptError on:
+   * - invalid password, keys or options
+   * - `dir` not being a directory (`NOT_A_DIRECTORY`)
+   * - a file shrinking while it is archived (`FILE_CHANGED`)
+   * - cancellation through `options.signal` (`ABORTED`)
+   */
+  encryptDirectory(
+    dir: string,
+    outputPath: string,
+    password: string | null,
+    options?: boolean | EncryptOptions,
+  ): Promise<void>;
+
+  /**
+   * Extracts an archive written by `encryptDirectory` into `outputDir`.
+   * Entry paths cannot escape `outputDir`, and files are never written
+   * through symbolic links. Existing files are only replaced with
+   * `options.overwrite`.
    *
-   * @throws WilcoCryptError If password is invalid
+   * @param archivePath Path to the archive
+   * @param outputDir Directory to extract into; created if needed
+   * @param password Password used for decryption, or `null` with keys
+   * @param options Decryption options and an optional single `entry`
+   *
+   * @throws WilcoCryptError on:
+   * - malformed archive (`INVALID_ARCHIVE`)
+   * - entry path outside `outputDir` (`UNSAFE_ARCHIVE_PATH`)
+   * - missing `entry` (`ENTRY_NOT_FOUND`)
+   * - existing file without `options.overwrite` (`OUTPUT_EXISTS`)
+   * - wrong password or corrupted data
+   * - cancellation through `options.signal` (`ABORTED`); a partly
+   *   written entry is removed
    */
-  encryptDataAsync(
-    plaindata: Buffer,
-    password: string,
-    gzip?: boolean,
-  ): Promise<Buffer>;
+  decryptArchive(
+    archivePath: string,
+    outputDir: string,
+    password: string | null,
+    options?: boolean | ArchiveOptions,
+  ): Promise<void>;
 
   /**
-   * Decrypts encrypted data asynchronously using password-based AES-256-GCM.
+   * Lists the entries of an archive written by `encryptDirectory`.
    *
-   * Validates internal header and version, then extracts:
-   * salt, iv, authTag and ciphertext from the binary payload.
+   * @param archivePath Path to the archive
+   * @param password Password used for decryption, or `null` with keys
+   * @param options Decryption options, or the legacy `gzip` flag
+   * @returns Entries in archive order
    *
-   * @param encryptedData Binary-encoded encrypted payload
-   * @param password Password used for decryption
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Decrypted raw data
+   * @throws WilcoCryptError on malformed archives or decryption failures
+   */
+  listArchive(
+    archivePath: string,
+    password: string | null,
+    options?: boolean | DecryptOptions,
+  ): Promise<ArchiveEntry[]>;
+
+  /**
+   * Creates an empty secrets vault and returns it open. The vault file is
+   * an ordinary payload, so `addPassword`, `verifyFile` and `inspect`
+   * work on it.
+   *
+   * @param filePath Path of the vault file to create
+   * @param password Password used for key derivation, or `null` with keys
+   *   or recipients
+   * @param options Key derivation, cipher, keys, recipients and `overwrite`
    *
    * @throws WilcoCryptError on:
-   * - invalid header
-   * - version mismatch
-   * - wrong password
-   * - corrupted data
+   * - invalid password, keys or options
+   * - an existing file without `overwrite` (`OUTPUT_EXISTS`)
    */
-  decryptDataAsync(
-    encryptedData: Buffer,
-    password: string,
-    gzip?: boolean,
-  ): Promise<Buffer>;
+  createVault(
+    filePath: string,
+    password: string | null,
+    options?: CreateVaultOptions,
+  ): Promise<Vault>;
 
   /**
-   * Encrypts a file asynchronously and writes the result to `<filePath>.enc`.
+   * Opens a secrets vault. The entries are decrypted into memory until
+   * `close()`.
    *
-   * @param filePath Path to the file to encrypt
-   * @param password Password used for encryption
-   * @param gzip Whether to compress before encryption (default: true)
+   * @param filePath Path of the vault file
+   * @param password Password used for decryption, or `null` with keys
+   * @param options Keys or identities, and the associated data
    *
-   * @throws WilcoCryptError If password is invalid
+   * @throws WilcoCryptError on:
+   * - wrong credentials or corrupted data
+   * - a payload that is not a vault (`NOT_A_VAULT`)
    */
-  encryptFileAsync(
+  openVault(
     filePath: string,
-    password: string,
-    gzip?: boolean,
-  ): Promise<void>;
+    password: string | null,
+    options?: OpenVaultOptions,
+  ): Promise<Vault>;
 
   /**
-   * Decrypts a `.enc` file asynchronously.
-   *
-   * If `outputPath` is provided, the decrypted data is written to that file
-   * and `undefined` is returned. Otherwise the decrypted Buffer is returned.
+   * Adds a password to an `.enc` file in a new key slot. Only the header
+   * is rewritten; the body is not re-encrypted.
    *
    * @param filePath Path to the `.enc` file
-   * @param password Password used for decryption
-   * @param outputPath Optional path to write decrypted output to
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Undefined when outputPath is provided
+   * @param password A password that already unlocks the file, or `null`
+   *   with `options.identity` or `options.key`
+   * @param newPassword Password to add
+   * @param options Key derivation for the new slot, identities and keys
    *
    * @throws WilcoCryptError on:
-   * - invalid file extension
-   * - invalid header
-   * - version mismatch
-   * - wrong password
-   * - corrupted data
+   * - wrong password or no matching key or identity
+   * - `newPassword` rejected by the password policy (`WEAK_PASSWORD`)
+   * - too many key slots (`TOO_MANY_KEY_SLOTS`)
+   * - payload in an older format (`UPGRADE_REQUIRED`)
    */
-  decryptFileAsync(
+  addPassword(
     filePath: string,
-    password: string,
-    outputPath: string,
-    gzip?: boolean,
-  ): Promise<undefined>;
+    password: string | null,
+    newPassword: string,
+    options?: KeySlotOptions,
+  ): Promise<void>;
 
   /**
-   * Decrypts an encrypted `.enc` file asynchronously.
+   * Removes the key slot that `password` unlocks from an `.enc` file.
+   * Only the header is rewritten.
    *
-   * If `outputPath` is omitted, the decrypted Buffer is returned.
+   * @param filePath Path to the `.enc` file
+   * @param password Password to remove
+   *
+   * @throws WilcoCryptError on:
+   * - wrong password
+   * - removing the last key slot (`LAST_KEY_SLOT`)
+   * - payload in an older format (`UPGRADE_REQUIRED`)
+   */
+  removePassword(filePath: string, password: string): Promise<void>;
+
+  /**
+   * Rewraps the key slot that `oldPassword` unlocks for `newPassword`.
+   * Only the header is rewritten.
    *
    * @param filePath Path to the `.enc` file
-   * @param password Password used for decryption
-   * @param gzip Whether to decompress after decryption (default: true)
-   * @returns Decrypted file contents
+   * @param oldPassword Current password
+   * @param newPassword Replacement password
+   * @param options Key derivation for the new slot (default: that of the old
+   *   slot) and password policy
    *
    * @throws WilcoCryptError on:
-   * - invalid file extension
-   * - invalid header
-   * - version mismatch
    * - wrong password
-   * - corrupted data
+   * - `newPassword` rejected by the password policy (`WEAK_PASSWORD`)
+   * - payload in an older format (`UPGRADE_REQUIRED`)
    */
-  decryptFileAsync(
+  changePassword(
     filePath: string,
-    password: string,
-    gzip?: boolean,
-  ): Promise<Buffer>;
+    oldPassword: string,
+    newPassword: string,
+    options?: Pick<KeySlotOptions, "kdf" | "passwordPolicy">,
+  ): Promise<void>;
 
   /**
-   * Encrypts a file using streams and writes the result to `outputPath`.
-   * Memory-efficient alternative to `encryptFile` for large files.
+   * Generates an X25519 key pair for public-key encryption.
+   * Pass `publicKey` to the `recipients` option and `privateKey` to the
+   * `identity` option.
    *
-   * Output format:
-   * [HEADER] + [VERSION] + [salt (16)] + [iv (12)] + [ciphertext] + [authTag (16)]
+   * @returns Keys encoded as `wc-x25519-pub:…` and `wc-x25519-sec:…`
+   */
+  generateKeyPair(): KeyPair;
+
+  /**
+   * Generates a random 32-byte symmetric key and writes it to a new key
+   * file (mode 0600) as `wc-key:…`.
    *
-   * @param inputPath Path to the file to encrypt
-   * @param outputPath Path to write the encrypted output to
-   * @param password Password used for key derivation
-   * @param gzip Whether to compress data before encryption (default: true)
+   * @param filePath Path of the key file; must not exist yet
+   * @returns The raw key
+   */
+  generateKeyFile(filePath: string): Buffer;
+
+  /**
+   * Generates an Ed25519 key pair for signing payloads.
+   * Pass `privateKey` to the `signingKey` option and `publicKey` to
+   * `trustedSigners` or `verifySignature`.
    *
-   * @throws WilcoCryptError If password is invalid
+   * @returns Keys encoded as `wc-ed25519-pub:…` and `wc-ed25519-sec:…`
    */
-  encryptFileStream(
-    inputPath: string,
-    outputPath: string,
-    password: string,
-    gzip?: boolean,
-  ): Promise<void>;
+  generateSigningKeyPair(): SigningKeyPair;
 
   /**
-   * Decrypts an encrypted file using streams.
-   * Memory-efficient alternative to `decryptFile` for large files.
-   * Cleans up the output file automatically if decryption or integrity check fails.
+   * Estimates how hard a password is to guess, from the patterns it is
+   * made of: common passwords, words, keyboard runs, sequences, repeats
+   * and dates. Characters no pattern covers count as random.
    *
-   * @param inputPath Path to the encrypted file
-   * @param outputPath Path to write the decrypted output to
-   * @param password Password used for decryption
-   * @param gzip Whether to decompress after decryption (default: true)
+   * @param password Password to rate
+   * @param policy Policy that decides `acceptable` (default: 28 bits)
    *
-   * @throws WilcoCryptError on:
-   * - invalid header
-   * - version mismatch
-   * - decryption/integrity failure
+   * @throws WilcoCryptError With code `INVALID_PASSWORD_POLICY`
    */
-  decryptFileStream(
-    inputPath: string,
-    outputPath: string,
+  estimatePasswordStrength(
     password: string,
-    gzip?: boolean,
-  ): Promise<void>;
+    policy?: PasswordPolicy,
+  ): PasswordStrength;
+
+  /**
+   * Generates a random passphrase of words from `_.PASSPHRASE_WORDS`,
+   * 11 bits of entropy per word.
+   *
+   * @throws WilcoCryptError With code `INVALID_PASSPHRASE_OPTIONS`
+   */
+  generatePassphrase(options?: PassphraseOptions): string;
+
+  /**
+   * Checks that a payload was signed by `publicKey` and that neither its
+   * header (apart from the key slots) nor its ciphertext changed since.
+   * No password is needed.
+   *
+   * @param encryptedBuffer Binary-encoded encrypted payload
+   * @param publicKey Ed25519 public key of the expected signer
+   * @returns `false` for unsigned payloads, other signers and invalid
+   *   signatures
+   * @throws WilcoCryptError On invalid header, unsupported version or
+   *   invalid public key
+   */
+  verifySignature(encryptedBuffer: Buffer | string, publicKey: Signer): boolean;
+
+  /**
+   * Reads the header of a payload without a password: format version,
+   * cipher, key slots with their key derivation parameters, segment
+   * layout, signer and whether metadata is present. Nothing is decrypted
+   * or authenticated, so the result describes the payload as it claims
+   * to be.
+   *
+   * @param payload Binary payload, armored text, or the path of an
+   *   encrypted file (only its header is read, unless it is armored
+   *   or a format `2.1.x` envelope)
+   * @returns The header fields of the payload. For a volume of a split
+   *   payload, `volume` holds its set ID, index and count; only the first
+   *   volume has the payload header.
+   *
+   * @throws WilcoCryptError On invalid header, invalid armor,
+   *   unsupported version, or with code `INVALID_VOLUME` on an invalid
+   *   volume header
+   */
+  inspect(payload: Buffer | string): PayloadInfo | VolumePartInfo;
+
+  /**
+   * Encodes a binary payload as ASCII-armored text: BEGIN and END lines
+   * around the base64 payload, wrapped at 64 characters, and a CRC-24
+   * checksum line.
+   *
+   * @param encryptedBuffer Binary-encoded encrypted payload
+   * @returns Armored text, ending with a newline
+   *
+   * @throws WilcoCryptError If the input is not a WilcoCrypt payload
+   */
+  armor(encryptedBuffer: Buffer): string;
+
+  /**
+   * Decodes ASCII-armored text back into a binary payload. Line breaks
+   * and indentation are not significant.
+   *
+   * @param text Armored text
+   * @returns Binary-encoded encrypted payload
+   *
+   * @throws WilcoCryptError With code `INVALID_ARMOR` if the text is
+   *   malformed or its checksum does not match
+   */
+  dearmor(text: string | Buffer): Buffer;
 }
 
 /**